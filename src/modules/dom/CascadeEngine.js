@@ -0,0 +1,758 @@
+/**
+ * CascadeEngine Component
+ *
+ * Resolves the CSS cascade for an element from the CSSOM. Grouping rules
+ * (@media, @supports, @container, @layer, layered @import) are walked
+ * recursively, conditions are evaluated where the platform allows it, and
+ * every matching declaration is ranked by importance, inline attachment,
+ * cascade layer, specificity and order of appearance.
+ *
+ * @fileoverview CSS cascade resolution for the Style Computer
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+import { splitSelectorList } from './SelectorParser.js';
+
+const UNLAYERED = Infinity;
+
+/**
+ * Reasons a declaration can lose the cascade, in the order they are checked
+ */
+export const CASCADE_REASONS = {
+  importance: 'Overridden by an !important declaration',
+  inline: "Overridden by the element's inline style",
+  layer: 'Declared in a lower-priority cascade layer',
+  specificity: 'Lower selector specificity',
+  order: 'Declared earlier in the source'
+};
+
+/**
+ * Properties that inherit by default. Custom properties always inherit.
+ */
+export const INHERITED_PROPERTIES = new Set([
+  'border-collapse',
+  'border-spacing',
+  'caption-side',
+  'caret-color',
+  'color',
+  'color-scheme',
+  'cursor',
+  'direction',
+  'empty-cells',
+  'font',
+  'font-family',
+  'font-feature-settings',
+  'font-kerning',
+  'font-size',
+  'font-size-adjust',
+  'font-stretch',
+  'font-style',
+  'font-variant',
+  'font-variation-settings',
+  'font-weight',
+  'hyphens',
+  'letter-spacing',
+  'line-height',
+  'list-style',
+  'list-style-image',
+  'list-style-position',
+  'list-style-type',
+  'orphans',
+  'overflow-wrap',
+  'paint-order',
+  'pointer-events',
+  'quotes',
+  'tab-size',
+  'text-align',
+  'text-align-last',
+  'text-indent',
+  'text-justify',
+  'text-rendering',
+  'text-shadow',
+  'text-transform',
+  'text-underline-position',
+  'visibility',
+  'white-space',
+  'widows',
+  'word-break',
+  'word-spacing',
+  'word-wrap',
+  'writing-mode'
+]);
+
+const CSS_WIDE_KEYWORDS = new Set([
+  'inherit',
+  'initial',
+  'unset',
+  'revert',
+  'revert-layer'
+]);
+
+/**
+ * CascadeEngine class ranking matching declarations per property
+ * @class CascadeEngine
+ */
+export class CascadeEngine {
+  /**
+   * Initialize the cascade engine
+   * @param {Object} options - Configuration options
+   * @param {Function} options.calculateSpecificity - Returns [inline, ids, classes, elements] for a complex selector
+   * @param {Function} [options.evaluateMedia] - Returns true/false for a media query, or null if unknown
+   * @param {Function} [options.evaluateSupports] - Returns true/false for a supports condition, or null if unknown
+   */
+  constructor(options = {}) {
+    this.options = {
+      evaluateMedia: mediaText =>
+        typeof window.matchMedia === 'function'
+          ? window.matchMedia(mediaText).matches
+          : null,
+      evaluateSupports: conditionText =>
+        typeof CSS !== 'undefined' && typeof CSS.supports === 'function'
+          ? CSS.supports(conditionText)
+          : null,
+      ...options
+    };
+
+    if (typeof this.options.calculateSpecificity !== 'function') {
+      throw new Error('CascadeEngine requires a calculateSpecificity function');
+    }
+  }
+
+  /**
+   * Collect every style rule whose conditions apply, with its layer and
+   * position in the cascade
+   * @param {Array<CSSStyleSheet>} [styleSheets] - Sheets in document order; defaults to document and adopted sheets
+   * @returns {Object} Collected rules, layer order and skipped rule count
+   */
+  collectRules(styleSheets) {
+    const sheets = styleSheets || [
+      ...Array.from(document.styleSheets),
+      ...(document.adoptedStyleSheets || [])
+    ];
+    const state = {
+      rules: [],
+      layers: new Map(),
+      layerChildren: new Map(),
+      anonymousLayers: 0,
+      sourceIndex: 0,
+      skippedRules: 0
+    };
+
+    sheets.forEach(sheet => {
+      if (sheet.disabled) return;
+
+      const conditions = [];
+      const mediaText = sheet.media?.mediaText;
+      if (mediaText) {
+        const condition = this.evaluateCondition('media', mediaText);
+        if (condition.matches === false) return;
+        conditions.push(condition);
+      }
+
+      this.walkRules(sheet, { layer: '', conditions, sheet }, state);
+    });
+
+    return {
+      rules: state.rules,
+      layers: Array.from(state.layers.keys()),
+      layerPaths: state.layers,
+      skippedRules: state.skippedRules
+    };
+  }
+
+  /**
+   * Walk the rules of a sheet or grouping rule
+   * @param {CSSStyleSheet|CSSGroupingRule} container - Rule container
+   * @param {Object} context - Current layer, conditions and owning sheet
+   * @param {Object} state - Collection state
+   * @private
+   */
+  walkRules(container, context, state) {
+    let cssRules;
+
+    try {
+      cssRules = container.cssRules;
+    } catch (error) {
+      // Cross-origin stylesheets may not be accessible
+      console.warn('Cannot access stylesheet:', container.href);
+      return;
+    }
+
+    Array.from(cssRules || []).forEach(rule => {
+      switch (this.getRuleKind(rule)) {
+        case 'style':
+          state.rules.push({
+            rule,
+            selectorText: rule.selectorText,
+            style: rule.style,
+            layer: context.layer,
+            conditions: context.conditions,
+            source:
+              context.sheet.href ||
+              context.sheet.ownerNode?.dataset?.sheetLabel ||
+              'internal',
+            sourceIndex: state.sourceIndex++
+          });
+          break;
+
+        case 'media':
+          this.walkConditional(
+            rule,
+            'media',
+            rule.media.mediaText,
+            context,
+            state
+          );
+          break;
+
+        case 'supports':
+          this.walkConditional(
+            rule,
+            'supports',
+            rule.conditionText,
+            context,
+            state
+          );
+          break;
+
+        case 'container':
+          this.walkConditional(
+            rule,
+            'container',
+            rule.conditionText,
+            context,
+            state
+          );
+          break;
+
+        case 'layer-statement':
+          Array.from(rule.nameList).forEach(name =>
+            this.registerLayer(this.joinLayer(context.layer, name), state)
+          );
+          break;
+
+        case 'layer-block': {
+          const layer = this.joinLayer(
+            context.layer,
+            rule.name || `<anonymous-${++state.anonymousLayers}>`
+          );
+          this.registerLayer(layer, state);
+          this.walkRules(rule, { ...context, layer }, state);
+          break;
+        }
+
+        case 'import':
+          this.walkImport(rule, context, state);
+          break;
+
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Walk a conditional grouping rule if its condition can apply
+   * @param {CSSConditionRule} rule - Conditional rule
+   * @param {string} type - Condition type
+   * @param {string} text - Condition text
+   * @param {Object} context - Current context
+   * @param {Object} state - Collection state
+   * @private
+   */
+  walkConditional(rule, type, text, context, state) {
+    const condition = this.evaluateCondition(type, text);
+
+    if (condition.matches === false) {
+      state.skippedRules += rule.cssRules.length;
+      return;
+    }
+
+    this.walkRules(
+      rule,
+      { ...context, conditions: [...context.conditions, condition] },
+      state
+    );
+  }
+
+  /**
+   * Walk an imported stylesheet, honouring its media, supports and layer
+   * @param {CSSImportRule} rule - Import rule
+   * @param {Object} context - Current context
+   * @param {Object} state - Collection state
+   * @private
+   */
+  walkImport(rule, context, state) {
+    if (!rule.styleSheet) return;
+
+    const conditions = [...context.conditions];
+    const checks = [
+      ['media', rule.media?.mediaText],
+      ['supports', rule.supportsText]
+    ];
+
+    for (const [type, text] of checks) {
+      if (!text) continue;
+
+      const condition = this.evaluateCondition(type, text);
+      if (condition.matches === false) return;
+      conditions.push(condition);
+    }
+
+    let { layer } = context;
+    if (typeof rule.layerName === 'string') {
+      layer = this.joinLayer(
+        layer,
+        rule.layerName || `<anonymous-${++state.anonymousLayers}>`
+      );
+      this.registerLayer(layer, state);
+    }
+
+    this.walkRules(
+      rule.styleSheet,
+      { layer, conditions, sheet: rule.styleSheet },
+      state
+    );
+  }
+
+  /**
+   * Classify a CSS rule
+   * @param {CSSRule} rule - Rule to classify
+   * @returns {string} Rule kind
+   * @private
+   */
+  getRuleKind(rule) {
+    switch (rule.type) {
+      case CSSRule.STYLE_RULE:
+        return 'style';
+      case CSSRule.IMPORT_RULE:
+        return 'import';
+      case CSSRule.MEDIA_RULE:
+        return 'media';
+      case CSSRule.SUPPORTS_RULE:
+        return 'supports';
+      default:
+        break;
+    }
+
+    // Newer rule types have no type constant
+    switch (rule.constructor?.name) {
+      case 'CSSContainerRule':
+        return 'container';
+      case 'CSSLayerBlockRule':
+        return 'layer-block';
+      case 'CSSLayerStatementRule':
+        return 'layer-statement';
+      default:
+        return 'other';
+    }
+  }
+
+  /**
+   * Evaluate a rule condition
+   * @param {string} type - 'media', 'supports' or 'container'
+   * @param {string} text - Condition text
+   * @returns {Object} Condition with matches true, false or null (unknown)
+   * @private
+   */
+  evaluateCondition(type, text) {
+    let matches = null;
+
+    try {
+      if (type === 'media') {
+        matches = this.options.evaluateMedia(text);
+      } else if (type === 'supports') {
+        matches = this.options.evaluateSupports(text);
+      }
+    } catch (error) {
+      console.warn(`Cannot evaluate @${type} ${text}:`, error);
+    }
+
+    return { type, text, matches };
+  }
+
+  /**
+   * Build a full layer name
+   * @param {string} parent - Parent layer name, '' at the top level
+   * @param {string} name - Layer name relative to the parent
+   * @returns {string} Full dotted layer name
+   * @private
+   */
+  joinLayer(parent, name) {
+    return parent ? `${parent}.${name}` : name;
+  }
+
+  /**
+   * Register a layer (and its parents) in order of first appearance
+   * @param {string} layer - Full dotted layer name
+   * @param {Object} state - Collection state
+   * @returns {Array<number>} Layer path
+   * @private
+   */
+  registerLayer(layer, state) {
+    if (state.layers.has(layer)) return state.layers.get(layer);
+
+    const separator = layer.lastIndexOf('.');
+    const parent = separator === -1 ? '' : layer.slice(0, separator);
+    const parentPath = parent ? this.registerLayer(parent, state) : [];
+    const index = state.layerChildren.get(parent) || 0;
+
+    state.layerChildren.set(parent, index + 1);
+    const path = [...parentPath, index];
+    state.layers.set(layer, path);
+
+    return path;
+  }
+
+  /**
+   * Resolve the cascade for an element
+   * @param {HTMLElement} element - Target element
+   * @param {Object} [options={}] - Resolution options
+   * @param {Array<CSSStyleSheet>} [options.styleSheets] - Sheets to use instead of the document's
+   * @param {Function} [options.matches] - (element, selector) => boolean, defaults to element.matches
+   * @param {boolean} [options.inline=true] - Include the element's style attribute
+   * @returns {Object} Declarations per property with the winner first, plus collection stats
+   */
+  resolve(element, options = {}) {
+    const matches =
+      options.matches || ((target, selector) => target.matches(selector));
+    const { rules, layers, layerPaths, skippedRules } = this.collectRules(
+      options.styleSheets
+    );
+    const declarations = [];
+    let rulesMatched = 0;
+
+    rules.forEach(entry => {
+      const specificity = this.getMatchSpecificity(
+        element,
+        entry.selectorText,
+        matches
+      );
+      if (!specificity) return;
+
+      rulesMatched++;
+      const layerKey = entry.layer
+        ? [...layerPaths.get(entry.layer), UNLAYERED]
+        : [UNLAYERED];
+
+      this.forEachDeclaration(entry.style, (property, value, important) => {
+        declarations.push({
+          property,
+          value,
+          important,
+          inline: false,
+          selector: entry.selectorText,
+          matchedSelector: specificity.selector,
+          specificity: specificity.value,
+          layer: entry.layer || null,
+          layerKey,
+          conditions: entry.conditions,
+          source: entry.source,
+          sourceIndex: entry.sourceIndex
+        });
+      });
+    });
+
+    if (element.style && options.inline !== false) {
+      this.forEachDeclaration(element.style, (property, value, important) => {
+        declarations.push({
+          property,
+          value,
+          important,
+          inline: true,
+          selector: null,
+          matchedSelector: null,
+          specificity: [1, 0, 0, 0],
+          layer: null,
+          layerKey: [UNLAYERED],
+          conditions: [],
+          source: 'inline',
+          sourceIndex: rules.length
+        });
+      });
+    }
+
+    const properties = new Map();
+    declarations.forEach(declaration => {
+      if (!properties.has(declaration.property)) {
+        properties.set(declaration.property, []);
+      }
+      properties.get(declaration.property).push(declaration);
+    });
+
+    properties.forEach((list, property) => {
+      list.sort((a, b) => this.compareDeclarations(b, a));
+
+      const [winner] = list;
+      list.forEach((declaration, index) => {
+        declaration.status = index === 0 ? 'winner' : 'overridden';
+        if (index > 0) {
+          declaration.reason = this.getLossReason(declaration, winner);
+          declaration.reasonText = CASCADE_REASONS[declaration.reason];
+        }
+      });
+
+      properties.set(property, { winner, declarations: list });
+    });
+
+    return { properties, layers, rulesMatched, skippedRules };
+  }
+
+  /**
+   * Trace where the value of one property comes from. The element's own
+   * cascade is checked first; while the value is inherited (no declaration
+   * on an inheriting property, or an explicit inherit/unset) the walk
+   * continues with the parent element. User-agent styles are not part of
+   * the CSSOM, so 'initial' also covers browser defaults and revert is
+   * treated like unset. Matching options only apply to the element itself;
+   * ancestors are resolved in their actual state. A pseudo-element
+   * inherits from its originating element.
+   * @param {HTMLElement} element - Target element
+   * @param {string} property - CSS property name
+   * @param {Object} [options={}] - Resolution options, as for resolve()
+   * @param {Object} [options.cascade] - Already resolved cascade of the element
+   * @param {string} [options.pseudoElement] - Pseudo-element being traced, e.g. '::before'
+   * @returns {Object} Trace with origin, the element's declarations and every step walked
+   */
+  trace(element, property, options = {}) {
+    const inheritable = this.isInherited(property);
+    const steps = [];
+    let current = element;
+    let parent = options.pseudoElement ? element : element.parentElement;
+    let cascade = options.cascade || this.resolve(element, options);
+    let origin = 'initial';
+
+    while (current) {
+      const entry = this.findPropertyEntry(cascade.properties, property);
+      const value = entry ? entry.winner.value.trim().toLowerCase() : null;
+      const keyword = CSS_WIDE_KEYWORDS.has(value) ? value : null;
+      let action;
+
+      if (entry && !keyword) {
+        action = 'declared';
+      } else if (
+        keyword === 'inherit' ||
+        (inheritable && keyword !== 'initial')
+      ) {
+        action = 'inherit';
+      } else {
+        action = 'initial';
+      }
+
+      steps.push({
+        element: current,
+        action,
+        keyword,
+        shorthand: entry?.shorthand || null,
+        winner: entry?.winner || null,
+        declarations: entry?.declarations || [],
+        pseudoElement:
+          steps.length === 0 ? options.pseudoElement || null : null,
+        computedValue: this.getComputedValue(
+          current,
+          property,
+          steps.length === 0 ? options.pseudoElement : null
+        )
+      });
+
+      if (action === 'declared') {
+        origin = steps.length === 1 ? 'declared' : 'inherited';
+        break;
+      }
+      if (action === 'initial') break;
+
+      current = parent;
+      parent = current?.parentElement;
+      if (current) {
+        cascade = this.resolve(current, { styleSheets: options.styleSheets });
+      }
+    }
+
+    const [target] = steps;
+    const settled = steps[steps.length - 1];
+
+    return {
+      property,
+      inheritable,
+      origin,
+      computedValue: target.computedValue,
+      keyword: target.keyword,
+      winner: target.winner,
+      overridden: target.declarations.slice(1),
+      inheritedFrom: origin === 'inherited' ? settled : null,
+      steps
+    };
+  }
+
+  /**
+   * Check whether a property inherits by default
+   * @param {string} property - CSS property name
+   * @returns {boolean} True for inherited properties
+   */
+  isInherited(property) {
+    return property.startsWith('--') || INHERITED_PROPERTIES.has(property);
+  }
+
+  /**
+   * Find the cascade entry for a property, falling back to a shorthand
+   * that the CSSOM did not expand (e.g. padding for padding-top)
+   * @param {Map} properties - Resolved cascade properties
+   * @param {string} property - CSS property name
+   * @returns {Object|null} Cascade entry, with the shorthand name if one was used
+   * @private
+   */
+  findPropertyEntry(properties, property) {
+    if (properties.has(property)) return properties.get(property);
+    if (property.startsWith('-')) return null;
+
+    const parts = property.split('-');
+    for (let i = parts.length - 1; i > 0; i--) {
+      const shorthand = parts.slice(0, i).join('-');
+      if (properties.has(shorthand)) {
+        return { ...properties.get(shorthand), shorthand };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the computed value of a property
+   * @param {HTMLElement} element - Target element
+   * @param {string} property - CSS property name
+   * @param {string} [pseudoElement] - Pseudo-element, e.g. '::before'
+   * @returns {string} Computed value, empty if unavailable
+   * @private
+   */
+  getComputedValue(element, property, pseudoElement) {
+    const view = element.ownerDocument?.defaultView;
+    if (!view) return '';
+
+    return view
+      .getComputedStyle(element, pseudoElement || null)
+      .getPropertyValue(property)
+      .trim();
+  }
+
+  /**
+   * Get the specificity a selector list matches an element with: the
+   * highest specificity among the complex selectors that match
+   * @param {HTMLElement} element - Target element
+   * @param {string} selectorText - Selector list
+   * @param {Function} matches - Matching function
+   * @returns {Object|null} Matching selector and specificity, or null
+   * @private
+   */
+  getMatchSpecificity(element, selectorText, matches) {
+    let best = null;
+
+    let selectors;
+    try {
+      selectors = splitSelectorList(selectorText);
+    } catch (error) {
+      selectors = [selectorText];
+    }
+
+    selectors.forEach(selector => {
+      try {
+        if (!matches(element, selector)) return;
+      } catch (error) {
+        // Selectors the engine cannot evaluate never match
+        return;
+      }
+
+      const value = this.options.calculateSpecificity(selector);
+      if (!best || this.compareSpecificity(value, best.value) > 0) {
+        best = { selector, value };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Call back for every declaration in a style declaration block
+   * @param {CSSStyleDeclaration} style - Declaration block
+   * @param {Function} callback - (property, value, important) => void
+   * @private
+   */
+  forEachDeclaration(style, callback) {
+    for (let i = 0; i < style.length; i++) {
+      const property = style[i];
+      callback(
+        property,
+        style.getPropertyValue(property),
+        style.getPropertyPriority(property) === 'important'
+      );
+    }
+  }
+
+  /**
+   * Compare two declarations of the same property in cascade order
+   * @param {Object} a - First declaration
+   * @param {Object} b - Second declaration
+   * @returns {number} Positive if a wins, negative if b wins
+   */
+  compareDeclarations(a, b) {
+    if (a.important !== b.important) return a.important ? 1 : -1;
+    if (a.inline !== b.inline) return a.inline ? 1 : -1;
+
+    // Later layers win for normal declarations, earlier ones for important
+    const layerOrder = this.compareLayerKeys(a.layerKey, b.layerKey);
+    if (layerOrder !== 0) return a.important ? -layerOrder : layerOrder;
+
+    const specificity = this.compareSpecificity(a.specificity, b.specificity);
+    if (specificity !== 0) return specificity;
+
+    return a.sourceIndex - b.sourceIndex;
+  }
+
+  /**
+   * Find the first cascade criterion on which a declaration lost
+   * @param {Object} loser - Overridden declaration
+   * @param {Object} winner - Winning declaration
+   * @returns {string} Key of CASCADE_REASONS
+   * @private
+   */
+  getLossReason(loser, winner) {
+    if (loser.important !== winner.important) return 'importance';
+    if (loser.inline !== winner.inline) return 'inline';
+    if (this.compareLayerKeys(loser.layerKey, winner.layerKey) !== 0) {
+      return 'layer';
+    }
+    if (this.compareSpecificity(loser.specificity, winner.specificity) !== 0) {
+      return 'specificity';
+    }
+    return 'order';
+  }
+
+  /**
+   * Compare two layer keys lexicographically
+   * @param {Array<number>} a - First key
+   * @param {Array<number>} b - Second key
+   * @returns {number} Comparison result
+   * @private
+   */
+  compareLayerKeys(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return a.length - b.length;
+  }
+
+  /**
+   * Compare two specificity arrays
+   * @param {Array<number>} a - First specificity
+   * @param {Array<number>} b - Second specificity
+   * @returns {number} Comparison result
+   */
+  compareSpecificity(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if ((a[i] || 0) !== (b[i] || 0)) {
+        return (a[i] || 0) - (b[i] || 0);
+      }
+    }
+    return 0;
+  }
+}
@@ -0,0 +1,531 @@
+/**
+ * CodeGenerator Component
+ *
+ * Turns a recorded ElementManipulator operation script into equivalent
+ * vanilla DOM API JavaScript, so learners can see the code behind what
+ * they built interactively. Undone operations are dropped first, so the
+ * generated code reproduces the final state of the session.
+ *
+ * @fileoverview Code generation from manipulation sessions
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Changes ElementManipulator.applyChange always assigns as properties
+const PROPERTY_CHANGES = new Set([
+  'textContent',
+  'innerHTML',
+  'className',
+  'id'
+]);
+
+/**
+ * CodeGenerator class producing DOM API code from operation scripts
+ * @class CodeGenerator
+ */
+export class CodeGenerator {
+  /**
+   * Initialize the code generator
+   * @param {Object} options - Configuration options
+   * @param {string} [options.rootSelector='body'] - Selector for the element scripts are recorded against
+   * @param {string} [options.rootVariable='container'] - Variable name used for that element
+   * @param {Iterable<string>} [options.domProperties=[]] - Other changes assigned as properties; the rest become setAttribute calls
+   */
+  constructor(options = {}) {
+    this.options = {
+      rootSelector: 'body',
+      rootVariable: 'container',
+      domProperties: [],
+      ...options
+    };
+    this.domProperties = new Set(this.options.domProperties);
+  }
+
+  /**
+   * Generate JavaScript from an operation script
+   * @param {Object} script - Operation script, see ElementManipulator.getScript
+   * @param {string} [format='dom'] - 'dom' for one statement group per step, 'fragment' to batch appends through DocumentFragments
+   * @returns {string} Generated code
+   */
+  generate(script, format = 'dom') {
+    if (!['dom', 'fragment'].includes(format)) {
+      throw new Error(`Unsupported code format: ${format}`);
+    }
+
+    const steps = this.getEffectiveSteps(script.steps);
+    if (steps.length === 0) {
+      return '// No manipulations recorded yet';
+    }
+
+    const state = {
+      names: new Map(),
+      tags: new Map(),
+      counters: {},
+      fragment: null,
+      fragmentCount: 0
+    };
+    const blocks = [
+      `const ${this.options.rootVariable} = document.querySelector(${this.literal(this.options.rootSelector)});`
+    ];
+
+    steps.forEach(step => {
+      blocks.push(...this.generateStep(step, state, format === 'fragment'));
+    });
+    blocks.push(...this.flushFragment(state));
+
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * Generate an HTML template variant: the markup of every top-level
+   * element the session created, inserted next to its nearest existing
+   * neighbour with insertAdjacentHTML
+   * @param {HTMLElement} root - Recording root
+   * @param {Function} isSessionElement - Returns true for elements created by the session
+   * @returns {string} Generated code
+   */
+  generateHTMLTemplate(root, isSessionElement) {
+    const topLevel = Array.from(root.querySelectorAll('*')).filter(element => {
+      if (!isSessionElement(element)) return false;
+
+      for (let node = element.parentElement; node !== root; ) {
+        if (isSessionElement(node)) return false;
+        node = node.parentElement;
+      }
+      return true;
+    });
+
+    if (topLevel.length === 0) {
+      return '// No elements created yet';
+    }
+
+    // Consecutive session siblings share one template
+    const groups = [];
+    topLevel.forEach(element => {
+      const previous = element.previousElementSibling;
+      const group = groups[groups.length - 1];
+
+      if (group && previous === group.elements[group.elements.length - 1]) {
+        group.elements.push(element);
+      } else {
+        groups.push({
+          previous,
+          parent: element.parentElement,
+          elements: [element]
+        });
+      }
+    });
+
+    const blocks = [
+      `const ${this.options.rootVariable} = document.querySelector(${this.literal(this.options.rootSelector)});`
+    ];
+
+    groups.forEach(({ previous, parent, elements }) => {
+      const markup = elements
+        .map(element => element.outerHTML)
+        .join('')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/`/g, '\\`')
+        .replace(/\$\{/g, '\\${');
+      const [target, position] = previous
+        ? [previous, 'afterend']
+        : [parent, 'afterbegin'];
+
+      blocks.push(
+        `${this.liveElementExpression(target, root)}.insertAdjacentHTML('${position}', \`${markup}\`);`
+      );
+    });
+
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * Drop undone operations, replaying the undo/redo stacks the same way
+   * ElementManipulator does
+   * @param {Array<Object>} steps - Script steps
+   * @returns {Array<Object>} Steps whose effect is still present
+   * @private
+   */
+  getEffectiveSteps(steps) {
+    const effective = [];
+    let redoStack = [];
+
+    steps.forEach(step => {
+      if (step.op === 'undo') {
+        for (let i = effective.length - 1; i >= 0; i--) {
+          if (this.isUndoable(effective[i])) {
+            redoStack.push(...effective.splice(i, 1));
+            break;
+          }
+        }
+      } else if (step.op === 'redo') {
+        if (redoStack.length > 0) effective.push(redoStack.pop());
+      } else {
+        effective.push(step);
+        if (this.isUndoable(step)) redoStack = [];
+      }
+    });
+
+    return effective;
+  }
+
+  /**
+   * Check whether a step pushed a command onto the undo stack
+   * @param {Object} step - Script step
+   * @returns {boolean} True if undoable
+   * @private
+   */
+  isUndoable(step) {
+    switch (step.op) {
+      case 'create':
+      case 'clone':
+        return Boolean(step.parent);
+      case 'transaction':
+        return step.steps.some(inner => this.isUndoable(inner));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Generate the code blocks for one step
+   * @param {Object} step - Script step
+   * @param {Object} state - Generation state
+   * @param {boolean} batch - Batch appends through DocumentFragments
+   * @returns {Array<string>} Code blocks
+   * @private
+   */
+  generateStep(step, state, batch) {
+    const blocks = [];
+    const batched = batch && Boolean(this.getBatchTarget(step));
+
+    if (batch) {
+      if (batched) {
+        const parent = this.expression(step.parent, state);
+        if (state.fragment?.parent !== parent) {
+          blocks.push(...this.flushFragment(state));
+          state.fragment = { parent, name: `fragment${++state.fragmentCount}` };
+          blocks.push(
+            `const ${state.fragment.name} = document.createDocumentFragment();`
+          );
+        }
+      } else if (!this.usesOnlyReferences(step)) {
+        blocks.push(...this.flushFragment(state));
+      }
+    }
+
+    if (step.op === 'transaction') {
+      blocks.push(`// ${step.label}`);
+      step.steps.forEach(inner => {
+        blocks.push(...this.generateStep(inner, state, batch));
+      });
+      return blocks;
+    }
+
+    const lines = [];
+    const placement = (variable, descriptor, position) => {
+      if (!descriptor) return;
+
+      if (batched) {
+        lines.push(`${state.fragment.name}.append(${variable});`);
+      } else {
+        lines.push(
+          this.insertion(variable, this.expression(descriptor, state), position)
+        );
+      }
+    };
+
+    switch (step.op) {
+      case 'create': {
+        const variable = this.declare(step.ref, step.tagName, state);
+        lines.push(
+          `const ${variable} = document.createElement(${this.literal(step.tagName)});`
+        );
+        lines.push(...this.optionLines(variable, step.options || {}));
+        placement(variable, step.parent, step.position);
+        break;
+      }
+
+      case 'clone': {
+        const source = this.expression(step.source, state);
+        const tagName =
+          step.source.ref && !step.source.selector
+            ? state.tags.get(step.source.ref)
+            : 'clone';
+        const variable = this.declare(step.ref, tagName, state);
+        lines.push(
+          `const ${variable} = ${source}.cloneNode(${step.deep !== false});`
+        );
+        Object.entries(step.modifications || {}).forEach(
+          ([property, value]) => {
+            lines.push(this.changeLine(variable, property, value));
+          }
+        );
+        lines.push(`if (${variable}.id) ${variable}.id += '_copy';`);
+        placement(variable, step.parent, step.position);
+        break;
+      }
+
+      case 'insert':
+        if (batched) {
+          placement(this.expression(step.target, state), step.parent);
+        } else {
+          lines.push(
+            this.insertion(
+              this.expression(step.target, state),
+              this.expression(step.parent, state),
+              step.position
+            )
+          );
+        }
+        break;
+
+      case 'remove':
+        lines.push(`${this.expression(step.target, state)}.remove();`);
+        break;
+
+      case 'modify': {
+        const target = this.expression(step.target, state);
+        const entries = Object.entries(step.changes || {});
+        let variable = target;
+
+        // Look up a queried element once when changing several properties
+        if (entries.length > 1 && !IDENTIFIER.test(target)) {
+          variable = this.declare(null, 'element', state);
+          lines.push(`const ${variable} = ${target};`);
+        }
+        entries.forEach(([property, value]) => {
+          lines.push(this.changeLine(variable, property, value));
+        });
+        break;
+      }
+
+      default:
+        lines.push(`// Unsupported operation: ${step.op}`);
+    }
+
+    blocks.push(lines.join('\n'));
+    return blocks;
+  }
+
+  /**
+   * Get the existing parent a step appends to, if the step can be batched
+   * @param {Object} step - Script step
+   * @returns {Object|null} Parent descriptor
+   * @private
+   */
+  getBatchTarget(step) {
+    const appends =
+      ['create', 'clone', 'insert'].includes(step.op) &&
+      step.parent &&
+      !step.parent.ref &&
+      (step.position ?? 'beforeend') === 'beforeend';
+
+    if (!appends) return null;
+    if (
+      step.op === 'insert' &&
+      !this.usesOnlyReferences({ ...step, parent: null })
+    ) {
+      return null;
+    }
+
+    return step.parent;
+  }
+
+  /**
+   * Check whether a step only touches elements created by the session
+   * @param {Object} step - Script step
+   * @returns {boolean} True if no live-DOM lookup is needed
+   * @private
+   */
+  usesOnlyReferences(step) {
+    if (step.op === 'transaction') {
+      return step.steps.every(inner => this.usesOnlyReferences(inner));
+    }
+    if (step.op === 'undo' || step.op === 'redo') return false;
+
+    return [step.target, step.parent, step.source]
+      .filter(Boolean)
+      .every(descriptor => descriptor.ref);
+  }
+
+  /**
+   * Emit the append of the pending fragment, if any
+   * @param {Object} state - Generation state
+   * @returns {Array<string>} Code blocks
+   * @private
+   */
+  flushFragment(state) {
+    if (!state.fragment) return [];
+
+    const { parent, name } = state.fragment;
+    state.fragment = null;
+    return [`${parent}.append(${name});`];
+  }
+
+  /**
+   * Declare a variable name for an element
+   * @param {string|null} ref - Script reference
+   * @param {string} base - Name base, usually the tag name
+   * @param {Object} state - Generation state
+   * @returns {string} Variable name
+   * @private
+   */
+  declare(ref, base, state) {
+    let name = base.replace(/[^A-Za-z0-9]/g, '') || 'element';
+    if (/\d$/.test(name)) name += 'El';
+
+    state.counters[name] = (state.counters[name] || 0) + 1;
+    const variable = `${name}${state.counters[name]}`;
+
+    if (ref) {
+      state.names.set(ref, variable);
+      state.tags.set(ref, base);
+    }
+    return variable;
+  }
+
+  /**
+   * Build a JavaScript expression for an element descriptor
+   * @param {Object} descriptor - Element descriptor, see OperationScript
+   * @param {Object} state - Generation state
+   * @returns {string} Expression
+   * @private
+   */
+  expression(descriptor, state) {
+    const anchor = descriptor.ref
+      ? state.names.get(descriptor.ref) || descriptor.ref
+      : this.options.rootVariable;
+
+    if (!descriptor.selector || descriptor.selector === ':scope') {
+      return anchor;
+    }
+    return `${anchor}.querySelector(${this.literal(descriptor.selector)})`;
+  }
+
+  /**
+   * Build an expression for a live element below the root
+   * @param {HTMLElement} element - Element
+   * @param {HTMLElement} root - Root element
+   * @returns {string} Expression
+   * @private
+   */
+  liveElementExpression(element, root) {
+    if (element === root) return this.options.rootVariable;
+
+    const steps = [];
+    for (let node = element; node !== root; node = node.parentElement) {
+      if (
+        IDENTIFIER.test(node.id) &&
+        root.querySelectorAll(`#${node.id}`).length === 1
+      ) {
+        steps.unshift(`#${node.id}`);
+        return `${this.options.rootVariable}.querySelector(${this.literal(steps.join(' > '))})`;
+      }
+
+      const index = Array.from(node.parentElement.children).indexOf(node) + 1;
+      steps.unshift(`${node.tagName.toLowerCase()}:nth-child(${index})`);
+    }
+
+    steps.unshift(':scope');
+    return `${this.options.rootVariable}.querySelector(${this.literal(steps.join(' > '))})`;
+  }
+
+  /**
+   * Build an insertion statement
+   * @param {string} element - Expression for the inserted element
+   * @param {string} target - Expression for the parent or reference element
+   * @param {string|number} [position='beforeend'] - Insert position
+   * @returns {string} Statement
+   * @private
+   */
+  insertion(element, target, position = 'beforeend') {
+    if (typeof position === 'number') {
+      return `${target}.insertBefore(${element}, ${target}.children[${position}] || null);`;
+    }
+
+    const methods = {
+      beforebegin: 'before',
+      afterbegin: 'prepend',
+      beforeend: 'append',
+      afterend: 'after'
+    };
+    return `${target}.${methods[position] || 'append'}(${element});`;
+  }
+
+  /**
+   * Build the statements for createElement options
+   * @param {string} variable - Element variable
+   * @param {Object} options - createElement options
+   * @returns {Array<string>} Statements
+   * @private
+   */
+  optionLines(variable, options) {
+    const lines = [];
+
+    if (options.id) lines.push(`${variable}.id = ${this.literal(options.id)};`);
+    if (options.className) {
+      lines.push(`${variable}.className = ${this.literal(options.className)};`);
+    }
+    Object.entries(options.attributes || {}).forEach(([name, value]) => {
+      lines.push(
+        `${variable}.setAttribute(${this.literal(name)}, ${this.literal(String(value))});`
+      );
+    });
+    Object.entries(options.style || {}).forEach(([property, value]) => {
+      lines.push(this.changeLine(variable, `style.${property}`, value));
+    });
+    if (options.textContent) {
+      lines.push(
+        `${variable}.textContent = ${this.literal(options.textContent)};`
+      );
+    } else if (options.innerHTML) {
+      lines.push(`${variable}.innerHTML = ${this.literal(options.innerHTML)};`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Build the statement for a modifyElement change, following the same
+   * property rules as ElementManipulator.applyChange
+   * @param {string} variable - Element expression
+   * @param {string} property - Changed property
+   * @param {*} value - New value
+   * @returns {string} Statement
+   * @private
+   */
+  changeLine(variable, property, value) {
+    if (property.startsWith('style.')) {
+      const styleProperty = property.substring(6);
+      const access = IDENTIFIER.test(styleProperty)
+        ? `.${styleProperty}`
+        : `[${this.literal(styleProperty)}]`;
+      return `${variable}.style${access} = ${this.literal(value)};`;
+    }
+
+    if (PROPERTY_CHANGES.has(property) || this.domProperties.has(property)) {
+      return `${variable}.${property} = ${this.literal(value)};`;
+    }
+
+    return `${variable}.setAttribute(${this.literal(property)}, ${this.literal(String(value))});`;
+  }
+
+  /**
+   * Format a value as a JavaScript literal
+   * @param {*} value - Value
+   * @returns {string} Literal
+   * @private
+   */
+  literal(value) {
+    if (typeof value !== 'string') return JSON.stringify(value);
+
+    return `'${value
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')}'`;
+  }
+}
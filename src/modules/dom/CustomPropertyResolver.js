@@ -0,0 +1,486 @@
+/**
+ * CustomPropertyResolver Component
+ *
+ * Resolves CSS custom properties (variables) for an element on top of the
+ * cascade engine. Each custom property is looked up on the element and,
+ * because custom properties always inherit, on its ancestors until a
+ * declaration is found. var() references are substituted in the context of
+ * the element that declares them, following fallbacks, and reference
+ * cycles make every property in the cycle invalid as the spec requires.
+ *
+ * @fileoverview CSS custom property resolution for the Style Computer
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * CustomPropertyResolver class resolving var() references per element
+ * @class CustomPropertyResolver
+ */
+export class CustomPropertyResolver {
+  /**
+   * Initialize the resolver
+   * @param {Object} options - Configuration options
+   * @param {CascadeEngine} options.cascadeEngine - Engine used to resolve each element's cascade
+   * @param {number} [options.maxDepth=64] - Maximum var() nesting before a value is treated as invalid
+   */
+  constructor(options = {}) {
+    if (!options.cascadeEngine) {
+      throw new Error('CustomPropertyResolver requires a cascadeEngine');
+    }
+
+    this.cascadeEngine = options.cascadeEngine;
+    this.maxDepth = options.maxDepth || 64;
+  }
+
+  /**
+   * Resolve every custom property in scope for an element
+   * @param {HTMLElement} element - Target element
+   * @param {Object} [options={}] - Resolution options
+   * @param {Object} [options.cascade] - Already resolved cascade of the element
+   * @param {string} [options.pseudoElement] - Pseudo-element being inspected, e.g. '::before'
+   * @param {Array<CSSStyleSheet>} [options.styleSheets] - Sheets to use instead of the document's
+   * @returns {Array<Object>} Resolved custom properties sorted by name
+   */
+  resolveAll(element, options = {}) {
+    const context = this.createContext(element, options);
+
+    return this.collectNames(element, options)
+      .map(name => this.resolveProperty(name, context))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Resolve one custom property for an element
+   * @param {HTMLElement} element - Target element
+   * @param {string} name - Custom property name, including the leading dashes
+   * @param {Object} [options={}] - Resolution options, as for resolveAll()
+   * @returns {Object|null} Resolved custom property, null if it is not in scope
+   */
+  resolve(element, name, options = {}) {
+    return this.resolveProperty(name, this.createContext(element, options));
+  }
+
+  /**
+   * Substitute the var() references of an arbitrary value for an element,
+   * e.g. a declared value shown in the cascade
+   * @param {HTMLElement} element - Element the value applies to
+   * @param {string} value - Value that may contain var() references
+   * @param {Object} [options={}] - Resolution options, as for resolveAll()
+   * @returns {Object} Substituted value, validity and the references followed
+   */
+  resolveValue(element, value, options = {}) {
+    const context = this.createContext(element, options);
+    return this.substitute(value, context.chain[0], [], context);
+  }
+
+  /**
+   * Collect the custom property names declared in the style sheets or in
+   * the style attributes of the element and its ancestors
+   * @param {HTMLElement} element - Target element
+   * @param {Object} [options={}] - Resolution options
+   * @returns {Array<string>} Custom property names
+   */
+  collectNames(element, options = {}) {
+    const names = new Set();
+    const addFrom = style => {
+      for (let i = 0; i < style.length; i++) {
+        if (style[i].startsWith('--')) names.add(style[i]);
+      }
+    };
+
+    this.cascadeEngine
+      .collectRules(options.styleSheets)
+      .rules.forEach(({ style }) => addFrom(style));
+
+    for (let current = element; current; current = current.parentElement) {
+      if (current.style) addFrom(current.style);
+    }
+
+    return Array.from(names);
+  }
+
+  /**
+   * Create the per-call resolution context. Cascades are resolved lazily
+   * and shared by every lookup made during the call.
+   * @param {HTMLElement} element - Target element
+   * @param {Object} options - Resolution options
+   * @returns {Object} Resolution context
+   * @private
+   */
+  createContext(element, options) {
+    const chain = [];
+
+    if (options.pseudoElement) {
+      chain.push({ element, pseudoElement: options.pseudoElement });
+    }
+    for (let current = element; current; current = current.parentElement) {
+      chain.push({ element: current, pseudoElement: null });
+    }
+
+    chain.forEach((link, index) => {
+      link.index = index;
+    });
+    if (options.cascade) {
+      chain[0].cascade = options.cascade;
+    }
+
+    return {
+      chain,
+      styleSheets: options.styleSheets,
+      memo: new Map()
+    };
+  }
+
+  /**
+   * Get the cascade of a chain link, resolving it on first use
+   * @param {Object} link - Element chain link
+   * @param {Object} context - Resolution context
+   * @returns {Object} Cascade of the link
+   * @private
+   */
+  getCascade(link, context) {
+    if (!link.cascade) {
+      link.cascade = this.cascadeEngine.resolve(link.element, {
+        styleSheets: context.styleSheets,
+        inline: !link.pseudoElement
+      });
+    }
+
+    return link.cascade;
+  }
+
+  /**
+   * Find the declaration that provides a custom property's value at a
+   * position in the element chain
+   * @param {string} name - Custom property name
+   * @param {number} index - Chain index to start from
+   * @param {Object} context - Resolution context
+   * @returns {Object|null} Providing link and winning declaration, null if undeclared
+   * @private
+   */
+  findDeclaration(name, index, context) {
+    for (let i = index; i < context.chain.length; i++) {
+      const link = context.chain[i];
+      const entry = this.getCascade(link, context).properties.get(name);
+      if (!entry) continue;
+
+      const keyword = entry.winner.value.trim().toLowerCase();
+      if (keyword === 'initial') return null;
+      if (['inherit', 'unset', 'revert', 'revert-layer'].includes(keyword)) {
+        continue;
+      }
+
+      return { link, winner: entry.winner, declarations: entry.declarations };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a custom property for the first link of the chain
+   * @param {string} name - Custom property name
+   * @param {Object} context - Resolution context
+   * @returns {Object|null} Resolved custom property, null if it is not in scope
+   * @private
+   */
+  resolveProperty(name, context) {
+    const found = this.findDeclaration(name, 0, context);
+    if (!found) return null;
+
+    const result = this.resolveAt(name, found, [], context);
+    const [target] = context.chain;
+
+    return {
+      name,
+      origin: found.link === target ? 'declared' : 'inherited',
+      definedOn: found.link.element,
+      definedOnPseudo: found.link.pseudoElement,
+      declaredValue: found.winner.value.trim(),
+      declaration: found.winner,
+      overridden: found.declarations.slice(1),
+      resolvedValue: result.value,
+      status: result.status,
+      cycle: result.cycle || [],
+      references: result.references,
+      computedValue: this.getComputedValue(target, name)
+    };
+  }
+
+  /**
+   * Resolve the value a declaration gives a custom property, memoized per
+   * declaring element
+   * @param {string} name - Custom property name
+   * @param {Object} found - Providing link and winning declaration
+   * @param {Array<string>} stack - Keys of the properties being resolved
+   * @param {Object} context - Resolution context
+   * @returns {Object} Value, status ('valid', 'invalid' or 'cycle'), references and cycle keys
+   * @private
+   */
+  resolveAt(name, found, stack, context) {
+    const key = `${found.link.index}|${name}`;
+
+    if (context.memo.has(key)) {
+      return context.memo.get(key);
+    }
+
+    if (stack.includes(key)) {
+      const cycleKeys = stack.slice(stack.indexOf(key));
+      return {
+        value: '',
+        status: 'cycle',
+        references: [],
+        cycleKeys,
+        cycle: cycleKeys.map(cycleKey => cycleKey.split('|')[1])
+      };
+    }
+
+    if (stack.length >= this.maxDepth) {
+      return { value: '', status: 'invalid', references: [] };
+    }
+
+    const substituted = this.substitute(
+      found.winner.value.trim(),
+      found.link,
+      [...stack, key],
+      context
+    );
+
+    let result;
+    if (substituted.cycleKeys?.includes(key)) {
+      result = {
+        value: '',
+        status: 'cycle',
+        references: substituted.references,
+        cycleKeys: substituted.cycleKeys,
+        cycle: substituted.cycleKeys.map(cycleKey => cycleKey.split('|')[1])
+      };
+    } else {
+      result = substituted;
+    }
+
+    // Results inside an unfinished cycle are not final yet
+    if (!result.cycleKeys || result.cycleKeys.includes(key)) {
+      context.memo.set(key, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Substitute every var() reference in a value
+   * @param {string} value - Value to substitute
+   * @param {Object} link - Chain link the value is declared on
+   * @param {Array<string>} stack - Keys of the properties being resolved
+   * @param {Object} context - Resolution context
+   * @returns {Object} Substituted value, status, references and pending cycle keys
+   * @private
+   */
+  substitute(value, link, stack, context) {
+    const references = [];
+    let output = '';
+    let position = 0;
+    let status = 'valid';
+    let cycleKeys = null;
+
+    for (const reference of this.findVarReferences(value)) {
+      output += value.slice(position, reference.start);
+      position = reference.end;
+
+      const found = this.findDeclaration(reference.name, link.index, context);
+      const resolved = found
+        ? this.resolveAt(reference.name, found, stack, context)
+        : { value: '', status: 'undefined', references: [] };
+
+      const record = {
+        name: reference.name,
+        fallback: reference.fallback,
+        definedOn: found?.link.element || null,
+        status: resolved.status,
+        value: resolved.value,
+        usedFallback: false,
+        references: resolved.references
+      };
+      references.push(record);
+
+      // A cycle through a property still being resolved invalidates it too
+      const pendingCycle = resolved.cycleKeys?.filter(cycleKey =>
+        stack.includes(cycleKey)
+      );
+      if (pendingCycle?.length) {
+        cycleKeys = Array.from(
+          new Set([...(cycleKeys || []), ...resolved.cycleKeys])
+        );
+        status = 'invalid';
+        continue;
+      }
+
+      if (resolved.status === 'valid') {
+        output += resolved.value;
+      } else if (reference.fallback !== null) {
+        const fallback = this.substitute(
+          reference.fallback,
+          link,
+          stack,
+          context
+        );
+        record.usedFallback = true;
+        record.value = fallback.value;
+        record.references = fallback.references;
+
+        if (fallback.cycleKeys) {
+          cycleKeys = Array.from(
+            new Set([...(cycleKeys || []), ...fallback.cycleKeys])
+          );
+        }
+        if (fallback.status === 'valid') {
+          output += fallback.value;
+        } else {
+          status = 'invalid';
+        }
+      } else {
+        status = 'invalid';
+      }
+    }
+
+    output += value.slice(position);
+
+    const result = {
+      value: status === 'valid' ? output.trim() : '',
+      status,
+      references
+    };
+    if (cycleKeys) result.cycleKeys = cycleKeys;
+
+    return result;
+  }
+
+  /**
+   * Find the top-level var() references of a value. Nested references in
+   * fallbacks are found when the fallback is substituted.
+   * @param {string} value - CSS value
+   * @returns {Array<Object>} References with name, fallback (null if none) and source range
+   */
+  findVarReferences(value) {
+    const references = [];
+    let i = 0;
+
+    while (i < value.length) {
+      const char = value[i];
+
+      if (char === '"' || char === "'") {
+        i = this.skipString(value, i);
+        continue;
+      }
+
+      if (
+        /^var\(/i.test(value.slice(i, i + 4)) &&
+        !/[\w-]/.test(value[i - 1] || '')
+      ) {
+        const close = this.findClosingParen(value, i + 4);
+        const body = value.slice(i + 4, close);
+        const comma = this.findTopLevelComma(body);
+        const name = (comma === -1 ? body : body.slice(0, comma)).trim();
+
+        references.push({
+          name,
+          fallback: comma === -1 ? null : body.slice(comma + 1).trim(),
+          start: i,
+          end: Math.min(close + 1, value.length)
+        });
+        i = close + 1;
+        continue;
+      }
+
+      i++;
+    }
+
+    return references;
+  }
+
+  /**
+   * Skip a quoted string
+   * @param {string} value - CSS value
+   * @param {number} start - Index of the opening quote
+   * @returns {number} Index after the closing quote
+   * @private
+   */
+  skipString(value, start) {
+    const quote = value[start];
+    let i = start + 1;
+
+    while (i < value.length && value[i] !== quote) {
+      i += value[i] === '\\' ? 2 : 1;
+    }
+
+    return i + 1;
+  }
+
+  /**
+   * Find the parenthesis closing a function
+   * @param {string} value - CSS value
+   * @param {number} start - Index after the opening parenthesis
+   * @returns {number} Index of the closing parenthesis, or the value length
+   * @private
+   */
+  findClosingParen(value, start) {
+    let depth = 1;
+    let i = start;
+
+    while (i < value.length) {
+      const char = value[i];
+      if (char === '"' || char === "'") {
+        i = this.skipString(value, i);
+        continue;
+      }
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) return i;
+      i++;
+    }
+
+    return value.length;
+  }
+
+  /**
+   * Find the first comma outside nested functions and strings
+   * @param {string} value - var() body
+   * @returns {number} Index of the comma, -1 if there is none
+   * @private
+   */
+  findTopLevelComma(value) {
+    let depth = 0;
+    let i = 0;
+
+    while (i < value.length) {
+      const char = value[i];
+      if (char === '"' || char === "'") {
+        i = this.skipString(value, i);
+        continue;
+      }
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) return i;
+      i++;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Read the value the browser computed for a custom property
+   * @param {Object} link - Chain link
+   * @param {string} name - Custom property name
+   * @returns {string} Computed value, empty if unavailable
+   * @private
+   */
+  getComputedValue(link, name) {
+    const view = link.element.ownerDocument?.defaultView;
+    if (!view) return '';
+
+    return view
+      .getComputedStyle(link.element, link.pseudoElement || null)
+      .getPropertyValue(name)
+      .trim();
+  }
+}
@@ -10,6 +10,77 @@
  * @author DOM Visualizer OOP Team
  */
 
+import { SnapshotStore } from './SnapshotStore.js';
+
+/**
+ * Identifier and version of the serialized snapshot format
+ */
+const SNAPSHOT_FORMAT = 'dom-differ-snapshot';
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+/**
+ * Fixed-capacity buffer that evicts the oldest items and counts them
+ * @class RingBuffer
+ * @private
+ */
+class RingBuffer {
+  /**
+   * Create a ring buffer
+   * @param {number} capacity - Maximum number of retained items
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Append an item, evicting the oldest one when full
+   * @param {*} item - Item to append
+   */
+  push(item) {
+    if (this.length < this.capacity) {
+      this.items[(this.start + this.length) % this.capacity] = item;
+      this.length++;
+      return;
+    }
+
+    this.items[this.start] = item;
+    this.start = (this.start + 1) % this.capacity;
+    this.dropped++;
+  }
+
+  /**
+   * Get an item by position, oldest first
+   * @param {number} index - Position in the buffer
+   * @returns {*} Item or undefined
+   */
+  get(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Copy the retained items into an array, oldest first
+   * @returns {Array} Items
+   */
+  toArray() {
+    return Array.from({ length: this.length }, (_, index) => this.get(index));
+  }
+
+  /**
+   * Remove all items and reset the dropped counter
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.dropped = 0;
+  }
+}
+
 /**
  * DOMDiffer class for analyzing and visualizing DOM changes
  * @class DOMDiffer
@@ -21,22 +92,56 @@ export class DOMDiffer {
    * @param {boolean} [options.trackAllChanges=true] - Track all types of changes
    * @param {boolean} [options.showPerformanceImpact=true] - Show performance metrics
    * @param {number} [options.maxHistorySize=50] - Maximum number of snapshots to keep
+   * @param {string} [options.diffAlgorithm='tree'] - 'tree' (keyed + LCS matching) or 'path' (positional)
+   * @param {Array<string>} [options.keyAttributes=['data-key', 'id']] - Attributes identifying keyed nodes
+   * @param {boolean} [options.persistSnapshots=false] - Mirror snapshots into IndexedDB
+   * @param {number} [options.maxChangeHistory=1000] - Raw mutation records kept while tracking
+   * @param {number} [options.maxTimelineEntries=200] - Coalesced timeline batches kept while tracking
+   * @param {string} [options.timelineGrouping='frame'] - Batch mutations per 'frame' or per 'microtask'
+   * @param {Object} [options.snapshotRules] - Ignore and normalization rules, see setSnapshotRules
    */
   constructor(options = {}) {
     this.options = {
       trackAllChanges: true,
       showPerformanceImpact: true,
       maxHistorySize: 50,
+      diffAlgorithm: 'tree',
+      keyAttributes: ['data-key', 'id'],
+      persistSnapshots: false,
+      maxChangeHistory: 1000,
+      maxTimelineEntries: 200,
+      timelineGrouping: 'frame',
       ...options
     };
 
+    // Serialization rules
+    this.setSnapshotRules(this.options.snapshotRules);
+
+    // Optional persistent storage
+    this.store =
+      this.options.persistSnapshots && SnapshotStore.isSupported()
+        ? new SnapshotStore({ maxHistorySize: this.options.maxHistorySize })
+        : null;
+
+    // Original text of redacted text nodes, kept in memory only so that
+    // patches can restore it without it ever being exported
+    this.redactedText = new WeakMap();
+
     // Snapshot storage
     this.snapshots = new Map();
     this.snapshotCounter = 0;
     this.currentSnapshot = null;
 
     // Change tracking
-    this.changeHistory = [];
+    this.changeHistory = new RingBuffer(this.options.maxChangeHistory);
+    this.timeline = new RingBuffer(this.options.maxTimelineEntries);
+    this.timelineBaseline = null;
+    this.timelineCounter = 0;
+    // Stable ids shared by live nodes and their timeline copies
+    this.timelineNodeIds = new WeakMap();
+    this.timelineNodeCounter = 0;
+    this.pendingMutations = [];
+    this.pendingFrame = null;
     this.isTracking = false;
 
     // Performance metrics
@@ -60,12 +165,13 @@ export class DOMDiffer {
     const startTime = performance.now();
 
     try {
-      const snapshotId = `snapshot_${++this.snapshotCounter}`;
+      const snapshotId = this.createSnapshotId();
+      const number = ++this.snapshotCounter;
       const snapshot = {
         id: snapshotId,
-        label: label || `Snapshot ${this.snapshotCounter}`,
+        version: SNAPSHOT_FORMAT_VERSION,
+        label: label || `Snapshot ${number}`,
         timestamp: Date.now(),
-        root: root,
         structure: this.serializeDOM(root),
         elementCount: this.countElements(root),
         metadata: {
@@ -78,14 +184,7 @@ export class DOMDiffer {
         }
       };
 
-      this.snapshots.set(snapshotId, snapshot);
-      this.currentSnapshot = snapshotId;
-
-      // Cleanup old snapshots if needed
-      if (this.snapshots.size > this.options.maxHistorySize) {
-        const oldestId = this.snapshots.keys().next().value;
-        this.snapshots.delete(oldestId);
-      }
+      this.storeSnapshot(snapshot);
 
       this.performanceMetrics.snapshotTime = performance.now() - startTime;
       this.performanceMetrics.totalElements = snapshot.elementCount;
@@ -98,6 +197,45 @@ export class DOMDiffer {
     }
   }
 
+  /**
+   * Create a snapshot ID that is unique across page loads, so snapshots
+   * persisted by earlier sessions are never overwritten
+   * @returns {string} Snapshot ID
+   * @private
+   */
+  createSnapshotId() {
+    let snapshotId;
+
+    do {
+      snapshotId = `snapshot_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    } while (this.snapshots.has(snapshotId));
+
+    return snapshotId;
+  }
+
+  /**
+   * Add a snapshot to memory (and persistent storage when enabled)
+   * @param {Object} snapshot - Snapshot to store
+   * @param {boolean} [persist=true] - Also write it to the persistent store
+   * @private
+   */
+  storeSnapshot(snapshot, persist = true) {
+    this.snapshots.set(snapshot.id, snapshot);
+    this.currentSnapshot = snapshot.id;
+
+    // Cleanup old snapshots if needed
+    if (this.snapshots.size > this.options.maxHistorySize) {
+      const oldestId = this.snapshots.keys().next().value;
+      this.snapshots.delete(oldestId);
+    }
+
+    if (this.store && persist) {
+      this.store
+        .save(this.serializeSnapshot(snapshot))
+        .catch(error => console.error('❌ Failed to persist snapshot:', error));
+    }
+  }
+
   /**
    * Compare two snapshots and return differences
    * @param {string} beforeId - ID of the before snapshot
@@ -118,6 +256,7 @@ export class DOMDiffer {
       const diff = {
         before: beforeSnapshot,
         after: afterSnapshot,
+        algorithm: this.options.diffAlgorithm,
         changes: this.computeChanges(
           beforeSnapshot.structure,
           afterSnapshot.structure
@@ -157,51 +296,253 @@ export class DOMDiffer {
   }
 
   /**
-   * Serialize DOM structure for comparison
+   * Configure which parts of the DOM snapshots ignore or normalize, so that
+   * volatile values do not show up as changes
+   * @param {Object} [rules={}] - Snapshot rules
+   * @param {Array<string|RegExp>} [rules.ignoreAttributes=[]] - Attribute names or patterns to leave out
+   * @param {Array<string>} [rules.excludeSelectors=[]] - Elements (and their subtrees) to leave out
+   * @param {boolean} [rules.normalizeWhitespace=false] - Collapse whitespace runs in text and attributes
+   * @param {boolean} [rules.sortClasses=false] - Compare class lists independent of order
+   * @param {Array<RegExp|Object>} [rules.redactText=[]] - Patterns (or {pattern, replacement}) masked in text
+   */
+  setSnapshotRules(rules = {}) {
+    this.snapshotRules = {
+      ignoreAttributes: [],
+      excludeSelectors: [],
+      normalizeWhitespace: false,
+      sortClasses: false,
+      redactText: [],
+      ...rules
+    };
+
+    this.snapshotRules.redactText = this.snapshotRules.redactText.map(rule =>
+      rule instanceof RegExp
+        ? { pattern: rule, replacement: '[redacted]' }
+        : rule
+    );
+  }
+
+  /**
+   * Check whether an attribute is ignored by the snapshot rules
+   * @param {string} name - Attribute name
+   * @returns {boolean} True if the attribute is ignored
+   * @private
+   */
+  isIgnoredAttribute(name) {
+    return this.snapshotRules.ignoreAttributes.some(rule =>
+      rule instanceof RegExp ? rule.test(name) : rule === name
+    );
+  }
+
+  /**
+   * Apply the snapshot rules to an element's attributes
+   * @param {Object} attributes - Raw attributes
+   * @returns {Object} Filtered and normalized attributes
+   * @private
+   */
+  normalizeAttributes(attributes) {
+    const { normalizeWhitespace, sortClasses } = this.snapshotRules;
+    const normalized = {};
+
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (this.isIgnoredAttribute(name)) return;
+
+      let result = normalizeWhitespace
+        ? value.replace(/\s+/g, ' ').trim()
+        : value;
+
+      if (name === 'class' && sortClasses) {
+        result = result.split(/\s+/).filter(Boolean).sort().join(' ');
+      }
+
+      normalized[name] = result;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Apply the snapshot rules to a text node's content
+   * @param {string} text - Raw text
+   * @returns {string} Trimmed, normalized and redacted text
+   * @private
+   */
+  normalizeText(text) {
+    return this.redactText(this.cleanText(text));
+  }
+
+  /**
+   * Trim text and collapse whitespace when the rules ask for it
+   * @param {string} text - Raw text
+   * @returns {string} Cleaned text
+   * @private
+   */
+  cleanText(text) {
+    const result = text.trim();
+
+    return this.snapshotRules.normalizeWhitespace
+      ? result.replace(/\s+/g, ' ')
+      : result;
+  }
+
+  /**
+   * Mask text matching the redaction rules
+   * @param {string} text - Cleaned text
+   * @returns {string} Redacted text
+   * @private
+   */
+  redactText(text) {
+    return this.snapshotRules.redactText.reduce(
+      (result, { pattern, replacement }) =>
+        result.replace(pattern, replacement ?? '[redacted]'),
+      text
+    );
+  }
+
+  /**
+   * Serialize DOM structure for comparison. Hashes and diffs use the
+   * normalized values; where normalization changed something, the original
+   * values are kept alongside (rawAttributes, rawText, whitespace) so that
+   * patches write back exactly what the page contained.
    * @param {HTMLElement} element - Element to serialize
    * @param {string} [path=''] - Current path in the DOM tree
    * @returns {Object} Serialized structure
    * @private
    */
   serializeDOM(element, path = '') {
+    const rawAttributes = this.getElementAttributes(element);
+    const attributes = this.normalizeAttributes(rawAttributes);
     const serialized = {
       path: path,
       tagName: element.tagName?.toLowerCase() || 'text',
-      id: element.id || null,
-      className: element.className || null,
-      attributes: this.getElementAttributes(element),
+      id: attributes.id || null,
+      className: attributes.class || null,
+      attributes,
       textContent:
         element.nodeType === Node.TEXT_NODE ? element.textContent : null,
       children: [],
       hash: null // Will be computed after children
     };
 
-    // Process children
+    if (
+      Object.keys(attributes).some(
+        name => attributes[name] !== rawAttributes[name]
+      )
+    ) {
+      serialized.rawAttributes = Object.fromEntries(
+        Object.keys(attributes).map(name => [name, rawAttributes[name]])
+      );
+    }
+
+    // Process children; blank text between them is recorded per gap
     const children = Array.from(element.childNodes);
+    const whitespace = [''];
+
     children.forEach((child, index) => {
       const childPath = `${path}/${index}`;
 
+      if (!this.isSerializableNode(child)) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          whitespace[whitespace.length - 1] += child.textContent;
+        }
+        return;
+      }
+
+      whitespace.push('');
+
       if (child.nodeType === Node.ELEMENT_NODE) {
         serialized.children.push(this.serializeDOM(child, childPath));
-      } else if (
-        child.nodeType === Node.TEXT_NODE &&
-        child.textContent.trim()
-      ) {
-        serialized.children.push({
-          path: childPath,
-          tagName: 'text',
-          textContent: child.textContent.trim(),
-          hash: this.hashString(child.textContent.trim())
-        });
+      } else {
+        serialized.children.push(this.serializeText(child, childPath));
       }
     });
 
+    if (whitespace.some(Boolean)) {
+      serialized.whitespace = whitespace;
+    }
+
     // Compute hash for this element
     serialized.hash = this.computeElementHash(serialized);
 
     return serialized;
   }
 
+  /**
+   * Serialize a text node. Redacted text keeps its original only in memory.
+   * @param {Text} node - Text node
+   * @param {string} path - Path in the DOM tree
+   * @returns {Object} Serialized text node
+   * @private
+   */
+  serializeText(node, path) {
+    const raw = node.textContent;
+    const cleaned = this.cleanText(raw);
+    const text = this.redactText(cleaned);
+    const serialized = {
+      path,
+      tagName: 'text',
+      textContent: text,
+      hash: this.hashString(text)
+    };
+
+    if (text !== cleaned) {
+      serialized.redacted = true;
+      this.redactedText.set(serialized, raw);
+    } else if (text !== raw) {
+      serialized.rawText = raw;
+    }
+
+    return serialized;
+  }
+
+  /**
+   * Get the text a serialized text node had in the page
+   * @param {Object} structure - Serialized text node
+   * @returns {string} Original text
+   * @private
+   */
+  getRawText(structure) {
+    if (structure.redacted) {
+      const raw = this.redactedText.get(structure);
+      if (raw === undefined) {
+        throw new Error(
+          'Redacted text is not available outside the session that captured it'
+        );
+      }
+      return raw;
+    }
+
+    return structure.rawText ?? structure.textContent;
+  }
+
+  /**
+   * Check whether a node is part of the serialized structure
+   * @param {Node} node - Node to check
+   * @returns {boolean} True for non-excluded elements and non-blank text nodes
+   * @private
+   */
+  isSerializableNode(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      return !this.snapshotRules.excludeSelectors.some(selector =>
+        node.matches(selector)
+      );
+    }
+
+    return node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '';
+  }
+
+  /**
+   * Get the live child nodes that correspond to serialized children
+   * @param {Node} element - Parent node
+   * @returns {Array<Node>} Serializable child nodes in document order
+   * @private
+   */
+  getSerializableChildren(element) {
+    return Array.from(element.childNodes).filter(child =>
+      this.isSerializableNode(child)
+    );
+  }
+
   /**
    * Get all attributes of an element
    * @param {HTMLElement} element - Target element
@@ -228,6 +569,21 @@ export class DOMDiffer {
    * @private
    */
   computeChanges(before, after) {
+    if (this.options.diffAlgorithm === 'path') {
+      return this.computePathChanges(before, after);
+    }
+
+    return this.computeTreeChanges(before, after);
+  }
+
+  /**
+   * Compute changes by matching nodes on their positional path
+   * @param {Object} before - Before structure
+   * @param {Object} after - After structure
+   * @returns {Array} Array of changes
+   * @private
+   */
+  computePathChanges(before, after) {
     const changes = [];
     const beforeMap = this.buildElementMap(before);
     const afterMap = this.buildElementMap(after);
@@ -276,126 +632,525 @@ export class DOMDiffer {
     // Find moved elements (simplified approach)
     this.findMovedElements(beforeMap, afterMap, changes);
 
-    return changes.sort((a, b) => a.path.localeCompare(b.path));
+    return changes.sort((a, b) =>
+      (a.path || a.fromPath).localeCompare(b.path || b.fromPath)
+    );
   }
 
   /**
-   * Build a flat map of elements by path
-   * @param {Object} structure - DOM structure
-   * @param {Map} [map=new Map()] - Map to populate
-   * @returns {Map} Element map
+   * Compute a minimal edit script between two DOM structures.
+   * Children are matched by key attributes first, then by a longest common
+   * subsequence of identical subtrees, and finally by tag name within the
+   * gaps left between those anchors. Changes are emitted in document order.
+   * @param {Object} before - Before structure
+   * @param {Object} after - After structure
+   * @returns {Array} Array of changes
    * @private
    */
-  buildElementMap(structure, map = new Map()) {
-    map.set(structure.path, structure);
+  computeTreeChanges(before, after) {
+    const changes = [];
 
-    structure.children.forEach(child => {
-      this.buildElementMap(child, map);
-    });
+    this.diffTreeNodes(before, after, changes);
+    this.detectCrossParentMoves(changes);
 
-    return map;
+    return changes;
   }
 
   /**
-   * Find modifications between two elements
-   * @param {Object} before - Before element
-   * @param {Object} after - After element
-   * @returns {Array} Array of modifications
+   * Diff two matched nodes and recurse into their children
+   * @param {Object} before - Before node
+   * @param {Object} after - After node
+   * @param {Array} changes - Changes array to populate
    * @private
    */
-  findElementModifications(before, after) {
-    const modifications = [];
-
-    // Check text content
-    if (before.textContent !== after.textContent) {
-      modifications.push({
-        property: 'textContent',
-        before: before.textContent,
-        after: after.textContent,
-        description: 'Text content changed'
+  diffTreeNodes(before, after, changes) {
+    if (before.hash === after.hash) return;
+
+    if (before.tagName !== after.tagName) {
+      changes.push({
+        type: 'modifications',
+        operation: 'update',
+        path: after.path,
+        beforePath: before.path,
+        property: 'tagName',
+        before: before.tagName,
+        after: after.tagName,
+        description: `Tag changed from <${before.tagName}> to <${after.tagName}>`
       });
     }
 
-    // Check attributes
-    const beforeAttrs = before.attributes || {};
-    const afterAttrs = after.attributes || {};
+    this.findElementModifications(before, after).forEach(mod => {
+      changes.push({
+        type: 'modifications',
+        operation: 'update',
+        path: after.path,
+        beforePath: before.path,
+        property: mod.property,
+        before: mod.before,
+        after: mod.after,
+        description: mod.description
+      });
+    });
 
-    // Find changed/removed attributes
-    Object.keys(beforeAttrs).forEach(attr => {
-      if (afterAttrs[attr] !== beforeAttrs[attr]) {
-        modifications.push({
-          property: `attribute.${attr}`,
-          before: beforeAttrs[attr],
-          after: afterAttrs[attr] || null,
-          description: afterAttrs[attr]
-            ? `Attribute '${attr}' changed`
-            : `Attribute '${attr}' removed`
+    this.diffTreeChildren(before, after, changes);
+  }
+
+  /**
+   * Diff the child lists of two matched nodes
+   * @param {Object} beforeParent - Before parent node
+   * @param {Object} afterParent - After parent node
+   * @param {Array} changes - Changes array to populate
+   * @private
+   */
+  diffTreeChildren(beforeParent, afterParent, changes) {
+    const beforeChildren = beforeParent.children || [];
+    const afterChildren = afterParent.children || [];
+    const pairs = this.matchTreeChildren(beforeChildren, afterChildren);
+    const matchedBefore = new Set(pairs.map(([beforeIndex]) => beforeIndex));
+    const matchedAfter = new Set(pairs.map(([, afterIndex]) => afterIndex));
+
+    beforeChildren.forEach((child, index) => {
+      if (!matchedBefore.has(index)) {
+        changes.push({
+          type: 'deletions',
+          operation: 'delete',
+          path: child.path,
+          parentPath: beforeParent.path,
+          index: index,
+          element: child,
+          description: `Removed ${this.describeNode(child)}`
         });
       }
     });
 
-    // Find new attributes
-    Object.keys(afterAttrs).forEach(attr => {
-      if (!(attr in beforeAttrs)) {
-        modifications.push({
-          property: `attribute.${attr}`,
-          before: null,
-          after: afterAttrs[attr],
-          description: `Attribute '${attr}' added`
+    // Pairs whose relative order is preserved stay in place, the rest moved
+    const stable = this.longestIncreasingSubsequence(
+      pairs.map(([beforeIndex]) => beforeIndex)
+    );
+
+    pairs.forEach(([beforeIndex, afterIndex], position) => {
+      const beforeChild = beforeChildren[beforeIndex];
+      const afterChild = afterChildren[afterIndex];
+
+      if (!stable.has(position)) {
+        changes.push({
+          type: 'moved',
+          operation: 'move',
+          fromPath: beforeChild.path,
+          toPath: afterChild.path,
+          fromParentPath: beforeParent.path,
+          toParentPath: afterParent.path,
+          fromIndex: beforeIndex,
+          toIndex: afterIndex,
+          element: beforeChild,
+          description: `Moved ${this.describeNode(beforeChild)} from position ${beforeIndex} to ${afterIndex}`
         });
       }
+
+      this.diffTreeNodes(beforeChild, afterChild, changes);
     });
 
-    return modifications;
+    afterChildren.forEach((child, index) => {
+      if (!matchedAfter.has(index)) {
+        changes.push({
+          type: 'additions',
+          operation: 'insert',
+          path: child.path,
+          parentPath: afterParent.path,
+          index: index,
+          element: child,
+          description: `Added ${this.describeNode(child)}`
+        });
+      }
+    });
   }
 
   /**
-   * Find moved elements between snapshots
-   * @param {Map} beforeMap - Before elements map
-   * @param {Map} afterMap - After elements map
-   * @param {Array} changes - Changes array to populate
+   * Match children of two nodes
+   * @param {Array} beforeChildren - Before child nodes
+   * @param {Array} afterChildren - After child nodes
+   * @returns {Array<Array<number>>} [beforeIndex, afterIndex] pairs sorted by afterIndex
    * @private
    */
-  findMovedElements(beforeMap, afterMap, changes) {
-    // This is a simplified implementation
-    // A more sophisticated approach would use tree edit distance algorithms
-
-    const beforeByHash = new Map();
-    const afterByHash = new Map();
+  matchTreeChildren(beforeChildren, afterChildren) {
+    const pairs = [];
+    const usedBefore = new Set();
+    const usedAfter = new Set();
+    const pair = (beforeIndex, afterIndex) => {
+      pairs.push([beforeIndex, afterIndex]);
+      usedBefore.add(beforeIndex);
+      usedAfter.add(afterIndex);
+    };
 
-    // Group elements by hash
-    beforeMap.forEach((element, path) => {
-      if (!beforeByHash.has(element.hash)) {
-        beforeByHash.set(element.hash, []);
+    // 1. Keyed children match by key regardless of position; duplicate
+    // keys pair up in document order
+    const beforeByKey = new Map();
+    beforeChildren.forEach((child, index) => {
+      const key = this.getNodeKey(child);
+      if (!key) return;
+      if (!beforeByKey.has(key)) {
+        beforeByKey.set(key, []);
       }
-      beforeByHash.get(element.hash).push({ element, path });
+      beforeByKey.get(key).push(index);
     });
 
-    afterMap.forEach((element, path) => {
-      if (!afterByHash.has(element.hash)) {
-        afterByHash.set(element.hash, []);
+    afterChildren.forEach((child, index) => {
+      const key = this.getNodeKey(child);
+      const beforeIndex = key ? beforeByKey.get(key)?.shift() : undefined;
+
+      if (
+        beforeIndex !== undefined &&
+        !usedBefore.has(beforeIndex) &&
+        beforeChildren[beforeIndex].tagName === child.tagName
+      ) {
+        pair(beforeIndex, index);
       }
-      afterByHash.get(element.hash).push({ element, path });
     });
 
-    // Find potential moves
-    beforeByHash.forEach((beforeElements, hash) => {
-      const afterElements = afterByHash.get(hash);
+    // 2. Identical subtrees anchor the remaining children in order
+    const beforeRest = beforeChildren
+      .map((_, index) => index)
+      .filter(index => !usedBefore.has(index));
+    const afterRest = afterChildren
+      .map((_, index) => index)
+      .filter(index => !usedAfter.has(index));
+    const anchors = this.longestCommonSubsequence(
+      beforeRest,
+      afterRest,
+      (beforeIndex, afterIndex) =>
+        beforeChildren[beforeIndex].hash === afterChildren[afterIndex].hash
+    );
 
-      if (beforeElements.length === 1 && afterElements?.length === 1) {
-        const beforePath = beforeElements[0].path;
-        const afterPath = afterElements[0].path;
+    anchors.forEach(([beforeIndex, afterIndex]) =>
+      pair(beforeIndex, afterIndex)
+    );
 
-        if (beforePath !== afterPath) {
-          // Check if this is actually a move (not already marked as addition/deletion)
-          const hasAddition = changes.some(
-            c => c.type === 'additions' && c.path === afterPath
-          );
-          const hasDeletion = changes.some(
-            c => c.type === 'deletions' && c.path === beforePath
-          );
+    // 3. Identical subtrees out of sequence are reordered, not replaced
+    afterRest.forEach(afterIndex => {
+      if (usedAfter.has(afterIndex)) return;
 
-          if (hasAddition && hasDeletion) {
+      const beforeIndex = beforeRest.find(
+        index =>
+          !usedBefore.has(index) &&
+          beforeChildren[index].hash === afterChildren[afterIndex].hash
+      );
+
+      if (beforeIndex !== undefined) {
+        pair(beforeIndex, afterIndex);
+      }
+    });
+
+    // 4. Within the gaps between anchors, pair unkeyed nodes by tag name
+    const bounds = [[-1, -1], ...anchors, [Infinity, Infinity]];
+
+    for (let i = 1; i < bounds.length; i++) {
+      const [startBefore, startAfter] = bounds[i - 1];
+      const [endBefore, endAfter] = bounds[i];
+      const beforeGap = beforeRest.filter(
+        index =>
+          index > startBefore && index < endBefore && !usedBefore.has(index)
+      );
+      let cursor = 0;
+
+      afterRest
+        .filter(
+          index =>
+            index > startAfter && index < endAfter && !usedAfter.has(index)
+        )
+        .forEach(afterIndex => {
+          const afterChild = afterChildren[afterIndex];
+          if (this.getNodeKey(afterChild)) return;
+
+          for (let j = cursor; j < beforeGap.length; j++) {
+            const beforeChild = beforeChildren[beforeGap[j]];
+
+            if (
+              beforeChild.tagName === afterChild.tagName &&
+              !this.getNodeKey(beforeChild)
+            ) {
+              pair(beforeGap[j], afterIndex);
+              cursor = j + 1;
+              break;
+            }
+          }
+        });
+    }
+
+    return pairs.sort((a, b) => a[1] - b[1]);
+  }
+
+  /**
+   * Get the identity key of a serialized node, if it has one
+   * @param {Object} node - Serialized node
+   * @returns {string|null} Node key
+   * @private
+   */
+  getNodeKey(node) {
+    const attributes = node.attributes || {};
+
+    for (const name of this.options.keyAttributes) {
+      if (attributes[name]) {
+        return `${name}=${attributes[name]}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Longest common subsequence of two index lists
+   * @param {Array<number>} before - Before indices
+   * @param {Array<number>} after - After indices
+   * @param {Function} equals - Equality predicate for (beforeIndex, afterIndex)
+   * @returns {Array<Array<number>>} Matched [beforeIndex, afterIndex] pairs in order
+   * @private
+   */
+  longestCommonSubsequence(before, after, equals) {
+    const table = Array.from({ length: before.length + 1 }, () =>
+      new Array(after.length + 1).fill(0)
+    );
+
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        table[i][j] = equals(before[i], after[j])
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < before.length && j < after.length) {
+      if (equals(before[i], after[j])) {
+        result.push([before[i], after[j]]);
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the positions forming the longest increasing subsequence
+   * @param {Array<number>} values - Sequence of values
+   * @returns {Set<number>} Positions that belong to the subsequence
+   * @private
+   */
+  longestIncreasingSubsequence(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+
+    values.forEach((value, position) => {
+      let low = 0;
+      let high = tails.length;
+
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      previous[position] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = position;
+    });
+
+    const result = new Set();
+    let position = tails.length > 0 ? tails[tails.length - 1] : -1;
+
+    while (position !== -1) {
+      result.add(position);
+      position = previous[position];
+    }
+
+    return result;
+  }
+
+  /**
+   * Turn deletion/addition pairs of identical subtrees into moves
+   * between different parents
+   * @param {Array} changes - Changes array to rewrite in place
+   * @private
+   */
+  detectCrossParentMoves(changes) {
+    const additionsByHash = new Map();
+
+    changes.forEach(change => {
+      if (change.type === 'additions') {
+        if (!additionsByHash.has(change.element.hash)) {
+          additionsByHash.set(change.element.hash, []);
+        }
+        additionsByHash.get(change.element.hash).push(change);
+      }
+    });
+
+    const consumed = new Set();
+
+    changes.forEach((change, index) => {
+      if (change.type !== 'deletions') return;
+
+      const candidates = additionsByHash.get(change.element.hash);
+      const addition = candidates?.shift();
+      if (!addition) return;
+
+      consumed.add(addition);
+      changes[index] = {
+        type: 'moved',
+        operation: 'move',
+        fromPath: change.path,
+        toPath: addition.path,
+        fromParentPath: change.parentPath,
+        toParentPath: addition.parentPath,
+        fromIndex: change.index,
+        toIndex: addition.index,
+        element: change.element,
+        description: `Moved ${this.describeNode(change.element)} from ${change.path} to ${addition.path}`
+      };
+    });
+
+    for (let i = changes.length - 1; i >= 0; i--) {
+      if (consumed.has(changes[i])) {
+        changes.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Short human-readable label for a serialized node
+   * @param {Object} node - Serialized node
+   * @returns {string} Node label
+   * @private
+   */
+  describeNode(node) {
+    return `${node.tagName}${node.id ? '#' + node.id : ''}`;
+  }
+
+  /**
+   * Build a flat map of elements by path
+   * @param {Object} structure - DOM structure
+   * @param {Map} [map=new Map()] - Map to populate
+   * @returns {Map} Element map
+   * @private
+   */
+  buildElementMap(structure, map = new Map()) {
+    map.set(structure.path, structure);
+
+    (structure.children || []).forEach(child => {
+      this.buildElementMap(child, map);
+    });
+
+    return map;
+  }
+
+  /**
+   * Find modifications between two elements
+   * @param {Object} before - Before element
+   * @param {Object} after - After element
+   * @returns {Array} Array of modifications
+   * @private
+   */
+  findElementModifications(before, after) {
+    const modifications = [];
+
+    // Check text content
+    if (before.textContent !== after.textContent) {
+      modifications.push({
+        property: 'textContent',
+        before: before.textContent,
+        after: after.textContent,
+        description: 'Text content changed'
+      });
+    }
+
+    // Check attributes
+    const beforeAttrs = before.attributes || {};
+    const afterAttrs = after.attributes || {};
+
+    // Find changed/removed attributes
+    Object.keys(beforeAttrs).forEach(attr => {
+      if (afterAttrs[attr] !== beforeAttrs[attr]) {
+        modifications.push({
+          property: `attribute.${attr}`,
+          before: beforeAttrs[attr],
+          after: afterAttrs[attr] || null,
+          description: afterAttrs[attr]
+            ? `Attribute '${attr}' changed`
+            : `Attribute '${attr}' removed`
+        });
+      }
+    });
+
+    // Find new attributes
+    Object.keys(afterAttrs).forEach(attr => {
+      if (!(attr in beforeAttrs)) {
+        modifications.push({
+          property: `attribute.${attr}`,
+          before: null,
+          after: afterAttrs[attr],
+          description: `Attribute '${attr}' added`
+        });
+      }
+    });
+
+    return modifications;
+  }
+
+  /**
+   * Find moved elements between snapshots
+   * @param {Map} beforeMap - Before elements map
+   * @param {Map} afterMap - After elements map
+   * @param {Array} changes - Changes array to populate
+   * @private
+   */
+  findMovedElements(beforeMap, afterMap, changes) {
+    // This is a simplified implementation
+    // A more sophisticated approach would use tree edit distance algorithms
+
+    const beforeByHash = new Map();
+    const afterByHash = new Map();
+
+    // Group elements by hash
+    beforeMap.forEach((element, path) => {
+      if (!beforeByHash.has(element.hash)) {
+        beforeByHash.set(element.hash, []);
+      }
+      beforeByHash.get(element.hash).push({ element, path });
+    });
+
+    afterMap.forEach((element, path) => {
+      if (!afterByHash.has(element.hash)) {
+        afterByHash.set(element.hash, []);
+      }
+      afterByHash.get(element.hash).push({ element, path });
+    });
+
+    // Find potential moves
+    beforeByHash.forEach((beforeElements, hash) => {
+      const afterElements = afterByHash.get(hash);
+
+      if (beforeElements.length === 1 && afterElements?.length === 1) {
+        const beforePath = beforeElements[0].path;
+        const afterPath = afterElements[0].path;
+
+        if (beforePath !== afterPath) {
+          // Check if this is actually a move (not already marked as addition/deletion)
+          const hasAddition = changes.some(
+            c => c.type === 'additions' && c.path === afterPath
+          );
+          const hasDeletion = changes.some(
+            c => c.type === 'deletions' && c.path === beforePath
+          );
+
+          if (hasAddition && hasDeletion) {
             // Remove the addition and deletion, add a move
             changes.splice(
               changes.findIndex(
@@ -512,6 +1267,10 @@ export class DOMDiffer {
       this.currentSnapshot = null;
     }
 
+    this.store
+      ?.delete(snapshotId)
+      .catch(error => console.error('❌ Failed to delete snapshot:', error));
+
     console.log(
       `🗑️ Snapshot ${snapshotId} ${success ? 'deleted' : 'not found'}`
     );
@@ -525,74 +1284,483 @@ export class DOMDiffer {
     this.snapshots.clear();
     this.currentSnapshot = null;
     this.snapshotCounter = 0;
+
+    this.store
+      ?.clear()
+      .catch(error => console.error('❌ Failed to clear snapshots:', error));
+
     console.log('🧹 All snapshots cleared');
   }
 
   /**
-   * Export diff results to various formats
-   * @param {Object} diffResults - Results from compareSnapshots
-   * @param {string} format - Export format ('json', 'html', 'text')
-   * @returns {string} Exported data
+   * Convert a snapshot into its portable, versioned form
+   * @param {Object} snapshot - Snapshot to serialize
+   * @returns {Object} Plain JSON-safe snapshot
+   * @private
    */
-  exportDiff(diffResults, format = 'json') {
-    switch (format.toLowerCase()) {
-      case 'json':
-        return JSON.stringify(diffResults, null, 2);
-
-      case 'html':
-        return this.generateHTMLReport(diffResults);
+  serializeSnapshot(snapshot) {
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_FORMAT_VERSION,
+      id: snapshot.id,
+      label: snapshot.label,
+      timestamp: snapshot.timestamp,
+      elementCount: snapshot.elementCount,
+      metadata: snapshot.metadata,
+      structure: snapshot.structure
+    };
+  }
 
-      case 'text':
-        return this.generateTextReport(diffResults);
+  /**
+   * Export a snapshot as versioned JSON
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {string} JSON string
+   */
+  exportSnapshot(snapshotId) {
+    const snapshot = this.snapshots.get(snapshotId);
 
-      default:
-        throw new Error(`Unsupported export format: ${format}`);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${snapshotId}`);
     }
+
+    return JSON.stringify(this.serializeSnapshot(snapshot), null, 2);
   }
 
   /**
-   * Generate HTML report for diff results
-   * @param {Object} diffResults - Diff results
-   * @returns {string} HTML report
+   * Import a snapshot exported by exportSnapshot
+   * @param {string|Object} data - JSON string or parsed snapshot
+   * @returns {string} ID assigned to the imported snapshot
+   */
+  importSnapshot(data) {
+    const snapshot = this.parseSnapshot(data);
+    const snapshotId = this.createSnapshotId();
+
+    this.storeSnapshot({
+      ...snapshot,
+      id: snapshotId,
+      importedFrom: snapshot.id
+    });
+
+    console.log(`📥 Snapshot imported: ${snapshotId}`);
+    return snapshotId;
+  }
+
+  /**
+   * Parse and validate a serialized snapshot
+   * @param {string|Object} data - JSON string or parsed snapshot
+   * @returns {Object} In-memory snapshot
    * @private
    */
-  generateHTMLReport(diffResults) {
-    const { before, after, changes, summary, performance } = diffResults;
+  parseSnapshot(data) {
+    let parsed;
 
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>DOM Diff Report</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        .header { background: #f5f5f5; padding: 20px; border-radius: 8px; }
-        .summary { display: flex; gap: 20px; margin: 20px 0; }
-        .metric { background: white; padding: 15px; border-radius: 8px; border: 1px solid #ddd; }
-        .changes { margin: 20px 0; }
-        .change { margin: 10px 0; padding: 10px; border-left: 4px solid #ccc; }
-        .addition { border-left-color: #4CAF50; background: #f1f8e9; }
-        .deletion { border-left-color: #f44336; background: #ffebee; }
-        .modification { border-left-color: #ff9800; background: #fff3e0; }
-        .moved { border-left-color: #2196F3; background: #e3f2fd; }
-        .code { font-family: monospace; background: #f5f5f5; padding: 2px 4px; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>DOM Diff Report</h1>
-        <p><strong>Before:</strong> ${before.label} (${new Date(before.timestamp).toLocaleString()})</p>
-        <p><strong>After:</strong> ${after.label} (${new Date(after.timestamp).toLocaleString()})</p>
-    </div>
+    try {
+      parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (error) {
+      throw new Error(`Invalid snapshot JSON: ${error.message}`);
+    }
 
-    <div class="summary">
-        <div class="metric">
-            <h3>Total Changes</h3>
-            <div>${summary.totalChanges}</div>
-        </div>
-        <div class="metric">
-            <h3>Additions</h3>
-            <div>${summary.additions}</div>
+    if (parsed?.format !== SNAPSHOT_FORMAT) {
+      throw new Error('Data is not a DOMDiffer snapshot');
+    }
+
+    if (!Number.isInteger(parsed.version) || parsed.version < 1) {
+      throw new Error(`Invalid snapshot version: ${parsed.version}`);
+    }
+
+    if (parsed.version > SNAPSHOT_FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported snapshot version ${parsed.version} (max ${SNAPSHOT_FORMAT_VERSION})`
+      );
+    }
+
+    if (!parsed.structure?.hash) {
+      throw new Error('Snapshot is missing its serialized structure');
+    }
+
+    return {
+      id: parsed.id,
+      version: parsed.version,
+      label: parsed.label,
+      timestamp: parsed.timestamp,
+      structure: parsed.structure,
+      elementCount: parsed.elementCount,
+      metadata: parsed.metadata || {}
+    };
+  }
+
+  /**
+   * Load snapshots saved in persistent storage into memory
+   * @returns {Promise<Array<string>>} IDs of the loaded snapshots
+   */
+  async loadStoredSnapshots() {
+    if (!this.store) return [];
+
+    const stored = await this.store.list();
+
+    stored.forEach(data => {
+      this.storeSnapshot(this.parseSnapshot(data), false);
+    });
+
+    // Continue default labels after the loaded snapshots
+    this.snapshotCounter = Math.max(this.snapshotCounter, this.snapshots.size);
+
+    console.log(`💾 Loaded ${stored.length} stored snapshots`);
+    return stored.map(data => data.id);
+  }
+
+  /**
+   * Apply a diff to a live subtree, turning the "before" state into the
+   * "after" state. Matched nodes are reused so element identity survives.
+   * @param {HTMLElement} root - Live root matching the before snapshot
+   * @param {Object} diffResults - Results from compareSnapshots
+   * @returns {Object} Patch result
+   */
+  applyPatch(root, diffResults) {
+    return this.patchSubtree(
+      root,
+      diffResults.before.structure,
+      diffResults.after.structure,
+      diffResults.changes.length,
+      'apply'
+    );
+  }
+
+  /**
+   * Revert a diff on a live subtree, turning the "after" state back into
+   * the "before" state
+   * @param {HTMLElement} root - Live root matching the after snapshot
+   * @param {Object} diffResults - Results from compareSnapshots
+   * @returns {Object} Patch result
+   */
+  revertPatch(root, diffResults) {
+    return this.patchSubtree(
+      root,
+      diffResults.after.structure,
+      diffResults.before.structure,
+      diffResults.changes.length,
+      'revert'
+    );
+  }
+
+  /**
+   * Validate, patch and verify a live subtree, rolling back on failure
+   * @param {HTMLElement} root - Live root element
+   * @param {Object} from - Structure the root must currently match
+   * @param {Object} to - Structure to transform the root into
+   * @param {number} changeCount - Number of changes in the diff
+   * @param {string} direction - 'apply' or 'revert'
+   * @returns {Object} Patch result
+   * @private
+   */
+  patchSubtree(root, from, to, changeCount, direction) {
+    const startTime = performance.now();
+    const expected = direction === 'apply' ? 'before' : 'after';
+
+    if (this.serializeDOM(root).hash !== from.hash) {
+      throw new Error(`Patch target does not match the "${expected}" snapshot`);
+    }
+
+    if (from.tagName !== to.tagName) {
+      throw new Error('Cannot patch a root element whose tag name changed');
+    }
+
+    const backup = {
+      attributes: this.getElementAttributes(root),
+      children: Array.from(root.childNodes).map(child => child.cloneNode(true))
+    };
+
+    try {
+      this.patchNode(root, from, to);
+
+      if (this.serializeDOM(root).hash !== to.hash) {
+        throw new Error('Patched subtree does not match the target snapshot');
+      }
+    } catch (error) {
+      this.syncAttributes(root, backup.attributes);
+      root.replaceChildren(...backup.children);
+      console.error(`❌ Failed to ${direction} patch:`, error);
+      throw new Error(`Patch ${direction} failed: ${error.message}`);
+    }
+
+    const result = {
+      direction,
+      changesApplied: changeCount,
+      duration: performance.now() - startTime
+    };
+
+    console.log(
+      `🩹 Patch ${direction === 'apply' ? 'applied' : 'reverted'}`,
+      result
+    );
+    return result;
+  }
+
+  /**
+   * Reconcile a live node with a target structure
+   * @param {Node} node - Live node currently matching the from structure
+   * @param {Object} from - Current serialized structure
+   * @param {Object} to - Target serialized structure
+   * @returns {Node} The live node, replaced if its tag name changed
+   * @private
+   */
+  patchNode(node, from, to) {
+    if (from.hash === to.hash) return node;
+
+    if (to.tagName === 'text') {
+      node.textContent = this.getRawText(to);
+      return node;
+    }
+
+    let target = node;
+
+    if (from.tagName !== to.tagName) {
+      target = node.ownerDocument.createElement(to.tagName);
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        target.setAttribute(name, value);
+      });
+      target.append(...Array.from(node.childNodes));
+      node.replaceWith(target);
+    }
+
+    this.patchAttributes(target, from, to);
+
+    const liveChildren = this.getSerializableChildren(target);
+    const fromChildren = from.children || [];
+    const toChildren = to.children || [];
+    const pairs = this.matchTreeChildren(fromChildren, toChildren);
+    const reused = new Map(
+      pairs.map(([fromIndex, toIndex]) => [toIndex, fromIndex])
+    );
+    const kept = new Set(pairs.map(([fromIndex]) => fromIndex));
+
+    // Anchor new content where the first surviving child used to be
+    const firstKept = fromChildren.findIndex((_, index) => kept.has(index));
+    let anchor = firstKept === -1 ? null : liveChildren[firstKept];
+
+    const desired = toChildren.map((child, index) => {
+      const fromIndex = reused.get(index);
+
+      return fromIndex === undefined
+        ? this.buildNode(child, target.ownerDocument)
+        : this.patchNode(
+            liveChildren[fromIndex],
+            fromChildren[fromIndex],
+            child
+          );
+    });
+
+    liveChildren.forEach((child, index) => {
+      if (!kept.has(index)) {
+        if (child === anchor) anchor = null;
+        child.remove();
+      }
+    });
+
+    desired.forEach(child => {
+      if (child !== anchor) {
+        target.insertBefore(child, anchor);
+      }
+      anchor = child.nextSibling;
+    });
+
+    if (from.whitespace || to.whitespace) {
+      this.patchWhitespace(target, desired, to.whitespace || []);
+    }
+
+    return target;
+  }
+
+  /**
+   * Update the attributes whose normalized value differs between two
+   * structures, writing the original target values
+   * @param {Element} element - Element to update
+   * @param {Object} from - Current serialized structure
+   * @param {Object} to - Target serialized structure
+   * @private
+   */
+  patchAttributes(element, from, to) {
+    const fromAttributes = from.attributes || {};
+    const toAttributes = to.attributes || {};
+    const rawAttributes = to.rawAttributes || toAttributes;
+
+    Object.keys(fromAttributes).forEach(name => {
+      if (!(name in toAttributes)) {
+        element.removeAttribute(name);
+      }
+    });
+
+    Object.keys(toAttributes).forEach(name => {
+      if (fromAttributes[name] !== toAttributes[name]) {
+        element.setAttribute(name, rawAttributes[name]);
+      }
+    });
+  }
+
+  /**
+   * Make the blank text between serialized children match the target,
+   * leaving gaps that already match untouched
+   * @param {Element} element - Parent element
+   * @param {Array<Node>} children - Serialized children in order
+   * @param {Array<string>} whitespace - Target blank text per gap
+   * @private
+   */
+  patchWhitespace(element, children, whitespace) {
+    for (let gap = 0; gap <= children.length; gap++) {
+      const end = children[gap] ?? null;
+      const blanks = [];
+      let node = gap === 0 ? element.firstChild : children[gap - 1].nextSibling;
+
+      while (node && node !== end) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          blanks.push(node);
+        }
+        node = node.nextSibling;
+      }
+
+      const expected = whitespace[gap] ?? '';
+      if (blanks.map(blank => blank.textContent).join('') === expected) {
+        continue;
+      }
+
+      blanks.forEach(blank => blank.remove());
+      if (expected) {
+        element.insertBefore(
+          element.ownerDocument.createTextNode(expected),
+          end
+        );
+      }
+    }
+  }
+
+  /**
+   * Make an element's attributes match a target set, leaving attributes
+   * ignored by the snapshot rules untouched
+   * @param {Element} element - Element to update
+   * @param {Object} attributes - Target attributes
+   * @private
+   */
+  syncAttributes(element, attributes) {
+    Array.from(element.attributes).forEach(attr => {
+      if (!(attr.name in attributes) && !this.isIgnoredAttribute(attr.name)) {
+        element.removeAttribute(attr.name);
+      }
+    });
+
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (element.getAttribute(name) !== value) {
+        element.setAttribute(name, value);
+      }
+    });
+  }
+
+  /**
+   * Build a live node from a serialized structure
+   * @param {Object} structure - Serialized node
+   * @param {Document} doc - Owner document
+   * @returns {Node} New node
+   * @private
+   */
+  buildNode(structure, doc) {
+    if (structure.tagName === 'text') {
+      return doc.createTextNode(this.getRawText(structure));
+    }
+
+    const element = doc.createElement(structure.tagName);
+    const whitespace = structure.whitespace || [];
+
+    this.syncAttributes(
+      element,
+      structure.rawAttributes || structure.attributes || {}
+    );
+    (structure.children || []).forEach((child, index) => {
+      if (whitespace[index]) {
+        element.appendChild(doc.createTextNode(whitespace[index]));
+      }
+      element.appendChild(this.buildNode(child, doc));
+    });
+
+    const trailing = whitespace[(structure.children || []).length];
+    if (trailing) {
+      element.appendChild(doc.createTextNode(trailing));
+    }
+
+    return element;
+  }
+
+  /**
+   * Export diff results to various formats
+   * @param {Object} diffResults - Results from compareSnapshots
+   * @param {string} format - Export format ('json', 'html', 'text', 'unified', 'side-by-side')
+   * @param {Object} [options] - Format options
+   * @param {number} [options.contextLines=3] - Unchanged lines shown around each change
+   * @returns {string} Exported data
+   */
+  exportDiff(diffResults, format = 'json', options = {}) {
+    switch (format.toLowerCase()) {
+      case 'json':
+        return JSON.stringify(diffResults, null, 2);
+
+      case 'html':
+        return this.generateHTMLReport(diffResults);
+
+      case 'text':
+        return this.generateTextReport(diffResults);
+
+      case 'unified':
+        return this.generateUnifiedDiff(diffResults, options);
+
+      case 'side-by-side':
+        return this.generateSideBySideReport(diffResults, options);
+
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Generate HTML report for diff results
+   * @param {Object} diffResults - Diff results
+   * @returns {string} HTML report
+   * @private
+   */
+  generateHTMLReport(diffResults) {
+    const { before, after, changes, summary, performance } = diffResults;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>DOM Diff Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .header { background: #f5f5f5; padding: 20px; border-radius: 8px; }
+        .summary { display: flex; gap: 20px; margin: 20px 0; }
+        .metric { background: white; padding: 15px; border-radius: 8px; border: 1px solid #ddd; }
+        .changes { margin: 20px 0; }
+        .change { margin: 10px 0; padding: 10px; border-left: 4px solid #ccc; }
+        .addition { border-left-color: #4CAF50; background: #f1f8e9; }
+        .deletion { border-left-color: #f44336; background: #ffebee; }
+        .modification { border-left-color: #ff9800; background: #fff3e0; }
+        .moved { border-left-color: #2196F3; background: #e3f2fd; }
+        .code { font-family: monospace; background: #f5f5f5; padding: 2px 4px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>DOM Diff Report</h1>
+        <p><strong>Before:</strong> ${before.label} (${new Date(before.timestamp).toLocaleString()})</p>
+        <p><strong>After:</strong> ${after.label} (${new Date(after.timestamp).toLocaleString()})</p>
+    </div>
+
+    <div class="summary">
+        <div class="metric">
+            <h3>Total Changes</h3>
+            <div>${summary.totalChanges}</div>
+        </div>
+        <div class="metric">
+            <h3>Additions</h3>
+            <div>${summary.additions}</div>
         </div>
         <div class="metric">
             <h3>Deletions</h3>
@@ -688,6 +1856,442 @@ export class DOMDiffer {
     return report;
   }
 
+  /**
+   * Generate a git-style unified diff of the pretty-printed markup
+   * @param {Object} diffResults - Diff results
+   * @param {Object} [options] - Format options
+   * @param {number} [options.contextLines=3] - Unchanged lines around changes
+   * @returns {string} Unified diff
+   * @private
+   */
+  generateUnifiedDiff(diffResults, options = {}) {
+    const { before, after } = diffResults;
+    const hunks = this.computeLineHunks(diffResults, options);
+    const prefixes = { equal: ' ', delete: '-', insert: '+' };
+
+    let output = `--- ${before.label}\n`;
+    output += `+++ ${after.label}\n`;
+
+    hunks.forEach(hunk => {
+      output += `@@ -${hunk.oldStart},${hunk.oldLength} +${hunk.newStart},${hunk.newLength} @@\n`;
+      hunk.lines.forEach(line => {
+        output += `${prefixes[line.type]}${line.text}\n`;
+      });
+    });
+
+    return output;
+  }
+
+  /**
+   * Generate a side-by-side HTML view with inline change highlighting
+   * @param {Object} diffResults - Diff results
+   * @param {Object} [options] - Format options
+   * @param {number} [options.contextLines=3] - Unchanged lines around changes
+   * @returns {string} HTML document
+   * @private
+   */
+  generateSideBySideReport(diffResults, options = {}) {
+    const { before, after, summary } = diffResults;
+    const hunks = this.computeLineHunks(diffResults, options);
+
+    const cell = (number, html, type) =>
+      number === null
+        ? '<td class="num"></td><td class="line empty"></td>'
+        : `<td class="num">${number}</td><td class="line ${type}">${html}</td>`;
+
+    const rows = hunks
+      .map(hunk => {
+        const header = `<tr class="hunk"><td colspan="4">@@ -${hunk.oldStart},${hunk.oldLength} +${hunk.newStart},${hunk.newLength} @@</td></tr>`;
+
+        return (
+          header +
+          this.pairHunkLines(hunk.lines)
+            .map(({ left, right }) => {
+              if (left && right && left.type === 'equal') {
+                const html = this.escapeHTML(left.text);
+                return `<tr>${cell(left.oldNumber, html, 'equal')}${cell(right.newNumber, html, 'equal')}</tr>`;
+              }
+
+              const [leftHTML, rightHTML] =
+                left && right
+                  ? this.highlightInlineChanges(left.text, right.text)
+                  : [
+                      left && this.escapeHTML(left.text),
+                      right && this.escapeHTML(right.text)
+                    ];
+
+              return `<tr>${cell(left ? left.oldNumber : null, leftHTML, 'delete')}${cell(right ? right.newNumber : null, rightHTML, 'insert')}</tr>`;
+            })
+            .join('\n')
+        );
+      })
+      .join('\n');
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>DOM Diff: ${this.escapeHTML(before.label)} ↔ ${this.escapeHTML(after.label)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        table { width: 100%; border-collapse: collapse; font-family: monospace; font-size: 13px; }
+        th { background: #f5f5f5; text-align: left; padding: 8px; }
+        td { padding: 1px 6px; vertical-align: top; white-space: pre-wrap; }
+        .num { width: 1%; color: #999; text-align: right; user-select: none; }
+        .line { width: 49%; }
+        .delete { background: #ffebee; }
+        .insert { background: #f1f8e9; }
+        .empty { background: #fafafa; }
+        .hunk td { background: #e3f2fd; color: #555; }
+        mark.del { background: #ef9a9a; }
+        mark.ins { background: #a5d6a7; }
+    </style>
+</head>
+<body>
+    <h1>DOM Diff</h1>
+    <p>${summary.totalChanges} changes: ${summary.additions} additions, ${summary.deletions} deletions, ${summary.modifications} modifications, ${summary.moved} moved</p>
+    <table>
+        <thead>
+            <tr>
+                <th colspan="2">${this.escapeHTML(before.label)}</th>
+                <th colspan="2">${this.escapeHTML(after.label)}</th>
+            </tr>
+        </thead>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Pretty-print a serialized structure as indented markup lines
+   * @param {Object} node - Serialized node
+   * @param {number} [depth=0] - Indentation depth
+   * @param {Array<string>} [lines=[]] - Lines to populate
+   * @returns {Array<string>} Markup lines
+   * @private
+   */
+  structureToLines(node, depth = 0, lines = []) {
+    const indent = '  '.repeat(depth);
+
+    if (node.tagName === 'text') {
+      lines.push(`${indent}${node.textContent}`);
+      return lines;
+    }
+
+    const attributes = Object.entries(node.attributes || {})
+      .map(([name, value]) => ` ${name}="${value}"`)
+      .join('');
+    const children = node.children || [];
+    const openTag = `<${node.tagName}${attributes}>`;
+    const closeTag = `</${node.tagName}>`;
+
+    if (children.length === 0) {
+      lines.push(`${indent}${openTag}${closeTag}`);
+    } else if (children.length === 1 && children[0].tagName === 'text') {
+      lines.push(`${indent}${openTag}${children[0].textContent}${closeTag}`);
+    } else {
+      lines.push(`${indent}${openTag}`);
+      children.forEach(child => this.structureToLines(child, depth + 1, lines));
+      lines.push(`${indent}${closeTag}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Diff the pretty-printed markup of both snapshots into hunks
+   * @param {Object} diffResults - Diff results
+   * @param {Object} [options] - Format options
+   * @param {number} [options.contextLines=3] - Unchanged lines around changes
+   * @returns {Array<Object>} Hunks with line ranges and typed lines
+   * @private
+   */
+  computeLineHunks(diffResults, options = {}) {
+    const contextLines = options.contextLines ?? 3;
+    const oldLines = this.structureToLines(diffResults.before.structure);
+    const newLines = this.structureToLines(diffResults.after.structure);
+    const common = this.diffSequences(
+      oldLines.length,
+      newLines.length,
+      (oldIndex, newIndex) => oldLines[oldIndex] === newLines[newIndex]
+    );
+
+    // Build the full edit script
+    const script = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    [...common, [oldLines.length, newLines.length]].forEach(
+      ([oldMatch, newMatch]) => {
+        while (oldIndex < oldMatch) {
+          script.push({
+            type: 'delete',
+            text: oldLines[oldIndex],
+            oldNumber: ++oldIndex,
+            newNumber: null
+          });
+        }
+        while (newIndex < newMatch) {
+          script.push({
+            type: 'insert',
+            text: newLines[newIndex],
+            oldNumber: null,
+            newNumber: ++newIndex
+          });
+        }
+        if (oldMatch < oldLines.length) {
+          script.push({
+            type: 'equal',
+            text: oldLines[oldIndex],
+            oldNumber: ++oldIndex,
+            newNumber: ++newIndex
+          });
+        }
+      }
+    );
+
+    // Group changed lines with their surrounding context
+    const hunks = [];
+    let current = null;
+
+    script.forEach((line, index) => {
+      if (line.type === 'equal') return;
+
+      const start = Math.max(0, index - contextLines);
+      const end = Math.min(script.length - 1, index + contextLines);
+
+      if (current && start <= current.end + 1) {
+        current.end = end;
+      } else {
+        current = { start, end };
+        hunks.push(current);
+      }
+    });
+
+    return hunks.map(({ start, end }) => {
+      const lines = script.slice(start, end + 1);
+      const oldCount = lines.filter(line => line.type !== 'insert').length;
+      const newCount = lines.filter(line => line.type !== 'delete').length;
+      const before = script.slice(0, start);
+      const oldBefore = before.filter(line => line.type !== 'insert').length;
+      const newBefore = before.filter(line => line.type !== 'delete').length;
+
+      return {
+        oldStart: oldCount === 0 ? oldBefore : oldBefore + 1,
+        oldLength: oldCount,
+        newStart: newCount === 0 ? newBefore : newBefore + 1,
+        newLength: newCount,
+        lines
+      };
+    });
+  }
+
+  /**
+   * Match two sequences along a shortest edit script using Myers'
+   * linear-space algorithm. Unlike a full LCS table, memory stays linear in
+   * the input size, so large serialized trees can be diffed line by line.
+   * @param {number} oldLength - Length of the old sequence
+   * @param {number} newLength - Length of the new sequence
+   * @param {Function} equals - Equality predicate for (oldIndex, newIndex)
+   * @returns {Array<Array<number>>} Matched [oldIndex, newIndex] pairs in order
+   * @private
+   */
+  diffSequences(oldLength, newLength, equals) {
+    const pairs = [];
+
+    const walk = (left, top, right, bottom) => {
+      while (left < right && top < bottom && equals(left, top)) {
+        pairs.push([left++, top++]);
+      }
+
+      const suffix = [];
+      while (right > left && bottom > top && equals(right - 1, bottom - 1)) {
+        suffix.unshift([--right, --bottom]);
+      }
+
+      // With common ends trimmed, both sides non-empty means at least two
+      // edits, so the middle snake always splits the problem
+      if (left < right && top < bottom) {
+        const snake = this.findMiddleSnake(left, top, right, bottom, equals);
+
+        walk(left, top, snake.fromX, snake.fromY);
+        for (let x = snake.x1, y = snake.y1; x < snake.x2; x++, y++) {
+          pairs.push([x, y]);
+        }
+        walk(snake.toX, snake.toY, right, bottom);
+      }
+
+      pairs.push(...suffix);
+    };
+
+    walk(0, 0, oldLength, newLength);
+    return pairs;
+  }
+
+  /**
+   * Find the middle snake of the edit graph between two ranges by running
+   * the greedy Myers search from both ends until the paths overlap
+   * @param {number} left - Start of the old range
+   * @param {number} top - Start of the new range
+   * @param {number} right - End of the old range (exclusive)
+   * @param {number} bottom - End of the new range (exclusive)
+   * @param {Function} equals - Equality predicate for (oldIndex, newIndex)
+   * @returns {Object} Snake from (fromX, fromY) through the diagonal
+   * (x1, y1)-(x2, y2) to (toX, toY), one edit at most on either end
+   * @private
+   */
+  findMiddleSnake(left, top, right, bottom, equals) {
+    const delta = right - left - (bottom - top);
+    const odd = delta % 2 !== 0;
+    const max = Math.ceil((right - left + (bottom - top)) / 2);
+    const offset = max + 1;
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    forward[offset + 1] = left;
+    backward[offset + 1] = bottom;
+
+    for (let d = 0; d <= max; d++) {
+      // Furthest x reached forwards on each diagonal k = x - y
+      for (let k = d; k >= -d; k -= 2) {
+        const down =
+          k === -d ||
+          (k !== d && forward[offset + k - 1] < forward[offset + k + 1]);
+        const fromX = down ? forward[offset + k + 1] : forward[offset + k - 1];
+        const x1 = down ? fromX : fromX + 1;
+        const y1 = top + (x1 - left) - k;
+        const fromY = d === 0 || !down ? y1 : y1 - 1;
+        let x = x1;
+        let y = y1;
+
+        while (x < right && y < bottom && equals(x, y)) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+
+        const c = k - delta;
+        if (odd && c >= 1 - d && c <= d - 1 && y >= backward[offset + c]) {
+          return { fromX, fromY, x1, y1, x2: x, y2: y, toX: x, toY: y };
+        }
+      }
+
+      // Furthest y reached backwards on each diagonal c = k - delta
+      for (let c = d; c >= -d; c -= 2) {
+        const up =
+          c === -d ||
+          (c !== d && backward[offset + c - 1] > backward[offset + c + 1]);
+        const toY = up ? backward[offset + c + 1] : backward[offset + c - 1];
+        const y2 = up ? toY : toY - 1;
+        const k = c + delta;
+        const x2 = left + (y2 - top) + k;
+        const toX = d === 0 || !up ? x2 : x2 + 1;
+        let x = x2;
+        let y = y2;
+
+        while (x > left && y > top && equals(x - 1, y - 1)) {
+          x--;
+          y--;
+        }
+        backward[offset + c] = y;
+
+        if (!odd && k >= -d && k <= d && x <= forward[offset + k]) {
+          return { fromX: x, fromY: y, x1: x, y1: y, x2, y2, toX, toY };
+        }
+      }
+    }
+
+    throw new Error('Line diff failed: no middle snake found');
+  }
+
+  /**
+   * Align deleted and inserted lines of a hunk into side-by-side rows
+   * @param {Array<Object>} lines - Hunk lines
+   * @returns {Array<Object>} Rows with left/right lines
+   * @private
+   */
+  pairHunkLines(lines) {
+    const rows = [];
+    let deletions = [];
+    let insertions = [];
+
+    const flush = () => {
+      const length = Math.max(deletions.length, insertions.length);
+      for (let i = 0; i < length; i++) {
+        rows.push({ left: deletions[i] || null, right: insertions[i] || null });
+      }
+      deletions = [];
+      insertions = [];
+    };
+
+    lines.forEach(line => {
+      if (line.type === 'delete') {
+        deletions.push(line);
+      } else if (line.type === 'insert') {
+        insertions.push(line);
+      } else {
+        flush();
+        rows.push({ left: line, right: line });
+      }
+    });
+    flush();
+
+    return rows;
+  }
+
+  /**
+   * Highlight the tokens (tags, attributes, words) that differ between
+   * two versions of a line
+   * @param {string} oldText - Original line
+   * @param {string} newText - Changed line
+   * @returns {Array<string>} Escaped [oldHTML, newHTML]
+   * @private
+   */
+  highlightInlineChanges(oldText, newText) {
+    const tokenPattern = /[\w:.-]+="[^"]*"|<\/?[\w-]+|\/?>|[^\s<>"]+|\s+|./g;
+    const oldTokens = oldText.match(tokenPattern) || [];
+    const newTokens = newText.match(tokenPattern) || [];
+    const common = this.longestCommonSubsequence(
+      oldTokens.map((_, index) => index),
+      newTokens.map((_, index) => index),
+      (oldIndex, newIndex) => oldTokens[oldIndex] === newTokens[newIndex]
+    );
+    const oldKept = new Set(common.map(([oldIndex]) => oldIndex));
+    const newKept = new Set(common.map(([, newIndex]) => newIndex));
+
+    const render = (tokens, kept, className) =>
+      tokens
+        .map((token, index) =>
+          kept.has(index) || !token.trim()
+            ? this.escapeHTML(token)
+            : `<mark class="${className}">${this.escapeHTML(token)}</mark>`
+        )
+        .join('');
+
+    return [
+      render(oldTokens, oldKept, 'del'),
+      render(newTokens, newKept, 'ins')
+    ];
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   * @private
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Start tracking live DOM changes
    * @param {HTMLElement} [root=document.body] - Root element to observe
@@ -712,11 +2316,13 @@ export class DOMDiffer {
       mutations.forEach(mutation => {
         this.processMutation(mutation);
       });
+      this.queueTimelineBatch(mutations);
     });
 
     this.mutationObserver.observe(root, observerOptions);
     this.isTracking = true;
     this.trackingRoot = root;
+    this.timelineBaseline = this.copyTimelineNodes(root);
 
     console.log('🔍 DOM tracking started');
   }
@@ -726,6 +2332,11 @@ export class DOMDiffer {
    */
   stopTracking() {
     if (this.mutationObserver) {
+      const remaining = this.mutationObserver.takeRecords();
+      remaining.forEach(mutation => this.processMutation(mutation));
+      this.queueTimelineBatch(remaining);
+      this.flushTimelineBatch();
+
       this.mutationObserver.disconnect();
       this.mutationObserver = null;
     }
@@ -735,6 +2346,421 @@ export class DOMDiffer {
     console.log('⏹️ DOM tracking stopped');
   }
 
+  /**
+   * Queue observer records for the next timeline batch. Each observer
+   * callback is one microtask batch; in 'frame' mode batches are merged
+   * until the next animation frame.
+   * @param {Array<MutationRecord>} mutations - Records from one callback
+   * @private
+   */
+  queueTimelineBatch(mutations) {
+    if (mutations.length === 0) return;
+
+    this.pendingMutations.push(...mutations);
+
+    if (
+      this.options.timelineGrouping !== 'frame' ||
+      typeof requestAnimationFrame === 'undefined'
+    ) {
+      this.flushTimelineBatch();
+      return;
+    }
+
+    if (this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => {
+        this.pendingFrame = null;
+        this.flushTimelineBatch();
+      });
+    }
+  }
+
+  /**
+   * Coalesce pending records into one timeline entry. Entries keep only
+   * the operations needed to replay the batch; states are rebuilt on
+   * demand from a detached baseline copy, which absorbs each batch the
+   * ring buffer evicts.
+   * @private
+   */
+  flushTimelineBatch() {
+    if (this.pendingFrame !== null) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+
+    const mutations = this.pendingMutations;
+    this.pendingMutations = [];
+
+    if (mutations.length === 0 || !this.trackingRoot) return;
+
+    const { entries, collapsed } = this.coalesceMutations(mutations);
+    const operations = this.recordTimelineOperations(mutations, entries);
+
+    if (this.timeline.length === this.timeline.capacity) {
+      this.applyTimelineOperations(
+        this.timelineBaseline,
+        this.timeline.get(0).operations
+      );
+    }
+
+    this.timeline.push({
+      id: ++this.timelineCounter,
+      timestamp: Date.now(),
+      recordCount: mutations.length,
+      collapsed,
+      entries,
+      operations
+    });
+  }
+
+  /**
+   * Get the timeline id of a node, assigning one on first use
+   * @param {Node} node - Live node or timeline copy
+   * @returns {number} Node id
+   * @private
+   */
+  getTimelineNodeId(node) {
+    if (!this.timelineNodeIds.has(node)) {
+      this.timelineNodeIds.set(node, ++this.timelineNodeCounter);
+    }
+
+    return this.timelineNodeIds.get(node);
+  }
+
+  /**
+   * Deep-copy a subtree, giving each copy the timeline id of its source
+   * @param {Node} source - Subtree to copy
+   * @returns {Object} Copied root and a Map of node id to copy
+   * @private
+   */
+  copyTimelineNodes(source) {
+    const root = source.cloneNode(true);
+    const nodes = new Map();
+    const register = (from, to) => {
+      const id = this.getTimelineNodeId(from);
+      this.timelineNodeIds.set(to, id);
+      nodes.set(id, to);
+      from.childNodes.forEach((child, index) => {
+        register(child, to.childNodes[index]);
+      });
+    };
+
+    register(source, root);
+
+    return { root, nodes };
+  }
+
+  /**
+   * Record the net effect of a batch as replayable operations: copies of
+   * inserted and moved subtrees, the final child order of every parent
+   * whose children changed, and final attribute and text values.
+   * @param {Array<MutationRecord>} mutations - Records in the batch
+   * @param {Array<Object>} entries - Coalesced entries for the batch
+   * @returns {Array<Object>} Operations, in replay order
+   * @private
+   */
+  recordTimelineOperations(mutations, entries) {
+    const operations = [];
+    const parents = new Set(
+      mutations
+        .filter(mutation => mutation.type === 'childList')
+        .map(mutation => mutation.target)
+    );
+
+    entries
+      .filter(entry => entry.kind === 'insert' || entry.kind === 'move')
+      .forEach(entry => {
+        operations.push({
+          kind: 'insert',
+          node: this.copyTimelineNodes(entry.target).root
+        });
+      });
+
+    parents.forEach(parent => {
+      const children = Array.from(parent.childNodes);
+
+      operations.push({
+        kind: 'children',
+        id: this.getTimelineNodeId(parent),
+        children: children.map(child => this.getTimelineNodeId(child))
+      });
+    });
+
+    entries.forEach(entry => {
+      if (entry.kind === 'attribute') {
+        operations.push({
+          kind: 'attribute',
+          id: this.getTimelineNodeId(entry.target),
+          name: entry.attributeName,
+          value: entry.newValue
+        });
+      } else if (entry.kind === 'text') {
+        operations.push({
+          kind: 'text',
+          id: this.getTimelineNodeId(entry.target),
+          value: entry.newValue
+        });
+      }
+    });
+
+    return operations;
+  }
+
+  /**
+   * Replay recorded operations onto a detached timeline copy
+   * @param {Object} state - Copied root and its node index
+   * @param {Array<Object>} operations - Operations from one batch
+   * @private
+   */
+  applyTimelineOperations(state, operations) {
+    operations.forEach(operation => {
+      const node = state.nodes.get(operation.id);
+
+      switch (operation.kind) {
+        case 'insert': {
+          const { nodes } = this.copyTimelineNodes(operation.node);
+          nodes.forEach((copy, id) => state.nodes.set(id, copy));
+          break;
+        }
+
+        case 'children': {
+          if (!node) break;
+
+          const children = operation.children
+            .map(id => state.nodes.get(id))
+            .filter(Boolean);
+
+          Array.from(node.childNodes)
+            .filter(child => !children.includes(child))
+            .forEach(child => this.forgetTimelineNodes(state, child));
+          node.replaceChildren(...children);
+          break;
+        }
+
+        case 'attribute':
+          if (!node) break;
+
+          if (operation.value === null) {
+            node.removeAttribute(operation.name);
+          } else {
+            node.setAttribute(operation.name, operation.value);
+          }
+          break;
+
+        case 'text':
+          if (node) node.textContent = operation.value;
+          break;
+      }
+    });
+  }
+
+  /**
+   * Drop a removed subtree from a timeline copy's node index. Nodes that
+   * return later are replayed from fresh copies, so nothing refers back.
+   * @param {Object} state - Copied root and its node index
+   * @param {Node} node - Removed copy
+   * @private
+   */
+  forgetTimelineNodes(state, node) {
+    const id = this.timelineNodeIds.get(node);
+
+    if (state.nodes.get(id) === node) {
+      state.nodes.delete(id);
+    }
+
+    node.childNodes.forEach(child => this.forgetTimelineNodes(state, child));
+  }
+
+  /**
+   * Reduce a batch of mutation records to its net effect. Attribute and
+   * text flips that end on their original value are dropped, nodes added
+   * and removed within the batch vanish, and nodes removed then re-added
+   * become moves.
+   * @param {Array<MutationRecord>} mutations - Records to coalesce
+   * @returns {Object} Readable entries and the number of collapsed records
+   * @private
+   */
+  coalesceMutations(mutations) {
+    const entries = [];
+    const attributeChanges = new Map();
+    const textChanges = new Map();
+    const removed = new Map();
+    const added = new Map();
+    let collapsed = 0;
+
+    mutations.forEach(mutation => {
+      switch (mutation.type) {
+        case 'attributes': {
+          if (!attributeChanges.has(mutation.target)) {
+            attributeChanges.set(mutation.target, new Map());
+          }
+          const attributes = attributeChanges.get(mutation.target);
+          if (attributes.has(mutation.attributeName)) {
+            collapsed++;
+          } else {
+            attributes.set(mutation.attributeName, mutation.oldValue);
+          }
+          break;
+        }
+
+        case 'characterData':
+          if (textChanges.has(mutation.target)) {
+            collapsed++;
+          } else {
+            textChanges.set(mutation.target, mutation.oldValue);
+          }
+          break;
+
+        case 'childList':
+          mutation.removedNodes.forEach(node => {
+            if (added.has(node)) {
+              added.delete(node);
+              collapsed++;
+            } else {
+              removed.set(node, mutation.target);
+            }
+          });
+          mutation.addedNodes.forEach(node => {
+            added.set(node, mutation.target);
+          });
+          break;
+      }
+    });
+
+    removed.forEach((parent, node) => {
+      if (added.has(node)) {
+        const newParent = added.get(node);
+        added.delete(node);
+        entries.push({
+          kind: 'move',
+          target: node,
+          from: parent,
+          to: newParent,
+          description: `Moved ${this.describeLiveNode(node)} from ${this.describeLiveNode(parent)} to ${this.describeLiveNode(newParent)}`
+        });
+      } else {
+        entries.push({
+          kind: 'remove',
+          target: node,
+          parent,
+          description: `Removed ${this.describeLiveNode(node)} from ${this.describeLiveNode(parent)}`
+        });
+      }
+    });
+
+    added.forEach((parent, node) => {
+      entries.push({
+        kind: 'insert',
+        target: node,
+        parent,
+        description: `Inserted ${this.describeLiveNode(node)} into ${this.describeLiveNode(parent)}`
+      });
+    });
+
+    attributeChanges.forEach((attributes, target) => {
+      attributes.forEach((oldValue, name) => {
+        const newValue = target.getAttribute(name);
+
+        if (oldValue === newValue) {
+          collapsed++;
+          return;
+        }
+
+        entries.push({
+          kind: 'attribute',
+          target,
+          attributeName: name,
+          oldValue,
+          newValue,
+          description:
+            newValue === null
+              ? `Removed ${name} from ${this.describeLiveNode(target)}`
+              : `Set ${name}="${newValue}" on ${this.describeLiveNode(target)}`
+        });
+      });
+    });
+
+    textChanges.forEach((oldValue, target) => {
+      if (oldValue === target.textContent) {
+        collapsed++;
+        return;
+      }
+
+      entries.push({
+        kind: 'text',
+        target,
+        oldValue,
+        newValue: target.textContent,
+        description: `Changed text "${oldValue}" to "${target.textContent}"`
+      });
+    });
+
+    return { entries, collapsed };
+  }
+
+  /**
+   * Short human-readable label for a live node
+   * @param {Node} node - Live node
+   * @returns {string} Node label
+   * @private
+   */
+  describeLiveNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.trim();
+      return `#text "${text.length > 20 ? text.slice(0, 20) + '…' : text}"`;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return node.nodeName.toLowerCase();
+    }
+
+    const id = node.id ? `#${node.id}` : '';
+    const classes = Array.from(node.classList)
+      .map(className => `.${className}`)
+      .join('');
+
+    return `<${node.tagName.toLowerCase()}${id}${classes}>`;
+  }
+
+  /**
+   * Get the coalesced mutation timeline
+   * @returns {Array} Timeline entries, oldest first
+   */
+  getTimeline() {
+    return this.timeline.toArray();
+  }
+
+  /**
+   * Get the serialized subtree state at a timeline position, replayed from
+   * the baseline copy
+   * @param {number} index - Timeline position; -1 for the state before the oldest retained batch
+   * @returns {Object|null} Serialized structure
+   */
+  getTimelineState(index) {
+    if (!this.timelineBaseline || index >= this.timeline.length) return null;
+
+    const state = this.copyTimelineNodes(this.timelineBaseline.root);
+
+    for (let position = 0; position <= index; position++) {
+      this.applyTimelineOperations(
+        state,
+        this.timeline.get(position).operations
+      );
+    }
+
+    return this.serializeDOM(state.root);
+  }
+
+  /**
+   * Rebuild a detached copy of the tracked subtree at a timeline position
+   * @param {number} index - Timeline position; -1 for the state before the oldest retained batch
+   * @returns {Node|null} Detached subtree
+   */
+  reconstructTimeline(index) {
+    const structure = this.getTimelineState(index);
+
+    return structure ? this.buildNode(structure, document) : null;
+  }
+
   /**
    * Process a mutation record
    * @param {MutationRecord} mutation - Mutation to process
@@ -775,11 +2801,6 @@ export class DOMDiffer {
     }
 
     this.changeHistory.push(change);
-
-    // Limit history size
-    if (this.changeHistory.length > 1000) {
-      this.changeHistory = this.changeHistory.slice(-500);
-    }
   }
 
   /**
@@ -787,14 +2808,19 @@ export class DOMDiffer {
    * @returns {Array} Array of recorded changes
    */
   getChangeHistory() {
-    return [...this.changeHistory];
+    return this.changeHistory.toArray();
   }
 
   /**
-   * Clear change history
+   * Clear change history and the mutation timeline
    */
   clearChangeHistory() {
-    this.changeHistory = [];
+    this.changeHistory.clear();
+    this.timeline.clear();
+    this.pendingMutations = [];
+    this.timelineBaseline = this.trackingRoot
+      ? this.copyTimelineNodes(this.trackingRoot)
+      : null;
     console.log('🧹 Change history cleared');
   }
 
@@ -807,7 +2833,10 @@ export class DOMDiffer {
       ...this.performanceMetrics,
       snapshotCount: this.snapshots.size,
       isTracking: this.isTracking,
-      changeHistorySize: this.changeHistory.length
+      changeHistorySize: this.changeHistory.length,
+      droppedRecords: this.changeHistory.dropped,
+      timelineSize: this.timeline.length,
+      droppedBatches: this.timeline.dropped
     };
   }
 
@@ -839,6 +2868,9 @@ export class DOMDiffer {
       snapshotCount: this.snapshots.size,
       currentSnapshot: this.currentSnapshot,
       changeHistorySize: this.changeHistory.length,
+      droppedRecords: this.changeHistory.dropped,
+      timelineSize: this.timeline.length,
+      droppedBatches: this.timeline.dropped,
       performanceMetrics: this.performanceMetrics,
       options: { ...this.options }
     };
@@ -1121,6 +1121,18 @@ newDiv.style.backgroundColor = '#e3f2fd';
     // Store reference to demo content
     this.demoElements.set('demoContainer', demoContainer);
 
+    // Record manipulations relative to the demo content
+    const elementManipulator = this.components.get('elementManipulator');
+    if (elementManipulator) {
+      elementManipulator.setRecordingRoot(demoContainer);
+    }
+
+    // Offer the demo content as a selector query scope
+    const selectorTester = this.components.get('selectorTester');
+    if (selectorTester) {
+      selectorTester.setDemoRoot(demoContainer);
+    }
+
     // Initialize tree view with demo content
     const treeEditor = this.components.get('treeEditor');
     if (treeEditor) {
@@ -1198,10 +1210,47 @@ newDiv.style.backgroundColor = '#e3f2fd';
   }
 
   /**
-   * Generate comprehensive code example
+   * Generate code reproducing what the learner built with the Element
+   * Manipulator, in plain DOM API, DocumentFragment and HTML template form.
+   * Falls back to the static examples until something has been recorded.
    * @returns {string} Generated JavaScript code
    */
   generateComprehensiveCodeExample() {
+    const elementManipulator = this.components.get('elementManipulator');
+    const recorded = elementManipulator?.getScript().steps.length > 0;
+
+    if (!recorded) {
+      return this.generateStaticCodeExample();
+    }
+
+    const variants = [
+      ['Vanilla DOM API', 'dom'],
+      ['DocumentFragment batching', 'fragment'],
+      ['HTML template', 'html']
+    ];
+
+    const sections = variants.map(([title, format]) => {
+      const code = elementManipulator.generateCode(format);
+      return `// ${title}\n{\n${code.replace(/^(?=.)/gm, '  ')}\n}`;
+    });
+
+    return `/**
+ * DOM Manipulation Session - Generated by DOM Visualizer OOP
+ * ${new Date().toISOString()}
+ *
+ * Each block reproduces the same result; pick the style that fits.
+ */
+
+${sections.join('\n\n')}
+`;
+  }
+
+  /**
+   * Generate the static reference examples, used when no session has been
+   * recorded yet
+   * @returns {string} Generated JavaScript code
+   */
+  generateStaticCodeExample() {
     return `/**
  * DOM Manipulation Examples - Generated by DOM Visualizer OOP
  * ${new Date().toISOString()}
@@ -1394,20 +1443,38 @@ if (demoContainer) {
    */
   runBasicManipulationExample() {
     const demoContainer = this.container.querySelector('#demo-container');
+    const elementManipulator = this.components.get('elementManipulator');
+    const options = {
+      textContent: 'Hello, DOM!',
+      className: 'demo-element example-element',
+      attributes: { 'data-created': String(Date.now()) },
+      style: {
+        backgroundColor: '#e3f2fd',
+        padding: '10px',
+        margin: '5px',
+        borderRadius: '4px',
+        border: '1px solid #2196f3'
+      }
+    };
 
-    // Create new element
-    const newDiv = document.createElement('div');
-    newDiv.textContent = 'Hello, DOM!';
-    newDiv.className = 'demo-element example-element';
-    newDiv.setAttribute('data-created', Date.now());
-    newDiv.style.backgroundColor = '#e3f2fd';
-    newDiv.style.padding = '10px';
-    newDiv.style.margin = '5px';
-    newDiv.style.borderRadius = '4px';
-    newDiv.style.border = '1px solid #2196f3';
-
-    // Insert into document
-    demoContainer.appendChild(newDiv);
+    // Create and insert through the Element Manipulator so the example
+    // shows up in the generated session code
+    let newDiv;
+    if (elementManipulator) {
+      newDiv = elementManipulator.createElement('div', {
+        ...options,
+        parent: demoContainer
+      });
+    } else {
+      newDiv = document.createElement('div');
+      newDiv.textContent = options.textContent;
+      newDiv.className = options.className;
+      Object.entries(options.attributes).forEach(([name, value]) => {
+        newDiv.setAttribute(name, value);
+      });
+      Object.assign(newDiv.style, options.style);
+      demoContainer.appendChild(newDiv);
+    }
 
     // Update metrics
     this.updatePerformanceMetrics('domOperations');
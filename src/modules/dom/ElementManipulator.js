@@ -10,6 +10,26 @@
  * @author DOM Visualizer OOP Team
  */
 
+import {
+  CloneCommand,
+  CreateCommand,
+  InsertCommand,
+  ModifyCommand,
+  MoveCommand,
+  RemoveCommand,
+  TransactionCommand,
+  captureNodeState
+} from './ManipulationCommands.js';
+import { HTMLSanitizer } from './HTMLSanitizer.js';
+import { CodeGenerator } from './CodeGenerator.js';
+import {
+  SCRIPT_FORMAT,
+  SCRIPT_FORMAT_VERSION,
+  describeElement,
+  parseScript,
+  resolveElement
+} from './OperationScript.js';
+
 /**
  * ElementManipulator class for safe DOM operations
  * @class ElementManipulator
@@ -21,6 +41,8 @@ export class ElementManipulator {
    * @param {boolean} [options.enableValidation=true] - Enable input validation
    * @param {boolean} [options.trackChanges=true] - Track manipulation history
    * @param {boolean} [options.sanitizeInput=true] - Sanitize user input
+   * @param {Object} [options.sanitizerPolicy] - Overrides for the default sanitizer policy, see HTMLSanitizer
+   * @param {HTMLElement} [options.recordingRoot=document.body] - Root that recorded script selectors are relative to
    */
   constructor(options = {}) {
     this.options = {
@@ -34,13 +56,26 @@ export class ElementManipulator {
     this.operationHistory = [];
     this.undoStack = [];
     this.redoStack = [];
+    this.activeTransaction = null;
+
+    // Replayable operation script
+    this.recordingRoot = this.options.recordingRoot || null;
+    this.scriptSteps = [];
+    this.scriptRefs = new WeakMap();
+    this.scriptRefCounter = 0;
+    this.scriptStartTime = null;
+    this.transactionSteps = null;
+    this.importedScript = null;
+    this.replaying = false;
 
     // Performance tracking
     this.performanceMetrics = {
       operationsCount: 0,
       averageTime: 0,
       totalTime: 0,
-      lastOperation: null
+      lastOperation: null,
+      transactionsCount: 0,
+      lastTransaction: null
     };
 
     // Validation rules
@@ -96,9 +131,34 @@ export class ElementManipulator {
         'role',
         'tabindex',
         'style'
+      ]),
+      // DOM properties assigned directly; anything else is written as an
+      // attribute through the sanitizer
+      domProperties: new Set([
+        'value',
+        'checked',
+        'selected',
+        'indeterminate',
+        'disabled',
+        'hidden',
+        'readOnly',
+        'required',
+        'title',
+        'alt',
+        'lang',
+        'dir',
+        'tabIndex',
+        'placeholder'
       ])
     };
 
+    // HTML sanitizer, defaulting to the validation allow-lists
+    this.sanitizer = new HTMLSanitizer({
+      ...this.getDefaultSanitizerPolicy(),
+      ...this.options.sanitizerPolicy
+    });
+    this.lastSanitizationReport = null;
+
     console.log('🔧 ElementManipulator initialized');
   }
 
@@ -112,6 +172,8 @@ export class ElementManipulator {
    * @param {Object} [options.style] - Inline styles
    * @param {string} [options.textContent] - Text content
    * @param {string} [options.innerHTML] - HTML content (sanitized)
+   * @param {HTMLElement} [options.parent] - Insert the new element into this parent (undoable)
+   * @param {string|number} [options.position='beforeend'] - Insert position, see insertElement
    * @returns {HTMLElement} Created element
    */
   createElement(tagName, options = {}) {
@@ -150,7 +212,7 @@ export class ElementManipulator {
           element.setAttribute(
             name,
             this.options.sanitizeInput
-              ? this.sanitizeAttributeValue(value)
+              ? this.sanitizeAttributeValue(value, name, tagName)
               : value
           );
         });
@@ -177,6 +239,21 @@ export class ElementManipulator {
           : options.innerHTML;
       }
 
+      // Insert into the document if requested
+      const { parent, position = 'beforeend', ...elementOptions } = options;
+      const parentDescriptor = this.describeForScript(parent);
+
+      if (parent) {
+        const anchor = this.resolveInsertionPoint(element, parent, position);
+        const command = new CreateCommand(
+          element,
+          anchor.parent,
+          anchor.nextSibling
+        );
+        command.do();
+        this.recordCommand(command);
+      }
+
       // Track operation
       this.trackOperation('createElement', {
         tagName,
@@ -184,6 +261,14 @@ export class ElementManipulator {
         element,
         duration: performance.now() - startTime
       });
+      this.recordStep({
+        op: 'create',
+        ref: this.assignScriptRef(element),
+        tagName,
+        options: elementOptions,
+        parent: parentDescriptor,
+        position
+      });
 
       console.log(`✨ Element created: ${tagName}`, element);
       return element;
@@ -201,6 +286,8 @@ export class ElementManipulator {
    */
   modifyElement(element, changes) {
     const startTime = performance.now();
+    let beforeState = null;
+    const appliedChanges = [];
 
     try {
       if (!element || !(element instanceof HTMLElement)) {
@@ -208,12 +295,18 @@ export class ElementManipulator {
       }
 
       const originalState = this.captureElementState(element);
-      const appliedChanges = [];
+      const target = this.describeForScript(element);
+      beforeState = captureNodeState(element);
 
-      // Apply changes
+      // Apply changes, noting DOM properties that are not reflected in
+      // attributes or children (e.g. value) so undo can restore them too
       Object.entries(changes).forEach(([property, value]) => {
+        const markupBefore = element.outerHTML;
         const change = this.applyChange(element, property, value);
         if (change) {
+          change.domProperty =
+            element.outerHTML === markupBefore &&
+            change.oldValue !== change.newValue;
           appliedChanges.push(change);
         }
       });
@@ -228,23 +321,39 @@ export class ElementManipulator {
 
       // Track operation
       this.trackOperation('modifyElement', result);
+      // Rejected changes never reached the DOM, so they are not replayed
+      if (appliedChanges.length > 0) {
+        this.recordStep({
+          op: 'modify',
+          target,
+          changes: Object.fromEntries(
+            appliedChanges.map(change => [change.property, change.newValue])
+          )
+        });
+      }
 
       // Add to undo stack
-      if (this.options.trackChanges) {
-        this.undoStack.push({
-          type: 'modify',
+      this.recordCommand(
+        new ModifyCommand(
           element,
-          originalState,
-          changes: appliedChanges,
-          timestamp: Date.now()
-        });
-        this.redoStack = []; // Clear redo stack
-      }
+          beforeState,
+          captureNodeState(element),
+          appliedChanges
+        )
+      );
 
       console.log('🔧 Element modified:', appliedChanges);
       return result;
     } catch (error) {
       console.error('❌ Failed to modify element:', error);
+
+      if (this.activeTransaction) {
+        if (beforeState) {
+          new ModifyCommand(element, beforeState, null, appliedChanges).undo();
+        }
+        throw error;
+      }
+
       return {
         success: false,
         error: error.message,
@@ -299,31 +408,20 @@ export class ElementManipulator {
               this.validateStyleProperty(styleProp, value);
             }
             element.style[styleProp] = value;
-          } else if (
-            property.startsWith('data-') ||
-            property.startsWith('aria-')
-          ) {
+          } else if (this.validationRules.domProperties.has(property)) {
+            element[property] = value;
+          } else {
+            // Attribute-backed values (href, src, srcdoc, on*...) must not
+            // bypass the sanitizer by being assigned as properties
             if (this.options.enableValidation) {
               this.validateAttribute(property, value);
             }
             element.setAttribute(
               property,
               this.options.sanitizeInput
-                ? this.sanitizeAttributeValue(value)
+                ? this.sanitizeAttributeValue(value, property, element.tagName)
                 : value
             );
-          } else {
-            // Try to set as property first, then as attribute
-            try {
-              element[property] = value;
-            } catch {
-              element.setAttribute(
-                property,
-                this.options.sanitizeInput
-                  ? this.sanitizeAttributeValue(value)
-                  : value
-              );
-            }
           }
           break;
       }
@@ -335,6 +433,8 @@ export class ElementManipulator {
         timestamp: Date.now()
       };
     } catch (error) {
+      if (this.activeTransaction) throw error;
+
       console.warn(`Failed to apply change ${property}:`, error);
       return null;
     }
@@ -361,15 +461,10 @@ export class ElementManipulator {
         if (property.startsWith('style.')) {
           const styleProp = property.substring(6);
           return element.style[styleProp];
-        } else if (
-          property.startsWith('data-') ||
-          property.startsWith('aria-')
-        ) {
-          return element.getAttribute(property);
+        } else if (this.validationRules.domProperties.has(property)) {
+          return element[property];
         } else {
-          return element[property] !== undefined
-            ? element[property]
-            : element.getAttribute(property);
+          return element.getAttribute(property);
         }
     }
   }
@@ -427,7 +522,8 @@ export class ElementManipulator {
   }
 
   /**
-   * Insert element at specified position
+   * Insert element at specified position. Inserting an element that is
+   * already attached is recorded as a move.
    * @param {HTMLElement} element - Element to insert
    * @param {HTMLElement} parent - Parent element
    * @param {string|number} position - Position ('beforebegin', 'afterbegin', 'beforeend', 'afterend', or index)
@@ -445,21 +541,18 @@ export class ElementManipulator {
         throw new Error('Invalid parent element provided');
       }
 
-      const originalParent = element.parentElement;
-      const originalNextSibling = element.nextElementSibling;
+      const target = this.describeForScript(element);
+      const parentDescriptor = this.describeForScript(parent);
+      const anchor = this.resolveInsertionPoint(element, parent, position);
+      const CommandType = element.parentNode ? MoveCommand : InsertCommand;
+      const command = new CommandType(
+        element,
+        anchor.parent,
+        anchor.nextSibling
+      );
+      const { originalParent, originalNextSibling } = command;
 
-      if (typeof position === 'string') {
-        parent.insertAdjacentElement(position, element);
-      } else if (typeof position === 'number') {
-        const referenceElement = parent.children[position];
-        if (referenceElement) {
-          parent.insertBefore(element, referenceElement);
-        } else {
-          parent.appendChild(element);
-        }
-      } else {
-        throw new Error('Invalid position specified');
-      }
+      command.do();
 
       const result = {
         element,
@@ -473,23 +566,23 @@ export class ElementManipulator {
 
       // Track operation
       this.trackOperation('insertElement', result);
+      this.recordStep({
+        op: 'insert',
+        target,
+        parent: parentDescriptor,
+        position
+      });
 
       // Add to undo stack
-      if (this.options.trackChanges) {
-        this.undoStack.push({
-          type: 'insert',
-          element,
-          originalParent,
-          originalNextSibling,
-          timestamp: Date.now()
-        });
-        this.redoStack = [];
-      }
+      this.recordCommand(command);
 
       console.log('📍 Element inserted:', result);
       return result;
     } catch (error) {
       console.error('❌ Failed to insert element:', error);
+
+      if (this.activeTransaction) throw error;
+
       return {
         success: false,
         error: error.message,
@@ -498,6 +591,58 @@ export class ElementManipulator {
     }
   }
 
+  /**
+   * Resolve an insert position to a parent and next-sibling anchor
+   * @param {HTMLElement} element - Element being inserted
+   * @param {HTMLElement} target - Parent, or reference element for 'beforebegin'/'afterend'
+   * @param {string|number} position - Position keyword or child index
+   * @returns {Object} Anchor with parent and nextSibling
+   * @private
+   */
+  resolveInsertionPoint(element, target, position) {
+    let anchor;
+
+    if (typeof position === 'number') {
+      anchor = {
+        parent: target,
+        nextSibling: target.children[position] || null
+      };
+    } else {
+      switch (position) {
+        case 'beforebegin':
+          anchor = { parent: target.parentNode, nextSibling: target };
+          break;
+        case 'afterbegin':
+          anchor = { parent: target, nextSibling: target.firstChild };
+          break;
+        case 'beforeend':
+          anchor = { parent: target, nextSibling: null };
+          break;
+        case 'afterend':
+          anchor = {
+            parent: target.parentNode,
+            nextSibling: target.nextSibling
+          };
+          break;
+        default:
+          throw new Error('Invalid position specified');
+      }
+    }
+
+    if (!anchor.parent) {
+      throw new Error(
+        `Position '${position}' requires an attached reference element`
+      );
+    }
+
+    // Inserting an element before itself leaves it where it is
+    if (anchor.nextSibling === element) {
+      anchor.nextSibling = element.nextSibling;
+    }
+
+    return anchor;
+  }
+
   /**
    * Remove element from DOM
    * @param {HTMLElement} element - Element to remove
@@ -511,11 +656,16 @@ export class ElementManipulator {
         throw new Error('Invalid element provided');
       }
 
-      const parent = element.parentElement;
-      const nextSibling = element.nextElementSibling;
+      if (!element.parentNode) {
+        throw new Error('Element is not attached to the document');
+      }
+
+      const target = this.describeForScript(element);
+      const command = new RemoveCommand(element);
+      const { parent, nextSibling } = command;
       const elementState = this.captureElementState(element);
 
-      element.remove();
+      command.do();
 
       const result = {
         element,
@@ -528,24 +678,18 @@ export class ElementManipulator {
 
       // Track operation
       this.trackOperation('removeElement', result);
+      this.recordStep({ op: 'remove', target });
 
       // Add to undo stack
-      if (this.options.trackChanges) {
-        this.undoStack.push({
-          type: 'remove',
-          element,
-          parent,
-          nextSibling,
-          elementState,
-          timestamp: Date.now()
-        });
-        this.redoStack = [];
-      }
+      this.recordCommand(command);
 
       console.log('🗑️ Element removed:', result);
       return result;
     } catch (error) {
       console.error('❌ Failed to remove element:', error);
+
+      if (this.activeTransaction) throw error;
+
       return {
         success: false,
         error: error.message,
@@ -560,6 +704,8 @@ export class ElementManipulator {
    * @param {Object} [options={}] - Clone options
    * @param {boolean} [options.deep=true] - Deep clone
    * @param {Object} [options.modifications] - Modifications to apply to clone
+   * @param {HTMLElement} [options.parent] - Insert the clone into this parent (undoable)
+   * @param {string|number} [options.position='beforeend'] - Insert position, see insertElement
    * @returns {HTMLElement} Cloned element
    */
   cloneElement(element, options = {}) {
@@ -570,19 +716,39 @@ export class ElementManipulator {
         throw new Error('Invalid element provided');
       }
 
-      const { deep = true, modifications = {} } = options;
+      const {
+        deep = true,
+        modifications = {},
+        parent,
+        position = 'beforeend'
+      } = options;
+      const source = this.describeForScript(element);
+      const parentDescriptor = this.describeForScript(parent);
       const clone = element.cloneNode(deep);
 
-      // Apply modifications if provided
-      if (Object.keys(modifications).length > 0) {
-        this.modifyElement(clone, modifications);
-      }
+      // Apply modifications directly; the detached clone has no history
+      Object.entries(modifications).forEach(([property, value]) => {
+        this.applyChange(clone, property, value);
+      });
 
       // Generate unique ID if the original had one
       if (clone.id) {
         clone.id = this.generateUniqueId(clone.id);
       }
 
+      // Insert into the document if requested
+      if (parent) {
+        const anchor = this.resolveInsertionPoint(clone, parent, position);
+        const command = new CloneCommand(
+          clone,
+          element,
+          anchor.parent,
+          anchor.nextSibling
+        );
+        command.do();
+        this.recordCommand(command);
+      }
+
       // Track operation
       this.trackOperation('cloneElement', {
         originalElement: element,
@@ -590,6 +756,15 @@ export class ElementManipulator {
         options,
         duration: performance.now() - startTime
       });
+      this.recordStep({
+        op: 'clone',
+        ref: this.assignScriptRef(clone),
+        source,
+        deep,
+        modifications,
+        parent: parentDescriptor,
+        position
+      });
 
       console.log('🔄 Element cloned:', clone);
       return clone;
@@ -617,6 +792,82 @@ export class ElementManipulator {
     return newId;
   }
 
+  /**
+   * Run several operations as one atomic undo/redo step. If any operation
+   * throws (including validation errors), everything done inside the
+   * callback is rolled back and the error is rethrown.
+   * @param {Function} callback - Synchronous function performing the operations
+   * @param {string} [label='transaction'] - Name shown in history and metrics
+   * @returns {*} The callback's return value
+   */
+  transaction(callback, label = 'transaction') {
+    // Nested transactions join the outer one
+    if (this.activeTransaction) {
+      return callback(this);
+    }
+
+    const startTime = performance.now();
+    const transaction = new TransactionCommand(label);
+    this.activeTransaction = transaction;
+    this.transactionSteps = [];
+
+    let result;
+    try {
+      result = callback(this);
+    } catch (error) {
+      this.activeTransaction = null;
+      this.transactionSteps = null;
+      transaction.undo();
+
+      console.error(`❌ Transaction '${label}' rolled back:`, error);
+      throw new Error(`Transaction '${label}' failed: ${error.message}`);
+    }
+
+    this.activeTransaction = null;
+
+    const steps = this.transactionSteps;
+    this.transactionSteps = null;
+    if (steps.length > 0) {
+      this.recordStep({ op: 'transaction', label, steps });
+    }
+
+    const duration = performance.now() - startTime;
+    if (this.options.trackChanges && transaction.commands.length > 0) {
+      this.undoStack.push(transaction);
+      this.redoStack = [];
+    }
+
+    this.performanceMetrics.transactionsCount++;
+    this.performanceMetrics.lastTransaction = {
+      label,
+      operationsCount: transaction.commands.length,
+      duration
+    };
+
+    console.log(
+      `📦 Transaction '${label}' committed (${transaction.commands.length} operations)`
+    );
+    return result;
+  }
+
+  /**
+   * Record an executed command, either into the active transaction or
+   * directly onto the undo stack
+   * @param {ManipulationCommand} command - Executed command
+   * @private
+   */
+  recordCommand(command) {
+    if (this.activeTransaction) {
+      this.activeTransaction.commands.push(command);
+      return;
+    }
+
+    if (this.options.trackChanges) {
+      this.undoStack.push(command);
+      this.redoStack = []; // Clear redo stack
+    }
+  }
+
   /**
    * Undo last operation
    * @returns {boolean} Success status
@@ -630,39 +881,9 @@ export class ElementManipulator {
     const operation = this.undoStack.pop();
 
     try {
-      switch (operation.type) {
-        case 'modify':
-          this.restoreElementState(operation.element, operation.originalState);
-          break;
-
-        case 'insert':
-          if (operation.originalParent) {
-            if (operation.originalNextSibling) {
-              operation.originalParent.insertBefore(
-                operation.element,
-                operation.originalNextSibling
-              );
-            } else {
-              operation.originalParent.appendChild(operation.element);
-            }
-          } else {
-            operation.element.remove();
-          }
-          break;
-
-        case 'remove':
-          if (operation.nextSibling) {
-            operation.parent.insertBefore(
-              operation.element,
-              operation.nextSibling
-            );
-          } else {
-            operation.parent.appendChild(operation.element);
-          }
-          break;
-      }
-
+      operation.undo();
       this.redoStack.push(operation);
+      this.recordStep({ op: 'undo' });
       console.log('↶ Operation undone:', operation.type);
       return true;
     } catch (error) {
@@ -686,30 +907,9 @@ export class ElementManipulator {
     const operation = this.redoStack.pop();
 
     try {
-      switch (operation.type) {
-        case 'modify':
-          // Reapply the changes
-          operation.changes.forEach(change => {
-            this.applyChange(
-              operation.element,
-              change.property,
-              change.newValue
-            );
-          });
-          break;
-
-        case 'insert':
-          // Remove from original position again
-          operation.element.remove();
-          break;
-
-        case 'remove':
-          // Remove the element again
-          operation.element.remove();
-          break;
-      }
-
+      operation.do();
       this.undoStack.push(operation);
+      this.recordStep({ op: 'redo' });
       console.log('↷ Operation redone:', operation.type);
       return true;
     } catch (error) {
@@ -720,36 +920,6 @@ export class ElementManipulator {
     }
   }
 
-  /**
-   * Restore element to previous state
-   * @param {HTMLElement} element - Element to restore
-   * @param {Object} state - Previous state
-   * @private
-   */
-  restoreElementState(element, state) {
-    // Restore basic properties
-    element.id = state.id || '';
-    element.className = state.className || '';
-    element.textContent = state.textContent || '';
-
-    // Restore attributes
-    Array.from(element.attributes).forEach(attr => {
-      if (!state.attributes[attr.name]) {
-        element.removeAttribute(attr.name);
-      }
-    });
-
-    Object.entries(state.attributes).forEach(([name, value]) => {
-      element.setAttribute(name, value);
-    });
-
-    // Restore styles
-    element.style.cssText = '';
-    Object.entries(state.styles).forEach(([property, value]) => {
-      element.style[property] = value;
-    });
-  }
-
   /**
    * Track operation for history and metrics
    * @param {string} operationType - Type of operation
@@ -780,6 +950,286 @@ export class ElementManipulator {
     }
   }
 
+  /**
+   * Operation script recording and replay
+   */
+
+  /**
+   * Set the root element that recorded selectors are relative to
+   * @param {HTMLElement} root - Recording root, typically the demo container
+   */
+  setRecordingRoot(root) {
+    if (!root || !(root instanceof HTMLElement)) {
+      throw new Error('Recording root must be an element');
+    }
+    this.recordingRoot = root;
+  }
+
+  /**
+   * Check whether operations are currently recorded into the script
+   * @returns {boolean} Recording status
+   * @private
+   */
+  isRecording() {
+    return this.options.trackChanges && !this.replaying;
+  }
+
+  /**
+   * Describe an element for the operation script
+   * @param {HTMLElement} [element] - Element to describe
+   * @returns {Object|null} Element descriptor, see OperationScript
+   * @private
+   */
+  describeForScript(element) {
+    if (!element || !this.isRecording()) return null;
+
+    const descriptor = describeElement(
+      element,
+      this.recordingRoot || document.body,
+      this.scriptRefs
+    );
+    if (!descriptor) {
+      console.warn(
+        '⚠️ Element is outside the recording root and cannot be replayed:',
+        element
+      );
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Give an element created by this session a script reference
+   * @param {HTMLElement} element - Created or cloned element
+   * @returns {string} Script reference
+   * @private
+   */
+  assignScriptRef(element) {
+    const ref = `e${++this.scriptRefCounter}`;
+    this.scriptRefs.set(element, ref);
+    return ref;
+  }
+
+  /**
+   * Append a step to the operation script, or to the active transaction
+   * @param {Object} step - Script step
+   * @private
+   */
+  recordStep(step) {
+    if (!this.isRecording()) return;
+
+    const now = Date.now();
+    this.scriptStartTime ??= now;
+    step.at = now - this.scriptStartTime;
+
+    (this.transactionSteps || this.scriptSteps).push(step);
+  }
+
+  /**
+   * Get the recorded session as a portable operation script
+   * @returns {Object} Script object, see exportHistory('script')
+   */
+  getScript() {
+    return {
+      format: SCRIPT_FORMAT,
+      version: SCRIPT_FORMAT_VERSION,
+      recordedAt: new Date(this.scriptStartTime ?? Date.now()).toISOString(),
+      steps: JSON.parse(JSON.stringify(this.scriptSteps))
+    };
+  }
+
+  /**
+   * Generate code that reproduces the recorded session
+   * @param {string} [format='dom'] - 'dom' (createElement/setAttribute/append), 'fragment' (DocumentFragment-batched) or 'html' (template strings)
+   * @param {Object} [options={}] - CodeGenerator options
+   * @returns {string} Generated JavaScript
+   */
+  generateCode(format = 'dom', options = {}) {
+    const root = this.recordingRoot || document.body;
+    const generator = new CodeGenerator({
+      rootSelector: this.getRecordingRootSelector(root),
+      domProperties: this.validationRules.domProperties,
+      ...options
+    });
+
+    if (format === 'html') {
+      return generator.generateHTMLTemplate(root, element =>
+        this.scriptRefs.has(element)
+      );
+    }
+
+    return generator.generate(this.getScript(), format);
+  }
+
+  /**
+   * Get a selector for the recording root in generated code
+   * @param {HTMLElement} root - Recording root
+   * @returns {string} Selector
+   * @private
+   */
+  getRecordingRootSelector(root) {
+    if (root === document.body) return 'body';
+    if (root.id) return `#${root.id}`;
+
+    const classes = Array.from(root.classList).map(name => `.${name}`);
+    return `${root.tagName.toLowerCase()}${classes.join('')}`;
+  }
+
+  /**
+   * Load an operation script exported with exportHistory('script') so it
+   * can be replayed
+   * @param {string|Object} data - Script JSON or object
+   * @returns {Object} Loaded script summary
+   */
+  importHistory(data) {
+    try {
+      this.importedScript = parseScript(data);
+
+      console.log(
+        `📥 Operation script imported (${this.importedScript.steps.length} steps)`
+      );
+      return {
+        stepsCount: this.importedScript.steps.length,
+        recordedAt: this.importedScript.recordedAt
+      };
+    } catch (error) {
+      console.error('❌ Failed to import history:', error);
+      throw new Error(`History import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replay an operation script step by step against a root element,
+   * keeping the recorded pacing. Replayed operations go through the
+   * regular API, so they can be undone, but are not recorded again.
+   * @param {HTMLElement} root - Element standing in for the recording root
+   * @param {Object} [options={}] - Replay options
+   * @param {string|Object} [options.script] - Script to replay; defaults to the imported script, then the recorded one
+   * @param {number} [options.speed=1] - Playback speed multiplier; Infinity replays without pauses
+   * @param {number} [options.maxDelay=2000] - Longest pause between two steps in ms
+   * @param {Function} [options.onStep] - Called with (step, index, element) after each step
+   * @returns {Promise<Object>} Replay result with the elements created per reference
+   */
+  async replay(root, options = {}) {
+    const { speed = 1, maxDelay = 2000, onStep } = options;
+
+    if (!root || !(root instanceof HTMLElement)) {
+      throw new Error('Replay root must be an element');
+    }
+
+    const script = options.script
+      ? parseScript(options.script)
+      : this.importedScript || this.getScript();
+    const refs = new Map();
+    const startTime = performance.now();
+    let previousAt = null;
+    let index = 0;
+
+    this.replaying = true;
+
+    try {
+      for (; index < script.steps.length; index++) {
+        const step = script.steps[index];
+
+        if (previousAt !== null && speed > 0 && Number.isFinite(speed)) {
+          const delay = Math.min((step.at - previousAt) / speed, maxDelay);
+          if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+          }
+        }
+        previousAt = step.at ?? previousAt;
+
+        const element = this.replayStep(step, root, refs);
+        onStep?.(step, index, element);
+      }
+    } catch (error) {
+      console.error(`❌ Replay stopped at step ${index}:`, error);
+      throw new Error(`Replay failed at step ${index}: ${error.message}`);
+    } finally {
+      this.replaying = false;
+    }
+
+    console.log(`▶️ Replayed ${script.steps.length} steps`);
+    return {
+      stepsCount: script.steps.length,
+      duration: performance.now() - startTime,
+      elements: refs
+    };
+  }
+
+  /**
+   * Execute a single script step
+   * @param {Object} step - Script step
+   * @param {HTMLElement} root - Replay root
+   * @param {Map<string, HTMLElement>} refs - Elements created during replay
+   * @returns {HTMLElement|null} Element the step operated on
+   * @private
+   */
+  replayStep(step, root, refs) {
+    const resolve = descriptor => resolveElement(descriptor, root, refs);
+    const ensure = result => {
+      if (!result.success) throw new Error(result.error);
+      return result.element;
+    };
+    const placement = () =>
+      step.parent
+        ? { parent: resolve(step.parent), position: step.position }
+        : {};
+
+    switch (step.op) {
+      case 'create': {
+        const element = this.createElement(step.tagName, {
+          ...step.options,
+          ...placement()
+        });
+        refs.set(step.ref, element);
+        return element;
+      }
+
+      case 'clone': {
+        const clone = this.cloneElement(resolve(step.source), {
+          deep: step.deep,
+          modifications: step.modifications,
+          ...placement()
+        });
+        refs.set(step.ref, clone);
+        return clone;
+      }
+
+      case 'insert':
+        return ensure(
+          this.insertElement(
+            resolve(step.target),
+            resolve(step.parent),
+            step.position
+          )
+        );
+
+      case 'remove':
+        return ensure(this.removeElement(resolve(step.target)));
+
+      case 'modify':
+        return ensure(this.modifyElement(resolve(step.target), step.changes));
+
+      case 'transaction':
+        this.transaction(
+          () => step.steps.forEach(inner => this.replayStep(inner, root, refs)),
+          step.label
+        );
+        return null;
+
+      case 'undo':
+      case 'redo':
+        if (!this[step.op]()) {
+          throw new Error(`Nothing to ${step.op}`);
+        }
+        return null;
+
+      default:
+        throw new Error(`Unknown script operation: ${step.op}`);
+    }
+  }
+
   /**
    * Validation methods
    */
@@ -882,22 +1332,38 @@ export class ElementManipulator {
   }
 
   /**
-   * Sanitize HTML content (basic implementation)
+   * Sanitize HTML content against the sanitizer policy
    * @param {string} html - HTML to sanitize
    * @returns {string} Sanitized HTML
    * @private
    */
   sanitizeHTML(html) {
-    if (typeof html !== 'string') return '';
+    const { html: sanitized, removed } = this.sanitizer.sanitize(html);
 
-    // This is a basic implementation - in production, use a proper HTML sanitizer
-    const allowedTags = /<\/?(?:b|i|em|strong|span|p|br|a|ul|ol|li)\b[^>]*>/gi;
+    this.lastSanitizationReport = { removed, timestamp: Date.now() };
+    if (removed.length > 0) {
+      console.warn(`🧼 Sanitizer removed ${removed.length} item(s):`, removed);
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Build the default sanitizer policy from the validation rules
+   * @returns {Object} Sanitizer policy
+   * @private
+   */
+  getDefaultSanitizerPolicy() {
+    const { tagNames, safeAttributes } = this.validationRules;
 
-    return html
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-      .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-      .replace(/javascript:/gi, '')
-      .replace(/on\w+\s*=/gi, '');
+    return {
+      allowedTags: tagNames,
+      allowedAttributes: {
+        '*': Array.from(safeAttributes).filter(name => !name.endsWith('-*'))
+      },
+      allowDataAttributes: safeAttributes.has('data-*'),
+      allowAriaAttributes: safeAttributes.has('aria-*')
+    };
   }
 
   /**
@@ -918,19 +1384,25 @@ export class ElementManipulator {
   }
 
   /**
-   * Sanitize attribute value
+   * Sanitize attribute value. Attributes rejected by the sanitizer policy
+   * (event handlers, unsafe URL schemes) throw instead of being written.
    * @param {string} value - Attribute value to sanitize
+   * @param {string} [name=''] - Attribute name
+   * @param {string} [tagName='*'] - Owning tag name
    * @returns {string} Sanitized value
+   * @throws {Error} If the sanitizer policy rejects the attribute
    * @private
    */
-  sanitizeAttributeValue(value) {
+  sanitizeAttributeValue(value, name = '', tagName = '*') {
     if (typeof value !== 'string') return '';
+    if (!name) return value;
+
+    const result = this.sanitizer.sanitizeAttribute(tagName, name, value);
+    if (!result.allowed) {
+      throw new Error(`Attribute '${name}' was rejected: ${result.reason}`);
+    }
 
-    return value
-      .replace(/javascript:/gi, '')
-      .replace(/data:/gi, '')
-      .replace(/vbscript:/gi, '')
-      .replace(/on\w+/gi, '');
+    return value;
   }
 
   /**
@@ -945,6 +1417,14 @@ export class ElementManipulator {
     return [...this.operationHistory];
   }
 
+  /**
+   * Get what the sanitizer removed during the last HTML sanitization
+   * @returns {Object|null} Report with the removed elements and attributes
+   */
+  getLastSanitizationReport() {
+    return this.lastSanitizationReport;
+  }
+
   /**
    * Get performance metrics
    * @returns {Object} Performance data
@@ -965,16 +1445,23 @@ export class ElementManipulator {
     this.operationHistory = [];
     this.undoStack = [];
     this.redoStack = [];
+    this.scriptSteps = [];
+    this.scriptRefs = new WeakMap();
+    this.scriptRefCounter = 0;
+    this.scriptStartTime = null;
     console.log('🧹 Operation history cleared');
   }
 
   /**
    * Export operation history
-   * @param {string} format - Export format ('json', 'csv')
+   * @param {string} format - Export format ('json', 'csv', or 'script' for a replayable operation script)
    * @returns {string} Exported data
    */
   exportHistory(format = 'json') {
     switch (format.toLowerCase()) {
+      case 'script':
+        return JSON.stringify(this.getScript(), null, 2);
+
       case 'json':
         return JSON.stringify(
           {
@@ -1012,7 +1499,9 @@ export class ElementManipulator {
       operationsCount: 0,
       averageTime: 0,
       totalTime: 0,
-      lastOperation: null
+      lastOperation: null,
+      transactionsCount: 0,
+      lastTransaction: null
     };
     console.log('🔄 ElementManipulator reset');
   }
@@ -1031,7 +1520,8 @@ export class ElementManipulator {
       options: { ...this.options },
       validationRules: {
         allowedTags: Array.from(this.validationRules.tagNames),
-        safeAttributes: Array.from(this.validationRules.safeAttributes)
+        safeAttributes: Array.from(this.validationRules.safeAttributes),
+        domProperties: Array.from(this.validationRules.domProperties)
       }
     };
   }
@@ -0,0 +1,232 @@
+/**
+ * HTMLSanitizer Component
+ *
+ * Policy-driven HTML sanitizer built on DOMParser. Markup is parsed into an
+ * inert document, walked node by node and rebuilt from what the policy
+ * allows, with a report of every element and attribute that was dropped.
+ *
+ * @fileoverview Configurable DOM-based HTML sanitizer
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * HTMLSanitizer class applying an allow-list policy to markup
+ * @class HTMLSanitizer
+ */
+export class HTMLSanitizer {
+  /**
+   * Initialize the sanitizer
+   * @param {Object} [policy={}] - Sanitization policy
+   * @param {Iterable<string>} [policy.allowedTags] - Tags that are kept
+   * @param {Object<string, Iterable<string>>} [policy.allowedAttributes] - Attributes allowed per tag; '*' applies to every tag
+   * @param {Iterable<string>} [policy.urlAttributes] - Attributes whose values are URLs
+   * @param {Iterable<string>} [policy.allowedSchemes] - URL schemes allowed in URL attributes (relative URLs are always allowed)
+   * @param {boolean} [policy.allowDataAttributes=true] - Keep data-* attributes
+   * @param {boolean} [policy.allowAriaAttributes=true] - Keep aria-* attributes
+   * @param {Iterable<string>} [policy.dropContentTags] - Disallowed tags removed together with their content
+   */
+  constructor(policy = {}) {
+    this.policy = HTMLSanitizer.normalizePolicy(policy);
+  }
+
+  /**
+   * Fill in defaults and convert list options to Sets
+   * @param {Object} policy - Partial policy
+   * @returns {Object} Normalized policy
+   */
+  static normalizePolicy(policy) {
+    const allowedAttributes = {};
+
+    Object.entries(policy.allowedAttributes || { '*': [] }).forEach(
+      ([tagName, attributes]) => {
+        allowedAttributes[tagName.toLowerCase()] = new Set(attributes);
+      }
+    );
+
+    return {
+      allowedTags: new Set(policy.allowedTags || []),
+      allowedAttributes,
+      urlAttributes: new Set(
+        policy.urlAttributes || [
+          'href',
+          'src',
+          'action',
+          'formaction',
+          'cite',
+          'poster'
+        ]
+      ),
+      allowedSchemes: new Set(
+        policy.allowedSchemes || ['http', 'https', 'mailto', 'tel']
+      ),
+      allowDataAttributes: policy.allowDataAttributes ?? true,
+      allowAriaAttributes: policy.allowAriaAttributes ?? true,
+      dropContentTags: new Set(
+        policy.dropContentTags || [
+          'script',
+          'style',
+          'template',
+          'iframe',
+          'object',
+          'embed',
+          'noscript'
+        ]
+      )
+    };
+  }
+
+  /**
+   * Sanitize an HTML string
+   * @param {string} html - Untrusted markup
+   * @returns {Object} Sanitized markup and a list of removed items
+   */
+  sanitize(html) {
+    const removed = [];
+
+    if (typeof html !== 'string' || html === '') {
+      return { html: '', removed };
+    }
+
+    const parsed = new DOMParser().parseFromString(
+      `<!DOCTYPE html><body>${html}`,
+      'text/html'
+    );
+
+    this.sanitizeChildren(parsed.body, removed);
+
+    return { html: parsed.body.innerHTML, removed };
+  }
+
+  /**
+   * Sanitize the children of a parsed node in place
+   * @param {Node} parent - Parsed parent node
+   * @param {Array<Object>} removed - Report to populate
+   * @private
+   */
+  sanitizeChildren(parent, removed) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        removed.push({
+          type: 'node',
+          name: node.nodeName.toLowerCase(),
+          reason: 'Only elements and text are allowed'
+        });
+        node.remove();
+        return;
+      }
+
+      const tagName = node.tagName.toLowerCase();
+
+      if (this.policy.dropContentTags.has(tagName)) {
+        removed.push({
+          type: 'element',
+          name: tagName,
+          reason: 'Tag is removed together with its content'
+        });
+        node.remove();
+        return;
+      }
+
+      this.sanitizeChildren(node, removed);
+
+      if (!this.policy.allowedTags.has(tagName)) {
+        removed.push({
+          type: 'element',
+          name: tagName,
+          reason: 'Tag is not allowed; its content was kept'
+        });
+        node.replaceWith(...Array.from(node.childNodes));
+        return;
+      }
+
+      Array.from(node.attributes).forEach(attr => {
+        const result = this.sanitizeAttribute(tagName, attr.name, attr.value);
+
+        if (!result.allowed) {
+          removed.push({
+            type: 'attribute',
+            name: attr.name,
+            tagName,
+            value: attr.value,
+            reason: result.reason
+          });
+          node.removeAttribute(attr.name);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check a single attribute against the policy
+   * @param {string} tagName - Owning tag name
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {Object} { allowed, value, reason }
+   */
+  sanitizeAttribute(tagName, name, value) {
+    const attribute = name.toLowerCase();
+    const reject = reason => ({ allowed: false, value: '', reason });
+
+    if (attribute.startsWith('on')) {
+      return reject('Event handler attributes are not allowed');
+    }
+
+    if (attribute === 'srcdoc') {
+      return reject('Inline documents are not allowed');
+    }
+
+    if (!this.isAttributeAllowed(tagName.toLowerCase(), attribute)) {
+      return reject('Attribute is not allowed by the policy');
+    }
+
+    if (this.policy.urlAttributes.has(attribute) && !this.isSafeURL(value)) {
+      return reject('URL scheme is not allowed');
+    }
+
+    if (attribute === 'style' && /expression\s*\(|javascript:/i.test(value)) {
+      return reject('Style contains script');
+    }
+
+    return { allowed: true, value, reason: null };
+  }
+
+  /**
+   * Check whether the policy allows an attribute on a tag
+   * @param {string} tagName - Lower-case tag name
+   * @param {string} attribute - Lower-case attribute name
+   * @returns {boolean} True if allowed
+   * @private
+   */
+  isAttributeAllowed(tagName, attribute) {
+    if (attribute.startsWith('data-')) return this.policy.allowDataAttributes;
+    if (attribute.startsWith('aria-')) return this.policy.allowAriaAttributes;
+
+    const { allowedAttributes } = this.policy;
+
+    return Boolean(
+      allowedAttributes['*']?.has(attribute) ||
+        allowedAttributes[tagName]?.has(attribute)
+    );
+  }
+
+  /**
+   * Check a URL value against the allowed schemes
+   * @param {string} value - URL value
+   * @returns {boolean} True for relative URLs and allowed schemes
+   */
+  isSafeURL(value) {
+    // Browsers ignore control characters and whitespace inside schemes
+    const normalized = Array.from(String(value))
+      .filter(char => {
+        const code = char.charCodeAt(0);
+        return code > 0x20 && code !== 0x7f;
+      })
+      .join('');
+    const match = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    return !match || this.policy.allowedSchemes.has(match[1].toLowerCase());
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Manipulation Commands
+ *
+ * Command objects used by ElementManipulator's undo/redo history. Each
+ * command captures the parent and sibling anchors it needs when it is
+ * created, so that do() and undo() are exact inverses of each other and
+ * can be replayed any number of times.
+ *
+ * @fileoverview Undoable DOM manipulation commands
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * Capture the exact attribute list and child nodes of an element
+ * @param {HTMLElement} element - Element to capture
+ * @returns {Object} Captured state
+ */
+export function captureNodeState(element) {
+  return {
+    attributes: Array.from(element.attributes).map(attr => [
+      attr.name,
+      attr.value
+    ]),
+    childNodes: Array.from(element.childNodes)
+  };
+}
+
+/**
+ * Restore a state captured by captureNodeState, preserving attribute order
+ * and the identity of the original child nodes
+ * @param {HTMLElement} element - Element to restore
+ * @param {Object} state - Captured state
+ */
+export function restoreNodeState(element, state) {
+  const current = Array.from(element.attributes).map(attr => [
+    attr.name,
+    attr.value
+  ]);
+  const attributesMatch =
+    current.length === state.attributes.length &&
+    current.every(
+      ([name, value], index) =>
+        name === state.attributes[index][0] &&
+        value === state.attributes[index][1]
+    );
+
+  if (!attributesMatch) {
+    current.forEach(([name]) => element.removeAttribute(name));
+    state.attributes.forEach(([name, value]) =>
+      element.setAttribute(name, value)
+    );
+  }
+
+  const childrenMatch =
+    element.childNodes.length === state.childNodes.length &&
+    state.childNodes.every(
+      (child, index) => element.childNodes[index] === child
+    );
+
+  if (!childrenMatch) {
+    element.replaceChildren(...state.childNodes);
+  }
+}
+
+/**
+ * Base class for undoable manipulation commands
+ * @class ManipulationCommand
+ */
+export class ManipulationCommand {
+  /**
+   * Create a command
+   * @param {string} type - Operation type
+   * @param {HTMLElement} element - Element the command operates on
+   */
+  constructor(type, element) {
+    this.type = type;
+    this.element = element;
+    this.timestamp = Date.now();
+  }
+
+  /**
+   * Perform (or redo) the command
+   */
+  do() {
+    throw new Error(`${this.constructor.name} must implement do()`);
+  }
+
+  /**
+   * Revert the command
+   */
+  undo() {
+    throw new Error(`${this.constructor.name} must implement undo()`);
+  }
+}
+
+/**
+ * Places an element at a parent/next-sibling anchor and can return it to
+ * where it came from (another position, or detached)
+ * @class InsertCommand
+ */
+export class InsertCommand extends ManipulationCommand {
+  /**
+   * Create an insert command
+   * @param {HTMLElement} element - Element to insert
+   * @param {Node} parent - Target parent
+   * @param {Node|null} nextSibling - Node to insert before, null to append
+   * @param {string} [type='insert'] - Operation type
+   */
+  constructor(element, parent, nextSibling, type = 'insert') {
+    super(type, element);
+    this.parent = parent;
+    this.nextSibling = nextSibling;
+    this.originalParent = element.parentNode;
+    this.originalNextSibling = element.nextSibling;
+  }
+
+  /**
+   * Insert the element at the target anchor
+   */
+  do() {
+    this.parent.insertBefore(this.element, this.nextSibling);
+  }
+
+  /**
+   * Return the element to its original anchor, or detach it
+   */
+  undo() {
+    if (this.originalParent) {
+      this.originalParent.insertBefore(this.element, this.originalNextSibling);
+    } else {
+      this.element.remove();
+    }
+  }
+}
+
+/**
+ * Insert of a newly created element
+ * @class CreateCommand
+ */
+export class CreateCommand extends InsertCommand {
+  /**
+   * Create a create command
+   * @param {HTMLElement} element - Newly created, detached element
+   * @param {Node} parent - Target parent
+   * @param {Node|null} nextSibling - Node to insert before, null to append
+   */
+  constructor(element, parent, nextSibling) {
+    super(element, parent, nextSibling, 'create');
+  }
+}
+
+/**
+ * Insert of an element that is already attached elsewhere
+ * @class MoveCommand
+ */
+export class MoveCommand extends InsertCommand {
+  /**
+   * Create a move command
+   * @param {HTMLElement} element - Attached element to move
+   * @param {Node} parent - Target parent
+   * @param {Node|null} nextSibling - Node to insert before, null to append
+   */
+  constructor(element, parent, nextSibling) {
+    super(element, parent, nextSibling, 'move');
+  }
+}
+
+/**
+ * Insert of a clone next to its source
+ * @class CloneCommand
+ */
+export class CloneCommand extends InsertCommand {
+  /**
+   * Create a clone command
+   * @param {HTMLElement} clone - Detached clone
+   * @param {HTMLElement} source - Element the clone was made from
+   * @param {Node} parent - Target parent
+   * @param {Node|null} nextSibling - Node to insert before, null to append
+   */
+  constructor(clone, source, parent, nextSibling) {
+    super(clone, parent, nextSibling, 'clone');
+    this.source = source;
+  }
+}
+
+/**
+ * Detaches an element and can put it back at the same anchor
+ * @class RemoveCommand
+ */
+export class RemoveCommand extends ManipulationCommand {
+  /**
+   * Create a remove command
+   * @param {HTMLElement} element - Attached element to remove
+   */
+  constructor(element) {
+    super('remove', element);
+    this.parent = element.parentNode;
+    this.nextSibling = element.nextSibling;
+  }
+
+  /**
+   * Detach the element
+   */
+  do() {
+    this.element.remove();
+  }
+
+  /**
+   * Put the element back at its original anchor
+   */
+  undo() {
+    this.parent.insertBefore(this.element, this.nextSibling);
+  }
+}
+
+/**
+ * Switches an element between two captured attribute/child states
+ * @class ModifyCommand
+ */
+export class ModifyCommand extends ManipulationCommand {
+  /**
+   * Create a modify command
+   * @param {HTMLElement} element - Modified element
+   * @param {Object} beforeState - State captured before the change
+   * @param {Object} afterState - State captured after the change
+   * @param {Array<Object>} [changes=[]] - Applied change records; those flagged domProperty are replayed as properties
+   */
+  constructor(element, beforeState, afterState, changes = []) {
+    super('modify', element);
+    this.beforeState = beforeState;
+    this.afterState = afterState;
+    this.changes = changes;
+    this.propertyChanges = changes.filter(change => change.domProperty);
+  }
+
+  /**
+   * Apply the modified state
+   */
+  do() {
+    restoreNodeState(this.element, this.afterState);
+    this.propertyChanges.forEach(({ property, newValue }) => {
+      this.element[property] = newValue;
+    });
+  }
+
+  /**
+   * Restore the original state
+   */
+  undo() {
+    restoreNodeState(this.element, this.beforeState);
+    this.propertyChanges
+      .slice()
+      .reverse()
+      .forEach(({ property, oldValue }) => {
+        this.element[property] = oldValue;
+      });
+  }
+}
+
+/**
+ * Groups several commands into one atomic step
+ * @class TransactionCommand
+ */
+export class TransactionCommand extends ManipulationCommand {
+  /**
+   * Create a transaction command
+   * @param {string} label - Transaction name
+   * @param {Array<ManipulationCommand>} [commands=[]] - Grouped commands
+   */
+  constructor(label, commands = []) {
+    super('transaction', null);
+    this.label = label;
+    this.commands = commands;
+  }
+
+  /**
+   * Perform every grouped command in order
+   */
+  do() {
+    this.commands.forEach(command => command.do());
+  }
+
+  /**
+   * Revert every grouped command in reverse order
+   */
+  undo() {
+    this.commands
+      .slice()
+      .reverse()
+      .forEach(command => command.undo());
+  }
+}
@@ -8,6 +8,37 @@
  * @version 1.0.0
  */
 
+import { SelectorGenerator } from './SelectorGenerator.js';
+import { HTMLSanitizer } from './HTMLSanitizer.js';
+import {
+  captureNodeState,
+  CloneCommand,
+  CreateCommand,
+  ModifyCommand,
+  MoveCommand,
+  RemoveCommand,
+  TransactionCommand
+} from './ManipulationCommands.js';
+
+/**
+ * Elements that cannot have children
+ */
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr'
+]);
+
 export class NodeTreeEditor {
   /**
    * Create a new NodeTreeEditor instance
@@ -51,6 +82,12 @@ export class NodeTreeEditor {
     this.changeHistory = [];
     this.maxHistorySize = 50;
 
+    // Tag and attribute rules for edits and imports
+    this.sanitizer = new HTMLSanitizer();
+
+    // Selector generation for the details panel
+    this.selectorGenerator = new SelectorGenerator();
+
     this.initialize();
   }
 
@@ -87,6 +124,10 @@ export class NodeTreeEditor {
               <span class="icon">🔄</span>
               Refresh
             </button>
+            <button class="toolbar-btn" id="undo-change" title="Undo Last Change (Ctrl+Z)" disabled>
+              <span class="icon">↶</span>
+              Undo
+            </button>
           </div>
 
           <div class="toolbar-section">
@@ -213,6 +254,7 @@ export class NodeTreeEditor {
     this.addEventListener('click', '#expand-all', () => this.expandAll());
     this.addEventListener('click', '#collapse-all', () => this.collapseAll());
     this.addEventListener('click', '#refresh-tree', () => this.refreshTree());
+    this.addEventListener('click', '#undo-change', () => this.undo());
     this.addEventListener('click', '#load-demo', () => this.loadDemoContent());
 
     // Filter functionality
@@ -243,6 +285,20 @@ export class NodeTreeEditor {
     this.addEventListener('click', '#export-tree', () => this.exportTree());
     this.addEventListener('click', '#import-tree', () => this.importTree());
 
+    // Inline editing
+    this.addEventListener('submit', '.inline-edit-form', event => {
+      event.preventDefault();
+      this.submitInlineEdit(event.target);
+    });
+    this.addEventListener('click', '.inline-edit-cancel', () =>
+      this.cancelInlineEdit()
+    );
+
+    // Generated selectors
+    this.addEventListener('click', '.copy-selector-btn', event => {
+      this.copySelector(event.target.dataset.selector);
+    });
+
     // Tree view interactions (delegated)
     this.addEventListener('click', '.tree-view', event => {
       this.handleTreeClick(event);
@@ -286,6 +342,15 @@ export class NodeTreeEditor {
           this.cancelInlineEdit();
           this.clearSelection();
           break;
+        case 'z':
+          if (
+            (event.ctrlKey || event.metaKey) &&
+            event.target.tagName !== 'INPUT'
+          ) {
+            event.preventDefault();
+            this.undo();
+          }
+          break;
       }
     });
   }
@@ -307,8 +372,8 @@ export class NodeTreeEditor {
       this.handleDrop(event);
     });
 
-    this.addEventListener('dragend', '.tree-node', event => {
-      this.handleDragEnd(event);
+    this.addEventListener('dragend', '.tree-node', () => {
+      this.handleDragEnd();
     });
   }
 
@@ -324,8 +389,13 @@ export class NodeTreeEditor {
 
     this.state.rootElement = element;
     this.state.selectedNode = null;
+    this.state.editingNode = null;
     this.state.expandedNodes.clear();
 
+    // Recorded changes belong to the previous tree
+    this.changeHistory = [];
+    this.updateUndoButton();
+
     // Auto-expand first few levels
     this.autoExpandNodes(element, this.options.expandedByDefault);
 
@@ -429,8 +499,8 @@ export class NodeTreeEditor {
 
           <div class="node-label">
             <span class="node-tag">${nodeInfo.tagName}</span>
-            ${nodeInfo.id ? `<span class="node-id">#${nodeInfo.id}</span>` : ''}
-            ${nodeInfo.classes ? `<span class="node-classes">.${nodeInfo.classes}</span>` : ''}
+            ${nodeInfo.id ? `<span class="node-id">#${this.escapeHTML(nodeInfo.id)}</span>` : ''}
+            ${nodeInfo.classes ? `<span class="node-classes">.${this.escapeHTML(nodeInfo.classes)}</span>` : ''}
           </div>
 
           <div class="node-actions">
@@ -442,17 +512,18 @@ export class NodeTreeEditor {
 
     // Add attributes if enabled
     if (this.state.showAttributes && nodeInfo.attributes.length > 0) {
-      nodeContent += `
-        <div class="node-attributes">
-          ${nodeInfo.attributes
-            .map(
-              attr =>
-                `<span class="attribute">
+      const attributes = nodeInfo.attributes
+        .map(
+          attr => `<span class="attribute">
               <span class="attr-name">${attr.name}</span>=
-              <span class="attr-value">"${attr.value}"</span>
+              <span class="attr-value">"${this.escapeHTML(attr.value)}"</span>
             </span>`
-            )
-            .join('')}
+        )
+        .join('');
+
+      nodeContent += `
+        <div class="node-attributes">
+          ${attributes}
         </div>`;
     }
 
@@ -461,7 +532,7 @@ export class NodeTreeEditor {
       nodeContent += `
         <div class="node-text-content">
           <span class="text-label">Text:</span>
-          <span class="text-value">${nodeInfo.textContent}</span>
+          <span class="text-value">${this.escapeHTML(nodeInfo.textContent)}</span>
         </div>`;
     }
 
@@ -620,7 +691,7 @@ export class NodeTreeEditor {
 
   /**
    * Generate unique ID for node
-   * @param {HTMLElement} node - Node to generate ID for
+   * @param {Node} node - Node to generate ID for
    * @returns {string} Unique node ID
    * @private
    */
@@ -631,10 +702,11 @@ export class NodeTreeEditor {
     let current = node;
     const path = [];
 
+    // Index among all child nodes so text nodes get an ID too
     while (current && current.parentElement) {
-      const siblings = Array.from(current.parentElement.children);
+      const siblings = Array.from(current.parentElement.childNodes);
       const index = siblings.indexOf(current);
-      path.unshift(`${current.tagName.toLowerCase()}-${index}`);
+      path.unshift(`${current.nodeName.toLowerCase()}-${index}`);
       current = current.parentElement;
     }
 
@@ -647,6 +719,8 @@ export class NodeTreeEditor {
    * @private
    */
   handleTreeClick(event) {
+    if (event.target.closest('.inline-edit-form')) return;
+
     const treeNode = event.target.closest('.tree-node');
     if (!treeNode) return;
 
@@ -674,11 +748,13 @@ export class NodeTreeEditor {
    * @private
    */
   handleTreeDoubleClick(event) {
+    if (event.target.closest('.inline-edit-form')) return;
+
     const treeNode = event.target.closest('.tree-node');
     if (!treeNode) return;
 
     if (this.options.enableInlineEdit) {
-      this.startInlineEdit();
+      this.startInlineEdit(this.findNodeById(treeNode.dataset.nodeId));
     }
 
     event.stopPropagation();
@@ -691,6 +767,7 @@ export class NodeTreeEditor {
    */
   handleKeyboardNavigation(event) {
     if (!this.state.selectedNode) return;
+    if (event.target.closest('.inline-edit-form')) return;
 
     switch (event.key) {
       case 'ArrowDown':
@@ -877,6 +954,41 @@ export class NodeTreeEditor {
     }
 
     const nodeInfo = this.getNodeInfo(node);
+    let attributesSection = '';
+    let textSection = '';
+
+    if (nodeInfo.attributes.length > 0) {
+      const attributes = nodeInfo.attributes
+        .map(
+          attr => `
+                <div class="attribute-item">
+                  <span class="attr-name">${attr.name}</span>
+                  <span class="attr-value">${this.escapeHTML(attr.value)}</span>
+                </div>
+              `
+        )
+        .join('');
+
+      attributesSection = `
+          <div class="detail-section">
+            <h6>Attributes</h6>
+            <div class="attributes-list">
+              ${attributes}
+            </div>
+          </div>
+        `;
+    }
+
+    if (nodeInfo.textContent) {
+      textSection = `
+          <div class="detail-section">
+            <h6>Text Content</h6>
+            <div class="text-content-display">
+              ${this.escapeHTML(nodeInfo.textContent)}
+            </div>
+          </div>
+        `;
+    }
 
     detailsContainer.innerHTML = `
       <div class="node-detail-content">
@@ -898,36 +1010,18 @@ export class NodeTreeEditor {
             </div>
             <div class="detail-item">
               <label>ID:</label>
-              <span>${nodeInfo.id || 'None'}</span>
+              <span>${this.escapeHTML(nodeInfo.id || 'None')}</span>
             </div>
             <div class="detail-item">
               <label>Classes:</label>
-              <span>${nodeInfo.classes || 'None'}</span>
+              <span>${this.escapeHTML(nodeInfo.classes || 'None')}</span>
             </div>
           </div>
         </div>
 
-        ${
-          nodeInfo.attributes.length > 0
-            ? `
-          <div class="detail-section">
-            <h6>Attributes</h6>
-            <div class="attributes-list">
-              ${nodeInfo.attributes
-                .map(
-                  attr => `
-                <div class="attribute-item">
-                  <span class="attr-name">${attr.name}</span>
-                  <span class="attr-value">${attr.value}</span>
-                </div>
-              `
-                )
-                .join('')}
-            </div>
-          </div>
-        `
-            : ''
-        }
+        ${node.nodeType === Node.ELEMENT_NODE ? this.renderSelectorDetails(node) : ''}
+
+        ${attributesSection}
 
         <div class="detail-section">
           <h6>Structure</h6>
@@ -947,22 +1041,67 @@ export class NodeTreeEditor {
           </div>
         </div>
 
-        ${
-          nodeInfo.textContent
-            ? `
-          <div class="detail-section">
-            <h6>Text Content</h6>
-            <div class="text-content-display">
-              ${nodeInfo.textContent}
+        ${textSection}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the generated selectors section of the details panel
+   * @param {HTMLElement} element - Selected element
+   * @returns {string} HTML
+   * @private
+   */
+  renderSelectorDetails(element) {
+    const { alternatives, fallback } = this.selectorGenerator.generate(element);
+    const items = alternatives
+      .map(
+        alternative => `
+            <div class="selector-alternative">
+              <code>${this.escapeHTML(alternative.selector)}</code>
+              <span class="selector-robustness">${alternative.robustness}/100</span>
+              <button class="copy-selector-btn" data-selector="${this.escapeHTML(alternative.selector)}" title="Copy selector">📋</button>
             </div>
-          </div>
-        `
-            : ''
-        }
+          `
+      )
+      .join('');
+
+    return `
+      <div class="detail-section">
+        <h6>Selector${fallback ? ' ⚠️' : ''}</h6>
+        <div class="selector-alternatives">
+          ${items}
+        </div>
       </div>
     `;
   }
 
+  /**
+   * Copy a selector to the clipboard
+   * @param {string} selector - CSS selector
+   * @private
+   */
+  copySelector(selector) {
+    navigator.clipboard
+      .writeText(selector)
+      .then(() => console.log(`📋 Selector copied: ${selector}`))
+      .catch(error => console.error('❌ Failed to copy selector:', error));
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   * @private
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Update quick actions availability
    * @param {boolean} hasSelection - Whether a node is selected
@@ -1086,13 +1225,13 @@ export class NodeTreeEditor {
   handleNodeAction(action, node) {
     switch (action) {
       case 'edit':
-        this.startInlineEdit();
+        this.startInlineEdit(node);
         break;
       case 'add-child':
-        this.addChildNode();
+        this.addChildNode(node);
         break;
       case 'delete':
-        this.deleteNode();
+        this.deleteNode(node);
         break;
       default:
         console.warn(`Unknown action: ${action}`);
@@ -1208,41 +1347,910 @@ export class NodeTreeEditor {
   collapseSelectedNode() {
     console.log('Collapse selected node');
   }
-  startInlineEdit() {
-    console.log('Start inline editing');
+
+  /**
+   * Start editing a node's tag, direct text and attributes in place
+   * @param {HTMLElement} [node=this.state.selectedNode] - Element to edit
+   */
+  startInlineEdit(node = this.state.selectedNode) {
+    if (!node || !this.options.enableInlineEdit) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      console.warn('⚠️ Only elements can be edited inline');
+      return;
+    }
+
+    this.cancelInlineEdit();
+    if (this.state.selectedNode !== node) {
+      this.selectNode(node);
+    }
+
+    const treeNode = this.getTreeNodeElement(node);
+    if (!treeNode) return;
+
+    const form = document.createElement('form');
+    form.className = 'inline-edit-form';
+    form.innerHTML = `
+      <label class="inline-edit-field">
+        <span>Tag</span>
+        <input name="tagName" class="inline-edit-input" value="${this.escapeHTML(node.tagName.toLowerCase())}" spellcheck="false" />
+      </label>
+      <label class="inline-edit-field">
+        <span>Text</span>
+        <input name="text" class="inline-edit-input" value="${this.escapeHTML(this.getDirectText(node))}" />
+      </label>
+      <label class="inline-edit-field">
+        <span>Attributes</span>
+        <input name="attributes" class="inline-edit-input" value="${this.escapeHTML(this.serializeAttributes(node))}" spellcheck="false" />
+      </label>
+      <div class="inline-edit-error" hidden></div>
+      <div class="inline-edit-actions">
+        <button type="submit" class="inline-edit-save">✓ Save</button>
+        <button type="button" class="inline-edit-cancel">✕ Cancel</button>
+      </div>
+    `;
+
+    // Text selection inside inputs does not work in draggable elements
+    treeNode.draggable = false;
+    treeNode.querySelector('.node-header').after(form);
+    this.state.editingNode = node;
+
+    const input = form.querySelector('.inline-edit-input');
+    input.focus();
+    input.select();
   }
+
+  /**
+   * Close the inline editor without applying changes
+   */
   cancelInlineEdit() {
-    console.log('Cancel inline editing');
+    const form = this.container.querySelector('.inline-edit-form');
+    if (form) {
+      form.closest('.tree-node').draggable = this.options.enableDragDrop;
+      form.remove();
+    }
+
+    this.state.editingNode = null;
+  }
+
+  /**
+   * Apply the values of the inline editor
+   * @param {HTMLFormElement} form - Inline edit form
+   * @private
+   */
+  submitInlineEdit(form) {
+    const node = this.state.editingNode;
+    if (!node) return;
+
+    try {
+      this.applyNodeEdit(node, {
+        tagName: form.elements.tagName.value,
+        text: form.elements.text.value,
+        attributes: form.elements.attributes.value
+      });
+    } catch (error) {
+      const message = form.querySelector('.inline-edit-error');
+      message.textContent = error.message;
+      message.hidden = false;
+    }
+  }
+
+  /**
+   * Change an element's tag, direct text and attributes as one undoable
+   * change. Renaming replaces the element with a new one that takes over
+   * its attributes and children.
+   * @param {HTMLElement} element - Element to edit
+   * @param {Object} changes - Values to apply; omitted values are kept
+   * @param {string} [changes.tagName] - New tag name
+   * @param {string} [changes.text] - New direct text
+   * @param {string} [changes.attributes] - Attributes as written in HTML, e.g. 'id="a" hidden'
+   * @returns {HTMLElement} The edited element, or its replacement after a rename
+   */
+  applyNodeEdit(element, changes) {
+    try {
+      const tagName = (changes.tagName ?? element.tagName).trim().toLowerCase();
+      const rename = tagName !== element.tagName.toLowerCase();
+      const attributes =
+        changes.attributes === undefined
+          ? null
+          : this.parseAttributes(changes.attributes);
+      const childNodes =
+        changes.text === undefined
+          ? null
+          : this.replaceDirectText(element, changes.text.trim());
+
+      if (rename) {
+        this.validateTagName(tagName);
+        if (element === this.state.rootElement) {
+          throw new Error('the tree root cannot be renamed');
+        }
+      }
+
+      const beforeState = captureNodeState(element);
+      const afterState = {
+        attributes: attributes || beforeState.attributes,
+        childNodes: childNodes || beforeState.childNodes
+      };
+      const attributesChanged =
+        JSON.stringify(afterState.attributes) !==
+        JSON.stringify(beforeState.attributes);
+
+      if (!rename && !attributesChanged && !childNodes) {
+        this.cancelInlineEdit();
+        return element;
+      }
+
+      // Everything is validated and built before the DOM is touched
+      const renamed = rename
+        ? this.renameElement(element, tagName, afterState)
+        : null;
+      const edited = renamed?.element ?? element;
+      const commands = renamed?.commands ?? [
+        new ModifyCommand(element, beforeState, afterState)
+      ];
+
+      const command = new TransactionCommand('edit', commands);
+      command.do();
+
+      this.recordChange({
+        type: 'edit',
+        command,
+        target: edited,
+        undoTarget: element
+      });
+
+      console.log('✏️ Node edited:', edited.tagName);
+      return edited;
+    } catch (error) {
+      throw new Error(`Node edit failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the commands that replace an element with a new element of
+   * another tag. The replacement takes over the given attributes and
+   * children; the commands are returned without being run.
+   * @param {HTMLElement} element - Attached element
+   * @param {string} tagName - Validated tag name
+   * @param {Object} state - Attributes and child nodes for the replacement
+   * @returns {Object} { element, commands } with the replacement and its commands
+   * @private
+   */
+  renameElement(element, tagName, state) {
+    const replacement = document.createElement(tagName);
+    const current = captureNodeState(element);
+    const wasExpanded = this.state.expandedNodes.has(this.getNodeId(element));
+
+    // Commands capture their anchors when built, which must be before any runs
+    const commands = [
+      new CreateCommand(replacement, element.parentNode, element),
+      new ModifyCommand(element, current, {
+        attributes: current.attributes,
+        childNodes: []
+      }),
+      new ModifyCommand(replacement, { attributes: [], childNodes: [] }, state),
+      new RemoveCommand(element)
+    ];
+
+    if (wasExpanded) {
+      this.state.expandedNodes.add(this.getNodeId(replacement));
+    }
+
+    return { element: replacement, commands };
+  }
+
+  /**
+   * Get the text an element contains directly, as shown in the tree
+   * @param {HTMLElement} element - Element
+   * @returns {string} Direct text
+   * @private
+   */
+  getDirectText(element) {
+    return Array.from(element.childNodes)
+      .filter(child => child.nodeType === Node.TEXT_NODE)
+      .map(child => child.textContent.trim())
+      .filter(text => text.length > 0)
+      .join(' ');
+  }
+
+  /**
+   * Work out the child list after changing an element's direct text. The
+   * first text node is replaced and the other non-blank ones are dropped,
+   * so child elements keep their place.
+   * @param {HTMLElement} element - Element
+   * @param {string} text - New direct text
+   * @returns {Array<Node>|null} New child list, null if the text is unchanged
+   * @private
+   */
+  replaceDirectText(element, text) {
+    if (text === this.getDirectText(element)) return null;
+
+    const children = Array.from(element.childNodes);
+    const textNodes = children.filter(
+      child => child.nodeType === Node.TEXT_NODE && child.textContent.trim()
+    );
+    const replacement = text ? [document.createTextNode(text)] : [];
+
+    if (textNodes.length === 0) {
+      return [...children, ...replacement];
+    }
+
+    return children.flatMap(child => {
+      if (child === textNodes[0]) return replacement;
+      return textNodes.includes(child) ? [] : [child];
+    });
+  }
+
+  /**
+   * Write an element's attributes the way they appear in HTML
+   * @param {HTMLElement} element - Element
+   * @returns {string} Attribute text
+   * @private
+   */
+  serializeAttributes(element) {
+    return Array.from(element.attributes)
+      .map(({ name, value }) => {
+        if (value === '') return name;
+        const quote = value.includes('"') ? "'" : '"';
+        return `${name}=${quote}${value}${quote}`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Parse attributes written as in HTML. The first occurrence of a
+   * repeated name wins, as in the HTML parser.
+   * @param {string} text - Attribute text, e.g. 'id="a" class=b hidden'
+   * @returns {Array<Array<string>>} [name, value] pairs in order
+   * @private
+   */
+  parseAttributes(text) {
+    const pattern =
+      /([^\s"'=<>`]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    const attributes = [];
+    const rest = text.replace(pattern, (match, name, double, single, bare) => {
+      const attribute = name.toLowerCase();
+      const value = double ?? single ?? bare ?? '';
+
+      this.validateAttribute(attribute, value);
+      if (!attributes.some(([existing]) => existing === attribute)) {
+        attributes.push([attribute, value]);
+      }
+      return '';
+    });
+
+    if (rest.trim()) {
+      throw new Error(`cannot read attributes near "${rest.trim()}"`);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Check a tag name before creating an element with it
+   * @param {string} tagName - Tag name
+   * @private
+   */
+  validateTagName(tagName) {
+    if (!/^[a-z][a-z0-9-]*$/i.test(tagName)) {
+      throw new Error(`"${tagName}" is not a valid tag name`);
+    }
+    if (this.sanitizer.policy.dropContentTags.has(tagName.toLowerCase())) {
+      throw new Error(`<${tagName}> elements are not allowed`);
+    }
+  }
+
+  /**
+   * Check an attribute before setting it, rejecting event handlers and
+   * unsafe URLs as the HTML sanitizer does
+   * @param {string} name - Lower-case attribute name
+   * @param {string} value - Attribute value
+   * @private
+   */
+  validateAttribute(name, value) {
+    try {
+      document.createElement('div').setAttribute(name, '');
+    } catch {
+      throw new Error(`"${name}" is not a valid attribute name`);
+    }
+
+    if (name.startsWith('on')) {
+      throw new Error(
+        `event handler attributes such as ${name} are not allowed`
+      );
+    }
+    if (
+      this.sanitizer.policy.urlAttributes.has(name) &&
+      !this.sanitizer.isSafeURL(value)
+    ) {
+      throw new Error(`the URL in ${name} uses a scheme that is not allowed`);
+    }
+  }
+
+  /**
+   * Add a new element as the last child of a node and start editing it
+   * @param {HTMLElement} [parent=this.state.selectedNode] - Parent element
+   * @param {string} [tagName='div'] - Tag of the new element
+   * @returns {HTMLElement|null} New element, null if the parent cannot have children
+   */
+  addChildNode(parent = this.state.selectedNode, tagName = 'div') {
+    if (!this.canContainChildren(parent)) {
+      console.warn('⚠️ Select an element that can have children');
+      return null;
+    }
+
+    const element = document.createElement(tagName);
+    const command = new CreateCommand(element, parent, null);
+    command.do();
+
+    this.state.expandedNodes.add(this.getNodeId(parent));
+    this.recordChange({
+      type: 'add-child',
+      command,
+      target: element,
+      undoTarget: parent
+    });
+    this.startInlineEdit(element);
+
+    console.log('➕ Child node added to', parent.tagName);
+    return element;
+  }
+
+  /**
+   * Add a new element right after a node and start editing it
+   * @param {Node} [node=this.state.selectedNode] - Reference node
+   * @param {string} [tagName='div'] - Tag of the new element
+   * @returns {HTMLElement|null} New element, null for the tree root
+   */
+  addSiblingNode(node = this.state.selectedNode, tagName = 'div') {
+    if (!node || node === this.state.rootElement) {
+      console.warn('⚠️ Select a node inside the tree to add a sibling');
+      return null;
+    }
+
+    const element = document.createElement(tagName);
+    const command = new CreateCommand(
+      element,
+      node.parentNode,
+      node.nextSibling
+    );
+    command.do();
+
+    this.recordChange({
+      type: 'add-sibling',
+      command,
+      target: element,
+      undoTarget: node
+    });
+    this.startInlineEdit(element);
+
+    console.log('🔗 Sibling node added after', node.tagName);
+    return element;
   }
-  addChildNode() {
-    console.log('Add child node');
+
+  /**
+   * Insert a deep copy of a node right after it. IDs are removed from the
+   * copy so they stay unique.
+   * @param {Node} [node=this.state.selectedNode] - Node to duplicate
+   * @returns {Node|null} The copy, null for the tree root
+   */
+  duplicateNode(node = this.state.selectedNode) {
+    if (!node || node === this.state.rootElement) {
+      console.warn('⚠️ Select a node inside the tree to duplicate');
+      return null;
+    }
+
+    const clone = node.cloneNode(true);
+    if (clone.nodeType === Node.ELEMENT_NODE) {
+      [clone, ...clone.querySelectorAll('[id]')].forEach(element =>
+        element.removeAttribute('id')
+      );
+    }
+
+    const command = new CloneCommand(
+      clone,
+      node,
+      node.parentNode,
+      node.nextSibling
+    );
+    command.do();
+
+    this.recordChange({
+      type: 'duplicate',
+      command,
+      target: clone,
+      undoTarget: node
+    });
+
+    console.log('📋 Node duplicated:', node.tagName);
+    return clone;
   }
-  addSiblingNode() {
-    console.log('Add sibling node');
+
+  /**
+   * Remove a node from the DOM and select its neighbour
+   * @param {Node} [node=this.state.selectedNode] - Node to remove
+   * @returns {boolean} Whether the node was removed
+   */
+  deleteNode(node = this.state.selectedNode) {
+    if (!node || node === this.state.rootElement) {
+      console.warn('⚠️ Select a node inside the tree to delete');
+      return false;
+    }
+
+    const next =
+      node.nextElementSibling ||
+      node.previousElementSibling ||
+      node.parentElement;
+    const command = new RemoveCommand(node);
+    command.do();
+
+    this.recordChange({
+      type: 'delete',
+      command,
+      target: next,
+      undoTarget: node
+    });
+
+    console.log('🗑️ Node deleted:', node.tagName);
+    return true;
   }
-  duplicateNode() {
-    console.log('Duplicate node');
+
+  /**
+   * Move a node before, after or inside another node
+   * @param {Node} node - Node to move
+   * @param {Node} target - Drop target
+   * @param {string} position - 'before', 'after' or 'inside'
+   * @returns {boolean} Whether the node was moved
+   */
+  moveNode(node, target, position) {
+    const check = this.validateDrop(node, target, position);
+    if (!check.valid) {
+      console.warn(`⚠️ Invalid drop: ${check.reason}`);
+      return false;
+    }
+
+    const parent = position === 'inside' ? target : target.parentNode;
+    const nextSibling = {
+      before: target,
+      after: target.nextSibling,
+      inside: null
+    }[position];
+
+    if (
+      node.parentNode === parent &&
+      (node.nextSibling === nextSibling || node === nextSibling)
+    ) {
+      return false;
+    }
+
+    const command = new MoveCommand(node, parent, nextSibling);
+    command.do();
+
+    if (position === 'inside') {
+      this.state.expandedNodes.add(this.getNodeId(target));
+    }
+    this.recordChange({
+      type: 'move',
+      command,
+      target: node,
+      undoTarget: node
+    });
+
+    console.log(`📦 Node moved ${position}`, target.tagName);
+    return true;
   }
-  deleteNode() {
-    console.log('Delete node');
+
+  /**
+   * Check whether a node may be dropped at a position
+   * @param {Node} node - Dragged node
+   * @param {Node} target - Drop target
+   * @param {string} position - 'before', 'after' or 'inside'
+   * @returns {Object} { valid, reason }
+   */
+  validateDrop(node, target, position) {
+    const invalid = reason => ({ valid: false, reason });
+    const root = this.state.rootElement;
+
+    if (!node || !target || !root) return invalid('nothing to drop');
+    if (!root.contains(target))
+      return invalid('the target is outside the tree');
+    if (node === root) return invalid('the tree root cannot be moved');
+    if (node === target) return invalid('a node cannot be dropped onto itself');
+    if (node.contains(target)) {
+      return invalid('a node cannot be moved into its own descendant');
+    }
+    if (position !== 'inside' && target === root) {
+      return invalid('nodes can only be placed inside the tree root');
+    }
+    if (position === 'inside' && !this.canContainChildren(target)) {
+      return invalid(`<${target.nodeName.toLowerCase()}> cannot have children`);
+    }
+
+    return { valid: true, reason: null };
   }
+
+  /**
+   * Check whether a node can take child elements
+   * @param {Node} node - Node
+   * @returns {boolean} True for non-void elements
+   * @private
+   */
+  canContainChildren(node) {
+    return Boolean(
+      node &&
+        node.nodeType === Node.ELEMENT_NODE &&
+        !VOID_ELEMENTS.has(node.tagName.toLowerCase())
+    );
+  }
+
+  /**
+   * Record an executed change, refresh the tree and notify listeners
+   * @param {Object} change - Change entry
+   * @param {string} change.type - Change type
+   * @param {ManipulationCommand} change.command - Executed command
+   * @param {Node|null} change.target - Node to select afterwards
+   * @param {Node|null} change.undoTarget - Node to select after undoing
+   * @private
+   */
+  recordChange(change) {
+    this.changeHistory.push({ ...change, timestamp: Date.now() });
+    if (this.changeHistory.length > this.maxHistorySize) {
+      this.changeHistory.shift();
+    }
+
+    this.showChange(change.type, change.target);
+  }
+
+  /**
+   * Undo the last change made in the editor
+   * @returns {boolean} Success status
+   */
+  undo() {
+    if (this.changeHistory.length === 0) {
+      console.warn('⚠️ No changes to undo');
+      return false;
+    }
+
+    const change = this.changeHistory.pop();
+
+    try {
+      this.cancelInlineEdit();
+      change.command.undo();
+      this.showChange('undo', change.undoTarget);
+      console.log('↶ Change undone:', change.type);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to undo change:', error);
+      this.changeHistory.push(change);
+      return false;
+    }
+  }
+
+  /**
+   * Re-render the tree after a change and select the affected node
+   * @param {string} type - Change type
+   * @param {Node|null} target - Node to select
+   * @private
+   */
+  showChange(type, target) {
+    this.state.editingNode = null;
+    this.refreshTree();
+    this.updateUndoButton();
+
+    if (target && this.state.rootElement.contains(target)) {
+      this.selectNode(target);
+
+      const treeNode = this.getTreeNodeElement(target);
+      if (treeNode && this.options.highlightChanges) {
+        treeNode.classList.add('node-changed');
+        setTimeout(() => treeNode.classList.remove('node-changed'), 1500);
+      }
+    } else {
+      this.clearSelection();
+    }
+
+    this.dispatchEvent('dom:changed', { type, target });
+  }
+
+  /**
+   * Enable the undo button while there are changes to undo
+   * @private
+   */
+  updateUndoButton() {
+    const button = this.container.querySelector('#undo-change');
+    if (button) {
+      button.disabled = this.changeHistory.length === 0;
+    }
+  }
+
+  /**
+   * Get the rendered tree row of a node
+   * @param {Node} node - Node
+   * @returns {HTMLElement|null} Tree node element
+   * @private
+   */
+  getTreeNodeElement(node) {
+    return this.container.querySelector(
+      `[data-node-id="${this.getNodeId(node)}"]`
+    );
+  }
+
+  /**
+   * Download the loaded tree as JSON
+   * @returns {Object|null} Exported data, null when no tree is loaded
+   */
   exportTree() {
-    console.log('Export tree');
+    if (!this.state.rootElement) {
+      console.warn('⚠️ No tree loaded to export');
+      return null;
+    }
+
+    const data = {
+      version: 1,
+      exported: new Date().toISOString(),
+      tree: this.serializeNode(this.state.rootElement)
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: 'application/json'
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dom-tree-${Date.now()}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    console.log('💾 Tree exported');
+    return data;
   }
+
+  /**
+   * Pick an exported tree file and import it
+   */
   importTree() {
-    console.log('Import tree');
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.addEventListener('change', () => {
+      const [file] = input.files;
+      if (!file) return;
+
+      file
+        .text()
+        .then(text => this.importTreeData(JSON.parse(text)))
+        .catch(error => console.error('❌ Failed to import tree:', error));
+    });
+
+    input.click();
+  }
+
+  /**
+   * Replace the loaded tree's attributes and children with an exported
+   * tree, as one undoable change. The root element keeps its tag.
+   * @param {Object} data - Data written by exportTree()
+   * @returns {boolean} Success status
+   */
+  importTreeData(data) {
+    try {
+      const root = this.state.rootElement;
+      if (!root) {
+        throw new Error('no tree is loaded');
+      }
+      if (!data || !data.tree || data.tree.type !== 'element') {
+        throw new Error('the data does not contain an exported tree');
+      }
+
+      const imported = this.buildNode(data.tree);
+      const command = new ModifyCommand(
+        root,
+        captureNodeState(root),
+        captureNodeState(imported)
+      );
+      command.do();
+
+      this.state.expandedNodes.clear();
+      this.autoExpandNodes(root, this.options.expandedByDefault);
+      this.recordChange({
+        type: 'import',
+        command,
+        target: root,
+        undoTarget: root
+      });
+
+      console.log('📂 Tree imported');
+      return true;
+    } catch (error) {
+      throw new Error(`Tree import failed: ${error.message}`);
+    }
   }
+
+  /**
+   * Serialize a node for export. Comments are left out.
+   * @param {Node} node - Element or text node
+   * @returns {Object} Serialized node
+   * @private
+   */
+  serializeNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return { type: 'text', text: node.textContent };
+    }
+
+    return {
+      type: 'element',
+      tagName: node.tagName.toLowerCase(),
+      attributes: Array.from(node.attributes).map(attr => [
+        attr.name,
+        attr.value
+      ]),
+      children: Array.from(node.childNodes)
+        .filter(
+          child =>
+            child.nodeType === Node.ELEMENT_NODE ||
+            child.nodeType === Node.TEXT_NODE
+        )
+        .map(child => this.serializeNode(child))
+    };
+  }
+
+  /**
+   * Build a detached node from serialized data, validating tags and
+   * attributes on the way
+   * @param {Object} data - Serialized node
+   * @returns {Node} Built node
+   * @private
+   */
+  buildNode(data) {
+    if (data.type === 'text') {
+      return document.createTextNode(String(data.text ?? ''));
+    }
+    if (data.type !== 'element') {
+      throw new Error(`unknown node type "${data.type}"`);
+    }
+
+    this.validateTagName(String(data.tagName));
+    const element = document.createElement(data.tagName);
+
+    (data.attributes || []).forEach(([name, value]) => {
+      const attribute = String(name).toLowerCase();
+      this.validateAttribute(attribute, String(value));
+      element.setAttribute(attribute, String(value));
+    });
+
+    (data.children || []).forEach(child => {
+      element.appendChild(this.buildNode(child));
+    });
+
+    return element;
+  }
+
+  /**
+   * Start dragging a tree node
+   * @param {DragEvent} event - Drag event
+   * @private
+   */
   handleDragStart(event) {
-    console.log('Drag start');
+    const treeNode = event.target.closest('.tree-node');
+    const node = treeNode && this.findNodeById(treeNode.dataset.nodeId);
+
+    if (!node || node === this.state.rootElement) {
+      event.preventDefault();
+      return;
+    }
+
+    this.state.draggedNode = node;
+    treeNode.classList.add('dragging');
+
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', treeNode.dataset.nodeId);
+    }
   }
+
+  /**
+   * Show where the dragged node would land and whether it may
+   * @param {DragEvent} event - Drag event
+   * @private
+   */
   handleDragOver(event) {
-    console.log('Drag over');
+    const { draggedNode } = this.state;
+    const treeNode = event.target.closest('.tree-node');
+    if (!draggedNode || !treeNode) return;
+
+    const target = this.findNodeById(treeNode.dataset.nodeId);
+    const position = this.getDropPosition(event, treeNode, target);
+    const { valid } = this.validateDrop(draggedNode, target, position);
+
+    this.clearDropIndicators();
+    treeNode.classList.add(valid ? `drop-${position}` : 'drop-invalid');
+    this.state.dropTarget = valid ? { node: target, position } : null;
+
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = valid ? 'move' : 'none';
+    }
+
+    // Allowing the drop is done by cancelling dragover
+    if (valid) {
+      event.preventDefault();
+    }
   }
+
+  /**
+   * Move the dragged node to the indicated position
+   * @param {DragEvent} event - Drag event
+   * @private
+   */
   handleDrop(event) {
-    console.log('Drop');
+    event.preventDefault();
+
+    const { draggedNode, dropTarget } = this.state;
+    this.clearDropIndicators();
+
+    if (draggedNode && dropTarget) {
+      this.moveNode(draggedNode, dropTarget.node, dropTarget.position);
+    }
+
+    this.state.draggedNode = null;
+    this.state.dropTarget = null;
   }
-  handleDragEnd(event) {
-    console.log('Drag end');
+
+  /**
+   * Clean up after a drag, dropped or not
+   * @private
+   */
+  handleDragEnd() {
+    this.container
+      .querySelectorAll('.tree-node.dragging')
+      .forEach(treeNode => treeNode.classList.remove('dragging'));
+    this.clearDropIndicators();
+
+    this.state.draggedNode = null;
+    this.state.dropTarget = null;
+  }
+
+  /**
+   * Work out the drop position from the pointer's height over the row:
+   * the top and bottom quarters mean before and after, the middle inside
+   * @param {DragEvent} event - Drag event
+   * @param {HTMLElement} treeNode - Tree row under the pointer
+   * @param {Node} target - Node of that row
+   * @returns {string} 'before', 'after' or 'inside'
+   * @private
+   */
+  getDropPosition(event, treeNode, target) {
+    const header = treeNode.querySelector('.node-header') || treeNode;
+    const rect = header.getBoundingClientRect();
+    const ratio =
+      rect.height > 0 && typeof event.clientY === 'number'
+        ? (event.clientY - rect.top) / rect.height
+        : 0.5;
+
+    if (!this.canContainChildren(target)) {
+      return ratio < 0.5 ? 'before' : 'after';
+    }
+    if (ratio < 0.25) return 'before';
+    if (ratio > 0.75) return 'after';
+    return 'inside';
+  }
+
+  /**
+   * Remove the drop position indicators
+   * @private
+   */
+  clearDropIndicators() {
+    this.container
+      .querySelectorAll(
+        '.drop-before, .drop-after, .drop-inside, .drop-invalid'
+      )
+      .forEach(treeNode =>
+        treeNode.classList.remove(
+          'drop-before',
+          'drop-after',
+          'drop-inside',
+          'drop-invalid'
+        )
+      );
   }
 
   /**
@@ -1274,6 +2282,7 @@ export class NodeTreeEditor {
     this.eventHandlers.clear();
 
     // Clear state
+    this.changeHistory = [];
     this.state.rootElement = null;
     this.state.selectedNode = null;
     this.state.expandedNodes.clear();
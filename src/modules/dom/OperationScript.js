@@ -0,0 +1,162 @@
+/**
+ * Operation Scripts
+ *
+ * Portable operation log format for ElementManipulator sessions. Elements
+ * are never stored as live references: each one is described either by a
+ * script reference (for elements the session created or cloned) or by a
+ * structural selector relative to the recording root, so a script can be
+ * saved as JSON and replayed against a fresh container.
+ *
+ * @fileoverview Recording and resolution helpers for replayable sessions
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+export const SCRIPT_FORMAT = 'element-manipulator-script';
+export const SCRIPT_FORMAT_VERSION = 1;
+
+/**
+ * Operations a script step may contain
+ */
+export const SCRIPT_OPERATIONS = new Set([
+  'create',
+  'insert',
+  'remove',
+  'modify',
+  'clone',
+  'transaction',
+  'undo',
+  'redo'
+]);
+
+const SIMPLE_ID = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Describe an element relative to the recording root. The description is
+ * anchored at the nearest element that has a script reference (or the
+ * root itself) and walks down with :nth-child() steps, shortened at the
+ * first ancestor with an ID that is unique below the anchor.
+ * @param {HTMLElement} element - Element to describe
+ * @param {HTMLElement} root - Recording root
+ * @param {WeakMap<HTMLElement, string>} refs - Script references of session elements
+ * @returns {Object|null} Descriptor with ref and/or selector, null if the element is outside the root
+ */
+export function describeElement(element, root, refs) {
+  if (!element) return null;
+  if (element === root) return { selector: ':scope' };
+  if (refs.has(element)) return { ref: refs.get(element) };
+
+  const segments = [];
+  let current = element;
+
+  while (current.parentElement && current !== root && !refs.has(current)) {
+    segments.unshift(current);
+    current = current.parentElement;
+  }
+
+  if (current !== root && !refs.has(current)) return null;
+
+  const anchor = current;
+  const steps = [];
+
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const node = segments[i];
+
+    if (
+      SIMPLE_ID.test(node.id) &&
+      anchor.querySelectorAll(`#${node.id}`).length === 1
+    ) {
+      steps.unshift(`#${node.id}`);
+      break;
+    }
+
+    const index = Array.from(node.parentElement.children).indexOf(node) + 1;
+    steps.unshift(`${node.tagName.toLowerCase()}:nth-child(${index})`);
+
+    if (i === 0) steps.unshift(':scope');
+  }
+
+  const descriptor = { selector: steps.join(' > ') };
+  if (anchor !== root) descriptor.ref = refs.get(anchor);
+
+  return descriptor;
+}
+
+/**
+ * Resolve a descriptor created by describeElement
+ * @param {Object} descriptor - Element descriptor
+ * @param {HTMLElement} root - Replay root
+ * @param {Map<string, HTMLElement>} refs - Elements created during replay, by reference
+ * @returns {HTMLElement} Resolved element
+ */
+export function resolveElement(descriptor, root, refs) {
+  if (!descriptor) {
+    throw new Error('Step has no element descriptor');
+  }
+
+  let anchor = root;
+
+  if (descriptor.ref) {
+    anchor = refs.get(descriptor.ref);
+    if (!anchor) {
+      throw new Error(`Unknown element reference '${descriptor.ref}'`);
+    }
+  }
+
+  if (!descriptor.selector || descriptor.selector === ':scope') {
+    return anchor;
+  }
+
+  const element = anchor.querySelector(descriptor.selector);
+  if (!element) {
+    throw new Error(`No element matches '${descriptor.selector}'`);
+  }
+
+  return element;
+}
+
+/**
+ * Parse and validate serialized script data
+ * @param {string|Object} data - Script JSON or object
+ * @returns {Object} Validated script
+ */
+export function parseScript(data) {
+  let parsed;
+
+  try {
+    parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  } catch (error) {
+    throw new Error(`Invalid script JSON: ${error.message}`);
+  }
+
+  if (parsed?.format !== SCRIPT_FORMAT) {
+    throw new Error('Data is not an ElementManipulator script');
+  }
+
+  if (parsed.version > SCRIPT_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported script version ${parsed.version} (max ${SCRIPT_FORMAT_VERSION})`
+    );
+  }
+
+  if (!Array.isArray(parsed.steps)) {
+    throw new Error('Script is missing its steps');
+  }
+
+  const validate = (steps, path) =>
+    steps.forEach((step, index) => {
+      if (!SCRIPT_OPERATIONS.has(step?.op)) {
+        throw new Error(`Step ${path}${index} has unknown operation`);
+      }
+      if (step.op === 'transaction') {
+        validate(step.steps || [], `${path}${index}.`);
+      }
+    });
+  validate(parsed.steps, '');
+
+  return {
+    version: parsed.version,
+    recordedAt: parsed.recordedAt,
+    steps: parsed.steps
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Selector Benchmark
+ *
+ * Statistical timing of selector queries. Each selector is warmed up, then
+ * sampled many times; a sample times a batch of queries sized during warm-up
+ * so that sub-millisecond queries are not lost in timer resolution. Several
+ * selectors are sampled round-robin against the same DOM so drift affects
+ * them equally, and a synthetic DOM generator shows how they scale.
+ *
+ * @fileoverview Selector benchmarking for the Selector Tester
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * Default benchmark settings
+ */
+export const BENCHMARK_DEFAULTS = {
+  iterations: 200,
+  warmup: 20,
+  minSampleTime: 0.5,
+  maxBatchSize: 1000
+};
+
+/**
+ * Tags and classes the synthetic DOM is built from
+ */
+const SYNTHETIC_TAGS = [
+  'div',
+  'section',
+  'ul',
+  'li',
+  'article',
+  'p',
+  'span',
+  'a'
+];
+const SYNTHETIC_CLASSES = [
+  'container',
+  'item',
+  'content',
+  'nav',
+  'btn',
+  'card'
+];
+
+/**
+ * Get a percentile of sorted samples using linear interpolation
+ * @param {Array<number>} sorted - Samples in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+
+  const position = ((sorted.length - 1) * p) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarize timing samples
+ * @param {Array<number>} samples - Time per query in milliseconds
+ * @returns {Object} { min, max, mean, median, p95, stddev }
+ */
+export function summarizeSamples(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean =
+    samples.reduce((sum, value) => sum + value, 0) / (samples.length || 1);
+  const variance =
+    samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    (samples.length > 1 ? samples.length - 1 : 1);
+
+  return {
+    min: sorted[0] || 0,
+    max: sorted[sorted.length - 1] || 0,
+    mean,
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    stddev: Math.sqrt(variance)
+  };
+}
+
+/**
+ * Run warm-up queries and pick how many queries each sample times
+ * @param {Document|Element|ShadowRoot} root - Root to query
+ * @param {string} selector - CSS selector
+ * @param {Object} settings - Benchmark settings
+ * @returns {number} Batch size
+ * @private
+ */
+function calibrate(root, selector, settings) {
+  const warmup = Math.max(1, settings.warmup);
+  const start = settings.now();
+
+  for (let i = 0; i < warmup; i++) {
+    root.querySelectorAll(selector);
+  }
+
+  const perQuery = (settings.now() - start) / warmup;
+  if (perQuery <= 0) {
+    return settings.maxBatchSize;
+  }
+
+  return Math.min(
+    settings.maxBatchSize,
+    Math.max(1, Math.ceil(settings.minSampleTime / perQuery))
+  );
+}
+
+/**
+ * Benchmark several selectors against the same root, sampling them
+ * round-robin
+ * @param {Document|Element|ShadowRoot} root - Root to query
+ * @param {Array<string>} selectors - CSS selectors
+ * @param {Object} [options={}] - Benchmark settings, see BENCHMARK_DEFAULTS
+ * @param {Function} [options.now] - Clock returning milliseconds
+ * @returns {Array<Object>} Per selector: { selector, matchCount, iterations, batchSize, samples, ...summary, relative, fastest }
+ */
+export function compareSelectors(root, selectors, options = {}) {
+  const settings = {
+    ...BENCHMARK_DEFAULTS,
+    now: () => performance.now(),
+    ...options
+  };
+
+  const runs = selectors.map(selector => {
+    try {
+      return {
+        selector,
+        matchCount: root.querySelectorAll(selector).length,
+        batchSize: calibrate(root, selector, settings),
+        samples: []
+      };
+    } catch (error) {
+      throw new Error(`Benchmark failed for "${selector}": ${error.message}`);
+    }
+  });
+
+  for (let iteration = 0; iteration < settings.iterations; iteration++) {
+    runs.forEach(run => {
+      const start = settings.now();
+      for (let i = 0; i < run.batchSize; i++) {
+        root.querySelectorAll(run.selector);
+      }
+      run.samples.push((settings.now() - start) / run.batchSize);
+    });
+  }
+
+  const results = runs.map(run => ({
+    ...run,
+    iterations: settings.iterations,
+    ...summarizeSamples(run.samples)
+  }));
+  const fastest = Math.min(...results.map(result => result.median));
+
+  return results.map(result => ({
+    ...result,
+    relative: fastest > 0 ? result.median / fastest : 1,
+    fastest: result.median === fastest
+  }));
+}
+
+/**
+ * Benchmark one selector
+ * @param {Document|Element|ShadowRoot} root - Root to query
+ * @param {string} selector - CSS selector
+ * @param {Object} [options={}] - Benchmark settings, as for compareSelectors()
+ * @returns {Object} Benchmark result
+ */
+export function benchmarkSelector(root, selector, options = {}) {
+  return compareSelectors(root, [selector], options)[0];
+}
+
+/**
+ * Count the elements a synthetic DOM of the given shape contains
+ * @param {number} depth - Levels below the root
+ * @param {number} breadth - Children per element
+ * @returns {number} Element count, excluding the root
+ */
+export function countSyntheticNodes(depth, breadth) {
+  let count = 0;
+  for (let level = 1; level <= depth; level++) {
+    count += breadth ** level;
+  }
+  return count;
+}
+
+/**
+ * Generate a detached synthetic DOM with varied tags, classes, ids and
+ * attributes so typical selectors have something to match
+ * @param {Object} [options={}] - Shape options
+ * @param {number} [options.depth=5] - Levels below the root
+ * @param {number} [options.breadth=4] - Children per element
+ * @param {number} [options.maxNodes=50000] - Refuse shapes larger than this
+ * @param {Document} [options.document=document] - Document to create nodes in
+ * @returns {Object} { root, nodeCount, depth, breadth }
+ */
+export function generateSyntheticDOM(options = {}) {
+  const { depth = 5, breadth = 4, maxNodes = 50000 } = options;
+  const doc = options.document || document;
+  const nodeCount = countSyntheticNodes(depth, breadth);
+
+  if (nodeCount > maxNodes) {
+    throw new Error(
+      `Synthetic DOM generation failed: ${nodeCount} elements exceed the limit of ${maxNodes}`
+    );
+  }
+
+  const root = doc.createElement('div');
+  root.className = 'synthetic-root';
+  let index = 0;
+
+  const build = (parent, level) => {
+    if (level > depth) return;
+
+    for (let child = 0; child < breadth; child++) {
+      const element = doc.createElement(
+        SYNTHETIC_TAGS[(level + child) % SYNTHETIC_TAGS.length]
+      );
+      element.className = [
+        SYNTHETIC_CLASSES[index % SYNTHETIC_CLASSES.length],
+        `level-${level}`,
+        child === 0 ? 'active' : ''
+      ]
+        .filter(Boolean)
+        .join(' ');
+      element.setAttribute('data-index', String(index));
+      if (index % 50 === 0) {
+        element.id = `node-${index}`;
+      }
+      if (element.tagName === 'A') {
+        element.setAttribute('href', `#item-${index}`);
+      }
+
+      index++;
+      parent.appendChild(element);
+      build(element, level + 1);
+    }
+  };
+
+  build(root, 1);
+
+  return { root, nodeCount, depth, breadth };
+}
+
+/**
+ * Benchmark selectors on synthetic DOMs of growing depth
+ * @param {Array<string>} selectors - CSS selectors
+ * @param {Object} [options={}] - Benchmark settings plus shape options
+ * @param {Array<number>} [options.depths=[2, 3, 4, 5, 6]] - Depths to generate
+ * @param {number} [options.breadth=4] - Children per element
+ * @returns {Array<Object>} Per size: { depth, breadth, nodeCount, results }
+ */
+export function runScalingBenchmark(selectors, options = {}) {
+  const { depths = [2, 3, 4, 5, 6], breadth = 4, ...settings } = options;
+
+  return depths.map(depth => {
+    const { root, nodeCount } = generateSyntheticDOM({
+      depth,
+      breadth,
+      maxNodes: settings.maxNodes,
+      document: settings.document
+    });
+
+    return {
+      depth,
+      breadth,
+      nodeCount,
+      results: compareSelectors(root, selectors, settings)
+    };
+  });
+}
@@ -0,0 +1,312 @@
+/**
+ * Selector Compatibility
+ *
+ * Detects the selector features a selector relies on and checks them
+ * against a bundled, offline support table and a set of browser targets.
+ * The default targets are the project's own browserslist queries.
+ *
+ * @fileoverview Browser-support analysis for CSS selectors
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+import { browserslist } from '../../../package.json';
+import { parseSelectorList } from './SelectorParser.js';
+
+/**
+ * Display names of the browsers in the support table
+ */
+export const BROWSER_NAMES = {
+  chrome: 'Chrome',
+  edge: 'Edge',
+  firefox: 'Firefox',
+  safari: 'Safari'
+};
+
+/**
+ * Browserslist names mapped to support table keys. iOS Safari follows
+ * desktop Safari version numbers for selector support.
+ */
+const BROWSERSLIST_ALIASES = {
+  chrome: 'chrome',
+  edge: 'edge',
+  firefox: 'firefox',
+  ff: 'firefox',
+  safari: 'safari',
+  ios: 'safari',
+  ios_saf: 'safari'
+};
+
+/**
+ * First version supporting each feature, null when unsupported. Pseudo
+ * features are keyed by their selector name; the rest by a descriptive id.
+ */
+export const SELECTOR_SUPPORT = {
+  ':has': {
+    name: ':has()',
+    support: { chrome: '105', edge: '105', firefox: '121', safari: '15.4' }
+  },
+  ':is': {
+    name: ':is()',
+    support: { chrome: '88', edge: '88', firefox: '78', safari: '14' }
+  },
+  ':where': {
+    name: ':where()',
+    support: { chrome: '88', edge: '88', firefox: '78', safari: '14' }
+  },
+  'not-selector-list': {
+    name: ':not() with a selector list or complex selectors',
+    support: { chrome: '88', edge: '88', firefox: '84', safari: '9' }
+  },
+  'nth-of-selector': {
+    name: ':nth-child(An+B of S)',
+    support: { chrome: '111', edge: '111', firefox: '113', safari: '9' }
+  },
+  ':focus-visible': {
+    name: ':focus-visible',
+    support: { chrome: '86', edge: '86', firefox: '85', safari: '15.4' }
+  },
+  ':focus-within': {
+    name: ':focus-within',
+    support: { chrome: '60', edge: '79', firefox: '52', safari: '10.1' }
+  },
+  'attribute-flag-i': {
+    name: 'Case-insensitive attribute flag [attr=value i]',
+    support: { chrome: '49', edge: '79', firefox: '47', safari: '9' }
+  },
+  'attribute-flag-s': {
+    name: 'Case-sensitive attribute flag [attr=value s]',
+    support: { chrome: null, edge: null, firefox: '66', safari: null }
+  },
+  ':any-link': {
+    name: ':any-link',
+    support: { chrome: '65', edge: '79', firefox: '50', safari: '9' }
+  },
+  ':placeholder-shown': {
+    name: ':placeholder-shown',
+    support: { chrome: '47', edge: '79', firefox: '51', safari: '9' }
+  },
+  ':read-only': {
+    name: ':read-only',
+    support: { chrome: '1', edge: '13', firefox: '78', safari: '4' }
+  },
+  ':read-write': {
+    name: ':read-write',
+    support: { chrome: '1', edge: '13', firefox: '78', safari: '4' }
+  },
+  ':defined': {
+    name: ':defined',
+    support: { chrome: '54', edge: '79', firefox: '63', safari: '10' }
+  },
+  ':dir': {
+    name: ':dir()',
+    support: { chrome: '120', edge: '120', firefox: '49', safari: '16.4' }
+  },
+  ':fullscreen': {
+    name: ':fullscreen',
+    support: { chrome: '71', edge: '79', firefox: '64', safari: '16.4' }
+  },
+  ':autofill': {
+    name: ':autofill',
+    support: { chrome: '110', edge: '110', firefox: '86', safari: '15' }
+  },
+  ':user-valid': {
+    name: ':user-valid',
+    support: { chrome: '119', edge: '119', firefox: '88', safari: '16.5' }
+  },
+  ':user-invalid': {
+    name: ':user-invalid',
+    support: { chrome: '119', edge: '119', firefox: '88', safari: '16.5' }
+  },
+  ':modal': {
+    name: ':modal',
+    support: { chrome: '105', edge: '105', firefox: '103', safari: '15.6' }
+  },
+  ':popover-open': {
+    name: ':popover-open',
+    support: { chrome: '114', edge: '114', firefox: '125', safari: '17' }
+  },
+  ':state': {
+    name: ':state()',
+    support: { chrome: '125', edge: '125', firefox: '126', safari: '17.4' }
+  },
+  ':host-context': {
+    name: ':host-context()',
+    support: { chrome: '54', edge: '79', firefox: null, safari: null }
+  },
+  ':target-within': {
+    name: ':target-within',
+    support: { chrome: null, edge: null, firefox: null, safari: null }
+  },
+  ':local-link': {
+    name: ':local-link',
+    support: { chrome: null, edge: null, firefox: null, safari: null }
+  },
+  ':matches': {
+    name: ':matches() (non-standard, use :is())',
+    support: { chrome: null, edge: null, firefox: null, safari: '9' }
+  },
+  '::placeholder': {
+    name: '::placeholder',
+    support: { chrome: '57', edge: '79', firefox: '51', safari: '10.1' }
+  },
+  '::marker': {
+    name: '::marker',
+    support: { chrome: '86', edge: '86', firefox: '68', safari: '11.1' }
+  },
+  '::part': {
+    name: '::part()',
+    support: { chrome: '73', edge: '79', firefox: '72', safari: '13.1' }
+  },
+  '::backdrop': {
+    name: '::backdrop',
+    support: { chrome: '37', edge: '79', firefox: '47', safari: '15.4' }
+  },
+  '::file-selector-button': {
+    name: '::file-selector-button',
+    support: { chrome: '89', edge: '89', firefox: '82', safari: '14.1' }
+  },
+  '::highlight': {
+    name: '::highlight()',
+    support: { chrome: '105', edge: '105', firefox: null, safari: '17.2' }
+  }
+};
+
+/**
+ * Compare two dotted version numbers
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+
+  return 0;
+}
+
+/**
+ * Turn browserslist queries into the lowest targeted version per browser.
+ * Only "<browser> >= <version>" and "<browser> <version>" queries can be
+ * resolved offline; anything else is reported as ignored.
+ * @param {Array<string>|string} queries - Browserslist queries
+ * @returns {Object} { targets: { browser: version }, ignored: Array<string> }
+ */
+export function parseBrowserslist(queries) {
+  const list = Array.isArray(queries) ? queries : String(queries).split(',');
+  const targets = {};
+  const ignored = [];
+
+  list
+    .map(query => query.trim())
+    .filter(Boolean)
+    .forEach(query => {
+      const match = /^(\w+)\s*(?:>=\s*)?(\d+(?:\.\d+)*)$/i.exec(query);
+      const browser = match && BROWSERSLIST_ALIASES[match[1].toLowerCase()];
+
+      if (!browser) {
+        ignored.push(query);
+        return;
+      }
+
+      if (
+        !targets[browser] ||
+        compareVersions(match[2], targets[browser]) < 0
+      ) {
+        targets[browser] = match[2];
+      }
+    });
+
+  return { targets, ignored };
+}
+
+/**
+ * The project's own browser targets
+ */
+export const DEFAULT_TARGETS = parseBrowserslist(browserslist || []).targets;
+
+/**
+ * Collect the support table features used by a list of complex selectors
+ * @param {Array<Object>} selectors - Complex selector nodes
+ * @param {Set<string>} features - Collected feature ids
+ * @private
+ */
+function collectFeatures(selectors, features) {
+  selectors.forEach(complex => {
+    complex.compounds.forEach(({ compound }) => {
+      compound.selectors.forEach(node => {
+        if (node.type === 'attribute' && node.flag) {
+          features.add(`attribute-flag-${node.flag.toLowerCase()}`);
+        }
+
+        if (node.type !== 'pseudo-class' && node.type !== 'pseudo-element') {
+          return;
+        }
+
+        const prefix = node.type === 'pseudo-element' ? '::' : ':';
+        features.add(`${prefix}${node.name}`);
+
+        if (node.nth && node.selectors) {
+          features.add('nth-of-selector');
+        }
+        if (
+          node.name === 'not' &&
+          (node.selectors.length > 1 ||
+            node.selectors.some(item => item.compounds.length > 1))
+        ) {
+          features.add('not-selector-list');
+        }
+        if (node.selectors) {
+          collectFeatures(node.selectors, features);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Check a selector against browser targets
+ * @param {string} selector - Selector list
+ * @param {Object} [targets=DEFAULT_TARGETS] - Lowest version per browser
+ * @returns {Object} { selector, targets, features, issues, compatible }
+ */
+export function analyzeCompatibility(selector, targets = DEFAULT_TARGETS) {
+  const ids = new Set();
+  collectFeatures(parseSelectorList(selector), ids);
+
+  const features = Array.from(ids)
+    .filter(id => SELECTOR_SUPPORT[id])
+    .map(id => {
+      const { name, support } = SELECTOR_SUPPORT[id];
+      const unsupported = Object.entries(targets)
+        .filter(
+          ([browser, target]) =>
+            browser in support &&
+            (support[browser] === null ||
+              compareVersions(target, support[browser]) < 0)
+        )
+        .map(([browser, target]) => ({
+          browser,
+          browserName: BROWSER_NAMES[browser],
+          target,
+          since: support[browser]
+        }));
+
+      return { id, name, support, unsupported };
+    });
+
+  const issues = features.filter(feature => feature.unsupported.length > 0);
+
+  return {
+    selector,
+    targets,
+    features,
+    issues,
+    compatible: issues.length === 0
+  };
+}
@@ -0,0 +1,523 @@
+/**
+ * Selector Explainer
+ *
+ * Turns the SelectorParser AST into plain-language descriptions read right
+ * to left, the way browsers match selectors, and traces which element
+ * satisfied each compound selector for a given match.
+ *
+ * @fileoverview Human-readable selector explanations for the Selector Tester
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+import { parseSelectorList, removeSubjectPseudos } from './SelectorParser.js';
+
+/**
+ * How each combinator relates a compound to the one on its left
+ */
+const RELATIONS = {
+  '>': 'that {is} {direct children} of',
+  ' ': 'that {is} inside',
+  '+': 'that immediately follow{s}',
+  '~': 'that come{s} after a sibling that is'
+};
+
+/**
+ * How each combinator relates a step of the right-to-left walk to the next
+ */
+const STEP_RELATIONS = {
+  '>': 'whose parent is',
+  ' ': 'with an ancestor that is',
+  '+': 'whose previous sibling is',
+  '~': 'with an earlier sibling that is'
+};
+
+/**
+ * How :has() relates its argument to the anchor element
+ */
+const HAS_RELATIONS = {
+  null: 'that contain{s}',
+  ' ': 'that contain{s}',
+  '>': 'that {has} as a direct child',
+  '+': 'that {is} immediately followed by',
+  '~': 'that {is} followed by a sibling that is'
+};
+
+/**
+ * Descriptions of argument-less pseudo-classes
+ */
+const PSEUDO_CLASS_PHRASES = {
+  hover: 'that {is} hovered',
+  active: 'that {is} being activated',
+  focus: 'that {has} focus',
+  'focus-visible': 'that {has} visible focus',
+  'focus-within': 'that {has} focus or contain{s} the focused element',
+  visited: 'that {is} visited links',
+  link: 'that {is} unvisited links',
+  'any-link': 'that {is} links',
+  target: 'that {is} the target of the URL fragment',
+  checked: 'that {is} checked',
+  indeterminate: 'that {is} in an indeterminate state',
+  default: 'that {is} the default option',
+  disabled: 'that {is} disabled',
+  enabled: 'that {is} enabled',
+  required: 'that {is} required',
+  optional: 'that {is} optional',
+  valid: 'that {is} valid',
+  invalid: 'that {is} invalid',
+  'in-range': 'that {is} within range',
+  'out-of-range': 'that {is} out of range',
+  'read-only': 'that {is} read-only',
+  'read-write': 'that {is} editable',
+  'placeholder-shown': 'that {is} showing a placeholder',
+  empty: 'that {has} no children',
+  root: 'that {is} the document root',
+  scope: 'that {is} the scope root',
+  defined: 'that {is} defined',
+  host: 'that {is} the shadow host',
+  'first-child': 'that {is} the first child of {their} parent',
+  'last-child': 'that {is} the last child of {their} parent',
+  'only-child': 'that {is} the only child of {their} parent',
+  'first-of-type': 'that {is} the first of {their} type among siblings',
+  'last-of-type': 'that {is} the last of {their} type among siblings',
+  'only-of-type': 'that {is} the only one of {their} type among siblings'
+};
+
+/**
+ * Descriptions of attribute operators
+ */
+const ATTRIBUTE_PHRASES = {
+  '=': (name, value) => `whose "${name}" attribute is "${value}"`,
+  '~=': (name, value) =>
+    `whose "${name}" attribute contains the word "${value}"`,
+  '|=': (name, value) =>
+    `whose "${name}" attribute is "${value}" or starts with "${value}-"`,
+  '^=': (name, value) => `whose "${name}" attribute starts with "${value}"`,
+  '$=': (name, value) => `whose "${name}" attribute ends with "${value}"`,
+  '*=': (name, value) => `whose "${name}" attribute contains "${value}"`
+};
+
+/**
+ * Fill the grammatical placeholders of a phrase
+ * @param {string} phrase - Phrase with {is}, {has}, {their}, {s}, {es} and
+ *   {direct children} placeholders
+ * @param {boolean} plural - Whether the subject is plural
+ * @returns {string} Conjugated phrase
+ * @private
+ */
+function conjugate(phrase, plural) {
+  return phrase
+    .replace(/\{is\}/g, plural ? 'are' : 'is')
+    .replace(/\{has\}/g, plural ? 'have' : 'has')
+    .replace(/\{their\}/g, plural ? 'their' : 'its')
+    .replace(
+      /\{direct children\}/g,
+      plural ? 'direct children' : 'a direct child'
+    )
+    .replace(/\{s\}/g, plural ? '' : 's')
+    .replace(/\{es\}/g, plural ? '' : 'es');
+}
+
+/**
+ * Get the English ordinal of a number
+ * @param {number} number - Positive integer
+ * @returns {string} Ordinal, e.g. 2nd
+ * @private
+ */
+function ordinal(number) {
+  const tens = number % 100;
+  const suffix =
+    tens >= 11 && tens <= 13
+      ? 'th'
+      : { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+  return `${number}${suffix}`;
+}
+
+/**
+ * Describe the positions an An+B expression selects
+ * @param {Object} nth - { a, b }
+ * @returns {string} Description such as "the 2nd" or "at position 3n+1 (1st, 4th, 7th, …)"
+ * @private
+ */
+function describeNth({ a, b }) {
+  if (a === 0) {
+    return b > 0 ? `the ${ordinal(b)}` : 'never';
+  }
+  if (a === 2 && Math.abs(b % 2) === 1) return 'an odd-numbered';
+  if (a === 2 && b % 2 === 0) return 'an even-numbered';
+
+  const positions = [];
+  for (let n = 0; positions.length < 4 && n < 1000; n++) {
+    const position = a * n + b;
+    if (a < 0 && position < 1) break;
+    if (position >= 1) positions.push(position);
+  }
+
+  if (positions.length === 0) {
+    return 'never';
+  }
+
+  const step = a === 1 ? 'n' : a === -1 ? '-n' : `${a}n`;
+  const offset = b === 0 ? '' : `${b < 0 ? '-' : '+'}${Math.abs(b)}`;
+  const listed = positions
+    .sort((x, y) => x - y)
+    .slice(0, 3)
+    .map(ordinal)
+    .join(', ');
+  const more = a > 0 || positions.length === 4 ? ', …' : '';
+  return `at position ${step}${offset} (${listed}${more})`;
+}
+
+/**
+ * Prefix a noun phrase with the matching indefinite article
+ * @param {string} phrase - Noun phrase
+ * @returns {string} Phrase with "a" or "an"
+ * @private
+ */
+function withArticle(phrase) {
+  return /^<?[aeio]/i.test(phrase) ? `an ${phrase}` : `a ${phrase}`;
+}
+
+/**
+ * Describe a selector list as a noun phrase
+ * @param {Array<Object>} selectors - Complex selector nodes
+ * @param {boolean} plural - Whether the phrase is plural
+ * @returns {string} Description joined with "or"
+ * @private
+ */
+function describeList(selectors, plural) {
+  return selectors
+    .map(complex => describeComplex(complex, plural))
+    .join(' or ');
+}
+
+/**
+ * Describe a functional pseudo-class
+ * @param {Object} node - Pseudo-class node
+ * @param {boolean} plural - Whether the subject is plural
+ * @returns {string} Qualifier phrase
+ * @private
+ */
+function describeFunctionalPseudo(node, plural) {
+  const { name, selectors, nth } = node;
+
+  if (name === 'not') {
+    return conjugate(`that {is} not ${describeList(selectors, false)}`, plural);
+  }
+  if (['is', 'matches', '-webkit-any', '-moz-any'].includes(name)) {
+    return conjugate(`that {is} ${describeList(selectors, false)}`, plural);
+  }
+  if (name === 'where') {
+    return conjugate(
+      `that {is} ${describeList(selectors, false)} (adding no specificity)`,
+      plural
+    );
+  }
+  if (name === 'has') {
+    return selectors
+      .map(complex => {
+        const [first, ...rest] = complex.compounds;
+        const relation = HAS_RELATIONS[first.combinator] || HAS_RELATIONS[' '];
+        const target = describeComplex(
+          { ...complex, compounds: [{ ...first, combinator: null }, ...rest] },
+          false
+        );
+        return conjugate(`${relation} ${target}`, plural);
+      })
+      .join(' or ');
+  }
+  if (nth) {
+    const counted = selectors
+      ? ` counting only ${describeList(selectors, true)}`
+      : '';
+    const fromEnd = name.includes('last') ? ', counting from the end' : '';
+    const noun = name.includes('of-type')
+      ? 'sibling of {their} type'
+      : 'child of {their} parent';
+    const position = describeNth(nth);
+    if (position === 'never') {
+      return `that never match (${name}(${node.argument}) selects no position)`;
+    }
+    const phrase = position.startsWith('at position')
+      ? `${withArticle(noun)} ${position}`
+      : `${position} ${noun}`;
+    return conjugate(`that {is} ${phrase}${counted}${fromEnd}`, plural);
+  }
+  if (name === 'lang') {
+    return conjugate(`that {is} in language "${node.argument}"`, plural);
+  }
+  if (name === 'dir') {
+    return `with ${node.argument} text direction`;
+  }
+  if ((name === 'host' || name === 'host-context') && selectors) {
+    return conjugate(
+      `that {is} the shadow host${name === 'host-context' ? ' (or inside one)' : ''}, when it is ${describeList(selectors, false)}`,
+      plural
+    );
+  }
+
+  return `matching :${name}(${node.argument})`;
+}
+
+/**
+ * Describe one simple selector as a qualifier
+ * @param {Object} node - Simple selector node
+ * @param {boolean} plural - Whether the subject is plural
+ * @returns {string} Qualifier phrase
+ * @private
+ */
+function describeSimple(node, plural) {
+  switch (node.type) {
+    case 'id':
+      return `with ID "${node.name}"`;
+    case 'class':
+      return `with class "${node.name}"`;
+    case 'attribute': {
+      const phrase = node.operator
+        ? ATTRIBUTE_PHRASES[node.operator](node.name, node.value)
+        : `with a "${node.name}" attribute`;
+      return node.flag === 'i' ? `${phrase} (ignoring case)` : phrase;
+    }
+    case 'pseudo-class':
+      if (node.argument !== undefined) {
+        return describeFunctionalPseudo(node, plural);
+      }
+      return conjugate(
+        PSEUDO_CLASS_PHRASES[node.name] || `matching :${node.name}`,
+        plural
+      );
+    default:
+      return `matching ${node.type} ${node.name}`;
+  }
+}
+
+/**
+ * Describe a compound selector as a noun phrase
+ * @param {Object} compound - Compound selector node
+ * @param {boolean} plural - Whether the phrase is plural
+ * @returns {string} Noun phrase
+ */
+export function describeCompound(compound, plural = true) {
+  const typeNode = compound.selectors.find(
+    node => node.type === 'type' || node.type === 'universal'
+  );
+  const pseudoElement = compound.selectors.find(
+    node => node.type === 'pseudo-element'
+  );
+  const qualifiers = compound.selectors
+    .filter(node => node !== typeNode && node !== pseudoElement)
+    .map(node => describeSimple(node, plural));
+
+  let head;
+  if (typeNode?.type === 'type') {
+    head = plural
+      ? `<${typeNode.name}> elements`
+      : withArticle(`<${typeNode.name}> element`);
+  } else {
+    head = plural ? 'elements' : 'an element';
+  }
+  if (typeNode?.namespace) {
+    head += ` in the "${typeNode.namespace}" namespace`;
+  }
+
+  const qualified = [head];
+  if (qualifiers.length > 0) {
+    qualified.push(
+      qualifiers.length > 1
+        ? `${qualifiers.slice(0, -1).join(', ')} and ${qualifiers[qualifiers.length - 1]}`
+        : qualifiers[0]
+    );
+  }
+  const phrase = qualified.join(' ');
+
+  if (!pseudoElement) {
+    return phrase;
+  }
+
+  const name = pseudoElement.argument
+    ? `::${pseudoElement.name}(${pseudoElement.argument})`
+    : `::${pseudoElement.name}`;
+  return `the ${name} pseudo-element${plural ? 's' : ''} of ${phrase}`;
+}
+
+/**
+ * Describe a complex selector right to left
+ * @param {Object} complex - Complex selector node
+ * @param {boolean} [plural=true] - Whether the subject is plural
+ * @returns {string} Description
+ */
+export function describeComplex(complex, plural = true) {
+  const { compounds } = complex;
+  let phrase = describeCompound(
+    compounds[compounds.length - 1].compound,
+    plural
+  );
+  let description = phrase;
+
+  for (let i = compounds.length - 1; i > 0; i--) {
+    // A comma keeps the relation from reading as part of a "that" clause
+    const separator = / that /.test(phrase) ? ', ' : ' ';
+    const relation = conjugate(RELATIONS[compounds[i].combinator], plural);
+    phrase = describeCompound(compounds[i - 1].compound, false);
+    description += `${separator}${relation} ${phrase}`;
+    plural = false;
+  }
+
+  return description;
+}
+
+/**
+ * Explain every complex selector of a selector list
+ * @param {string} text - Selector list
+ * @returns {Array<Object>} Per complex selector: sentence and right-to-left steps
+ */
+export function explainSelector(text) {
+  return parseSelectorList(text).map(complex => {
+    const { compounds } = complex;
+    const sentence = describeComplex(complex);
+    const steps = [];
+
+    for (let i = compounds.length - 1; i >= 0; i--) {
+      steps.push({
+        compound: compounds[i].compound.text,
+        description: describeCompound(
+          compounds[i].compound,
+          i === compounds.length - 1
+        ),
+        relation:
+          i < compounds.length - 1
+            ? STEP_RELATIONS[compounds[i + 1].combinator]
+            : null
+      });
+    }
+
+    return {
+      selector: complex.text,
+      sentence: `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`,
+      steps
+    };
+  });
+}
+
+/**
+ * Check one compound selector against an element. The subject's
+ * pseudo-element is ignored so the originating element can match, and
+ * :scope is checked against the query root rather than the element.
+ * @param {HTMLElement} element - Candidate element
+ * @param {Object} compound - Compound selector node
+ * @param {Element|null} scopeElement - Element :scope stands for
+ * @returns {boolean} True if the element matches
+ * @private
+ */
+function matchesCompound(element, compound, scopeElement) {
+  try {
+    const { selector, removed } = removeSubjectPseudos(
+      compound.text,
+      node =>
+        node.type === 'pseudo-element' ||
+        (node.type === 'pseudo-class' && node.name === 'scope')
+    );
+    const needsScope = removed.some(node => node.name === 'scope');
+
+    if (needsScope && element !== scopeElement) return false;
+    return element.matches(selector);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the candidates a combinator allows for the compound on its left
+ * @param {HTMLElement} element - Element matched by the compound on the right
+ * @param {string} combinator - Combinator
+ * @returns {Array<HTMLElement>} Candidates, nearest first
+ * @private
+ */
+function relatedElements(element, combinator) {
+  const related = [];
+  let current = element;
+
+  if (combinator === '>' || combinator === ' ') {
+    while ((current = current.parentElement)) {
+      related.push(current);
+      if (combinator === '>') break;
+    }
+  } else {
+    while ((current = current.previousElementSibling)) {
+      related.push(current);
+      if (combinator === '+') break;
+    }
+  }
+
+  return related;
+}
+
+/**
+ * Match compounds right to left with backtracking
+ * @param {HTMLElement} element - Candidate for the compound at index
+ * @param {Array<Object>} compounds - Compounds of the complex selector
+ * @param {number} index - Compound index
+ * @param {Element|null} scopeElement - Element :scope stands for
+ * @returns {Array<HTMLElement>|null} Matched elements left to right, or null
+ * @private
+ */
+function matchCompounds(element, compounds, index, scopeElement) {
+  if (!matchesCompound(element, compounds[index].compound, scopeElement)) {
+    return null;
+  }
+  if (index === 0) {
+    return [element];
+  }
+
+  for (const candidate of relatedElements(
+    element,
+    compounds[index].combinator
+  )) {
+    const chain = matchCompounds(candidate, compounds, index - 1, scopeElement);
+    if (chain) return [...chain, element];
+  }
+
+  return null;
+}
+
+/**
+ * Show which element satisfied each compound of the complex selectors
+ * that match an element
+ * @param {HTMLElement} element - Matched element
+ * @param {string} text - Selector list
+ * @param {Object} [options={}] - Matching options
+ * @param {Document|Element|ShadowRoot} [options.scopeRoot] - Root :scope refers to
+ * @returns {Array<Object>} Per matching complex selector, the chain right to
+ *   left; each link's combinator joins it to the link before it
+ */
+export function explainMatch(element, text, options = {}) {
+  const root = options.scopeRoot || element.ownerDocument;
+  const scopeElement = root?.nodeType === 9 ? root.documentElement : root;
+
+  return parseSelectorList(text)
+    .map(complex => {
+      const { compounds } = complex;
+      const chain = matchCompounds(
+        element,
+        compounds,
+        compounds.length - 1,
+        scopeElement
+      );
+      if (!chain) return null;
+
+      return {
+        selector: complex.text,
+        chain: chain
+          .map((matched, index) => ({
+            compound: compounds[index].compound.text,
+            combinator:
+              index < compounds.length - 1
+                ? compounds[index + 1].combinator
+                : null,
+            element: matched
+          }))
+          .reverse()
+      };
+    })
+    .filter(Boolean);
+}
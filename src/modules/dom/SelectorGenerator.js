@@ -0,0 +1,506 @@
+/**
+ * SelectorGenerator Component
+ *
+ * Derives short, unique CSS selectors for elements. Candidate compounds are
+ * collected per element from configurable strategies (test ids, ids, stable
+ * attributes, classes, tag names and, as a last resort, positions), combined
+ * with ancestors when needed, and every result is verified against the
+ * scope it will be used in. Alternatives are ranked by robustness: how
+ * likely the selector is to survive unrelated changes to the page.
+ *
+ * @fileoverview Unique selector generation for the DOM tools
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * Strategies in order of robustness
+ */
+export const SELECTOR_STRATEGIES = [
+  'testId',
+  'id',
+  'attribute',
+  'class',
+  'tag',
+  'position'
+];
+
+/**
+ * Base penalty per strategy; robustness is 100 minus the path's penalty
+ */
+const STRATEGY_PENALTIES = {
+  testId: 0,
+  id: 10,
+  attribute: 30,
+  class: 45,
+  tag: 65,
+  position: 80
+};
+
+/**
+ * Extra penalty for every compound beyond the subject and for every
+ * child combinator, which ties the selector to the exact nesting. Ancestor
+ * compounds also add a quarter of their own strategy penalty.
+ */
+const COMPOUND_PENALTY = 10;
+const CHILD_COMBINATOR_PENALTY = 5;
+
+/**
+ * Names that look generated by CSS-in-JS libraries, CSS modules or
+ * framework id helpers
+ */
+const GENERATED_NAME_PATTERNS = [
+  /^(css|jss|sc|emotion|styled|svelte)-/i,
+  /__(?=[\w-]*\d)[\w-]{5,}$/,
+  /^(?=.*\d)(?=.*[a-z])[a-z\d]{6,}$/i,
+  /^[a-z]+-[a-z]+-\d+$/i,
+  /\d{4,}/,
+  /^:.*:$/
+];
+
+/**
+ * Escape a CSS identifier
+ * @param {string} value - Raw identifier
+ * @returns {string} Escaped identifier
+ * @private
+ */
+function escapeIdentifier(value) {
+  if (window.CSS?.escape) {
+    return window.CSS.escape(value);
+  }
+
+  return String(value)
+    .replace(/[^\w-]/g, character => `\\${character}`)
+    .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
+}
+
+/**
+ * Quote an attribute value
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted value
+ * @private
+ */
+function quoteValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * SelectorGenerator class producing ranked unique selectors
+ * @class SelectorGenerator
+ */
+export class SelectorGenerator {
+  /**
+   * Initialize the generator
+   * @param {Object} options - Configuration options
+   * @param {Array<string>} [options.strategies] - Enabled strategies, see SELECTOR_STRATEGIES
+   * @param {Array<string>} [options.testIdAttributes] - Attributes holding test ids, most preferred first
+   * @param {Array<string>} [options.stableAttributes] - Attributes considered stable enough to select by
+   * @param {boolean} [options.avoidNthChild=true] - Only use positions when nothing else is unique
+   * @param {boolean} [options.avoidGeneratedClasses=true] - Skip class names and ids that look generated
+   * @param {RegExp} [options.generatedNamePattern] - Custom test for generated names
+   * @param {number} [options.maxDepth=4] - Ancestors to consider above the element
+   * @param {number} [options.maxCandidates=3] - Candidate compounds kept per element
+   * @param {number} [options.maxAlternatives=5] - Unique alternatives to return
+   */
+  constructor(options = {}) {
+    this.options = {
+      strategies: SELECTOR_STRATEGIES,
+      testIdAttributes: [
+        'data-testid',
+        'data-test-id',
+        'data-test',
+        'data-cy',
+        'data-qa'
+      ],
+      stableAttributes: [
+        'name',
+        'role',
+        'aria-label',
+        'type',
+        'for',
+        'alt',
+        'title',
+        'placeholder',
+        'href'
+      ],
+      avoidNthChild: true,
+      avoidGeneratedClasses: true,
+      generatedNamePattern: null,
+      maxDepth: 4,
+      maxCandidates: 3,
+      maxAlternatives: 5,
+      ...options
+    };
+  }
+
+  /**
+   * Generate the best unique selector for an element and ranked alternatives
+   * @param {HTMLElement} element - Target element
+   * @param {Object} [options={}] - Per-call overrides of the constructor options
+   * @param {Document|Element|ShadowRoot} [options.root] - Scope the selector must be unique in
+   * @returns {Object} { selector, strategy, robustness, unique, fallback, locator, alternatives }
+   */
+  generate(element, options = {}) {
+    if (!element || element.nodeType !== 1) {
+      throw new Error('Selector generation failed: expected an element');
+    }
+
+    const settings = { ...this.options, ...options };
+    let root = settings.root ?? element.getRootNode();
+    if (root === element) {
+      root = element.getRootNode();
+    }
+
+    const levels = this.getLevels(element, root, settings);
+    const alternatives = [];
+    const seen = new Set();
+
+    for (const path of this.buildPaths(levels)) {
+      // Skip duplicates and paths that only prefix an already unique one
+      const extendsAlternative = ({ selector }) =>
+        path.selector.endsWith(` ${selector}`);
+      if (seen.has(path.selector) || alternatives.some(extendsAlternative)) {
+        continue;
+      }
+      seen.add(path.selector);
+
+      if (this.isUnique(path.selector, element, root)) {
+        alternatives.push(path);
+        if (alternatives.length >= settings.maxAlternatives) break;
+      }
+    }
+
+    if (alternatives.length === 0) {
+      alternatives.push(this.buildPositionalPath(element, root, settings));
+    }
+
+    const ranked = alternatives.map(alternative => ({
+      ...alternative,
+      locator: this.toPlaywrightLocator(alternative)
+    }));
+    const [best] = ranked;
+
+    return {
+      selector: best.selector,
+      strategy: best.strategy,
+      robustness: best.robustness,
+      unique: best.unique,
+      fallback: best.fallback,
+      locator: best.locator,
+      alternatives: ranked
+    };
+  }
+
+  /**
+   * Get the best unique selector for an element
+   * @param {HTMLElement} element - Target element
+   * @param {Object} [options={}] - Options as for generate()
+   * @returns {string} CSS selector
+   */
+  getSelector(element, options = {}) {
+    return this.generate(element, options).selector;
+  }
+
+  /**
+   * Check that a selector matches exactly one element, the given one
+   * @param {string} selector - CSS selector
+   * @param {HTMLElement} element - Expected match
+   * @param {Document|Element|ShadowRoot} [root=document] - Scope to query
+   * @returns {boolean} True if the selector is unique to the element
+   */
+  isUnique(selector, element, root = document) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a class name or id looks machine generated
+   * @param {string} name - Class name or id
+   * @returns {boolean} True if the name is likely to change between builds
+   */
+  isGeneratedName(name) {
+    if (this.options.generatedNamePattern) {
+      return this.options.generatedNamePattern.test(name);
+    }
+
+    return GENERATED_NAME_PATTERNS.some(pattern => pattern.test(name));
+  }
+
+  /**
+   * Build a Playwright locator for a generated selector
+   * @param {Object} alternative - Alternative returned by generate()
+   * @returns {string} Locator expression
+   */
+  toPlaywrightLocator(alternative) {
+    const testId = /^\[data-testid="((?:[^"\\]|\\.)*)"\]$/.exec(
+      alternative.selector
+    );
+
+    if (testId) {
+      return `page.getByTestId('${testId[1].replace(/\\(.)/g, '$1').replace(/'/g, "\\'")}')`;
+    }
+
+    return `page.locator('${alternative.selector.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}')`;
+  }
+
+  /**
+   * Collect the element and its ancestors inside the scope with their
+   * candidate compounds
+   * @param {HTMLElement} element - Target element
+   * @param {Document|Element|ShadowRoot} root - Scope
+   * @param {Object} settings - Effective options
+   * @returns {Array<Object>} Levels from the element upwards: { element, candidates }
+   * @private
+   */
+  getLevels(element, root, settings) {
+    const levels = [];
+    let current = element;
+
+    while (current && current !== root && levels.length <= settings.maxDepth) {
+      // Positions are kept apart so they are not crowded out by weaker names
+      const candidates = this.getCandidates(current, root, settings);
+      levels.push({
+        element: current,
+        candidates: [
+          ...candidates
+            .filter(candidate => candidate.strategy !== 'position')
+            .slice(0, settings.maxCandidates),
+          ...candidates.filter(candidate => candidate.strategy === 'position')
+        ]
+      });
+      current = current.parentElement;
+    }
+
+    return levels;
+  }
+
+  /**
+   * Get candidate compounds for one element, most robust first
+   * @param {HTMLElement} element - Element
+   * @param {Document|Element|ShadowRoot} root - Scope, used to prefer unique candidates
+   * @param {Object} settings - Effective options
+   * @returns {Array<Object>} Candidates: { text, strategy, penalty }
+   * @private
+   */
+  getCandidates(element, root, settings) {
+    const strategies = new Set(settings.strategies);
+    const tag = escapeIdentifier(element.localName);
+    const candidates = [];
+    const add = (text, strategy, extra = 0) => {
+      candidates.push({
+        text,
+        strategy,
+        penalty: STRATEGY_PENALTIES[strategy] + extra
+      });
+    };
+    const isStable = name =>
+      !settings.avoidGeneratedClasses || !this.isGeneratedName(name);
+
+    if (strategies.has('testId')) {
+      settings.testIdAttributes.forEach((name, index) => {
+        const value = element.getAttribute(name);
+        if (value) add(`[${name}=${quoteValue(value)}]`, 'testId', index);
+      });
+    }
+
+    if (strategies.has('id') && element.id && isStable(element.id)) {
+      add(`#${escapeIdentifier(element.id)}`, 'id');
+    }
+
+    if (strategies.has('attribute')) {
+      settings.stableAttributes.forEach((name, index) => {
+        const value = element.getAttribute(name);
+        if (value && value.length <= 100) {
+          add(`${tag}[${name}=${quoteValue(value)}]`, 'attribute', index);
+        }
+      });
+    }
+
+    if (strategies.has('class')) {
+      const classes = Array.from(element.classList)
+        .filter(isStable)
+        .map(escapeIdentifier);
+
+      classes.forEach(name => add(`.${name}`, 'class'));
+      classes.forEach(name => add(`${tag}.${name}`, 'class', 3));
+      if (classes.length > 1) {
+        add(`.${classes[0]}.${classes[1]}`, 'class', 5);
+      }
+    }
+
+    if (strategies.has('tag')) {
+      add(tag, 'tag');
+    }
+
+    if (strategies.has('position') && !settings.avoidNthChild) {
+      add(`${tag}:nth-of-type(${this.getTypeIndex(element)})`, 'position');
+      add(`${tag}:nth-child(${this.getChildIndex(element)})`, 'position', 5);
+    }
+
+    // Candidates unique on their own come first within the same strategy
+    return candidates
+      .map(candidate => ({
+        ...candidate,
+        penalty:
+          candidate.penalty -
+          (this.isUnique(candidate.text, element, root) ? 1 : 0)
+      }))
+      .sort((a, b) => a.penalty - b.penalty);
+  }
+
+  /**
+   * Build candidate paths of up to three compounds, cheapest first
+   * @param {Array<Object>} levels - Levels from getLevels()
+   * @returns {Array<Object>} Paths: { selector, strategy, robustness, unique, fallback }
+   * @private
+   */
+  buildPaths(levels) {
+    const paths = [];
+
+    const extend = (compounds, levelIndex, penalty) => {
+      paths.push({ compounds, penalty });
+      if (compounds.length >= 3) return;
+
+      for (let index = levelIndex + 1; index < levels.length; index++) {
+        const combinator = index === levelIndex + 1 ? ' > ' : ' ';
+        levels[index].candidates.forEach(candidate => {
+          extend(
+            [{ ...candidate, combinator }, ...compounds],
+            index,
+            penalty +
+              candidate.penalty / 4 +
+              COMPOUND_PENALTY +
+              (combinator === ' > ' ? CHILD_COMBINATOR_PENALTY : 0)
+          );
+        });
+      }
+    };
+
+    if (levels.length === 0) return [];
+    levels[0].candidates.forEach(candidate => {
+      extend([{ ...candidate, combinator: '' }], 0, candidate.penalty);
+    });
+
+    // Sort on the raw penalty so paths past the robustness floor still rank
+    return paths
+      .sort(
+        (a, b) =>
+          a.penalty - b.penalty || a.compounds.length - b.compounds.length
+      )
+      .map(({ compounds, penalty }) => {
+        const subject = compounds[compounds.length - 1];
+        // Each ancestor carries the combinator to its right
+        const selector = compounds
+          .map(compound => `${compound.text}${compound.combinator}`)
+          .join('');
+        const usesPosition = compounds.some(
+          compound => compound.strategy === 'position'
+        );
+
+        return {
+          selector,
+          strategy: usesPosition ? 'position' : subject.strategy,
+          robustness: Math.min(100, Math.max(0, Math.round(100 - penalty))),
+          unique: true,
+          fallback: false
+        };
+      });
+  }
+
+  /**
+   * Build a structural path down to the element, anchored at the nearest
+   * ancestor that has a unique candidate of its own, or else at the scope.
+   * Used when no candidate path is unique, even if positions are avoided.
+   * @param {HTMLElement} element - Target element
+   * @param {Document|Element|ShadowRoot} root - Scope
+   * @param {Object} settings - Effective options
+   * @returns {Object} Path: { selector, strategy, robustness, unique, fallback }
+   * @private
+   */
+  buildPositionalPath(element, root, settings) {
+    const compounds = [];
+    let current = element;
+    let anchor = null;
+
+    while (current && current !== root) {
+      if (current !== element) {
+        anchor = this.findUniqueCandidate(current, root, settings);
+        if (anchor) break;
+      }
+
+      const tag = escapeIdentifier(current.localName);
+      compounds.unshift(
+        current === current.ownerDocument.documentElement
+          ? tag
+          : `${tag}:nth-child(${this.getChildIndex(current)})`
+      );
+      current = current.parentElement;
+    }
+
+    if (anchor) {
+      compounds.unshift(anchor.text);
+    } else if (root.nodeType === 1) {
+      compounds.unshift(':scope');
+    }
+
+    const selector = compounds.join(' > ');
+
+    return {
+      selector,
+      strategy: 'position',
+      robustness: 0,
+      unique: this.isUnique(selector, element, root),
+      fallback: true
+    };
+  }
+
+  /**
+   * Find a candidate other than the bare tag that is unique on its own
+   * @param {HTMLElement} element - Element
+   * @param {Document|Element|ShadowRoot} root - Scope
+   * @param {Object} settings - Effective options
+   * @returns {Object|undefined} Candidate, if any
+   * @private
+   */
+  findUniqueCandidate(element, root, settings) {
+    return this.getCandidates(element, root, settings).find(
+      candidate =>
+        candidate.strategy !== 'tag' &&
+        this.isUnique(candidate.text, element, root)
+    );
+  }
+
+  /**
+   * Get the 1-based position of an element among its siblings
+   * @param {HTMLElement} element - Element
+   * @returns {number} Index for :nth-child()
+   * @private
+   */
+  getChildIndex(element) {
+    const siblings = element.parentNode
+      ? Array.from(element.parentNode.children)
+      : [element];
+    return siblings.indexOf(element) + 1;
+  }
+
+  /**
+   * Get the 1-based position of an element among siblings of its type
+   * @param {HTMLElement} element - Element
+   * @returns {number} Index for :nth-of-type()
+   * @private
+   */
+  getTypeIndex(element) {
+    const siblings = element.parentNode
+      ? Array.from(element.parentNode.children)
+      : [element];
+    return (
+      siblings
+        .filter(sibling => sibling.localName === element.localName)
+        .indexOf(element) + 1
+    );
+  }
+}
@@ -0,0 +1,881 @@
+/**
+ * Selector Parser
+ *
+ * Tokenizer and parser for CSS selectors (Selectors Level 4) producing a
+ * small AST of complex selectors, compound selectors and simple selectors,
+ * plus specificity calculation per complex selector. Shared by the Style
+ * Computer and the Selector Tester.
+ *
+ * @fileoverview CSS selector tokenizer, parser and specificity
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * Pseudo-classes whose argument is a selector list
+ */
+const SELECTOR_LIST_PSEUDOS = new Set([
+  'is',
+  'where',
+  'not',
+  'matches',
+  '-webkit-any',
+  '-moz-any'
+]);
+
+/**
+ * Pseudo-classes taking An+B with an optional "of S" selector list
+ */
+const NTH_OF_PSEUDOS = new Set(['nth-child', 'nth-last-child']);
+
+/**
+ * Pseudo-classes taking An+B
+ */
+const NTH_PSEUDOS = new Set([
+  'nth-child',
+  'nth-last-child',
+  'nth-of-type',
+  'nth-last-of-type',
+  'nth-col',
+  'nth-last-col'
+]);
+
+/**
+ * Pseudo-elements that may be written with a single colon
+ */
+const LEGACY_PSEUDO_ELEMENTS = new Set([
+  'before',
+  'after',
+  'first-line',
+  'first-letter'
+]);
+
+const COMBINATORS = new Set(['>', '+', '~']);
+const WHITESPACE = /[ \t\n\r\f]/;
+const NAME_CHAR = /[\w\u00a0-\uffff-]/;
+const NAME_START = /[A-Za-z_\u00a0-\uffff]/;
+
+/**
+ * Tokenize a selector
+ * @param {string} text - Selector text
+ * @returns {Array<Object>} Tokens with type, value, start and end
+ */
+export function tokenizeSelector(text) {
+  const tokens = [];
+  let i = 0;
+
+  const fail = message => {
+    throw new Error(`Invalid selector "${text}": ${message} at ${i}`);
+  };
+
+  const isEscape = index =>
+    text[index] === '\\' && index + 1 < text.length && text[index + 1] !== '\n';
+
+  const startsName = index =>
+    NAME_START.test(text[index] || '') ||
+    isEscape(index) ||
+    (text[index] === '-' &&
+      (NAME_START.test(text[index + 1] || '') ||
+        text[index + 1] === '-' ||
+        isEscape(index + 1)));
+
+  const readEscape = () => {
+    i++; // backslash
+    const hex = /^[0-9a-fA-F]{1,6}/.exec(text.slice(i));
+
+    if (hex) {
+      i += hex[0].length;
+      if (WHITESPACE.test(text[i] || '')) i++;
+      const code = parseInt(hex[0], 16);
+      return code === 0 || code > 0x10ffff
+        ? '\ufffd'
+        : String.fromCodePoint(code);
+    }
+
+    return text[i++];
+  };
+
+  const readName = () => {
+    let name = '';
+    while (i < text.length) {
+      if (isEscape(i)) {
+        name += readEscape();
+      } else if (NAME_CHAR.test(text[i])) {
+        name += text[i++];
+      } else {
+        break;
+      }
+    }
+    return name;
+  };
+
+  while (i < text.length) {
+    const start = i;
+    const char = text[i];
+
+    if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) fail('unterminated comment');
+      i = end + 2;
+      continue;
+    }
+
+    if (WHITESPACE.test(char)) {
+      while (i < text.length && WHITESPACE.test(text[i])) i++;
+      tokens.push({ type: 'whitespace', value: ' ', start, end: i });
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\n') fail('newline in string');
+        value += text[i] === '\\' ? readEscape() : text[i++];
+      }
+      if (i >= text.length) fail('unterminated string');
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    if (
+      char === '#' &&
+      (NAME_CHAR.test(text[i + 1] || '') || isEscape(i + 1))
+    ) {
+      i++;
+      tokens.push({ type: 'hash', value: readName(), start, end: i });
+      continue;
+    }
+
+    if (startsName(i)) {
+      const value = readName();
+      if (text[i] === '(') {
+        i++;
+        tokens.push({ type: 'function', value, start, end: i });
+      } else {
+        tokens.push({ type: 'ident', value, start, end: i });
+      }
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      while (i < text.length && NAME_CHAR.test(text[i])) i++;
+      tokens.push({
+        type: 'number',
+        value: text.slice(start, i),
+        start,
+        end: i
+      });
+      continue;
+    }
+
+    if ('~|^$*'.includes(char) && text[i + 1] === '=') {
+      i += 2;
+      tokens.push({ type: 'matcher', value: `${char}=`, start, end: i });
+      continue;
+    }
+
+    if (char === '=') {
+      i++;
+      tokens.push({ type: 'matcher', value: '=', start, end: i });
+      continue;
+    }
+
+    if (char === '\\') fail('invalid escape');
+
+    i++;
+    tokens.push({ type: 'delim', value: char, start, end: i });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over selector tokens
+ * @class SelectorTokenParser
+ * @private
+ */
+class SelectorTokenParser {
+  /**
+   * Create a parser
+   * @param {string} text - Selector text
+   * @param {Array<Object>} tokens - Tokens of the text
+   */
+  constructor(text, tokens) {
+    this.text = text;
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  /**
+   * Throw a syntax error at the current token
+   * @param {string} message - Error description
+   */
+  fail(message) {
+    const token = this.tokens[this.index];
+    const position = token ? token.start : this.text.length;
+    throw new Error(
+      `Invalid selector "${this.text}": ${message} at ${position}`
+    );
+  }
+
+  /**
+   * Get the current token
+   * @param {number} [offset=0] - Lookahead offset
+   * @returns {Object|undefined} Token
+   */
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  /**
+   * Check whether the current token is a delimiter
+   * @param {string} value - Delimiter character
+   * @param {number} [offset=0] - Lookahead offset
+   * @returns {boolean} True if it matches
+   */
+  isDelim(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'delim' && token.value === value;
+  }
+
+  /**
+   * Skip whitespace tokens
+   * @returns {boolean} True if any whitespace was skipped
+   */
+  skipWhitespace() {
+    let skipped = false;
+    while (this.peek()?.type === 'whitespace') {
+      this.index++;
+      skipped = true;
+    }
+    return skipped;
+  }
+
+  /**
+   * Parse a comma-separated selector list up to the end or a ')'
+   * @param {boolean} [relative=false] - Allow leading combinators (:has)
+   * @returns {Array<Object>} Complex selectors
+   */
+  parseList(relative = false) {
+    const list = [];
+
+    for (;;) {
+      this.skipWhitespace();
+      list.push(this.parseComplex(relative));
+      this.skipWhitespace();
+
+      if (this.isDelim(',')) {
+        this.index++;
+        continue;
+      }
+      if (!this.peek() || this.isDelim(')')) break;
+
+      this.fail(
+        `unexpected "${this.text.slice(this.peek().start, this.peek().end)}"`
+      );
+    }
+
+    return list;
+  }
+
+  /**
+   * Parse a complex selector
+   * @param {boolean} relative - Allow a leading combinator
+   * @returns {Object} Complex selector node
+   */
+  parseComplex(relative) {
+    const start = this.peek()?.start ?? this.text.length;
+    const compounds = [];
+    let combinator = null;
+
+    if (
+      relative &&
+      COMBINATORS.has(this.peek()?.value) &&
+      this.peek().type === 'delim'
+    ) {
+      combinator = this.peek().value;
+      this.index++;
+      this.skipWhitespace();
+    }
+
+    for (;;) {
+      const compound = this.parseCompound();
+      if (!compound) {
+        this.fail(
+          combinator
+            ? 'expected a selector after a combinator'
+            : 'expected a selector'
+        );
+      }
+      compounds.push({ combinator, compound });
+
+      const hadWhitespace = this.skipWhitespace();
+      const next = this.peek();
+
+      if (next?.type === 'delim' && COMBINATORS.has(next.value)) {
+        combinator = next.value;
+        this.index++;
+        this.skipWhitespace();
+      } else if (
+        hadWhitespace &&
+        next &&
+        !this.isDelim(',') &&
+        !this.isDelim(')')
+      ) {
+        combinator = ' ';
+      } else {
+        break;
+      }
+    }
+
+    const end = this.peek(-1)?.end ?? start;
+    return {
+      type: 'complex',
+      text: this.text.slice(start, end).trim(),
+      compounds
+    };
+  }
+
+  /**
+   * Parse a compound selector
+   * @returns {Object|null} Compound node, or null if nothing was parsed
+   */
+  parseCompound() {
+    const start = this.peek()?.start;
+    const selectors = [];
+
+    const typeSelector = this.parseTypeSelector();
+    if (typeSelector) selectors.push(typeSelector);
+
+    for (;;) {
+      const token = this.peek();
+      if (!token) break;
+
+      if (token.type === 'hash') {
+        this.index++;
+        selectors.push({ type: 'id', name: token.value });
+      } else if (this.isDelim('.')) {
+        this.index++;
+        const name = this.peek();
+        if (name?.type !== 'ident') this.fail('expected a class name');
+        this.index++;
+        selectors.push({ type: 'class', name: name.value });
+      } else if (this.isDelim('[')) {
+        selectors.push(this.parseAttribute());
+      } else if (this.isDelim(':')) {
+        selectors.push(this.parsePseudo());
+      } else {
+        break;
+      }
+    }
+
+    if (selectors.length === 0) return null;
+
+    return {
+      type: 'compound',
+      text: this.text.slice(start, this.peek(-1).end),
+      selectors
+    };
+  }
+
+  /**
+   * Parse an optional type or universal selector with namespace prefix
+   * @returns {Object|null} Type node
+   */
+  parseTypeSelector() {
+    const readPart = () => {
+      const token = this.peek();
+      if (token?.type === 'ident') {
+        this.index++;
+        return token.value;
+      }
+      if (this.isDelim('*')) {
+        this.index++;
+        return '*';
+      }
+      return null;
+    };
+
+    let namespace = null;
+    let name = null;
+
+    if (this.isDelim('|')) {
+      // Empty namespace: |name
+      this.index++;
+      namespace = '';
+      name = readPart();
+      if (name === null) this.fail('expected a type after "|"');
+    } else {
+      name = readPart();
+      if (name === null) return null;
+
+      if (this.isDelim('|') && !this.isDelim('|', 1)) {
+        this.index++;
+        namespace = name;
+        name = readPart();
+        if (name === null) this.fail('expected a type after "|"');
+      }
+    }
+
+    return name === '*'
+      ? { type: 'universal', namespace }
+      : { type: 'type', name: name.toLowerCase(), namespace };
+  }
+
+  /**
+   * Parse an attribute selector
+   * @returns {Object} Attribute node
+   */
+  parseAttribute() {
+    this.index++; // [
+    this.skipWhitespace();
+
+    let namespace = null;
+    let name = this.peek();
+
+    if (this.isDelim('*') || this.isDelim('|')) {
+      namespace = this.isDelim('*') ? '*' : '';
+      this.index += this.isDelim('*') ? 1 : 0;
+      if (!this.isDelim('|')) this.fail('expected "|"');
+      this.index++;
+      name = this.peek();
+    } else if (name?.type === 'ident' && this.isDelim('|', 1)) {
+      namespace = name.value;
+      this.index += 2;
+      name = this.peek();
+    }
+
+    if (name?.type !== 'ident') this.fail('expected an attribute name');
+    this.index++;
+    this.skipWhitespace();
+
+    const node = { type: 'attribute', name: name.value, namespace };
+
+    if (this.peek()?.type === 'matcher') {
+      node.operator = this.peek().value;
+      this.index++;
+      this.skipWhitespace();
+
+      const value = this.peek();
+      if (value?.type !== 'ident' && value?.type !== 'string') {
+        this.fail('expected an attribute value');
+      }
+      node.value = value.value;
+      this.index++;
+      this.skipWhitespace();
+
+      const flag = this.peek();
+      if (flag?.type === 'ident' && /^[is]$/i.test(flag.value)) {
+        node.flag = flag.value.toLowerCase();
+        this.index++;
+        this.skipWhitespace();
+      }
+    }
+
+    if (!this.isDelim(']')) this.fail('expected "]"');
+    this.index++;
+
+    return node;
+  }
+
+  /**
+   * Parse a pseudo-class or pseudo-element
+   * @returns {Object} Pseudo node
+   */
+  parsePseudo() {
+    this.index++; // :
+    let element = false;
+
+    if (this.isDelim(':')) {
+      element = true;
+      this.index++;
+    }
+
+    const token = this.peek();
+    if (token?.type !== 'ident' && token?.type !== 'function') {
+      this.fail('expected a pseudo-class name');
+    }
+    this.index++;
+
+    const name = token.value.toLowerCase();
+    const legacy = !element && LEGACY_PSEUDO_ELEMENTS.has(name);
+    const node = {
+      type: element || legacy ? 'pseudo-element' : 'pseudo-class',
+      name
+    };
+    if (legacy) node.legacy = true;
+
+    if (token.type === 'function') {
+      this.parsePseudoArgument(node);
+    }
+
+    return node;
+  }
+
+  /**
+   * Parse the argument of a functional pseudo-class or pseudo-element
+   * @param {Object} node - Pseudo node to populate
+   */
+  parsePseudoArgument(node) {
+    const argumentStart = this.index;
+    const closing = this.findClosingParen();
+    node.argument = this.text
+      .slice(
+        this.tokens[argumentStart]?.start ?? this.text.length,
+        this.tokens[closing].start
+      )
+      .trim();
+
+    const isClass = node.type === 'pseudo-class';
+
+    if (
+      isClass &&
+      (SELECTOR_LIST_PSEUDOS.has(node.name) || node.name === 'has')
+    ) {
+      node.selectors = this.parseList(node.name === 'has');
+    } else if (isClass && NTH_PSEUDOS.has(node.name)) {
+      node.nth = this.parseNth(node, closing);
+    } else if (
+      (isClass && (node.name === 'host' || node.name === 'host-context')) ||
+      (!isClass && node.name === 'slotted')
+    ) {
+      this.skipWhitespace();
+      const compound = this.parseCompound();
+      if (!compound) this.fail('expected a compound selector');
+      node.selectors = [
+        {
+          type: 'complex',
+          text: compound.text,
+          compounds: [{ combinator: null, compound }]
+        }
+      ];
+      this.skipWhitespace();
+    } else {
+      this.index = closing;
+    }
+
+    if (this.index !== closing) this.fail('unexpected token in argument');
+    this.index++; // )
+  }
+
+  /**
+   * Parse An+B with an optional "of S" list
+   * @param {Object} node - Pseudo node
+   * @param {number} closing - Index of the closing parenthesis
+   * @returns {Object} { a, b }
+   */
+  parseNth(node, closing) {
+    let ofIndex = -1;
+    for (let i = this.index; i < closing; i++) {
+      if (this.tokens[i].type === 'ident' && this.tokens[i].value === 'of') {
+        ofIndex = i;
+        break;
+      }
+    }
+
+    const end = ofIndex === -1 ? closing : ofIndex;
+    const expression = this.text
+      .slice(this.tokens[this.index].start, this.tokens[end].start)
+      .replace(/\s+/g, '')
+      .toLowerCase();
+    const nth = parseAnB(expression);
+    if (!nth) this.fail(`invalid An+B expression "${expression}"`);
+
+    if (ofIndex === -1) {
+      this.index = closing;
+    } else {
+      if (!NTH_OF_PSEUDOS.has(node.name)) this.fail('"of" is not allowed here');
+      this.index = ofIndex + 1;
+      node.selectors = this.parseList();
+    }
+
+    return nth;
+  }
+
+  /**
+   * Find the ')' closing the current function
+   * @returns {number} Token index
+   */
+  findClosingParen() {
+    let depth = 0;
+
+    for (let i = this.index; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (
+        token.type === 'function' ||
+        (token.type === 'delim' && token.value === '(')
+      ) {
+        depth++;
+      } else if (token.type === 'delim' && token.value === ')') {
+        if (depth === 0) return i;
+        depth--;
+      }
+    }
+
+    this.fail('missing ")"');
+  }
+}
+
+/**
+ * Parse an An+B expression
+ * @param {string} expression - Lower-case expression without whitespace
+ * @returns {Object|null} { a, b } or null if invalid
+ */
+export function parseAnB(expression) {
+  if (expression === 'odd') return { a: 2, b: 1 };
+  if (expression === 'even') return { a: 2, b: 0 };
+
+  const match = /^([+-]?\d*)n([+-]\d+)?$|^([+-]?\d+)$/.exec(expression);
+  if (!match) return null;
+
+  if (match[3] !== undefined) {
+    return { a: 0, b: parseInt(match[3], 10) };
+  }
+
+  const a =
+    match[1] === '' || match[1] === '+'
+      ? 1
+      : match[1] === '-'
+        ? -1
+        : parseInt(match[1], 10);
+  return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+/**
+ * Parse a selector list
+ * @param {string} text - Selector list text
+ * @returns {Array<Object>} Complex selector nodes
+ */
+export function parseSelectorList(text) {
+  const tokens = tokenizeSelector(text);
+  const parser = new SelectorTokenParser(text, tokens);
+
+  if (tokens.every(token => token.type === 'whitespace')) {
+    parser.fail('empty selector');
+  }
+
+  const list = parser.parseList();
+  if (parser.peek()) parser.fail('unexpected ")"');
+
+  return list;
+}
+
+/**
+ * Split a selector list into its complex selectors' source text without
+ * validating them
+ * @param {string} text - Selector list text
+ * @returns {Array<string>} Complex selector texts
+ */
+export function splitSelectorList(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  tokenizeSelector(text).forEach(token => {
+    if (
+      token.type === 'function' ||
+      (token.type === 'delim' && '(['.includes(token.value))
+    ) {
+      depth++;
+    } else if (token.type === 'delim' && ')]'.includes(token.value)) {
+      depth--;
+    } else if (token.type === 'delim' && token.value === ',' && depth === 0) {
+      parts.push(text.slice(start, token.start).trim());
+      start = token.end;
+    }
+  });
+
+  parts.push(text.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Remove pseudo-classes or pseudo-elements from the subject (rightmost)
+ * compound of a complex selector, e.g. to evaluate `a:hover::before` as
+ * `a` while simulating a state. Pseudos inside functional arguments are
+ * left alone.
+ * @param {string} selector - Complex selector
+ * @param {Function} shouldRemove - ({ type, name }) => boolean
+ * @returns {Object} Rewritten selector and the removed pseudo nodes
+ */
+export function removeSubjectPseudos(selector, shouldRemove) {
+  const list = parseSelectorList(selector);
+  if (list.length !== 1) {
+    throw new Error(
+      `Invalid selector "${selector}": expected a single complex selector`
+    );
+  }
+
+  const [{ text, compounds }] = list;
+  const subjectStart =
+    text.length - compounds[compounds.length - 1].compound.text.length;
+  const tokens = tokenizeSelector(text);
+  const removed = [];
+  const ranges = [];
+  let depth = 0;
+
+  const findClosing = from => {
+    let level = 1;
+    for (let j = from; j < tokens.length; j++) {
+      const { type, value } = tokens[j];
+      if (type === 'function' || (type === 'delim' && value === '(')) level++;
+      if (type === 'delim' && value === ')' && --level === 0) return j;
+    }
+    return tokens.length - 1;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.start < subjectStart) continue;
+
+    if (
+      token.type === 'function' ||
+      (token.type === 'delim' && '(['.includes(token.value))
+    ) {
+      depth++;
+    } else if (token.type === 'delim' && ')]'.includes(token.value)) {
+      depth--;
+    } else if (token.type === 'delim' && token.value === ':' && !depth) {
+      let next = i + 1;
+      const element = tokens[next]?.value === ':';
+      if (element) next++;
+
+      const nameToken = tokens[next];
+      const name = nameToken.value.toLowerCase();
+      const last = nameToken.type === 'function' ? findClosing(next + 1) : next;
+      const node = {
+        type:
+          element || LEGACY_PSEUDO_ELEMENTS.has(name)
+            ? 'pseudo-element'
+            : 'pseudo-class',
+        name
+      };
+
+      if (shouldRemove(node)) {
+        removed.push(node);
+        ranges.push([token.start, tokens[last].end]);
+      }
+      i = last;
+    }
+  }
+
+  let result = text;
+  ranges.reverse().forEach(([start, end]) => {
+    result = result.slice(0, start) + result.slice(end);
+  });
+
+  if (result.length === subjectStart) {
+    result += '*';
+  }
+
+  return { selector: result, removed };
+}
+
+/**
+ * Compare two specificities
+ * @param {Array<number>} a - First [ids, classes, types]
+ * @param {Array<number>} b - Second [ids, classes, types]
+ * @returns {number} Positive if a is higher, negative if lower, 0 if equal
+ */
+export function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Highest specificity in a list of complex selectors
+ * @param {Array<Object>} selectors - Complex selector nodes
+ * @returns {Array<number>} Specificity
+ * @private
+ */
+function maxSpecificity(selectors = []) {
+  return selectors
+    .map(complexSpecificity)
+    .reduce(
+      (max, current) => (compareSpecificity(current, max) > 0 ? current : max),
+      [0, 0, 0]
+    );
+}
+
+/**
+ * Specificity of a simple selector
+ * @param {Object} selector - Simple selector node
+ * @returns {Array<number>} Specificity
+ * @private
+ */
+function simpleSpecificity(selector) {
+  switch (selector.type) {
+    case 'id':
+      return [1, 0, 0];
+    case 'class':
+    case 'attribute':
+      return [0, 1, 0];
+    case 'type':
+      return [0, 0, 1];
+    case 'universal':
+      return [0, 0, 0];
+    case 'pseudo-element': {
+      const [a, b, c] = maxSpecificity(selector.selectors);
+      return [a, b, c + 1];
+    }
+    case 'pseudo-class': {
+      if (selector.name === 'where') return [0, 0, 0];
+      if (SELECTOR_LIST_PSEUDOS.has(selector.name) || selector.name === 'has') {
+        return maxSpecificity(selector.selectors);
+      }
+      const [a, b, c] = maxSpecificity(selector.selectors);
+      return [a, b + 1, c];
+    }
+    default:
+      return [0, 0, 0];
+  }
+}
+
+/**
+ * Specificity of a complex selector node
+ * @param {Object} complex - Complex selector node
+ * @returns {Array<number>} Specificity [ids, classes, types]
+ * @private
+ */
+function complexSpecificity(complex) {
+  const total = [0, 0, 0];
+
+  complex.compounds.forEach(({ compound }) => {
+    compound.selectors.forEach(selector => {
+      simpleSpecificity(selector).forEach((value, index) => {
+        total[index] += value;
+      });
+    });
+  });
+
+  return total;
+}
+
+/**
+ * Calculate Selectors Level 4 specificity for each complex selector in a
+ * selector list
+ * @param {string|Array<Object>} selector - Selector list text or parsed list
+ * @returns {Array<Object>} { selector, specificity: [ids, classes, types] } per complex selector
+ */
+export function calculateSpecificity(selector) {
+  const list =
+    typeof selector === 'string' ? parseSelectorList(selector) : selector;
+
+  return list.map(complex => ({
+    selector: complex.text,
+    specificity: complexSpecificity(complex)
+  }));
+}
+
+/**
+ * Highest specificity of a selector list
+ * @param {string} selector - Selector list text
+ * @returns {Array<number>} Specificity [ids, classes, types]
+ */
+export function getMaxSpecificity(selector) {
+  return maxSpecificity(parseSelectorList(selector));
+}
@@ -8,6 +8,12 @@
  * @version 1.0.0
  */
 
+import { calculateSpecificity, compareSpecificity, splitSelectorList } from './SelectorParser.js';
+import { explainSelector, explainMatch } from './SelectorExplainer.js';
+import { SelectorGenerator } from './SelectorGenerator.js';
+import { analyzeCompatibility, BROWSER_NAMES, DEFAULT_TARGETS } from './SelectorCompatibility.js';
+import { BENCHMARK_DEFAULTS, compareSelectors, generateSyntheticDOM, runScalingBenchmark } from './SelectorBenchmark.js';
+
 export class SelectorTester {
   /**
    * Create a new SelectorTester instance
@@ -23,6 +29,16 @@ export class SelectorTester {
       maxResults: 100,
       highlightDuration: 3000,
       enablePerformanceMode: false,
+      benchmarkIterations: BENCHMARK_DEFAULTS.iterations,
+      benchmarkWarmup: BENCHMARK_DEFAULTS.warmup,
+      scope: 'document',
+      pierceShadow: false,
+      excludeOwnUI: true,
+      explainMode: false,
+      compatibilityTargets: DEFAULT_TARGETS,
+      maxHistory: 50,
+      persistHistory: true,
+      storageKey: 'selector-tester',
       ...options
     };
 
@@ -45,7 +61,7 @@ export class SelectorTester {
     // Selector patterns for auto-completion and validation
     this.selectorPatterns = {
       basic: ['*', 'div', 'span', 'p', 'a', 'img', 'h1', 'h2', 'h3'],
-classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidden'],
+      classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidden'],
       ids: ['#header', '#main', '#footer', '#nav', '#content'],
       attributes: ['[type="text"]', '[class*="btn"]', '[data-*]', '[href^="http"]', '[src$=".jpg"]'],
       pseudoClasses: [':hover', ':focus', ':active', ':first-child', ':last-child', ':nth-child()', ':not()'],
@@ -79,6 +95,20 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
     // Auto-complete suggestions
     this.autoCompleteEngine = null;
 
+    // Query scopes: the demo container and the NodeTreeEditor selection are
+    // provided by the host module, open shadow roots are discovered on demand
+    this.scopeRoots = {
+      demo: null,
+      selection: null,
+      shadow: null
+    };
+    this.shadowRootOptions = [];
+    this.state.resultHosts = new Map();
+
+    // Unique selector generation for result elements
+    this.selectorGenerator = new SelectorGenerator();
+    this.state.matchChains = new Map();
+
     this.initialize();
   }
 
@@ -88,9 +118,13 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
    */
   initialize() {
     this.createTesterInterface();
+    this.renderScopeOptions();
+    this.loadPersistedState();
     this.setupEventListeners();
     this.initializeAutoComplete();
     this.loadSelectorLibrary();
+    this.renderHistory();
+    this.updatePerformanceDisplay();
 
     console.log('🎯 SelectorTester initialized');
   }
@@ -122,6 +156,14 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
                 <input type="checkbox" id="auto-complete" checked />
                 <span>Auto-complete</span>
               </label>
+              <label class="checkbox-label">
+                <input type="checkbox" id="explain-mode" ${this.options.explainMode ? 'checked' : ''} />
+                <span>Explain Mode</span>
+              </label>
+              <label class="checkbox-label">
+                <input type="checkbox" id="benchmark-mode" ${this.options.enablePerformanceMode ? 'checked' : ''} />
+                <span>Benchmark Mode</span>
+              </label>
             </div>
           </div>
         </div>
@@ -166,6 +208,18 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
                   </div>
                 </div>
               </div>
+
+              <div class="scope-controls">
+                <label class="scope-label" for="selector-scope">Scope:</label>
+                <select id="selector-scope" class="scope-select">
+                  <!-- Scope options are rendered by renderScopeOptions -->
+                </select>
+                <label class="checkbox-label">
+                  <input type="checkbox" id="pierce-shadow" ${this.options.pierceShadow ? 'checked' : ''} />
+                  <span>Pierce shadow DOM</span>
+                </label>
+                <span class="scope-hint">Start with &gt; or use :scope to query relative to the scope</span>
+              </div>
             </div>
 
             <div class="quick-selectors">
@@ -183,6 +237,41 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
                 <button class="selector-chip" data-selector=".nav li:nth-child(odd)">.nav li:nth-child(odd)</button>
               </div>
             </div>
+
+            <div id="benchmark-panel" class="benchmark-panel ${this.options.enablePerformanceMode ? '' : 'hidden'}">
+              <div class="quick-header">
+                <h5>Benchmark</h5>
+              </div>
+              <textarea
+                id="benchmark-selectors"
+                class="benchmark-selectors"
+                rows="3"
+                placeholder="One selector per line to compare; the current selector is used when empty"
+              ></textarea>
+              <div class="benchmark-settings">
+                <label>Iterations <input type="number" id="benchmark-iterations" min="1" max="5000" value="${this.options.benchmarkIterations}" /></label>
+                <label>Warm-up <input type="number" id="benchmark-warmup" min="0" max="1000" value="${this.options.benchmarkWarmup}" /></label>
+                <label>DOM
+                  <select id="benchmark-target">
+                    <option value="scope">Current scope</option>
+                    <option value="synthetic">Synthetic DOM</option>
+                  </select>
+                </label>
+                <label>Depth <input type="number" id="synthetic-depth" min="1" max="8" value="5" /></label>
+                <label>Breadth <input type="number" id="synthetic-breadth" min="1" max="10" value="4" /></label>
+              </div>
+              <div class="benchmark-actions">
+                <button class="action-btn" id="run-benchmark">
+                  <span class="icon">⏱️</span>
+                  Run Benchmark
+                </button>
+                <button class="action-btn" id="run-scaling-test">
+                  <span class="icon">📈</span>
+                  Scaling Test
+                </button>
+              </div>
+              <div id="benchmark-results" class="benchmark-results"></div>
+            </div>
           </div>
 
           <div class="results-panel">
@@ -236,6 +325,33 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
               </div>
             </div>
 
+            <div class="panel-section">
+              <h4>Browser Compatibility</h4>
+              <div id="compatibility-report" class="compatibility-report">
+                <div class="analysis-placeholder">
+                  Enter a selector to check it against ${this.escapeHTML(this.describeTargets())}
+                </div>
+              </div>
+            </div>
+
+            <div class="panel-section">
+              <h4>Selector Explanation</h4>
+              <div id="selector-explanation" class="selector-explanation">
+                <div class="analysis-placeholder">
+                  Enable Explain Mode to read the selector in plain language
+                </div>
+              </div>
+            </div>
+
+            <div class="panel-section">
+              <h4>Generated Selectors</h4>
+              <div id="generated-selectors" class="generated-selectors">
+                <div class="analysis-placeholder">
+                  Click 🧬 on a result to generate a unique selector
+                </div>
+              </div>
+            </div>
+
             <div class="panel-section">
               <h4>Query History</h4>
               <div class="history-controls">
@@ -313,6 +429,36 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
       this.hideAutoComplete();
     });
 
+    this.addEventListener('change', '#explain-mode', (event) => {
+      this.options.explainMode = event.target.checked;
+      if (!this.options.explainMode) {
+        this.state.matchChains = new Map();
+        this.displayExplanation(null);
+      }
+      this.runCurrentSelector();
+    });
+
+    this.addEventListener('change', '#benchmark-mode', (event) => {
+      this.options.enablePerformanceMode = event.target.checked;
+      this.container.querySelector('#benchmark-panel').classList.toggle('hidden', !event.target.checked);
+    });
+
+    // Benchmark
+    this.addEventListener('click', '#run-benchmark', () => this.runBenchmark());
+    this.addEventListener('click', '#run-scaling-test', () => this.runScalingTest());
+
+    // Query scope
+    this.addEventListener('focusin', '#selector-scope', () => this.renderScopeOptions());
+
+    this.addEventListener('change', '#selector-scope', (event) => {
+      this.setScope(event.target.value);
+    });
+
+    this.addEventListener('change', '#pierce-shadow', (event) => {
+      this.options.pierceShadow = event.target.checked;
+      this.runCurrentSelector();
+    });
+
     // Quick selectors
     this.addEventListener('click', '.selector-chip', (event) => {
       this.loadQuickSelector(event.target.dataset.selector);
@@ -322,16 +468,53 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
     this.addEventListener('click', '#clear-history', () => this.clearHistory());
     this.addEventListener('click', '#export-history', () => this.exportHistory());
 
+    this.addEventListener('click', '.history-selector', (event) => {
+      this.loadQuickSelector(event.target.closest('.history-item').dataset.selector);
+    });
+
+    // Favorites, in the history and the library
+    this.addEventListener('click', '.favorite-btn', (event) => {
+      this.toggleFavorite(event.target.closest('.favorite-btn').dataset.selector);
+    });
+
     // Library tabs
     this.addEventListener('click', '.library-tab', (event) => {
       this.switchLibraryCategory(event.target.dataset.category);
     });
 
+    this.addEventListener('click', '.library-item', (event) => {
+      if (!event.target.closest('.favorite-btn')) {
+        this.loadQuickSelector(event.target.closest('.library-item').dataset.selector);
+      }
+    });
+
     // Results interactions
     this.addEventListener('click', '.results-list', (event) => {
       this.handleResultClick(event);
     });
 
+    this.addEventListener('click', '.show-all-btn', () => this.showAllResults());
+
+    // Generated selectors
+    this.addEventListener('click', '.result-action[data-action="generate"]', (event) => {
+      const item = event.target.closest('.result-item');
+      const element = this.state.results[Number(item.dataset.elementIndex)];
+      if (element) {
+        this.displayGeneratedSelectors(element);
+      }
+    });
+
+    this.addEventListener('click', '.generated-use-btn', (event) => {
+      this.loadQuickSelector(event.target.dataset.selector);
+    });
+
+    this.addEventListener('click', '.generated-copy-btn', (event) => {
+      const { locator } = event.target.dataset;
+      navigator.clipboard.writeText(locator)
+        .then(() => console.log(`📋 Locator copied: ${locator}`))
+        .catch(error => console.error('❌ Failed to copy locator:', error));
+    });
+
     // Auto-complete
     this.addEventListener('click', '.auto-complete-suggestions', (event) => {
       this.handleAutoCompleteClick(event);
@@ -466,8 +649,6 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
    * @private
    */
   validateSelector(selector) {
-    const validationStatus = this.container.querySelector('#validation-status');
-
     if (!selector.trim()) {
       this.updateValidationStatus('neutral', '✏️', 'Enter a selector to validate');
       return;
@@ -483,18 +664,99 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
       return;
     }
 
+    if (this.getScopeRoot() instanceof ShadowRoot && /:scope\b/i.test(selector)) {
+      this.updateValidationStatus('error', '❌', ':scope matches nothing inside a shadow root; scope to the host or an element instead');
+      return;
+    }
+
+    // Check the features used against the browser targets
+    const compatibility = this.checkCompatibility(selector);
+    this.displayCompatibility(compatibility);
+
     // Try to use the selector
     try {
-      document.querySelectorAll(selector);
-      this.updateValidationStatus('success', '✅', 'Valid selector');
+      document.createDocumentFragment().querySelector(this.toScopedSelector(selector));
+
+      if (compatibility && !compatibility.compatible) {
+        const names = compatibility.issues.map(feature => feature.name).join(', ');
+        this.updateValidationStatus('warning', '⚠️', `Valid, but not supported by all target browsers: ${names}`);
+      } else {
+        this.updateValidationStatus('success', '✅', 'Valid selector');
+      }
     } catch (error) {
       this.updateValidationStatus('error', '❌', `Invalid syntax: ${error.message}`);
     }
   }
 
+  /**
+   * Check which selector features a selector uses and whether the target
+   * browsers support them
+   * @param {string} selector - CSS selector, optionally scope-relative
+   * @returns {Object|null} Compatibility report, null if the selector cannot be parsed
+   */
+  checkCompatibility(selector) {
+    try {
+      return analyzeCompatibility(this.toScopedSelector(selector), this.options.compatibilityTargets);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Describe the browser targets, e.g. "Chrome 80+, Safari 13+"
+   * @returns {string} Target description
+   * @private
+   */
+  describeTargets() {
+    return Object.entries(this.options.compatibilityTargets)
+      .map(([browser, version]) => `${BROWSER_NAMES[browser] || browser} ${version}+`)
+      .join(', ');
+  }
+
+  /**
+   * Render the compatibility report
+   * @param {Object|null} report - Report from checkCompatibility()
+   * @private
+   */
+  displayCompatibility(report) {
+    const panel = this.container.querySelector('#compatibility-report');
+    if (!panel) return;
+
+    if (!report) {
+      panel.innerHTML = `
+        <div class="analysis-placeholder">Fix the selector syntax to check compatibility</div>
+      `;
+      return;
+    }
+
+    if (report.features.length === 0) {
+      panel.innerHTML = `
+        <div class="compatibility-ok">✅ Only long-supported features, safe for ${this.escapeHTML(this.describeTargets())}</div>
+      `;
+      return;
+    }
+
+    panel.innerHTML = `
+      <ul class="compatibility-features">
+        ${report.features.map(feature => `
+          <li class="compatibility-feature ${feature.unsupported.length > 0 ? 'unsupported' : 'supported'}">
+            <span class="feature-name">${feature.unsupported.length > 0 ? '⚠️' : '✅'} ${this.escapeHTML(feature.name)}</span>
+            ${feature.unsupported.length > 0 ? `
+              <span class="feature-issues">
+                ${feature.unsupported.map(issue => `
+                  ${this.escapeHTML(issue.browserName)} ${this.escapeHTML(issue.target)}: ${issue.since ? `needs ${this.escapeHTML(issue.since)}+` : 'not supported'}
+                `).join(' · ')}
+              </span>
+            ` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
   /**
    * Update validation status display
-   * @param {string} type - Status type (success, error, neutral)
+   * @param {string} type - Status type (success, warning, error, neutral)
    * @param {string} icon - Status icon
    * @param {string} message - Status message
    * @private
@@ -517,7 +779,7 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
    */
   isValidSelector(selector) {
     try {
-      document.querySelectorAll(selector);
+      document.createDocumentFragment().querySelector(this.toScopedSelector(selector));
       return true;
     } catch {
       return false;
@@ -566,12 +828,15 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
       this.clearHighlights();
 
       // Execute selector
-      const elements = document.querySelectorAll(selector);
+      const elements = this.querySelectorInScope(selector);
       const endTime = performance.now();
       const queryTime = endTime - startTime;
 
       // Update state
-      this.state.results = Array.from(elements);
+      this.state.results = elements;
+      this.state.matchChains = this.options.explainMode
+        ? this.explainMatches(selector, elements)
+        : new Map();
 
       // Record performance data
       this.recordPerformanceData(selector, queryTime, elements.length);
@@ -590,11 +855,17 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
       // Analyze selector
       this.analyzeSelector(selector, elements, queryTime);
 
+      if (this.options.explainMode) {
+        this.displayExplanation(selector);
+      }
+
       // Emit event
       this.dispatchEvent('selector:query', {
         selector,
         elementCount: elements.length,
-        queryTime
+        queryTime,
+        scope: this.options.scope,
+        pierceShadow: this.options.pierceShadow
       });
 
       console.log(`🎯 Selector "${selector}" found ${elements.length} elements in ${queryTime.toFixed(2)}ms`);
@@ -605,13 +876,389 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
     }
   }
 
+  /**
+   * Query a selector within the current scope. With pierce mode every open
+   * shadow tree inside the scope is searched too; selectors never match
+   * across a shadow boundary, as in the browser. The tester's own UI is
+   * left out of the results unless excludeOwnUI is disabled.
+   * @param {string} selector - CSS selector, optionally scope-relative
+   * @returns {Array<HTMLElement>} Matching elements in tree order per root
+   */
+  querySelectorInScope(selector) {
+    const root = this.getScopeRoot();
+    const scopedSelector = this.toScopedSelector(selector);
+    const roots = this.options.pierceShadow
+      ? [root, ...this.findOpenShadowRoots(root)]
+      : [root];
+
+    this.state.resultHosts = new Map();
+
+    const elements = roots.flatMap(queryRoot => {
+      const matches = Array.from(queryRoot.querySelectorAll(scopedSelector));
+      const hosts = this.getHostChain(queryRoot);
+
+      if (hosts.length > 0) {
+        matches.forEach(element => this.state.resultHosts.set(element, hosts));
+      }
+      return matches;
+    });
+
+    if (!this.options.excludeOwnUI) {
+      return elements;
+    }
+
+    return elements.filter(element =>
+      !this.container.contains(element) && !element.closest('.selector-highlight')
+    );
+  }
+
+  /**
+   * Turn relative selectors (starting with a combinator) into :scope
+   * selectors, e.g. "> li, + p" becomes ":scope > li, :scope + p"
+   * @param {string} selector - Selector as typed
+   * @returns {string} Selector usable with querySelectorAll
+   * @private
+   */
+  toScopedSelector(selector) {
+    let parts;
+
+    try {
+      parts = splitSelectorList(selector);
+    } catch {
+      return selector;
+    }
+
+    return parts
+      .map(part => (/^[>+~]/.test(part) ? `:scope ${part}` : part))
+      .join(', ');
+  }
+
+  /**
+   * Get the node queries run against for the current scope, falling back
+   * to the document when the scope's root is gone
+   * @returns {Document|HTMLElement|ShadowRoot} Query root
+   */
+  getScopeRoot() {
+    const { scope } = this.options;
+    let root = document;
+
+    if (scope !== 'document') {
+      root = this.scopeRoots[scope];
+    }
+
+    const connected = root && (root === document || root.isConnected);
+    if (!connected) {
+      if (scope !== 'document') {
+        this.options.scope = 'document';
+        this.renderScopeOptions();
+      }
+      return document;
+    }
+
+    return root;
+  }
+
+  /**
+   * Change the query scope and re-run the current selector
+   * @param {string|ShadowRoot} scope - 'document', 'demo', 'selection', 'shadow:<option index>' or an open shadow root
+   */
+  setScope(scope) {
+    if (scope instanceof ShadowRoot || String(scope).startsWith('shadow:')) {
+      this.scopeRoots.shadow = scope instanceof ShadowRoot
+        ? scope
+        : this.shadowRootOptions[Number(scope.slice(7))] || null;
+      scope = 'shadow';
+    }
+
+    this.options.scope = scope;
+    this.renderScopeOptions();
+    this.validateSelector(this.state.currentSelector);
+    this.runCurrentSelector();
+  }
+
+  /**
+   * Provide the demo container as a query scope
+   * @param {HTMLElement|null} element - Demo container
+   */
+  setDemoRoot(element) {
+    this.scopeRoots.demo = element;
+    this.renderScopeOptions();
+  }
+
+  /**
+   * Receive the element selected in NodeTreeEditor as a query scope
+   * @param {HTMLElement|null} element - Selected element
+   */
+  setSelectedElement(element) {
+    this.scopeRoots.selection = element;
+    this.renderScopeOptions();
+
+    if (this.options.scope === 'selection') {
+      this.runCurrentSelector();
+    }
+  }
+
+  /**
+   * Find the open shadow roots below a root, including nested ones
+   * @param {Document|HTMLElement|ShadowRoot} root - Root to search
+   * @returns {Array<ShadowRoot>} Open shadow roots in tree order
+   */
+  findOpenShadowRoots(root) {
+    const shadowRoots = [];
+    const visit = (node) => {
+      const elements = node.querySelectorAll ? node.querySelectorAll('*') : [];
+      const candidates = node instanceof Element ? [node, ...elements] : elements;
+
+      Array.from(candidates).forEach(element => {
+        if (element.shadowRoot) {
+          shadowRoots.push(element.shadowRoot);
+          visit(element.shadowRoot);
+        }
+      });
+    };
+
+    visit(root);
+    return shadowRoots;
+  }
+
+  /**
+   * Get the shadow hosts a node is nested in, outermost first
+   * @param {Node} node - Node or shadow root
+   * @returns {Array<HTMLElement>} Host chain
+   */
+  getHostChain(node) {
+    const hosts = [];
+    let rootNode = node.getRootNode ? node.getRootNode() : node;
+
+    while (rootNode instanceof ShadowRoot) {
+      hosts.unshift(rootNode.host);
+      rootNode = rootNode.host.getRootNode();
+    }
+
+    return hosts;
+  }
+
+  /**
+   * Render the scope select with the scopes currently available
+   * @private
+   */
+  renderScopeOptions() {
+    const select = this.container.querySelector('#selector-scope');
+    if (!select) return;
+
+    const { demo, selection } = this.scopeRoots;
+    this.shadowRootOptions = this.findOpenShadowRoots(document)
+      .filter(shadowRoot => !this.container.contains(shadowRoot.host));
+
+    const { scope } = this.options;
+    const options = [
+      { value: 'document', label: 'Entire document', selected: scope === 'document' },
+      { value: 'demo', label: 'Demo container', disabled: !demo, selected: scope === 'demo' },
+      {
+        value: 'selection',
+        label: selection ? `Selected element (${this.describeScopeElement(selection)})` : 'Selected element (none)',
+        disabled: !selection,
+        selected: scope === 'selection'
+      },
+      ...this.shadowRootOptions.map((shadowRoot, index) => ({
+        value: `shadow:${index}`,
+        label: `Shadow root of ${this.getHostChain(shadowRoot).map(host => this.describeScopeElement(host)).join(' › ')}`,
+        selected: scope === 'shadow' && shadowRoot === this.scopeRoots.shadow
+      }))
+    ];
+
+    select.innerHTML = options.map(option => `
+      <option value="${option.value}" ${option.disabled ? 'disabled' : ''} ${option.selected ? 'selected' : ''}>
+        ${this.escapeHTML(option.label)}
+      </option>
+    `).join('');
+  }
+
+  /**
+   * Describe an element briefly for scope labels and host chains
+   * @param {HTMLElement} element - Element to describe
+   * @returns {string} Description such as div#app.card
+   * @private
+   */
+  describeScopeElement(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? `.${element.className.trim().split(/\s+/).join('.')}`
+      : '';
+
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+
+  /**
+   * Explain a selector in plain language, read right to left the way the
+   * browser matches it
+   * @param {string} selector - CSS selector, optionally scope-relative
+   * @returns {Array<Object>} Per complex selector: { selector, sentence, steps }
+   */
+  explainSelector(selector) {
+    try {
+      return explainSelector(this.toScopedSelector(selector));
+    } catch (error) {
+      throw new Error(`Selector explanation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out which element satisfied each compound for the displayed results
+   * @param {string} selector - CSS selector, optionally scope-relative
+   * @param {Array<HTMLElement>} elements - Matched elements
+   * @returns {Map<HTMLElement, Array<Object>>} Match chains per element
+   * @private
+   */
+  explainMatches(selector, elements) {
+    const scopedSelector = this.toScopedSelector(selector);
+    const scopeRoot = this.getScopeRoot();
+    const chains = new Map();
+
+    // Results from pierced shadow trees were queried from their shadow root
+    elements.slice(0, this.options.maxResults).forEach(element => {
+      chains.set(element, explainMatch(element, scopedSelector, {
+        scopeRoot: this.state.resultHosts.has(element) ? element.getRootNode() : scopeRoot
+      }));
+    });
+
+    return chains;
+  }
+
+  /**
+   * Render the plain-language explanation of a selector
+   * @param {string|null} selector - CSS selector, or null to reset the panel
+   * @private
+   */
+  displayExplanation(selector) {
+    const panel = this.container.querySelector('#selector-explanation');
+    if (!panel) return;
+
+    if (!selector) {
+      panel.innerHTML = `
+        <div class="analysis-placeholder">
+          Enable Explain Mode to read the selector in plain language
+        </div>
+      `;
+      return;
+    }
+
+    try {
+      panel.innerHTML = this.explainSelector(selector).map(explanation => `
+        <div class="explanation-item">
+          <code class="explanation-selector">${this.escapeHTML(explanation.selector)}</code>
+          <p class="explanation-sentence">${this.escapeHTML(explanation.sentence)}</p>
+          <ol class="explanation-steps">
+            ${explanation.steps.map(step => `
+              <li class="explanation-step">
+                ${step.relation ? `<span class="explanation-relation">${this.escapeHTML(step.relation)}</span>` : ''}
+                <code>${this.escapeHTML(step.compound)}</code>
+                <span class="explanation-description">${this.escapeHTML(step.description)}</span>
+              </li>
+            `).join('')}
+          </ol>
+        </div>
+      `).join('');
+    } catch (error) {
+      panel.innerHTML = `
+        <div class="analysis-placeholder">${this.escapeHTML(error.message)}</div>
+      `;
+    }
+  }
+
+  /**
+   * Render which element satisfied each compound of a match, right to left
+   * @param {Array<Object>} chains - Match chains from explainMatch
+   * @returns {string} HTML
+   * @private
+   */
+  renderMatchChains(chains) {
+    return chains.map(({ selector, chain }) => `
+      <div class="result-chain" title="Matched by ${this.escapeHTML(selector)}">
+        ${chain.map(link => `
+          ${link.combinator ? `<span class="chain-combinator">${link.combinator === ' ' ? '␣' : this.escapeHTML(link.combinator)}</span>` : ''}
+          <span class="chain-link">
+            <code>${this.escapeHTML(link.compound)}</code> → ${this.escapeHTML(this.describeScopeElement(link.element))}
+          </span>
+        `).join('')}
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Generate a unique selector for an element, verified against the
+   * current scope, with alternatives ranked by robustness
+   * @param {HTMLElement} element - Target element
+   * @param {Object} [options={}] - SelectorGenerator options for this call
+   * @returns {Object} Generated selector, see SelectorGenerator.generate()
+   */
+  generateSelectorFor(element, options = {}) {
+    // Elements from pierced shadow trees can only be selected inside their tree
+    const root = this.state.resultHosts.has(element)
+      ? element.getRootNode()
+      : this.getScopeRoot();
+
+    return this.selectorGenerator.generate(element, { root, ...options });
+  }
+
+  /**
+   * Show the generated selectors for a result element
+   * @param {HTMLElement} element - Result element
+   * @private
+   */
+  displayGeneratedSelectors(element) {
+    const panel = this.container.querySelector('#generated-selectors');
+    const generated = this.generateSelectorFor(element);
+
+    panel.innerHTML = `
+      <div class="generated-target">${this.escapeHTML(this.describeScopeElement(element))}</div>
+      ${generated.fallback ? `
+        <div class="generated-warning">⚠️ Nothing stable identifies this element; the selector depends on its position</div>
+      ` : ''}
+      <ol class="generated-list">
+        ${generated.alternatives.map(alternative => `
+          <li class="generated-item">
+            <code class="generated-selector">${this.escapeHTML(alternative.selector)}</code>
+            <span class="generated-robustness" title="Robustness">${alternative.robustness}/100 · ${alternative.strategy}</span>
+            <code class="generated-locator">${this.escapeHTML(alternative.locator)}</code>
+            <div class="generated-actions">
+              <button class="generated-use-btn" data-selector="${this.escapeHTML(alternative.selector)}">Use</button>
+              <button class="generated-copy-btn" data-locator="${this.escapeHTML(alternative.locator)}">📋 Copy locator</button>
+            </div>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+
+    this.dispatchEvent('selector:generated', {
+      element,
+      selector: generated.selector,
+      robustness: generated.robustness
+    });
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   * @private
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Display query results
    * @param {NodeList} elements - Found elements
    * @param {number} queryTime - Query execution time
+   * @param {number} [limit=this.options.maxResults] - Maximum number of results to render
    * @private
    */
-  displayResults(elements, queryTime) {
+  displayResults(elements, queryTime, limit = this.options.maxResults) {
     const resultsList = this.container.querySelector('#results-list');
     const resultCount = this.container.querySelector('.result-count');
     const queryTimeDisplay = this.container.querySelector('.query-time');
@@ -639,8 +1286,8 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
     }
 
     // Limit results for performance
-    const displayElements = Array.from(elements).slice(0, this.options.maxResults);
-    const hasMore = elements.length > this.options.maxResults;
+    const displayElements = Array.from(elements).slice(0, limit);
+    const hasMore = elements.length > limit;
 
     const resultsHTML = displayElements.map((element, index) => {
       const tagName = element.tagName.toLowerCase();
@@ -660,11 +1307,18 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
               <button class="result-action" data-action="highlight" title="Highlight">🎯</button>
               <button class="result-action" data-action="inspect" title="Inspect">🔍</button>
               <button class="result-action" data-action="scroll" title="Scroll to">📍</button>
+              <button class="result-action" data-action="generate" title="Generate unique selector">🧬</button>
             </div>
           </div>
 
           <div class="result-details">
             <div class="result-path">${path}</div>
+            ${this.state.resultHosts.has(element) ? `
+              <div class="result-hosts" title="Shadow hosts, outermost first">
+                ⤷ shadow root of ${this.escapeHTML(this.state.resultHosts.get(element).map(host => this.describeScopeElement(host)).join(' › '))}
+              </div>
+            ` : ''}
+            ${this.state.matchChains.has(element) ? this.renderMatchChains(this.state.matchChains.get(element)) : ''}
             ${element.textContent.trim() ? `
               <div class="result-text">
                 ${element.textContent.trim().substring(0, 100)}${element.textContent.trim().length > 100 ? '...' : ''}
@@ -681,7 +1335,7 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
         ${hasMore ? `
           <div class="results-more">
             <p>Showing ${displayElements.length} of ${elements.length} results</p>
-            <button class="show-all-btn" onclick="this.closest('.selector-tester').selectorTester.showAllResults()">
+            <button class="show-all-btn">
               Show All Results
             </button>
           </div>
@@ -747,7 +1401,7 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
       this.state.highlightedElements.add(highlight);
 
       // Add pulse animation
-      highlight.animate([
+      highlight.animate?.([
         { opacity: 0.3 },
         { opacity: 0.8 },
         { opacity: 0.3 }
@@ -815,9 +1469,9 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
     complexityScore += metrics.length * 0.1;
     complexityScore += metrics.combinator * 2;
     complexityScore += metrics.pseudoClasses * 1.5;
-    complexityScore += metrics.attributes * 1;
+    complexityScore += metrics.attributes;
     complexityScore += metrics.universal ? 5 : 0;
-    complexityScore += metrics.descendant * 1;
+    complexityScore += metrics.descendant;
 
     let level = 'Simple';
     if (complexityScore > 15) level = 'Very Complex';
@@ -864,36 +1518,277 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
   }
 
   /**
-   * Calculate CSS selector specificity
-   * @param {string} selector - CSS selector
-   * @returns {Object} Specificity calculation
-   * @private
+   * Benchmark selectors side by side: each is warmed up, then sampled
+   * round-robin against the same DOM and summarized as median, p95 and
+   * standard deviation
+   * @param {Array<string>} [selectors] - Selectors to compare; defaults to the benchmark list or the current selector
+   * @param {Object} [options={}] - Overrides of the panel settings
+   * @param {string} [options.target] - 'scope' for the current scope or 'synthetic' for a generated DOM
+   * @returns {Object|null} { target, nodeCount, results }, null when there is nothing to run
    */
-  calculateSpecificity(selector) {
-    // Simple specificity calculation
-    const ids = (selector.match(/#[a-zA-Z][\w-]*/g) || []).length;
-    const classes = (selector.match(/\.[a-zA-Z][\w-]*/g) || []).length;
-    const attributes = (selector.match(/\[[^\]]+\]/g) || []).length;
-    const pseudoClasses = (selector.match(/:[a-zA-Z-]+(?:\([^)]*\))?/g) || []).length;
-    const elements = (selector.match(/\b[a-zA-Z]+\b/g) || []).filter(match =>
-      !['not', 'is', 'where'].includes(match)
-    ).length;
+  runBenchmark(selectors = this.getBenchmarkSelectors(), options = {}) {
+    const settings = { ...this.getBenchmarkSettings(), ...options };
+    const valid = selectors.filter(selector => this.isValidSelector(selector));
 
-    const specificity = (ids * 100) + ((classes + attributes + pseudoClasses) * 10) + elements;
+    if (valid.length === 0) {
+      this.displayBenchmarkMessage('Enter at least one valid selector to benchmark');
+      return null;
+    }
 
-    return {
-      value: specificity,
-      breakdown: {
-        ids,
-        classes: classes + attributes + pseudoClasses,
-        elements
-      },
-      notation: `${ids}.${classes + attributes + pseudoClasses}.${elements}`
-    };
+    try {
+      let root = this.getScopeRoot();
+      let nodeCount = root.querySelectorAll('*').length;
+
+      if (settings.target === 'synthetic') {
+        const synthetic = generateSyntheticDOM({ depth: settings.depth, breadth: settings.breadth });
+        root = synthetic.root;
+        nodeCount = synthetic.nodeCount;
+      }
+
+      const results = compareSelectors(root, valid.map(selector => this.toScopedSelector(selector)), settings)
+        .map((result, index) => ({ ...result, selector: valid[index] }));
+      const benchmark = { target: settings.target, nodeCount, results };
+
+      this.state.lastBenchmark = benchmark;
+      this.displayBenchmarkResults(benchmark);
+
+      this.dispatchEvent('selector:benchmark', {
+        target: benchmark.target,
+        nodeCount,
+        results: results.map(({ selector, median, p95, stddev }) => ({ selector, median, p95, stddev }))
+      });
+
+      console.log(`⏱️ Benchmarked ${valid.length} selector${valid.length !== 1 ? 's' : ''} over ${settings.iterations} iterations`);
+      return benchmark;
+    } catch (error) {
+      this.displayBenchmarkMessage(error.message);
+      console.error('Benchmark error:', error);
+      return null;
+    }
   }
 
   /**
-   * Suggest optimizations for selector
+   * Benchmark selectors on synthetic DOMs of growing depth, up to the
+   * configured depth, to show how each selector scales
+   * @param {Array<string>} [selectors] - Selectors to compare
+   * @param {Object} [options={}] - Overrides of the panel settings
+   * @returns {Array<Object>|null} Per size: { depth, breadth, nodeCount, results }
+   */
+  runScalingTest(selectors = this.getBenchmarkSelectors(), options = {}) {
+    const settings = { ...this.getBenchmarkSettings(), ...options };
+    const valid = selectors.filter(selector => this.isValidSelector(selector));
+
+    if (valid.length === 0) {
+      this.displayBenchmarkMessage('Enter at least one valid selector to benchmark');
+      return null;
+    }
+
+    try {
+      const depths = Array.from({ length: settings.depth }, (value, index) => index + 1);
+      const series = runScalingBenchmark(valid.map(selector => this.toScopedSelector(selector)), {
+        ...settings,
+        depths
+      }).map(step => ({
+        ...step,
+        results: step.results.map((result, index) => ({ ...result, selector: valid[index] }))
+      }));
+
+      this.displayScalingResults(series);
+      console.log(`📈 Scaling test ran ${valid.length} selector${valid.length !== 1 ? 's' : ''} on ${series.length} DOM sizes`);
+      return series;
+    } catch (error) {
+      this.displayBenchmarkMessage(error.message);
+      console.error('Benchmark error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the selectors listed in the benchmark panel, or the current selector
+   * @returns {Array<string>} Selectors
+   * @private
+   */
+  getBenchmarkSelectors() {
+    const input = this.container.querySelector('#benchmark-selectors');
+    const listed = (input?.value || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    return listed.length > 0 ? listed : [this.state.currentSelector.trim()].filter(Boolean);
+  }
+
+  /**
+   * Read the benchmark settings from the panel
+   * @returns {Object} { iterations, warmup, target, depth, breadth }
+   * @private
+   */
+  getBenchmarkSettings() {
+    const read = (id, fallback, min, max) => {
+      const value = parseInt(this.container.querySelector(id)?.value, 10);
+      return Number.isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+    };
+
+    return {
+      iterations: read('#benchmark-iterations', this.options.benchmarkIterations, 1, 5000),
+      warmup: read('#benchmark-warmup', this.options.benchmarkWarmup, 0, 1000),
+      target: this.container.querySelector('#benchmark-target')?.value || 'scope',
+      depth: read('#synthetic-depth', 5, 1, 8),
+      breadth: read('#synthetic-breadth', 4, 1, 10)
+    };
+  }
+
+  /**
+   * Format a duration in milliseconds, switching to microseconds below 1ms
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Formatted duration
+   * @private
+   */
+  formatDuration(ms) {
+    return ms < 1 ? `${(ms * 1000).toFixed(1)}µs` : `${ms.toFixed(2)}ms`;
+  }
+
+  /**
+   * Render a side-by-side benchmark comparison
+   * @param {Object} benchmark - Result of runBenchmark()
+   * @private
+   */
+  displayBenchmarkResults(benchmark) {
+    const panel = this.container.querySelector('#benchmark-results');
+    if (!panel) return;
+
+    const [{ iterations }] = benchmark.results;
+
+    panel.innerHTML = `
+      <div class="benchmark-summary">
+        ${benchmark.target === 'synthetic' ? 'Synthetic DOM' : 'Current scope'} · ${benchmark.nodeCount} elements · ${iterations} iterations
+      </div>
+      <table class="benchmark-table">
+        <thead>
+          <tr>
+            <th>Selector</th>
+            <th>Matches</th>
+            <th>Median</th>
+            <th>p95</th>
+            <th>σ</th>
+            <th>Relative</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${benchmark.results.map(result => `
+            <tr class="${result.fastest ? 'benchmark-fastest' : ''}">
+              <td><code>${this.escapeHTML(result.selector)}</code></td>
+              <td>${result.matchCount}</td>
+              <td>${this.formatDuration(result.median)}</td>
+              <td>${this.formatDuration(result.p95)}</td>
+              <td>${this.formatDuration(result.stddev)}</td>
+              <td>${result.fastest ? '🏆 fastest' : `${result.relative.toFixed(2)}×`}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render how the median query time grows with the DOM size
+   * @param {Array<Object>} series - Result of runScalingTest()
+   * @private
+   */
+  displayScalingResults(series) {
+    const panel = this.container.querySelector('#benchmark-results');
+    if (!panel) return;
+
+    const selectors = series[0].results.map(result => result.selector);
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    panel.innerHTML = `
+      <div class="benchmark-summary">
+        Median query time on synthetic DOMs (breadth ${first.breadth})
+      </div>
+      <table class="benchmark-table">
+        <thead>
+          <tr>
+            <th>Elements</th>
+            ${selectors.map(selector => `<th><code>${this.escapeHTML(selector)}</code></th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${series.map(step => `
+            <tr>
+              <td>${step.nodeCount}</td>
+              ${step.results.map(result => `<td>${this.formatDuration(result.median)}</td>`).join('')}
+            </tr>
+          `).join('')}
+          ${series.length > 1 ? `
+            <tr class="benchmark-growth" title="Growth of the median from ${first.nodeCount} to ${last.nodeCount} elements">
+              <td>Growth</td>
+              ${last.results.map((result, index) => {
+                const base = first.results[index].median;
+                return `<td>${base > 0 ? `${(result.median / base).toFixed(1)}×` : '–'}</td>`;
+              }).join('')}
+            </tr>
+          ` : ''}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Show a message in the benchmark results area
+   * @param {string} message - Message
+   * @private
+   */
+  displayBenchmarkMessage(message) {
+    const panel = this.container.querySelector('#benchmark-results');
+    if (panel) {
+      panel.innerHTML = `<div class="analysis-placeholder">${this.escapeHTML(message)}</div>`;
+    }
+  }
+
+  /**
+   * Calculate CSS selector specificity (Selectors Level 4). Each complex
+   * selector in a list has its own specificity; the top-level values
+   * describe the highest one.
+   * @param {string} selector - CSS selector
+   * @returns {Object} Specificity calculation
+   * @private
+   */
+  calculateSpecificity(selector) {
+    let selectors;
+
+    try {
+      selectors = calculateSpecificity(selector).map(({ selector: text, specificity }) => ({
+        selector: text,
+        specificity,
+        notation: specificity.join('.')
+      }));
+    } catch (error) {
+      // The browser may accept syntax the parser does not know
+      console.warn('Cannot calculate specificity:', error.message);
+      selectors = [];
+    }
+
+    const [ids, classes, elements] = selectors.reduce(
+      (max, { specificity }) => (compareSpecificity(specificity, max) > 0 ? specificity : max),
+      [0, 0, 0]
+    );
+
+    return {
+      value: (ids * 100) + (classes * 10) + elements,
+      breakdown: {
+        ids,
+        classes,
+        elements
+      },
+      notation: `${ids}.${classes}.${elements}`,
+      selectors
+    };
+  }
+
+  /**
+   * Suggest optimizations for selector
    * @param {string} selector - CSS selector
    * @param {number} elementCount - Number of elements found
    * @param {number} queryTime - Query time
@@ -915,15 +1810,725 @@ classes: ['.container', '.header', '.content', '.nav', '.btn', '.active', '.hidd
     if (selector.includes('*')) {
       suggestions.push({
         type: 'performance',
-        message: /**
-      * SelectorTester - Interactive CSS Selector Testing and Learning Tool
-      *
-      * Provides a comprehensive environment for testing CSS selectors with real-time
-      * visual feedback, performance metrics, and educational guidance for selector optimization.
-      *
-      * @fileoverview CSS selector testing component for DOM manipulation learning
-      * @version 1.0.0
-      */})
+        message: 'Avoid the universal selector (*); it makes the browser check every element',
+        priority: 'medium'
+      });
+    }
+
+    // Browsers match right to left, so every extra level is checked against each candidate's ancestors
+    const depth = selector.split(',').reduce((max, part) => (
+      Math.max(max, part.trim().split(/\s*[>+~\s]\s*/).filter(Boolean).length)
+    ), 0);
+
+    if (depth > 3) {
+      suggestions.push({
+        type: 'maintainability',
+        message: `The selector is ${depth} levels deep; shorter selectors are faster and break less when markup changes`,
+        priority: 'medium'
+      });
+    }
+
+    if (/(^|[\s>+~,(])[a-z][\w-]*#[\w-]+/i.test(selector)) {
+      suggestions.push({
+        type: 'specificity',
+        message: 'IDs are unique, so the tag in front of #id only adds specificity',
+        priority: 'low'
+      });
+    }
+
+    if (/(^|[\s>+~,])\[[^\]]+\]\s*$/.test(selector)) {
+      suggestions.push({
+        type: 'performance',
+        message: 'Qualify the attribute selector with a tag or class so fewer elements are checked',
+        priority: 'low'
+      });
+    }
+
+    // Result-based suggestions
+    if (elementCount === 0) {
+      suggestions.push({
+        type: 'accuracy',
+        message: 'Nothing matched; check the spelling, the query scope and whether the content is rendered yet',
+        priority: 'medium'
+      });
+    } else if (elementCount > this.options.maxResults) {
+      suggestions.push({
+        type: 'accuracy',
+        message: `${elementCount} elements matched; add a class or a parent to narrow the selection`,
+        priority: 'low'
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Describe what a query time means in practice
+   * @param {number} queryTime - Query time in milliseconds
+   * @returns {string} Benchmark description
+   * @private
+   */
+  getBenchmarkText(queryTime) {
+    const { excellent, good, acceptable, slow } = this.performanceBenchmarks;
+
+    if (queryTime < excellent) {
+      return `Under ${excellent}ms: fast enough to run on every interaction`;
+    }
+    if (queryTime < good) {
+      return `Under ${good}ms: fine for occasional queries`;
+    }
+    if (queryTime < acceptable) {
+      return `Under ${acceptable}ms: cache the result if you query it repeatedly`;
+    }
+    if (queryTime < slow) {
+      return `Under ${slow}ms: noticeable; narrow the selector or query a smaller scope`;
+    }
+    return `Over ${slow}ms: likely to cause jank; restructure the selector`;
+  }
+
+  /**
+   * Render the selector analysis
+   * @param {Object} analysis - Complexity, performance, specificity and optimization results
+   * @private
+   */
+  displayAnalysis(analysis) {
+    const panel = this.container.querySelector('#selector-analysis');
+    if (!panel) return;
+
+    const { complexity, performance, specificity, optimization } = analysis;
+    const specificityTitle = specificity.selectors
+      .map(({ selector, notation }) => `${selector}: ${notation}`)
+      .join('\n');
+
+    panel.innerHTML = `
+      <div class="analysis-grid">
+        <div class="analysis-item">
+          <label>Complexity:</label>
+          <span class="analysis-value">${complexity.level} (${complexity.score})</span>
+        </div>
+        <div class="analysis-item">
+          <label>Specificity:</label>
+          <span class="analysis-value" title="${this.escapeHTML(specificityTitle)}">${specificity.notation}</span>
+        </div>
+        <div class="analysis-item">
+          <label>Performance:</label>
+          <span class="analysis-value" style="color: ${performance.color}">${performance.rating}</span>
+        </div>
+      </div>
+      <div class="analysis-benchmark">${this.escapeHTML(performance.benchmark)}</div>
+      ${optimization.length > 0 ? `
+        <ul class="optimization-list">
+          ${optimization.map(suggestion => `
+            <li class="optimization-item priority-${suggestion.priority}">
+              <span class="optimization-type">${suggestion.type}</span>
+              ${this.escapeHTML(suggestion.message)}
+            </li>
+          `).join('')}
+        </ul>
+      ` : `
+        <div class="optimization-none">✅ No optimizations suggested</div>
+      `}
+    `;
+  }
+
+  /**
+   * Record query timing for the performance metrics
+   * @param {string} selector - CSS selector
+   * @param {number} queryTime - Query time in milliseconds
+   * @param {number} elementCount - Number of elements found
+   * @private
+   */
+  recordPerformanceData(selector, queryTime, elementCount) {
+    const data = this.state.performanceData;
+
+    data.queryCount++;
+    data.totalTime += queryTime;
+    data.averageTime = data.totalTime / data.queryCount;
+    data.lastQuery = { selector, queryTime, elementCount };
+
+    if (queryTime >= this.performanceBenchmarks.acceptable) {
+      data.slowQueries.push({ selector, queryTime, timestamp: Date.now() });
+      if (data.slowQueries.length > 20) {
+        data.slowQueries.shift();
+      }
+    }
+
+    this.updatePerformanceDisplay();
+  }
+
+  /**
+   * Update the performance metrics panel
+   * @private
+   */
+  updatePerformanceDisplay() {
+    const metrics = this.container.querySelector('#performance-metrics');
+    if (!metrics) return;
+
+    metrics.closest('.panel-section').classList.toggle('hidden', !this.options.showQueryStats);
+
+    const { queryCount, averageTime, lastQuery } = this.state.performanceData;
+    const totalQueries = this.container.querySelector('#total-queries');
+    const queryTime = this.container.querySelector('#current-query-time');
+    const elementsFound = this.container.querySelector('#elements-found');
+    const rating = this.container.querySelector('#performance-rating');
+
+    totalQueries.textContent = queryCount;
+    totalQueries.title = queryCount > 0 ? `Average ${averageTime.toFixed(2)}ms` : '';
+
+    if (!lastQuery) {
+      queryTime.textContent = '-';
+      elementsFound.textContent = '-';
+      rating.textContent = '-';
+      rating.style.color = '';
+      rating.title = '';
+      return;
+    }
+
+    const analysis = this.analyzePerformance(lastQuery.queryTime);
+    queryTime.textContent = `${lastQuery.queryTime.toFixed(2)}ms`;
+    elementsFound.textContent = lastQuery.elementCount;
+    rating.textContent = analysis.rating;
+    rating.style.color = analysis.color;
+    rating.title = analysis.benchmark;
+  }
+
+  /**
+   * Add a query to the history, moving repeated selectors to the top
+   * @param {string} selector - CSS selector
+   * @param {number} elementCount - Number of elements found
+   * @param {number} queryTime - Query time in milliseconds
+   * @private
+   */
+  addToHistory(selector, elementCount, queryTime) {
+    const history = this.state.queryHistory.filter(entry => entry.selector !== selector);
+
+    history.unshift({
+      selector,
+      elementCount,
+      queryTime,
+      timestamp: Date.now()
+    });
+
+    this.state.queryHistory = history.slice(0, this.options.maxHistory);
+    this.savePersistedState();
+    this.renderHistory();
+  }
+
+  /**
+   * Render the query history
+   * @private
+   */
+  renderHistory() {
+    const list = this.container.querySelector('#query-history');
+    if (!list) return;
+
+    if (this.state.queryHistory.length === 0) {
+      list.innerHTML = '<div class="history-placeholder">No queries yet</div>';
+      return;
+    }
+
+    list.innerHTML = this.state.queryHistory.map(entry => {
+      const favorite = this.state.favorites.has(entry.selector);
+
+      return `
+        <div class="history-item" data-selector="${this.escapeHTML(entry.selector)}">
+          <code class="history-selector" title="Run again">${this.escapeHTML(entry.selector)}</code>
+          <span class="history-meta">${entry.elementCount} · ${entry.queryTime.toFixed(2)}ms</span>
+          <button class="favorite-btn ${favorite ? 'active' : ''}" data-selector="${this.escapeHTML(entry.selector)}" title="${favorite ? 'Remove from favorites' : 'Add to favorites'}">
+            ${favorite ? '★' : '☆'}
+          </button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Clear the query history
+   */
+  clearHistory() {
+    this.state.queryHistory = [];
+    this.savePersistedState();
+    this.renderHistory();
+    console.log('🗑️ Selector history cleared');
+  }
+
+  /**
+   * Download the query history and favorites as JSON
+   */
+  exportHistory() {
+    const data = {
+      history: this.state.queryHistory,
+      favorites: Array.from(this.state.favorites),
+      exported: new Date().toISOString()
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `selector-history-${Date.now()}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    console.log('💾 Selector history exported');
+  }
+
+  /**
+   * Add a selector to the favorites, or remove it if it is one already
+   * @param {string} selector - CSS selector
+   * @returns {boolean} Whether the selector is a favorite now
+   */
+  toggleFavorite(selector) {
+    const favorite = !this.state.favorites.has(selector);
+
+    if (favorite) {
+      this.state.favorites.add(selector);
+    } else {
+      this.state.favorites.delete(selector);
+    }
+
+    this.savePersistedState();
+    this.renderHistory();
+
+    if (this.state.libraryCategory === 'favorites') {
+      this.switchLibraryCategory('favorites');
+    }
+
+    this.dispatchEvent('selector:favorite', { selector, favorite });
+    return favorite;
+  }
+
+  /**
+   * Restore the history and favorites saved by a previous session
+   * @private
+   */
+  loadPersistedState() {
+    if (!this.options.persistHistory) return;
+
+    try {
+      const history = JSON.parse(localStorage.getItem(`${this.options.storageKey}-history`) || '[]');
+      const favorites = JSON.parse(localStorage.getItem(`${this.options.storageKey}-favorites`) || '[]');
+
+      if (Array.isArray(history)) {
+        this.state.queryHistory = history
+          .filter(entry => entry && typeof entry.selector === 'string' && typeof entry.queryTime === 'number')
+          .slice(0, this.options.maxHistory);
+      }
+
+      if (Array.isArray(favorites)) {
+        this.state.favorites = new Set(favorites.filter(selector => typeof selector === 'string'));
+      }
+    } catch (error) {
+      console.warn('Could not restore selector history:', error.message);
+    }
+  }
+
+  /**
+   * Save the history and favorites for the next session
+   * @private
+   */
+  savePersistedState() {
+    if (!this.options.persistHistory) return;
+
+    try {
+      localStorage.setItem(`${this.options.storageKey}-history`, JSON.stringify(this.state.queryHistory));
+      localStorage.setItem(`${this.options.storageKey}-favorites`, JSON.stringify(Array.from(this.state.favorites)));
+    } catch (error) {
+      console.warn('Could not save selector history:', error.message);
+    }
+  }
+
+  /**
+   * Load the selector library examples
+   * @private
+   */
+  loadSelectorLibrary() {
+    this.selectorLibrary = {
+      basic: [
+        { selector: 'p', description: 'Every paragraph' },
+        { selector: '.nav-item', description: 'Elements with the class nav-item' },
+        { selector: '#demo-root', description: 'The element with the id demo-root' },
+        { selector: 'h1, h2, h3', description: 'Headings of the first three levels' }
+      ],
+      advanced: [
+        { selector: 'nav > ul > li', description: 'List items directly inside a navigation list' },
+        { selector: 'h2 + p', description: 'Paragraphs right after an h2' },
+        { selector: 'h2 ~ p', description: 'Paragraphs after an h2 with the same parent' },
+        { selector: 'section:has(> h2)', description: 'Sections with an h2 child' },
+        { selector: ':is(header, footer) a', description: 'Links in a header or footer' }
+      ],
+      pseudo: [
+        { selector: 'li:first-child', description: 'List items that are the first child' },
+        { selector: 'li:nth-child(odd)', description: 'Odd list items' },
+        { selector: 'li:last-of-type', description: 'The last list item in each list' },
+        { selector: 'p:not(:empty)', description: 'Paragraphs with content' },
+        { selector: 'a:hover', description: 'Links under the pointer' }
+      ],
+      attributes: [
+        { selector: '[data-section]', description: 'Elements with a data-section attribute' },
+        { selector: 'a[href^="#"]', description: 'Links to a fragment on the page' },
+        { selector: 'a[href^="http"]', description: 'Links to absolute URLs' },
+        { selector: 'input[type="text"]', description: 'Text inputs' },
+        { selector: '[class*="item"]', description: 'Class attribute containing "item"' }
+      ]
+    };
+
+    this.switchLibraryCategory('basic');
+  }
+
+  /**
+   * Show a category of the selector library
+   * @param {string} category - basic, advanced, pseudo, attributes or favorites
+   * @private
+   */
+  switchLibraryCategory(category) {
+    this.state.libraryCategory = category;
+
+    this.container.querySelectorAll('.library-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.category === category);
+    });
+
+    const content = this.container.querySelector('#library-content');
+    if (!content) return;
+
+    const favorites = category === 'favorites';
+    const entries = favorites
+      ? Array.from(this.state.favorites).map(selector => ({ selector, description: 'Saved favorite' }))
+      : this.selectorLibrary[category] || [];
+
+    if (entries.length === 0) {
+      content.innerHTML = `
+        <div class="library-empty">${favorites ? 'Star a selector in the history to keep it here' : 'No examples in this category'}</div>
+      `;
+      return;
+    }
+
+    content.innerHTML = `
+      <div class="library-grid">
+        ${entries.map(entry => `
+          <div class="library-item" data-selector="${this.escapeHTML(entry.selector)}">
+            <code class="library-selector">${this.escapeHTML(entry.selector)}</code>
+            <span class="library-description">${this.escapeHTML(entry.description)}</span>
+            ${favorites ? `
+              <button class="favorite-btn active" data-selector="${this.escapeHTML(entry.selector)}" title="Remove from favorites">★</button>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Put a selector in the input and run it
+   * @param {string} selector - CSS selector
+   */
+  loadQuickSelector(selector) {
+    const input = this.container.querySelector('#selector-input');
+
+    input.value = selector;
+    this.state.currentSelector = selector;
+    this.hideAutoComplete();
+    this.validateSelector(selector);
+    this.runSelector(selector);
+    input.focus();
+  }
+
+  /**
+   * Clear the selector input, results and highlights
+   */
+  clearSelector() {
+    const input = this.container.querySelector('#selector-input');
+
+    input.value = '';
+    this.state.currentSelector = '';
+    this.state.results = [];
+    this.state.matchChains = new Map();
+    this.clearHighlights();
+    this.hideAutoComplete();
+    this.validateSelector('');
+
+    this.container.querySelector('.result-count').textContent = '0 elements found';
+    this.container.querySelector('.query-time').textContent = '0ms';
+    this.container.querySelector('#results-list').innerHTML = `
+      <div class="results-placeholder">
+        <div class="placeholder-icon">🔍</div>
+        <p>Enter a selector to see matching elements</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Show every result of the last query, ignoring maxResults
+   */
+  showAllResults() {
+    const { lastQuery } = this.state.performanceData;
+    this.displayResults(this.state.results, lastQuery ? lastQuery.queryTime : 0, Infinity);
+  }
+
+  /**
+   * Handle the highlight, inspect and scroll actions on a result
+   * @param {Event} event - Click event
+   * @private
+   */
+  handleResultClick(event) {
+    const button = event.target.closest('.result-action');
+    const item = event.target.closest('.result-item');
+    if (!button || !item) return;
+
+    const element = this.state.results[Number(item.dataset.elementIndex)];
+    if (!element) return;
+
+    switch (button.dataset.action) {
+      case 'highlight':
+        this.highlightElements([element]);
+        break;
+      case 'inspect':
+        this.dispatchEvent('element:selected', { element });
+        break;
+      case 'scroll':
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        break;
+    }
+  }
+
+  /**
+   * Describe an element's position in its tree for the results list
+   * @param {HTMLElement} element - Element
+   * @returns {string} HTML-escaped path such as "… > ul.nav > li"
+   * @private
+   */
+  generateElementPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && parts.length < 5) {
+      parts.unshift(this.describeScopeElement(current));
+      current = current.parentElement;
+    }
+
+    if (current) {
+      parts.unshift('…');
+    }
+
+    return this.escapeHTML(parts.join(' > '));
+  }
+
+  /**
+   * Show auto-complete suggestions for the input
+   * @param {string} value - Current input value
+   * @private
+   */
+  showAutoComplete(value) {
+    const list = this.container.querySelector('#auto-complete-suggestions');
+    const input = value.trim();
+    const suggestions = this.autoCompleteEngine
+      .generateSuggestions(input)
+      .filter(suggestion => suggestion.text !== input);
+
+    this.autoCompleteEngine.suggestions = suggestions;
+    this.autoCompleteEngine.currentIndex = -1;
+
+    if (suggestions.length === 0) {
+      this.hideAutoComplete();
+      return;
+    }
+
+    list.innerHTML = suggestions.map((suggestion, index) => `
+      <div class="suggestion-item" data-index="${index}" data-text="${this.escapeHTML(suggestion.text)}">
+        <code class="suggestion-text">${this.escapeHTML(suggestion.text)}</code>
+        <span class="suggestion-type">${suggestion.type}</span>
+        <span class="suggestion-description">${this.escapeHTML(suggestion.description)}</span>
+      </div>
+    `).join('');
+    list.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the auto-complete suggestions
+   * @private
+   */
+  hideAutoComplete() {
+    const list = this.container.querySelector('#auto-complete-suggestions');
+    if (list) {
+      list.classList.add('hidden');
+    }
+
+    if (this.autoCompleteEngine) {
+      this.autoCompleteEngine.currentIndex = -1;
+    }
+  }
+
+  /**
+   * Mark the suggestion chosen with the arrow keys
+   * @private
+   */
+  updateAutoCompleteSelection() {
+    this.container.querySelectorAll('#auto-complete-suggestions .suggestion-item').forEach((item, index) => {
+      item.classList.toggle('selected', index === this.autoCompleteEngine.currentIndex);
+    });
+  }
+
+  /**
+   * Use an auto-complete suggestion as the selector
+   * @param {HTMLElement} item - Suggestion element
+   * @private
+   */
+  applySuggestion(item) {
+    if (item) {
+      this.loadQuickSelector(item.dataset.text);
     }
   }
+
+  /**
+   * Handle clicks on the auto-complete suggestions
+   * @param {Event} event - Click event
+   * @private
+   */
+  handleAutoCompleteClick(event) {
+    this.applySuggestion(event.target.closest('.suggestion-item'));
+  }
+
+  /**
+   * Describe a selector pattern for the auto-complete list
+   * @param {string} pattern - Selector pattern
+   * @returns {string} Description
+   * @private
+   */
+  getPatternDescription(pattern) {
+    const combinators = {
+      ' ': 'Descendant combinator',
+      '>': 'Child combinator',
+      '+': 'Adjacent sibling combinator',
+      '~': 'General sibling combinator'
+    };
+
+    if (combinators[pattern]) return combinators[pattern];
+    if (pattern === '*') return 'Universal selector: every element';
+    if (pattern.startsWith('::')) return 'Pseudo-element';
+    if (pattern.startsWith(':')) return 'Pseudo-class';
+    if (pattern.startsWith('.')) return 'Class selector';
+    if (pattern.startsWith('#')) return 'ID selector';
+    if (pattern.startsWith('[')) return 'Attribute selector';
+    if (/^[a-z][a-z0-9]*$/i.test(pattern)) return 'Type selector';
+    return 'Combined selector';
+  }
+
+  /**
+   * Run a callback once input has paused, replacing any pending call
+   * @param {Function} callback - Callback
+   * @param {number} delay - Delay in milliseconds
+   * @private
+   */
+  debounce(callback, delay) {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(callback, delay);
+  }
+
+  /**
+   * Add event listener with cleanup tracking
+   * @param {string} eventType - Event type
+   * @param {string} selector - CSS selector for delegation
+   * @param {Function} handler - Event handler
+   * @private
+   */
+  addEventListener(eventType, selector, handler) {
+    const wrappedHandler = event => {
+      const target = event.target.closest && event.target.closest(selector);
+      if (target && this.container.contains(target)) {
+        handler.call(target, event);
+      }
+    };
+
+    this.container.addEventListener(eventType, wrappedHandler);
+
+    // Store for cleanup
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, []);
+    }
+    this.eventHandlers.get(eventType).push(wrappedHandler);
+  }
+
+  /**
+   * Dispatch custom event
+   * @param {string} eventType - Event type
+   * @param {Object} detail - Event detail
+   * @private
+   */
+  dispatchEvent(eventType, detail = {}) {
+    const event = new CustomEvent(eventType, { detail });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Activate the component
+   */
+  activate() {
+    this.container.style.display = 'block';
+    this.renderScopeOptions();
+    console.log('🎯 SelectorTester activated');
+  }
+
+  /**
+   * Deactivate the component
+   */
+  deactivate() {
+    this.container.style.display = 'none';
+    this.clearHighlights();
+    this.hideAutoComplete();
+    console.log('🎯 SelectorTester deactivated');
+  }
+
+  /**
+   * Reset the component to its initial state. History and favorites are
+   * kept; use clearHistory() to remove them.
+   */
+  reset() {
+    clearTimeout(this.debounceTimer);
+    this.clearSelector();
+
+    this.state.performanceData = {
+      queryCount: 0,
+      averageTime: 0,
+      totalTime: 0,
+      slowQueries: []
+    };
+    this.updatePerformanceDisplay();
+
+    this.container.querySelector('#selector-analysis').innerHTML = `
+      <div class="analysis-placeholder">
+        Run a selector to see analysis
+      </div>
+    `;
+    this.displayExplanation(null);
+
+    console.log('🔄 SelectorTester reset');
+  }
+
+  /**
+   * Clean up component resources
+   */
+  destroy() {
+    // Remove event listeners
+    this.eventHandlers.forEach((handlers, eventType) => {
+      handlers.forEach(handler => {
+        this.container.removeEventListener(eventType, handler);
+      });
+    });
+    this.eventHandlers.clear();
+
+    clearTimeout(this.debounceTimer);
+    this.clearHighlights();
+
+    // Clear state
+    this.state.results = [];
+    this.state.matchChains = new Map();
+    this.state.resultHosts = new Map();
+    this.scopeRoots = { demo: null, selection: null, shadow: null };
+
+    // Clear container
+    this.container.innerHTML = '';
+
+    console.log('🎯 SelectorTester destroyed');
+  }
 }
@@ -0,0 +1,156 @@
+/**
+ * SnapshotStore Component
+ *
+ * IndexedDB-backed persistence for serialized DOMDiffer snapshots, so that
+ * captured DOM states survive page reloads and can be compared across
+ * sessions or builds.
+ *
+ * @fileoverview Persistent snapshot storage for the DOM Differ
+ * @version 1.0.0
+ * @author DOM Visualizer OOP Team
+ */
+
+/**
+ * SnapshotStore class wrapping a single IndexedDB object store
+ * @class SnapshotStore
+ */
+export class SnapshotStore {
+  /**
+   * Initialize the snapshot store
+   * @param {Object} options - Configuration options
+   * @param {string} [options.databaseName='dom-visualizer-snapshots'] - IndexedDB database name
+   * @param {string} [options.storeName='snapshots'] - Object store name
+   * @param {number} [options.maxHistorySize=50] - Maximum number of snapshots to keep
+   */
+  constructor(options = {}) {
+    this.options = {
+      databaseName: 'dom-visualizer-snapshots',
+      storeName: 'snapshots',
+      maxHistorySize: 50,
+      ...options
+    };
+
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this environment
+   * @returns {boolean} Availability status
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (!SnapshotStore.isSupported()) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(this.options.storeName, {
+          keyPath: 'id'
+        });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.db;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} operation - Receives the store and returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, mode);
+      const request = operation(
+        transaction.objectStore(this.options.storeName)
+      );
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save a serialized snapshot, evicting the oldest beyond maxHistorySize.
+   * The snapshot just saved is never evicted, even when it is an imported
+   * one older than everything else in the store.
+   * @param {Object} snapshot - Serialized snapshot
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    await this.request('readwrite', store => store.put(snapshot));
+
+    const snapshots = await this.list();
+    const others = snapshots.filter(stored => stored.id !== snapshot.id);
+    const excess = snapshots.length - this.options.maxHistorySize;
+
+    for (let i = 0; i < excess; i++) {
+      await this.delete(others[i].id);
+    }
+  }
+
+  /**
+   * Load a snapshot by ID
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} Serialized snapshot
+   */
+  async load(snapshotId) {
+    const snapshot = await this.request('readonly', store =>
+      store.get(snapshotId)
+    );
+    return snapshot || null;
+  }
+
+  /**
+   * List all stored snapshots, oldest first
+   * @returns {Promise<Array>} Serialized snapshots
+   */
+  async list() {
+    return this.request('readonly', store => store.index('timestamp').getAll());
+  }
+
+  /**
+   * Delete a snapshot by ID
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  async delete(snapshotId) {
+    await this.request('readwrite', store => store.delete(snapshotId));
+  }
+
+  /**
+   * Remove every stored snapshot
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.request('readwrite', store => store.clear());
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
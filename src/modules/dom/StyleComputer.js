@@ -10,6 +10,11 @@
  * @author DOM Visualizer OOP Team
  */
 
+import { CascadeEngine } from './CascadeEngine.js';
+import { CustomPropertyResolver } from './CustomPropertyResolver.js';
+import { getMaxSpecificity, removeSubjectPseudos } from './SelectorParser.js';
+import { SelectorGenerator } from './SelectorGenerator.js';
+
 /**
  * StyleComputer class for interactive CSS styles analysis
  * @class StyleComputer
@@ -46,6 +51,17 @@ export class StyleComputer {
     this.selectedElement = null;
     this.computedStyles = null;
     this.styleRules = new Map();
+    this.cascade = null;
+    this.tracedProperty = null;
+    this.propertyTrace = null;
+    this.pinnedSnapshot = null;
+    this.snapshotComparison = null;
+    this.pseudoElement = null;
+    this.forcedStates = new Set();
+    this.customProperties = [];
+    this.styleOverrides = new Map();
+    this.overrideHistory = [];
+    this.overrideStyleElement = null;
     this.inheritanceChain = [];
     this.isAnalyzing = false;
     this.updateQueue = [];
@@ -172,6 +188,19 @@ export class StyleComputer {
       }
     };
 
+    // Inspectable pseudo-elements and simulated states
+    this.pseudoElements = ['before', 'after', 'placeholder', 'marker'];
+    this.simulatedStates = ['hover', 'focus', 'active', 'checked'];
+
+    // Cascade resolution
+    this.cascadeEngine = new CascadeEngine({
+      calculateSpecificity: selector => this.calculateSpecificity(selector)
+    });
+    this.customPropertyResolver = new CustomPropertyResolver({
+      cascadeEngine: this.cascadeEngine
+    });
+    this.selectorGenerator = new SelectorGenerator();
+
     // Performance tracking
     this.performanceMetrics = {
       analysisTime: 0,
@@ -236,6 +265,11 @@ export class StyleComputer {
               Refresh
             </button>
 
+            <button class="control-btn" id="pin-snapshot-btn" title="Pin Style Snapshot">
+              <span class="btn-icon">📌</span>
+              Pin Snapshot
+            </button>
+
             <button class="control-btn" id="export-styles-btn" title="Export Styles">
               <span class="btn-icon">📤</span>
               Export
@@ -271,6 +305,34 @@ export class StyleComputer {
               <span class="info-value" id="selected-element-classes">-</span>
             </div>
           </div>
+
+          <div class="inspection-mode">
+            <div class="pseudo-tabs" id="pseudo-tabs" role="tablist">
+              <button class="pseudo-tab active" data-pseudo="" role="tab">Element</button>
+              ${this.pseudoElements
+                .map(
+                  name => `
+                <button class="pseudo-tab" data-pseudo="${name}" role="tab">::${name}</button>
+              `
+                )
+                .join('')}
+            </div>
+
+            <div class="state-toggles" id="state-toggles">
+              <span class="info-label">Force state:</span>
+              ${this.simulatedStates
+                .map(
+                  state => `
+                <label class="option-item">
+                  <input type="checkbox" data-state="${state}">
+                  <span class="option-label">:${state}</span>
+                </label>
+              `
+                )
+                .join('')}
+            </div>
+          </div>
+          <div class="inspection-notice" id="inspection-notice" style="display: none;"></div>
         </div>
 
         <!-- Analysis Options -->
@@ -329,6 +391,97 @@ export class StyleComputer {
               </div>
             </div>
 
+            <!-- Snapshot Comparison -->
+            <div class="snapshot-section" id="snapshot-section" style="display: none;">
+              <h4 class="section-title">
+                <span class="section-icon">📌</span>
+                Snapshot Comparison
+                <span class="property-count" id="snapshot-change-count">(0)</span>
+              </h4>
+              <div class="snapshot-header">
+                <div class="snapshot-subjects" id="snapshot-subjects">
+                  <!-- Compared subjects will be populated here -->
+                </div>
+                <button class="filter-clear-btn" id="unpin-snapshot-btn">Unpin</button>
+              </div>
+              <div class="snapshot-diff" id="snapshot-diff">
+                <!-- Changed properties will be populated here -->
+              </div>
+            </div>
+
+            <!-- Property Trace -->
+            <div class="trace-section" id="trace-section">
+              <h4 class="section-title">
+                <span class="section-icon">🔍</span>
+                Why Is This Value?
+              </h4>
+              <div class="trace-controls">
+                <input
+                  type="text"
+                  id="trace-property-input"
+                  class="filter-input"
+                  list="trace-property-options"
+                  placeholder="Property name, or click a computed style below..."
+                >
+                <datalist id="trace-property-options"></datalist>
+                <button class="apply-btn" id="trace-property-btn">Trace</button>
+              </div>
+              <div class="property-trace" id="property-trace">
+                <!-- Trace will be populated here -->
+              </div>
+            </div>
+
+            <!-- Style Overrides -->
+            <div class="overrides-section" id="overrides-section">
+              <h4 class="section-title">
+                <span class="section-icon">✏️</span>
+                Style Overrides
+                <span class="property-count" id="override-count">(0)</span>
+              </h4>
+              <div class="override-controls">
+                <input
+                  type="text"
+                  id="override-property"
+                  class="filter-input"
+                  list="trace-property-options"
+                  placeholder="property"
+                >
+                <input
+                  type="text"
+                  id="override-value"
+                  class="filter-input"
+                  placeholder="value"
+                >
+                <button class="apply-btn" id="add-override-btn">Apply</button>
+                <button class="filter-clear-btn" id="undo-override-btn" title="Undo last edit">Undo</button>
+                <button class="filter-clear-btn" id="clear-overrides-btn">Clear</button>
+                <button class="filter-clear-btn" id="export-overrides-btn">Export CSS</button>
+              </div>
+              <div class="overrides-list" id="overrides-list">
+                <!-- Overrides will be populated here -->
+              </div>
+            </div>
+
+            <!-- Custom Properties -->
+            <div class="variables-section" id="variables-section">
+              <h4 class="section-title">
+                <span class="section-icon">🧮</span>
+                Custom Properties
+                <span class="property-count" id="variable-count">(0)</span>
+              </h4>
+              <div class="filter-section">
+                <input
+                  type="text"
+                  id="variable-filter"
+                  class="filter-input"
+                  placeholder="Filter custom properties..."
+                >
+              </div>
+              <div class="variables-content" id="variables-content">
+                <!-- Custom properties will be populated here -->
+              </div>
+            </div>
+
             <!-- Computed Styles -->
             <div class="styles-section" id="styles-section">
               <h4 class="section-title">
@@ -421,6 +574,20 @@ export class StyleComputer {
       }
     });
 
+    // Pseudo-element tabs and forced states
+    this.addEventListener('#pseudo-tabs', 'click', e => {
+      const tab = e.target.closest('.pseudo-tab');
+      if (tab) {
+        this.setPseudoElement(tab.dataset.pseudo || null);
+      }
+    });
+
+    this.addEventListener('#state-toggles', 'change', e => {
+      if (e.target.dataset.state) {
+        this.setForcedState(e.target.dataset.state, e.target.checked);
+      }
+    });
+
     // Control buttons
     this.addEventListener('#refresh-analysis-btn', 'click', () => {
       if (this.selectedElement) {
@@ -428,6 +595,14 @@ export class StyleComputer {
       }
     });
 
+    this.addEventListener('#pin-snapshot-btn', 'click', () => {
+      this.pinSnapshot();
+    });
+
+    this.addEventListener('#unpin-snapshot-btn', 'click', () => {
+      this.unpinSnapshot();
+    });
+
     this.addEventListener('#export-styles-btn', 'click', () => {
       this.exportStyles();
     });
@@ -460,12 +635,82 @@ export class StyleComputer {
       this.filterProperties(e.target.value);
     });
 
+    this.addEventListener('#variable-filter', 'input', e => {
+      this.filterCustomProperties(e.target.value);
+    });
+
     this.addEventListener('#clear-filter-btn', 'click', () => {
       const filterInput = this.container.querySelector('#property-filter');
       filterInput.value = '';
       this.filterProperties('');
     });
 
+    // Property trace
+    this.addEventListener('#trace-property-btn', 'click', () => {
+      this.traceProperty(
+        this.container.querySelector('#trace-property-input').value
+      );
+    });
+
+    this.addEventListener('#trace-property-input', 'keyup', e => {
+      if (e.key === 'Enter') {
+        this.traceProperty(e.target.value);
+      }
+    });
+
+    this.addEventListener('#styles-content', 'click', e => {
+      const propertyElement = e.target.closest('.style-property');
+      if (!propertyElement || e.target.closest('.property-edit-input')) {
+        return;
+      }
+
+      if (e.target.closest('.property-edit-btn')) {
+        this.startValueEdit(propertyElement);
+      } else {
+        this.traceProperty(propertyElement.dataset.property);
+      }
+    });
+
+    this.addEventListener('#styles-content', 'dblclick', e => {
+      const propertyElement = e.target.closest('.style-property');
+      if (propertyElement && e.target.closest('.property-value')) {
+        this.startValueEdit(propertyElement);
+      }
+    });
+
+    // Style overrides
+    this.addEventListener('#add-override-btn', 'click', () => {
+      this.applyOverrideInput();
+    });
+
+    this.addEventListener('#override-value', 'keyup', e => {
+      if (e.key === 'Enter') {
+        this.applyOverrideInput();
+      }
+    });
+
+    this.addEventListener('#undo-override-btn', 'click', () => {
+      this.undoStyleOverride();
+    });
+
+    this.addEventListener('#clear-overrides-btn', 'click', () => {
+      this.clearStyleOverrides();
+    });
+
+    this.addEventListener('#export-overrides-btn', 'click', () => {
+      this.exportOverrides();
+    });
+
+    this.addEventListener('#overrides-list', 'click', e => {
+      const removeButton = e.target.closest('.override-remove-btn');
+      if (removeButton) {
+        this.removeStyleOverride(
+          removeButton.dataset.property,
+          removeButton.dataset.selector
+        );
+      }
+    });
+
     // Retry button
     this.addEventListener('#retry-btn', 'click', () => {
       if (this.selectedElement) {
@@ -558,8 +803,8 @@ export class StyleComputer {
       this.highlightElement(e.target);
     };
 
-    this.unhighlightHandler = e => {
-      this.unhighlightElement(e.target);
+    this.unhighlightHandler = () => {
+      this.unhighlightElement();
     };
 
     // Add event listeners
@@ -616,7 +861,10 @@ export class StyleComputer {
       this.updateElementInfo(element);
 
       // Get computed styles
-      this.computedStyles = window.getComputedStyle(element);
+      this.computedStyles = window.getComputedStyle(
+        element,
+        this.getPseudoElementSelector()
+      );
 
       // Build inheritance chain
       this.inheritanceChain = this.buildInheritanceChain(element);
@@ -624,6 +872,9 @@ export class StyleComputer {
       // Analyze style rules
       this.styleRules = this.analyzeStyleRules(element);
 
+      // Resolve custom properties in scope
+      this.customProperties = this.analyzeCustomProperties(element);
+
       // Update performance metrics
       this.performanceMetrics.analysisTime = performance.now() - startTime;
       this.performanceMetrics.propertiesAnalyzed = this.computedStyles.length;
@@ -667,41 +918,33 @@ export class StyleComputer {
   }
 
   /**
-   * Analyze CSS rules affecting the element
+   * Analyze CSS rules affecting the element by resolving the full cascade
    * @param {HTMLElement} element - Target element
-   * @returns {Map} Map of property to rule information
+   * @returns {Map} Map of property to winning rule information, with every matching declaration
    * @private
    */
   analyzeStyleRules(element) {
     const rules = new Map();
 
     try {
-      // Get all stylesheets
-      const stylesheets = Array.from(document.styleSheets);
-
-      stylesheets.forEach(stylesheet => {
-        try {
-          if (stylesheet.cssRules) {
-            this.processStyleSheet(stylesheet, element, rules);
-          }
-        } catch (e) {
-          // Cross-origin stylesheets may not be accessible
-          console.warn('Cannot access stylesheet:', stylesheet.href);
-        }
+      this.cascade = this.cascadeEngine.resolve(element, {
+        matches: this.createRuleMatcher(),
+        inline: !this.pseudoElement
       });
 
-      // Add inline styles
-      if (element.style.length > 0) {
-        for (let i = 0; i < element.style.length; i++) {
-          const property = element.style[i];
-          rules.set(property, {
-            value: element.style.getPropertyValue(property),
-            priority: element.style.getPropertyPriority(property),
-            source: 'inline',
-            specificity: [1, 0, 0, 0] // Inline styles have highest specificity
-          });
-        }
-      }
+      this.cascade.properties.forEach(({ winner, declarations }, property) => {
+        rules.set(property, {
+          value: winner.value,
+          simulated: this.getSimulatedStates(winner),
+          priority: winner.important ? 'important' : '',
+          selector: winner.selector,
+          source: winner.source,
+          specificity: winner.specificity,
+          layer: winner.layer,
+          conditions: winner.conditions,
+          declarations
+        });
+      });
     } catch (error) {
       console.warn('Error analyzing style rules:', error);
     }
@@ -710,91 +953,187 @@ export class StyleComputer {
   }
 
   /**
-   * Process a stylesheet for matching rules
-   * @param {CSSStyleSheet} stylesheet - Stylesheet to process
+   * Resolve the custom properties in scope for the element
    * @param {HTMLElement} element - Target element
-   * @param {Map} rules - Rules map to populate
+   * @returns {Array<Object>} Resolved custom properties
    * @private
    */
-  processStyleSheet(stylesheet, element, rules) {
+  analyzeCustomProperties(element) {
     try {
-      Array.from(stylesheet.cssRules).forEach(rule => {
-        if (rule.type === CSSRule.STYLE_RULE) {
-          try {
-            if (element.matches(rule.selectorText)) {
-              const specificity = this.calculateSpecificity(rule.selectorText);
-
-              for (let i = 0; i < rule.style.length; i++) {
-                const property = rule.style[i];
-                const value = rule.style.getPropertyValue(property);
-                const priority = rule.style.getPropertyPriority(property);
-
-                const ruleInfo = {
-                  value,
-                  priority,
-                  selector: rule.selectorText,
-                  source: stylesheet.href || 'internal',
-                  specificity
-                };
-
-                // Store the rule with highest specificity for each property
-                if (
-                  !rules.has(property) ||
-                  this.compareSpecificity(
-                    specificity,
-                    rules.get(property).specificity
-                  ) > 0
-                ) {
-                  rules.set(property, ruleInfo);
-                }
-              }
-            }
-          } catch (e) {
-            // Invalid selector or other issues
-            console.warn('Error processing rule:', rule.selectorText, e);
-          }
-        }
+      return this.customPropertyResolver.resolveAll(element, {
+        cascade: this.cascade || undefined,
+        pseudoElement: this.getPseudoElementSelector()
       });
     } catch (error) {
-      console.warn('Error processing stylesheet:', error);
+      console.warn('Error resolving custom properties:', error);
+      return [];
     }
   }
 
   /**
-   * Calculate CSS selector specificity
-   * @param {string} selector - CSS selector
-   * @returns {Array} Specificity array [inline, ids, classes, elements]
+   * Create the selector matcher used while a pseudo-element or a forced
+   * state is inspected. The subject compound is stripped of the inspected
+   * pseudo-element and the forced pseudo-classes before matching, so
+   * `a:hover::before` matches the anchor while ::before and :hover are
+   * selected. States are only forced on the element itself, not on its
+   * ancestors.
+   * @returns {Function|undefined} Matcher, undefined for plain matching
    * @private
    */
-  calculateSpecificity(selector) {
-    let ids = 0;
-    let classes = 0;
-    let elements = 0;
+  createRuleMatcher() {
+    if (!this.pseudoElement && this.forcedStates.size === 0) {
+      return undefined;
+    }
+
+    return (element, selector) => {
+      const { selector: rewritten, removed } = removeSubjectPseudos(
+        selector,
+        node =>
+          node.type === 'pseudo-element'
+            ? node.name === this.pseudoElement
+            : this.forcedStates.has(node.name)
+      );
 
-    // Simple specificity calculation (could be more sophisticated)
-    ids = (selector.match(/#[\w-]+/g) || []).length;
-    classes = (selector.match(/\.[\w-]+/g) || []).length;
-    classes += (selector.match(/\[[\w-]+/g) || []).length; // Attributes
-    classes += (selector.match(/:[\w-]+/g) || []).length; // Pseudo-classes
-    elements = (selector.match(/^[\w-]+|(?:\s|>|~|\+)[\w-]+/g) || []).length;
+      if (
+        this.pseudoElement &&
+        !removed.some(node => node.type === 'pseudo-element')
+      ) {
+        return false;
+      }
 
-    return [0, ids, classes, elements]; // [inline, ids, classes, elements]
+      return element.matches(rewritten);
+    };
   }
 
   /**
-   * Compare two specificity arrays
-   * @param {Array} a - First specificity
-   * @param {Array} b - Second specificity
-   * @returns {number} Comparison result (-1, 0, 1)
+   * Get the forced states a declaration depends on
+   * @param {Object} declaration - Cascade declaration
+   * @returns {Array<string>} Forced pseudo-class names in its subject compound
    * @private
    */
-  compareSpecificity(a, b) {
-    for (let i = 0; i < 4; i++) {
-      if (a[i] !== b[i]) {
-        return a[i] - b[i];
-      }
+  getSimulatedStates(declaration) {
+    if (declaration.inline || this.forcedStates.size === 0) {
+      return [];
+    }
+
+    try {
+      return removeSubjectPseudos(
+        declaration.matchedSelector,
+        node => node.type === 'pseudo-class' && this.forcedStates.has(node.name)
+      ).removed.map(node => node.name);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get the pseudo-element argument for getComputedStyle
+   * @returns {string|null} Pseudo-element selector, e.g. '::before'
+   * @private
+   */
+  getPseudoElementSelector() {
+    return this.pseudoElement ? `::${this.pseudoElement}` : null;
+  }
+
+  /**
+   * Inspect a pseudo-element of the selected element
+   * @param {string|null} pseudoElement - Pseudo-element name without colons, null for the element
+   */
+  setPseudoElement(pseudoElement) {
+    const name = pseudoElement ? pseudoElement.replace(/^:+/, '') : null;
+
+    if (name && !this.pseudoElements.includes(name)) {
+      this.showMessage(`Unsupported pseudo-element: ${pseudoElement}`, 'error');
+      return;
+    }
+
+    this.pseudoElement = name;
+    this.container.querySelectorAll('.pseudo-tab').forEach(tab => {
+      tab.classList.toggle('active', (tab.dataset.pseudo || null) === name);
+    });
+
+    if (this.selectedElement) {
+      this.analyzeElement(this.selectedElement);
+    }
+  }
+
+  /**
+   * Force or release a simulated pseudo-class state on the selected element
+   * @param {string} state - Pseudo-class name without colon, e.g. 'hover'
+   * @param {boolean} enabled - Whether the state is forced
+   */
+  setForcedState(state, enabled) {
+    const name = state.replace(/^:/, '');
+
+    if (!this.simulatedStates.includes(name)) {
+      this.showMessage(`Unsupported state: ${state}`, 'error');
+      return;
+    }
+
+    if (enabled) {
+      this.forcedStates.add(name);
+    } else {
+      this.forcedStates.delete(name);
+    }
+
+    const checkbox = this.container.querySelector(
+      `#state-toggles input[data-state="${name}"]`
+    );
+    if (checkbox) checkbox.checked = enabled;
+
+    if (this.selectedElement) {
+      this.analyzeElement(this.selectedElement);
+    }
+  }
+
+  /**
+   * Render notices about the inspected pseudo-element and forced states
+   * @private
+   */
+  renderInspectionNotice() {
+    const notice = this.container.querySelector('#inspection-notice');
+    const messages = [];
+
+    if (
+      ['before', 'after'].includes(this.pseudoElement) &&
+      ['none', 'normal'].includes(
+        this.computedStyles.getPropertyValue('content')
+      )
+    ) {
+      messages.push(
+        `::${this.pseudoElement} is not generated: its content is ${this.computedStyles.getPropertyValue('content')}`
+      );
+    }
+
+    if (this.forcedStates.size > 0) {
+      const states = Array.from(this.forcedStates)
+        .map(state => `:${state}`)
+        .join(', ');
+      messages.push(
+        `Simulating ${states}: values marked with a state are declared values from rules that only match in that state`
+      );
+    }
+
+    notice.innerHTML = messages
+      .map(message => `<div>${message}</div>`)
+      .join('');
+    notice.style.display = messages.length ? 'block' : 'none';
+  }
+
+  /**
+   * Calculate CSS selector specificity (Selectors Level 4). For a selector
+   * list the highest specificity is returned.
+   * @param {string} selector - CSS selector
+   * @returns {Array} Specificity array [inline, ids, classes, elements]
+   * @private
+   */
+  calculateSpecificity(selector) {
+    try {
+      return [0, ...getMaxSpecificity(selector)];
+    } catch (error) {
+      console.warn('Cannot calculate specificity:', error.message);
+      return [0, 0, 0, 0];
     }
-    return 0;
   }
 
   /**
@@ -818,6 +1157,24 @@ export class StyleComputer {
 
     // Update computed styles
     this.renderComputedStyles();
+    this.renderInspectionNotice();
+
+    // Update custom properties
+    this.renderCustomProperties();
+
+    // Update style overrides
+    this.renderOverridesList();
+
+    // Compare against the pinned snapshot
+    if (this.pinnedSnapshot) {
+      this.compareWithSnapshot();
+    }
+
+    // Update property trace for the new element
+    this.renderTracePropertyOptions();
+    if (this.tracedProperty) {
+      this.traceProperty(this.tracedProperty);
+    }
 
     // Update performance metrics
     this.renderPerformanceMetrics();
@@ -862,118 +1219,462 @@ export class StyleComputer {
   }
 
   /**
-   * Render computed styles display
-   * @private
+   * Explain where the value of a property on the selected element comes
+   * from: the winning declaration, the ones it beat, inheritance or the
+   * initial value
+   * @param {string} property - CSS property name
+   * @returns {Object|null} Property trace, null without a selected element
    */
-  renderComputedStyles() {
-    const stylesContainer = this.container.querySelector('#styles-content');
-    const propertyCount = this.container.querySelector('#property-count');
-
-    if (!this.computedStyles || this.computedStyles.length === 0) {
-      stylesContainer.innerHTML =
-        '<p class="no-data">No computed styles available</p>';
-      propertyCount.textContent = '(0)';
-      return;
+  traceProperty(property) {
+    const name = (property || '').trim();
+    if (!name) {
+      this.showMessage('Enter a property name to trace', 'warning');
+      return null;
     }
 
-    let stylesHTML = '';
-    const processedProperties = new Set();
+    const normalized = name.startsWith('--') ? name : name.toLowerCase();
 
-    if (this.options.groupByCategory) {
-      // Group by categories
-      Object.entries(this.styleCategories).forEach(
-        ([categoryKey, category]) => {
-          const categoryProperties = [];
-
-          category.properties.forEach(prop => {
-            if (this.computedStyles.getPropertyValue(prop)) {
-              categoryProperties.push(prop);
-              processedProperties.add(prop);
-            }
-          });
+    if (!this.selectedElement) {
+      this.showMessage(
+        'Select an element before tracing a property',
+        'warning'
+      );
+      return null;
+    }
 
-          if (categoryProperties.length > 0) {
-            stylesHTML += this.renderStyleCategory(
-              category,
-              categoryProperties
-            );
-          }
+    try {
+      this.tracedProperty = normalized;
+      this.propertyTrace = this.cascadeEngine.trace(
+        this.selectedElement,
+        normalized,
+        {
+          cascade: this.cascade || undefined,
+          pseudoElement: this.getPseudoElementSelector()
         }
       );
 
-      // Add uncategorized properties
-      const uncategorizedProps = [];
-      for (let i = 0; i < this.computedStyles.length; i++) {
-        const prop = this.computedStyles[i];
-        if (
-          !processedProperties.has(prop) &&
-          this.computedStyles.getPropertyValue(prop)
-        ) {
-          uncategorizedProps.push(prop);
-        }
-      }
+      this.container.querySelector('#trace-property-input').value = normalized;
+      this.renderPropertyTrace();
 
-      if (uncategorizedProps.length > 0) {
-        stylesHTML += this.renderStyleCategory(
-          { name: 'Other Properties', icon: '📝' },
-          uncategorizedProps
-        );
-      }
-    } else {
-      // List all properties
-      const allProperties = [];
-      for (let i = 0; i < this.computedStyles.length; i++) {
-        const prop = this.computedStyles[i];
-        if (this.computedStyles.getPropertyValue(prop)) {
-          allProperties.push(prop);
-        }
-      }
+      return this.propertyTrace;
+    } catch (error) {
+      console.error('❌ Property trace failed:', error);
+      this.showMessage(`Cannot trace ${normalized}: ${error.message}`, 'error');
+      return null;
+    }
+  }
 
-      stylesHTML = this.renderStyleCategory(
-        { name: 'All Properties', icon: '📋' },
-        allProperties
-      );
+  /**
+   * Fill the trace input suggestions with the computed property names
+   * @private
+   */
+  renderTracePropertyOptions() {
+    const datalist = this.container.querySelector('#trace-property-options');
+    const names = new Set(this.styleRules.keys());
+
+    for (let i = 0; i < this.computedStyles.length; i++) {
+      names.add(this.computedStyles[i]);
     }
 
-    stylesContainer.innerHTML = stylesHTML;
-    propertyCount.textContent = `(${processedProperties.size || this.computedStyles.length})`;
+    datalist.innerHTML = Array.from(names)
+      .sort()
+      .map(name => `<option value="${name}"></option>`)
+      .join('');
   }
 
   /**
-   * Render a category of styles
-   * @param {Object} category - Category information
-   * @param {Array} properties - Properties in this category
-   * @returns {string} HTML string
+   * Render the property trace
    * @private
    */
-  renderStyleCategory(category, properties) {
-    const propertiesHTML = properties
-      .map(prop => {
-        const value = this.computedStyles.getPropertyValue(prop);
-        const ruleInfo = this.styleRules.get(prop);
+  renderPropertyTrace() {
+    const traceContainer = this.container.querySelector('#property-trace');
+    const trace = this.propertyTrace;
 
-        return `
-        <div class="style-property" data-property="${prop}">
-          <div class="property-header">
-            <div class="property-name">${prop}</div>
-            ${
-              this.options.showSource && ruleInfo
-                ? `
-              <div class="property-source" title="${ruleInfo.source}">
-                ${ruleInfo.selector || 'inherited'}
-              </div>
-            `
-                : ''
-            }
+    if (!trace) {
+      traceContainer.innerHTML = '';
+      return;
+    }
+
+    const verdicts = {
+      declared: 'Declared on this element',
+      inherited: `Inherited from ${trace.inheritedFrom ? this.escapeHTML(this.getElementDisplayName(trace.inheritedFrom.element)) : 'an ancestor'}`,
+      initial: trace.inheritable
+        ? 'No ancestor declares it: initial value (or browser default)'
+        : 'Not declared and not inherited: initial value (or browser default)'
+    };
+
+    const winnerHTML = trace.winner
+      ? `
+        <div class="trace-step-label">Winning declaration</div>
+        <div class="cascade-declaration winner">
+          <span class="cascade-value">${this.escapeHTML(this.formatTraceDeclaration(trace.winner, trace.steps[0].shorthand))}</span>
+          <span class="cascade-selector" title="${this.escapeHTML(this.describeRuleOrigin(trace.winner))}">${this.escapeHTML(trace.winner.inline ? 'style attribute' : trace.winner.selector)}</span>
+        </div>
+        ${this.renderResolvedVarValue(trace.winner)}
+        ${trace.keyword ? `<div class="trace-note">The CSS-wide keyword <code>${this.escapeHTML(trace.keyword)}</code> defers to ${trace.origin === 'initial' ? 'the initial value' : 'the parent'}</div>` : ''}
+      `
+      : '<div class="trace-note">No matching declaration for this property</div>';
+
+    const overriddenHTML = trace.overridden.length
+      ? `
+        <div class="trace-step-label">Lost the cascade (${trace.overridden.length})</div>
+        ${trace.overridden
+          .map(
+            declaration => `
+          <div class="cascade-declaration overridden">
+            <span class="cascade-value">${this.escapeHTML(this.formatTraceDeclaration(declaration, trace.steps[0].shorthand))}</span>
+            <span class="cascade-selector" title="${this.escapeHTML(this.describeRuleOrigin(declaration))}">${this.escapeHTML(declaration.inline ? 'style attribute' : declaration.selector)}</span>
+            <span class="trace-reason">${this.escapeHTML(declaration.reasonText)}</span>
           </div>
-          <div class="property-value">${this.formatPropertyValue(prop, value)}</div>
-          ${
-            ruleInfo && ruleInfo.priority
-              ? `
-            <div class="property-priority">!important</div>
+        `
+          )
+          .join('')}
+      `
+      : '';
+
+    const inheritanceHTML =
+      trace.steps.length > 1
+        ? `
+        <div class="trace-step-label">Inheritance path</div>
+        <ol class="trace-path">
+          ${trace.steps
+            .map(
+              step => `
+            <li class="trace-path-step ${step.action}">
+              <span class="element-name">${this.escapeHTML(this.getElementDisplayName(step.element) + (step.pseudoElement || ''))}</span>
+              <span class="trace-path-value">${this.escapeHTML(step.computedValue)}</span>
+              <span class="trace-path-action">${
+                step.action === 'declared'
+                  ? `declared by ${this.escapeHTML(step.winner.inline ? 'style attribute' : step.winner.selector)}`
+                  : step.action === 'inherit'
+                    ? 'inherits from parent'
+                    : 'initial value'
+              }</span>
+            </li>
+          `
+            )
+            .join('')}
+        </ol>
+      `
+        : '';
+
+    traceContainer.innerHTML = `
+      <div class="trace-summary ${trace.origin}">
+        <div class="property-name">${this.escapeHTML(trace.property)}</div>
+        <div class="property-value">${this.formatPropertyValue(trace.property, trace.computedValue)}</div>
+        <div class="trace-verdict">${verdicts[trace.origin]}</div>
+      </div>
+      ${winnerHTML}
+      ${overriddenHTML}
+      ${inheritanceHTML}
+    `;
+  }
+
+  /**
+   * Render the var()-substituted value of a declaration
+   * @param {Object} declaration - Cascade declaration
+   * @returns {string} HTML string, empty if the value has no var() reference
+   * @private
+   */
+  renderResolvedVarValue(declaration) {
+    if (!/var\(/i.test(declaration.value)) {
+      return '';
+    }
+
+    const resolved = this.customPropertyResolver.resolveValue(
+      this.selectedElement,
+      declaration.value,
+      {
+        cascade: this.cascade || undefined,
+        pseudoElement: this.getPseudoElementSelector()
+      }
+    );
+
+    return `
+      <div class="trace-note">
+        Resolves to <code>${resolved.status === 'valid' ? this.escapeHTML(resolved.value) : 'an invalid value (initial or inherited value is used)'}</code>
+      </div>
+      ${this.renderVarReferences(resolved.references)}
+    `;
+  }
+
+  /**
+   * Format a declaration for the trace view
+   * @param {Object} declaration - Cascade declaration
+   * @param {string|null} shorthand - Shorthand the value was declared through
+   * @returns {string} Declaration text
+   * @private
+   */
+  formatTraceDeclaration(declaration, shorthand) {
+    const property = shorthand || declaration.property;
+    return `${property}: ${declaration.value}${declaration.important ? ' !important' : ''}`;
+  }
+
+  /**
+   * Render the custom properties in scope for the element
+   * @private
+   */
+  renderCustomProperties() {
+    const variablesContainer =
+      this.container.querySelector('#variables-content');
+    const variableCount = this.container.querySelector('#variable-count');
+
+    variableCount.textContent = `(${this.customProperties.length})`;
+
+    if (this.customProperties.length === 0) {
+      variablesContainer.innerHTML =
+        '<p class="no-data">No custom properties in scope</p>';
+      return;
+    }
+
+    variablesContainer.innerHTML = this.customProperties
+      .map(variable => {
+        const { declaration } = variable;
+        const statusText = {
+          cycle: `Cycle: ${this.escapeHTML([...variable.cycle, variable.cycle[0]].join(' → '))}`,
+          invalid: 'Invalid at computed-value time'
+        }[variable.status];
+        const browserDiffers =
+          variable.computedValue &&
+          variable.status === 'valid' &&
+          variable.computedValue.replace(/\s+/g, ' ') !==
+            variable.resolvedValue.replace(/\s+/g, ' ');
+
+        return `
+        <details class="custom-property ${variable.status}" data-property="${this.escapeHTML(variable.name)}">
+          <summary class="custom-property-summary">
+            <span class="property-name">${this.escapeHTML(variable.name)}</span>
+            <span class="property-value">${
+              variable.status === 'valid'
+                ? this.formatCustomPropertyValue(variable.resolvedValue)
+                : `<span class="custom-property-status">${variable.status}</span>`
+            }</span>
+          </summary>
+          <div class="custom-property-details">
+            <div><span class="info-label">Declared:</span> <code>${this.escapeHTML(variable.declaredValue)}</code></div>
+            <div title="${this.escapeHTML(this.describeRuleOrigin(declaration))}">
+              <span class="info-label">Defined by:</span>
+              ${declaration.inline ? 'style attribute' : this.escapeHTML(declaration.selector)}
+              <span class="custom-property-source">${this.escapeHTML(declaration.source)}</span>
+            </div>
+            ${
+              variable.origin === 'inherited'
+                ? `<div><span class="info-label">Inherited from:</span> ${this.escapeHTML(this.getElementDisplayName(variable.definedOn))}</div>`
+                : ''
+            }
+            ${statusText ? `<div class="custom-property-status">${statusText}</div>` : ''}
+            ${
+              browserDiffers
+                ? `<div class="trace-note">Browser computed value: <code>${this.escapeHTML(variable.computedValue)}</code></div>`
+                : ''
+            }
+            ${this.renderVarReferences(variable.references)}
+          </div>
+        </details>
+      `;
+      })
+      .join('');
+
+    this.filterCustomProperties(
+      this.container.querySelector('#variable-filter').value
+    );
+  }
+
+  /**
+   * Render the var() references followed while resolving a value
+   * @param {Array<Object>} references - References from the resolver
+   * @returns {string} HTML string
+   * @private
+   */
+  renderVarReferences(references) {
+    if (!references || references.length === 0) {
+      return '';
+    }
+
+    return `
+      <ul class="var-references">
+        ${references
+          .map(
+            reference => `
+          <li class="var-reference ${reference.status}">
+            <code>${this.escapeHTML(`var(${reference.name}${reference.fallback !== null ? `, ${reference.fallback}` : ''})`)}</code>
+            →
+            ${
+              reference.usedFallback
+                ? `<span class="var-reference-note">${reference.status === 'undefined' ? 'undefined' : reference.status}, fallback</span> <code>${this.escapeHTML(reference.value || '(invalid)')}</code>`
+                : reference.status === 'valid'
+                  ? `<code>${this.escapeHTML(reference.value)}</code>${reference.definedOn ? ` <span class="var-reference-note">from ${this.escapeHTML(this.getElementDisplayName(reference.definedOn))}</span>` : ''}`
+                  : `<span class="var-reference-note">${reference.status}</span>`
+            }
+            ${this.renderVarReferences(reference.references)}
+          </li>
+        `
+          )
+          .join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Format a resolved custom property value, with a swatch for colors
+   * @param {string} value - Resolved value
+   * @returns {string} Formatted value
+   * @private
+   */
+  formatCustomPropertyValue(value) {
+    if (value === '') {
+      return '<span class="text-value">(empty)</span>';
+    }
+
+    return this.formatPropertyValue(
+      /^(#|rgba?\(|hsla?\()/i.test(value) ? 'color' : 'custom-property',
+      value
+    );
+  }
+
+  /**
+   * Filter the custom properties list by name or resolved value
+   * @param {string} searchTerm - Search term
+   * @private
+   */
+  filterCustomProperties(searchTerm) {
+    const term = (searchTerm || '').toLowerCase();
+
+    this.container.querySelectorAll('.custom-property').forEach(item => {
+      const matches =
+        !term ||
+        item.dataset.property.toLowerCase().includes(term) ||
+        item
+          .querySelector('.property-value')
+          .textContent.toLowerCase()
+          .includes(term);
+      item.style.display = matches ? '' : 'none';
+    });
+  }
+
+  /**
+   * Render computed styles display
+   * @private
+   */
+  renderComputedStyles() {
+    const stylesContainer = this.container.querySelector('#styles-content');
+    const propertyCount = this.container.querySelector('#property-count');
+
+    if (!this.computedStyles || this.computedStyles.length === 0) {
+      stylesContainer.innerHTML =
+        '<p class="no-data">No computed styles available</p>';
+      propertyCount.textContent = '(0)';
+      return;
+    }
+
+    let stylesHTML = '';
+    const processedProperties = new Set();
+
+    if (this.options.groupByCategory) {
+      // Group by categories
+      Object.values(this.styleCategories).forEach(category => {
+        const categoryProperties = [];
+
+        category.properties.forEach(prop => {
+          if (this.computedStyles.getPropertyValue(prop)) {
+            categoryProperties.push(prop);
+            processedProperties.add(prop);
+          }
+        });
+
+        if (categoryProperties.length > 0) {
+          stylesHTML += this.renderStyleCategory(
+            category,
+            categoryProperties
+          );
+        }
+      });
+
+      // Add uncategorized properties
+      const uncategorizedProps = [];
+      for (let i = 0; i < this.computedStyles.length; i++) {
+        const prop = this.computedStyles[i];
+        if (
+          !processedProperties.has(prop) &&
+          this.computedStyles.getPropertyValue(prop)
+        ) {
+          uncategorizedProps.push(prop);
+        }
+      }
+
+      if (uncategorizedProps.length > 0) {
+        stylesHTML += this.renderStyleCategory(
+          { name: 'Other Properties', icon: '📝' },
+          uncategorizedProps
+        );
+      }
+    } else {
+      // List all properties
+      const allProperties = [];
+      for (let i = 0; i < this.computedStyles.length; i++) {
+        const prop = this.computedStyles[i];
+        if (this.computedStyles.getPropertyValue(prop)) {
+          allProperties.push(prop);
+        }
+      }
+
+      stylesHTML = this.renderStyleCategory(
+        { name: 'All Properties', icon: '📋' },
+        allProperties
+      );
+    }
+
+    stylesContainer.innerHTML = stylesHTML;
+    propertyCount.textContent = `(${processedProperties.size || this.computedStyles.length})`;
+  }
+
+  /**
+   * Render a category of styles
+   * @param {Object} category - Category information
+   * @param {Array} properties - Properties in this category
+   * @returns {string} HTML string
+   * @private
+   */
+  renderStyleCategory(category, properties) {
+    const propertiesHTML = properties
+      .map(prop => {
+        const ruleInfo = this.styleRules.get(prop);
+        const simulated = ruleInfo?.simulated.length > 0;
+        const value = simulated
+          ? ruleInfo.value
+          : this.computedStyles.getPropertyValue(prop);
+
+        return `
+        <div class="style-property" data-property="${prop}">
+          <div class="property-header">
+            <div class="property-name">${prop}</div>
+            <button class="property-edit-btn" title="Edit value">✏️</button>
+            ${
+              this.options.showSource && ruleInfo
+                ? `
+              <div class="property-source" title="${this.escapeHTML(this.describeRuleOrigin(ruleInfo))}">
+                ${ruleInfo.source === 'inline' ? 'style attribute' : this.escapeHTML(ruleInfo.selector)}
+              </div>
+            `
+                : ''
+            }
+          </div>
+          <div class="property-value">${this.formatPropertyValue(prop, value)}</div>
+          ${
+            simulated
+              ? `
+            <div class="property-simulated" title="Declared value while the state is forced">${ruleInfo.simulated.map(state => `:${state}`).join('')}</div>
+          `
+              : ''
+          }
+          ${
+            ruleInfo && ruleInfo.priority
+              ? `
+            <div class="property-priority">!important</div>
           `
               : ''
           }
+          ${this.options.showSource && ruleInfo ? this.renderOverriddenDeclarations(ruleInfo) : ''}
         </div>
       `;
       })
@@ -993,6 +1694,54 @@ export class StyleComputer {
     `;
   }
 
+  /**
+   * Render the declarations that lost the cascade for a property
+   * @param {Object} ruleInfo - Winning rule information
+   * @returns {string} HTML string
+   * @private
+   */
+  renderOverriddenDeclarations(ruleInfo) {
+    const overridden = ruleInfo.declarations.slice(1);
+
+    if (overridden.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="property-cascade">
+        ${overridden
+          .map(
+            declaration => `
+          <div class="cascade-declaration overridden" title="${this.escapeHTML(declaration.reasonText)}">
+            <span class="cascade-value">${this.escapeHTML(declaration.value)}${declaration.important ? ' !important' : ''}</span>
+            <span class="cascade-selector" title="${this.escapeHTML(this.describeRuleOrigin(declaration))}">${declaration.inline ? 'style attribute' : this.escapeHTML(declaration.selector)}</span>
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Describe where a declaration comes from: sheet, layer and conditions
+   * @param {Object} declaration - Rule information or cascade declaration
+   * @returns {string} Description
+   * @private
+   */
+  describeRuleOrigin(declaration) {
+    const parts = [declaration.source];
+
+    if (declaration.layer) {
+      parts.push(`@layer ${declaration.layer}`);
+    }
+    (declaration.conditions || []).forEach(({ type, text }) => {
+      parts.push(`@${type} ${text}`);
+    });
+
+    return parts.join(' › ');
+  }
+
   /**
    * Format property value for display
    * @param {string} property - CSS property name
@@ -1001,13 +1750,15 @@ export class StyleComputer {
    * @private
    */
   formatPropertyValue(property, value) {
+    const text = this.escapeHTML(value);
+
     // Color values
     if (property.includes('color') || property === 'background') {
       if (value.startsWith('rgb') || value.startsWith('#')) {
         return `
           <span class="color-value">
-            <span class="color-swatch" style="background-color: ${value}"></span>
-            ${value}
+            <span class="color-swatch" style="background-color: ${text}"></span>
+            ${text}
           </span>
         `;
       }
@@ -1015,7 +1766,7 @@ export class StyleComputer {
 
     // URL values
     if (value.includes('url(')) {
-      return value.replace(
+      return text.replace(
         /url\((.*?)\)/g,
         '<span class="url-value">url($1)</span>'
       );
@@ -1023,10 +1774,24 @@ export class StyleComputer {
 
     // Numeric values with units
     if (/^\d+(\.\d+)?(px|em|rem|%|vh|vw|pt|pc|in|cm|mm|ex|ch)$/.test(value)) {
-      return `<span class="numeric-value">${value}</span>`;
+      return `<span class="numeric-value">${text}</span>`;
     }
 
-    return `<span class="text-value">${value}</span>`;
+    return `<span class="text-value">${text}</span>`;
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   * @private
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   /**
@@ -1106,26 +1871,7 @@ export class StyleComputer {
    * @private
    */
   generateSelector(element) {
-    if (element.id) {
-      return `#${element.id}`;
-    }
-
-    if (element.className) {
-      const classes = element.className.split(' ').filter(cls => cls.trim());
-      if (classes.length > 0) {
-        return `${element.tagName.toLowerCase()}.${classes.join('.')}`;
-      }
-    }
-
-    // Generate nth-child selector
-    const parent = element.parentElement;
-    if (parent) {
-      const siblings = Array.from(parent.children);
-      const index = siblings.indexOf(element);
-      return `${parent.tagName.toLowerCase()} > ${element.tagName.toLowerCase()}:nth-child(${index + 1})`;
-    }
-
-    return element.tagName.toLowerCase();
+    return this.selectorGenerator.getSelector(element);
   }
 
   /**
@@ -1155,8 +1901,12 @@ export class StyleComputer {
    * @private
    */
   filterProperties(searchTerm) {
-    const properties = this.container.querySelectorAll('.style-property');
-    const categories = this.container.querySelectorAll('.style-category');
+    const properties = this.container.querySelectorAll(
+      '#styles-content .style-property'
+    );
+    const categories = this.container.querySelectorAll(
+      '#styles-content .style-category'
+    );
 
     if (!searchTerm) {
       // Show all
@@ -1244,6 +1994,609 @@ export class StyleComputer {
     this.showMessage('Styles exported successfully', 'success');
   }
 
+  /**
+   * Capture the computed styles of an element as a plain snapshot. The
+   * values are copied because computed style objects are live.
+   * @param {HTMLElement} element - Element to capture
+   * @param {string} [label] - Snapshot label
+   * @returns {Object} Style snapshot
+   */
+  captureSnapshot(element, label) {
+    const computed = window.getComputedStyle(element);
+    const styles = {};
+
+    for (let i = 0; i < computed.length; i++) {
+      const prop = computed[i];
+      styles[prop] = computed.getPropertyValue(prop);
+    }
+
+    return {
+      label: label || this.getElementDisplayName(element),
+      element,
+      selector: this.generateSelector(element),
+      className: element.className,
+      styles,
+      takenAt: new Date()
+    };
+  }
+
+  /**
+   * Pin a snapshot of the selected element. Later analyses are diffed
+   * against it, whether they target another element or the same element
+   * after an interaction.
+   * @param {string} [label] - Snapshot label
+   * @returns {Object|null} Pinned snapshot
+   */
+  pinSnapshot(label) {
+    if (!this.selectedElement) {
+      this.showMessage(
+        'Select an element before pinning a snapshot',
+        'warning'
+      );
+      return null;
+    }
+
+    this.pinnedSnapshot = this.captureSnapshot(this.selectedElement, label);
+    this.compareWithSnapshot();
+
+    this.showMessage(
+      `Pinned styles of ${this.pinnedSnapshot.label}`,
+      'success'
+    );
+    console.log('📌 Style snapshot pinned:', this.pinnedSnapshot.selector);
+
+    return this.pinnedSnapshot;
+  }
+
+  /**
+   * Remove the pinned snapshot and its comparison
+   */
+  unpinSnapshot() {
+    this.pinnedSnapshot = null;
+    this.snapshotComparison = null;
+    this.renderSnapshotComparison();
+  }
+
+  /**
+   * Diff the pinned snapshot against the current styles of an element
+   * @param {HTMLElement} [element=this.selectedElement] - Element to compare
+   * @returns {Object|null} Comparison with changes grouped by style category
+   */
+  compareWithSnapshot(element = this.selectedElement) {
+    if (!this.pinnedSnapshot || !element) {
+      return null;
+    }
+
+    const current = this.captureSnapshot(element);
+    this.snapshotComparison = {
+      pinned: this.pinnedSnapshot,
+      current,
+      ...this.diffSnapshots(this.pinnedSnapshot, current)
+    };
+    this.renderSnapshotComparison();
+
+    return this.snapshotComparison;
+  }
+
+  /**
+   * Compute the changed properties between two snapshots
+   * @param {Object} before - Earlier or reference snapshot
+   * @param {Object} after - Compared snapshot
+   * @returns {Object} Changes and the same changes grouped by category
+   * @private
+   */
+  diffSnapshots(before, after) {
+    const categoryOf = new Map();
+    Object.entries(this.styleCategories).forEach(([key, category]) => {
+      category.properties.forEach(prop => {
+        if (!categoryOf.has(prop)) categoryOf.set(prop, key);
+      });
+    });
+
+    const properties = new Set([
+      ...Object.keys(before.styles),
+      ...Object.keys(after.styles)
+    ]);
+    const changes = [];
+
+    properties.forEach(property => {
+      const from = before.styles[property] ?? '';
+      const to = after.styles[property] ?? '';
+
+      if (from !== to) {
+        changes.push({
+          property,
+          before: from,
+          after: to,
+          category: categoryOf.get(property) || 'other'
+        });
+      }
+    });
+
+    changes.sort((a, b) => a.property.localeCompare(b.property));
+
+    const groups = [
+      ...Object.entries(this.styleCategories).map(([key, category]) => ({
+        key,
+        name: category.name,
+        icon: category.icon
+      })),
+      { key: 'other', name: 'Other Properties', icon: '📝' }
+    ]
+      .map(group => ({
+        ...group,
+        changes: changes.filter(change => change.category === group.key)
+      }))
+      .filter(group => group.changes.length > 0);
+
+    return { changes, groups };
+  }
+
+  /**
+   * Render the snapshot comparison section
+   * @private
+   */
+  renderSnapshotComparison() {
+    const section = this.container.querySelector('#snapshot-section');
+    const comparison = this.snapshotComparison;
+
+    if (!comparison) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const { pinned, current, changes, groups } = comparison;
+    const sameElement = pinned.element === current.element;
+
+    this.container.querySelector('#snapshot-change-count').textContent =
+      `(${changes.length})`;
+
+    this.container.querySelector('#snapshot-subjects').innerHTML = `
+      <div class="snapshot-subject pinned" title="${this.escapeHTML(pinned.selector)}">
+        <span class="info-label">Pinned:</span>
+        <span class="info-value">${this.escapeHTML(pinned.label)}</span>
+        <span class="snapshot-time">${pinned.takenAt.toLocaleTimeString()}</span>
+      </div>
+      <div class="snapshot-subject current" title="${this.escapeHTML(current.selector)}">
+        <span class="info-label">${sameElement ? 'Now:' : 'Compared:'}</span>
+        <span class="info-value">${this.escapeHTML(current.label)}</span>
+        ${sameElement && pinned.className !== current.className ? `<span class="snapshot-time">class="${this.escapeHTML(current.className)}"</span>` : ''}
+      </div>
+    `;
+
+    this.container.querySelector('#snapshot-diff').innerHTML =
+      changes.length === 0
+        ? '<p class="no-data">No computed style differences</p>'
+        : groups
+            .map(
+              group => `
+        <div class="style-category">
+          <div class="category-header">
+            <span class="category-icon">${group.icon}</span>
+            <span class="category-name">${group.name}</span>
+            <span class="category-count">(${group.changes.length})</span>
+          </div>
+          <div class="category-properties">
+            ${group.changes
+              .map(
+                change => `
+              <div class="snapshot-change" data-property="${this.escapeHTML(change.property)}">
+                <div class="property-name">${this.escapeHTML(change.property)}</div>
+                <div class="snapshot-value before">${this.formatPropertyValue(change.property, change.before)}</div>
+                <div class="snapshot-arrow">→</div>
+                <div class="snapshot-value after">${this.formatPropertyValue(change.property, change.after)}</div>
+              </div>
+            `
+              )
+              .join('')}
+          </div>
+        </div>
+      `
+            )
+            .join('');
+
+    section.style.display = 'block';
+  }
+
+  /**
+   * Get the selector overrides for an element are keyed by, including the
+   * inspected pseudo-element and forced states
+   * @param {HTMLElement} element - Target element
+   * @returns {string} Override selector
+   * @private
+   */
+  getOverrideSelector(element) {
+    const states = Array.from(this.forcedStates)
+      .map(state => `:${state}`)
+      .join('');
+
+    return `${this.generateSelector(element)}${states}${this.getPseudoElementSelector() || ''}`;
+  }
+
+  /**
+   * Check whether a declaration is valid CSS
+   * @param {string} property - CSS property name
+   * @param {string} value - Property value
+   * @returns {boolean} True if the browser accepts the declaration
+   * @private
+   */
+  isValidDeclaration(property, value) {
+    if (property.startsWith('--')) {
+      return (
+        /^--(?:[\w-]|[^\p{ASCII}])+$/u.test(property) &&
+        this.isBalancedValue(value)
+      );
+    }
+
+    if (typeof window.CSS?.supports === 'function') {
+      return window.CSS.supports(property, value);
+    }
+
+    const probe = document.createElement('div').style;
+    probe.setProperty(property, value);
+    return probe.getPropertyValue(property) !== '';
+  }
+
+  /**
+   * Check that a custom property value cannot escape its declaration: the
+   * value is written verbatim into the override stylesheet, so brackets and
+   * strings must close and no semicolon may end the declaration early
+   * @param {string} value - Custom property value
+   * @returns {boolean} True if the value is self-contained
+   * @private
+   */
+  isBalancedValue(value) {
+    const closing = { '(': ')', '[': ']', '{': '}' };
+    const open = [];
+    let i = 0;
+
+    while (i < value.length) {
+      const char = value[i];
+
+      if (char === '\\') {
+        // A trailing backslash would escape the semicolon appended after it
+        if (i === value.length - 1) return false;
+        i += 2;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        let end = i + 1;
+        while (end < value.length && value[end] !== char) {
+          if (/[\n\r\f]/.test(value[end])) return false;
+          end += value[end] === '\\' ? 2 : 1;
+        }
+        if (end >= value.length) return false;
+        i = end + 1;
+        continue;
+      }
+      if (value.startsWith('/*', i)) {
+        const end = value.indexOf('*/', i + 2);
+        if (end === -1) return false;
+        i = end + 2;
+        continue;
+      }
+
+      if (closing[char]) {
+        open.push(closing[char]);
+      } else if (char === ')' || char === ']' || char === '}') {
+        if (open.pop() !== char) return false;
+      } else if (char === ';' && open.length === 0) {
+        return false;
+      }
+      i++;
+    }
+
+    return open.length === 0;
+  }
+
+  /**
+   * Override a property of the selected element through the managed
+   * override stylesheet. The change is applied immediately and can be
+   * undone.
+   * @param {string} property - CSS property name
+   * @param {string} value - Property value, optionally ending in !important
+   * @param {HTMLElement} [element=this.selectedElement] - Target element
+   * @returns {boolean} True if the override was applied
+   */
+  setStyleOverride(property, value, element = this.selectedElement) {
+    if (!element) {
+      this.showMessage('Select an element before editing styles', 'warning');
+      return false;
+    }
+
+    const name = property.trim().startsWith('--')
+      ? property.trim()
+      : property.trim().toLowerCase();
+    const important = /!\s*important\s*$/i.test(value);
+    const cleanValue = value.replace(/!\s*important\s*$/i, '').trim();
+
+    if (!name || !cleanValue || !this.isValidDeclaration(name, cleanValue)) {
+      this.showMessage(`Invalid declaration: ${name}: ${value}`, 'error');
+      return false;
+    }
+
+    const selector = this.getOverrideSelector(element);
+    this.applyOverrideChanges([
+      {
+        selector,
+        property: name,
+        previous: this.styleOverrides.get(selector)?.get(name) || null,
+        next: { value: cleanValue, important }
+      }
+    ]);
+
+    console.log(`✏️ Style override: ${selector} { ${name}: ${cleanValue} }`);
+    return true;
+  }
+
+  /**
+   * Remove one override
+   * @param {string} property - CSS property name
+   * @param {string} [selector] - Override selector, defaults to the selected element's
+   * @returns {boolean} True if an override was removed
+   */
+  removeStyleOverride(property, selector) {
+    const key =
+      selector ||
+      (this.selectedElement && this.getOverrideSelector(this.selectedElement));
+    const previous = this.styleOverrides.get(key)?.get(property);
+
+    if (!previous) {
+      return false;
+    }
+
+    this.applyOverrideChanges([
+      { selector: key, property, previous, next: null }
+    ]);
+    return true;
+  }
+
+  /**
+   * Remove every override
+   */
+  clearStyleOverrides() {
+    const changes = [];
+
+    this.styleOverrides.forEach((declarations, selector) => {
+      declarations.forEach((previous, property) => {
+        changes.push({ selector, property, previous, next: null });
+      });
+    });
+
+    if (changes.length > 0) {
+      this.applyOverrideChanges(changes);
+    }
+  }
+
+  /**
+   * Undo the last override edit
+   * @returns {boolean} True if an edit was undone
+   */
+  undoStyleOverride() {
+    const changes = this.overrideHistory.pop();
+
+    if (!changes) {
+      this.showMessage('Nothing to undo', 'info');
+      return false;
+    }
+
+    changes.forEach(({ selector, property, previous }) => {
+      this.writeOverride(selector, property, previous);
+    });
+    this.refreshOverrides();
+
+    return true;
+  }
+
+  /**
+   * Apply override changes as one undoable edit
+   * @param {Array<Object>} changes - Changes with selector, property, previous and next
+   * @private
+   */
+  applyOverrideChanges(changes) {
+    changes.forEach(({ selector, property, next }) => {
+      this.writeOverride(selector, property, next);
+    });
+    this.overrideHistory.push(changes);
+    this.refreshOverrides();
+  }
+
+  /**
+   * Write or delete one override in the override map
+   * @param {string} selector - Override selector
+   * @param {string} property - CSS property name
+   * @param {Object|null} declaration - Value and importance, null to delete
+   * @private
+   */
+  writeOverride(selector, property, declaration) {
+    if (!this.styleOverrides.has(selector)) {
+      this.styleOverrides.set(selector, new Map());
+    }
+
+    const declarations = this.styleOverrides.get(selector);
+    if (declaration) {
+      declarations.set(property, declaration);
+    } else {
+      declarations.delete(property);
+      if (declarations.size === 0) {
+        this.styleOverrides.delete(selector);
+      }
+    }
+  }
+
+  /**
+   * Rewrite the override stylesheet and re-analyze the selected element
+   * @private
+   */
+  refreshOverrides() {
+    if (!this.overrideStyleElement) {
+      this.overrideStyleElement = document.createElement('style');
+      this.overrideStyleElement.dataset.sheetLabel = 'StyleComputer overrides';
+      document.head.appendChild(this.overrideStyleElement);
+    }
+
+    // Overrides must win over the page's own rules for a live preview
+    this.overrideStyleElement.textContent = this.generateOverridesCSS({
+      forceImportant: true
+    });
+
+    if (this.selectedElement) {
+      this.analyzeElement(this.selectedElement);
+    } else {
+      this.renderOverridesList();
+    }
+  }
+
+  /**
+   * Generate CSS for the accumulated overrides
+   * @param {Object} [options={}] - Generation options
+   * @param {boolean} [options.forceImportant=false] - Mark every declaration !important
+   * @returns {string} CSS text
+   */
+  generateOverridesCSS(options = {}) {
+    return Array.from(this.styleOverrides)
+      .map(([selector, declarations]) => {
+        const body = Array.from(declarations)
+          .map(
+            ([property, { value, important }]) =>
+              `  ${property}: ${value}${important || options.forceImportant ? ' !important' : ''};`
+          )
+          .join('\n');
+
+        return `${selector} {\n${body}\n}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Download the accumulated overrides as a stylesheet
+   */
+  exportOverrides() {
+    if (this.styleOverrides.size === 0) {
+      this.showMessage('No style overrides to export', 'warning');
+      return;
+    }
+
+    const css = `/* Style overrides exported on ${new Date().toISOString()} */\n\n${this.generateOverridesCSS()}\n`;
+    const blob = new Blob([css], { type: 'text/css' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `style-overrides-${Date.now()}.css`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    this.showMessage('Style overrides exported successfully', 'success');
+  }
+
+  /**
+   * Apply the property and value typed in the override inputs
+   * @private
+   */
+  applyOverrideInput() {
+    const propertyInput = this.container.querySelector('#override-property');
+    const valueInput = this.container.querySelector('#override-value');
+
+    if (this.setStyleOverride(propertyInput.value, valueInput.value)) {
+      propertyInput.value = '';
+      valueInput.value = '';
+    }
+  }
+
+  /**
+   * Replace a computed style value with an input to edit it in place
+   * @param {HTMLElement} propertyElement - .style-property element
+   * @private
+   */
+  startValueEdit(propertyElement) {
+    const valueElement = propertyElement.querySelector('.property-value');
+    if (valueElement.querySelector('.property-edit-input')) {
+      return;
+    }
+
+    const property = propertyElement.dataset.property;
+    const selector = this.getOverrideSelector(this.selectedElement);
+    const override = this.styleOverrides.get(selector)?.get(property);
+    const ruleInfo = this.styleRules.get(property);
+    const original = valueElement.innerHTML;
+    const input = document.createElement('input');
+
+    input.type = 'text';
+    input.className = 'property-edit-input';
+    input.value = override
+      ? `${override.value}${override.important ? ' !important' : ''}`
+      : ruleInfo?.value || this.computedStyles.getPropertyValue(property);
+
+    let finished = false;
+    const finish = commit => {
+      if (finished) return;
+      finished = true;
+
+      if (
+        !commit ||
+        input.value.trim() === input.defaultValue.trim() ||
+        !this.setStyleOverride(property, input.value)
+      ) {
+        valueElement.innerHTML = original;
+      }
+    };
+
+    input.defaultValue = input.value;
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    valueElement.innerHTML = '';
+    valueElement.appendChild(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Render the list of overrides
+   * @private
+   */
+  renderOverridesList() {
+    const list = this.container.querySelector('#overrides-list');
+    let count = 0;
+
+    list.innerHTML = Array.from(this.styleOverrides)
+      .map(([selector, declarations]) => {
+        count += declarations.size;
+
+        return `
+        <div class="override-rule">
+          <div class="override-selector">${this.escapeHTML(selector)} {</div>
+          ${Array.from(declarations)
+            .map(
+              ([property, { value, important }]) => `
+            <div class="override-declaration">
+              <span class="cascade-value">${this.escapeHTML(property)}: ${this.escapeHTML(value)}${important ? ' !important' : ''};</span>
+              <button class="override-remove-btn" data-selector="${this.escapeHTML(selector)}" data-property="${this.escapeHTML(property)}" title="Remove override">✕</button>
+            </div>
+          `
+            )
+            .join('')}
+          <div class="override-selector">}</div>
+        </div>
+      `;
+      })
+      .join('');
+
+    if (count === 0) {
+      list.innerHTML =
+        '<p class="no-data">Edit a value or add a declaration to override it</p>';
+    }
+
+    this.container.querySelector('#override-count').textContent = `(${count})`;
+    this.container.querySelector('#undo-override-btn').disabled =
+      this.overrideHistory.length === 0;
+  }
+
   /**
    * Create selection overlay for element picking
    * @private
@@ -1319,11 +2672,10 @@ export class StyleComputer {
   }
 
   /**
-   * Remove highlight from element
-   * @param {HTMLElement} element - Element to unhighlight
+   * Remove the hover highlight
    * @private
    */
-  unhighlightElement(element) {
+  unhighlightElement() {
     if (this.selectionHighlight) {
       this.selectionHighlight.style.display = 'none';
     }
@@ -1418,16 +2770,37 @@ export class StyleComputer {
     this.selectedElement = null;
     this.computedStyles = null;
     this.styleRules.clear();
+    this.cascade = null;
+    this.tracedProperty = null;
+    this.propertyTrace = null;
+    this.pinnedSnapshot = null;
+    this.snapshotComparison = null;
+    this.customProperties = [];
     this.inheritanceChain = [];
 
     // Reset UI
     this.container.querySelector('#element-selector').value = '';
     this.container.querySelector('#property-filter').value = '';
+    this.container.querySelector('#variable-filter').value = '';
+    this.container.querySelector('#trace-property-input').value = '';
+    this.container.querySelector('#property-trace').innerHTML = '';
+
+    // Reset inspection mode
+    this.pseudoElement = null;
+    this.forcedStates.clear();
+    this.container.querySelectorAll('.pseudo-tab').forEach(tab => {
+      tab.classList.toggle('active', !tab.dataset.pseudo);
+    });
+    this.container
+      .querySelectorAll('#state-toggles input')
+      .forEach(input => (input.checked = false));
+    this.container.querySelector('#inspection-notice').style.display = 'none';
     this.container.querySelector('#selected-element-name').textContent = 'None';
     this.container.querySelector('#selected-element-tag').textContent = '-';
     this.container.querySelector('#selected-element-classes').textContent = '-';
 
     // Hide results
+    this.container.querySelector('#snapshot-section').style.display = 'none';
     this.container.querySelector('#results-section').style.display = 'none';
     this.container.querySelector('#loading-state').style.display = 'none';
     this.container.querySelector('#error-state').style.display = 'none';
@@ -1458,10 +2831,24 @@ export class StyleComputer {
     // Remove selection overlay
     this.removeSelectionOverlay();
 
+    // Remove the override stylesheet
+    if (this.overrideStyleElement) {
+      this.overrideStyleElement.remove();
+      this.overrideStyleElement = null;
+    }
+    this.styleOverrides.clear();
+    this.overrideHistory = [];
+
     // Clear data
     this.selectedElement = null;
     this.computedStyles = null;
     this.styleRules.clear();
+    this.cascade = null;
+    this.tracedProperty = null;
+    this.propertyTrace = null;
+    this.pinnedSnapshot = null;
+    this.snapshotComparison = null;
+    this.customProperties = [];
     this.inheritanceChain = [];
 
     console.log('🧹 StyleComputer destroyed');
@@ -1473,12 +2860,17 @@ export class StyleComputer {
    */
   getStatus() {
     return {
-      isInitialized: !!this.container,
-      hasSelectedElement: !!this.selectedElement,
+      isInitialized: Boolean(this.container),
+      hasSelectedElement: Boolean(this.selectedElement),
       selectedElementTag: this.selectedElement?.tagName,
       computedStylesCount: this.computedStyles?.length || 0,
       styleRulesCount: this.styleRules.size,
       inheritanceChainLength: this.inheritanceChain.length,
+      hasPinnedSnapshot: Boolean(this.pinnedSnapshot),
+      customPropertiesCount: this.customProperties.length,
+      styleOverridesCount: this.styleOverrides.size,
+      pseudoElement: this.pseudoElement,
+      forcedStates: Array.from(this.forcedStates),
       options: { ...this.options },
       performanceMetrics: { ...this.performanceMetrics }
     };
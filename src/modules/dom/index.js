@@ -17,8 +17,14 @@ import { NodeTreeEditor } from './NodeTreeEditor.js';
 import { AttributeInspector } from './AttributeInspector.js';
 import { SelectorTester } from './SelectorTester.js';
 import { StyleComputer } from './StyleComputer.js';
+import { CascadeEngine } from './CascadeEngine.js';
+import { CustomPropertyResolver } from './CustomPropertyResolver.js';
+import { SelectorGenerator } from './SelectorGenerator.js';
 import { DOMDiffer } from './DOMDiffer.js';
+import { SnapshotStore } from './SnapshotStore.js';
 import { ElementManipulator } from './ElementManipulator.js';
+import { HTMLSanitizer } from './HTMLSanitizer.js';
+import { CodeGenerator } from './CodeGenerator.js';
 import { TreeTraverser } from './TreeTraverser.js';
 import { MutationObserverDemo } from './MutationObserverDemo.js';
 
@@ -411,8 +417,14 @@ requestAnimationFrame(updateElement);
         AttributeInspector,
         SelectorTester,
         StyleComputer,
+        CascadeEngine,
+        CustomPropertyResolver,
+        SelectorGenerator,
         DOMDiffer,
+        SnapshotStore,
         ElementManipulator,
+        HTMLSanitizer,
+        CodeGenerator,
         TreeTraverser,
         MutationObserverDemo
       };
@@ -1091,8 +1103,14 @@ export {
   AttributeInspector,
   SelectorTester,
   StyleComputer,
+  CascadeEngine,
+  CustomPropertyResolver,
+  SelectorGenerator,
   DOMDiffer,
+  SnapshotStore,
   ElementManipulator,
+  HTMLSanitizer,
+  CodeGenerator,
   TreeTraverser,
   MutationObserverDemo
 };
@@ -1107,8 +1125,14 @@ export default {
   AttributeInspector,
   SelectorTester,
   StyleComputer,
+  CascadeEngine,
+  CustomPropertyResolver,
+  SelectorGenerator,
   DOMDiffer,
+  SnapshotStore,
   ElementManipulator,
+  HTMLSanitizer,
+  CodeGenerator,
   TreeTraverser,
   MutationObserverDemo,
 
@@ -0,0 +1,260 @@
+/**
+ * CascadeEngine layer, importance and inline ordering tests
+ */
+
+import { CascadeEngine, CASCADE_REASONS } from '@modules/dom/CascadeEngine.js';
+import { getMaxSpecificity } from '@modules/dom/SelectorParser.js';
+
+/**
+ * Stand-in for the browser's @layer block rule, which jsdom cannot parse
+ */
+class CSSLayerBlockRule {
+  /**
+   * @param {string} name - Layer name, '' for an anonymous layer
+   * @param {Array<Object>} cssRules - Nested rules
+   */
+  constructor(name, cssRules) {
+    this.name = name;
+    this.cssRules = cssRules;
+  }
+}
+
+/**
+ * Stand-in for the browser's @layer statement rule
+ */
+class CSSLayerStatementRule {
+  /**
+   * @param {Array<string>} nameList - Declared layer names
+   */
+  constructor(nameList) {
+    this.nameList = nameList;
+  }
+}
+
+/**
+ * Build a style rule
+ * @param {string} selectorText - Selector
+ * @param {string} cssText - Declarations
+ * @returns {Object} CSSOM-like style rule
+ */
+function rule(selectorText, cssText) {
+  const { style } = document.createElement('div');
+  style.cssText = cssText;
+  return { type: CSSRule.STYLE_RULE, selectorText, style };
+}
+
+/**
+ * Build a stylesheet
+ * @param {...Object} cssRules - Top-level rules
+ * @returns {Object} CSSOM-like stylesheet
+ */
+function sheet(...cssRules) {
+  return { cssRules, href: null, ownerNode: null };
+}
+
+describe('CascadeEngine ordering', () => {
+  let engine;
+  let target;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = '<p id="target" class="note">Text</p>';
+    target = document.getElementById('target');
+    engine = new CascadeEngine({
+      calculateSpecificity: selector => [0, ...getMaxSpecificity(selector)]
+    });
+  });
+
+  /**
+   * Resolve one property of the target against the given sheets
+   * @param {Array<Object>} styleSheets - Sheets in document order
+   * @param {string} [property='color'] - Property to look up
+   * @returns {Object} Cascade entry with winner and ranked declarations
+   */
+  function resolve(styleSheets, property = 'color') {
+    return engine.resolve(target, { styleSheets }).properties.get(property);
+  }
+
+  /**
+   * Declared values of a cascade entry, winner first
+   * @param {Object} entry - Cascade entry
+   * @returns {Array<string>} Values
+   */
+  function ranking(entry) {
+    return entry.declarations.map(declaration => declaration.value);
+  }
+
+  describe('layers, importance and inline styles', () => {
+    /**
+     * Sheet with base and theme layers (theme declared last) and an
+     * unlayered rule; the theme rule has the highest specificity
+     * @param {string} base - Priority of the base declaration
+     * @param {string} theme - Priority of the theme declaration
+     * @param {string} unlayered - Priority of the unlayered declaration
+     * @returns {Object} Stylesheet
+     */
+    function layeredSheet(base, theme, unlayered) {
+      return sheet(
+        new CSSLayerStatementRule(['base', 'theme']),
+        new CSSLayerBlockRule('theme', [
+          rule('#target.note', `color: blue ${theme}`)
+        ]),
+        new CSSLayerBlockRule('base', [rule('p', `color: red ${base}`)]),
+        rule('p', `color: green ${unlayered}`)
+      );
+    }
+
+    it.each([
+      ['', '', '', null, 'green'],
+      ['', '', '', '', 'black'],
+      ['!important', '', '', '', 'red'],
+      ['!important', '!important', '', '', 'red'],
+      ['', '!important', '', '', 'blue'],
+      ['', '!important', '!important', '', 'blue'],
+      ['', '', '!important', '', 'green'],
+      ['!important', '', '', '!important', 'black'],
+      ['', '!important', '!important', '!important', 'black']
+    ])(
+      'base %j, theme %j, unlayered %j, inline %j: %s wins',
+      (base, theme, unlayered, inline, expected) => {
+        if (inline !== null) {
+          target.style.cssText = `color: black ${inline}`;
+        }
+
+        const entry = resolve([layeredSheet(base, theme, unlayered)]);
+
+        expect(entry.winner.value).toBe(expected);
+      }
+    );
+
+    it('ranks normal declarations: inline, unlayered, later layers', () => {
+      target.style.cssText = 'color: black';
+
+      const entry = resolve([layeredSheet('', '', '')]);
+
+      expect(ranking(entry)).toEqual(['black', 'green', 'blue', 'red']);
+      expect(entry.declarations.map(d => d.reason ?? 'winner')).toEqual([
+        'winner',
+        'inline',
+        'inline',
+        'inline'
+      ]);
+    });
+
+    it('reverses layer order for important declarations', () => {
+      const entry = resolve([
+        layeredSheet('!important', '!important', '!important')
+      ]);
+
+      expect(ranking(entry)).toEqual(['red', 'blue', 'green']);
+      expect(entry.declarations.slice(1).map(d => d.reasonText)).toEqual([
+        CASCADE_REASONS.layer,
+        CASCADE_REASONS.layer
+      ]);
+    });
+
+    it('lets any important declaration beat normal inline styles', () => {
+      target.style.cssText = 'color: black';
+
+      const entry = resolve([layeredSheet('!important', '', '')]);
+
+      expect(ranking(entry)).toEqual(['red', 'black', 'green', 'blue']);
+      expect(entry.declarations[1].reason).toBe('importance');
+    });
+  });
+
+  it('orders layers by first appearance, not by block position', () => {
+    const { layers } = engine.resolve(target, {
+      styleSheets: [
+        sheet(
+          new CSSLayerBlockRule('b', [rule('p', 'color: red')]),
+          new CSSLayerStatementRule(['a', 'b', 'c']),
+          new CSSLayerBlockRule('a', [rule('p', 'color: blue')])
+        )
+      ]
+    });
+
+    expect(layers).toEqual(['b', 'a', 'c']);
+    expect(
+      resolve([
+        sheet(
+          new CSSLayerStatementRule(['a', 'b']),
+          new CSSLayerBlockRule('b', [rule('p', 'color: red')]),
+          new CSSLayerBlockRule('a', [rule('#target', 'color: blue')])
+        )
+      ]).winner.value
+    ).toBe('red');
+  });
+
+  it('ranks a layer above its sublayers, and below them when important', () => {
+    const nested = priority =>
+      sheet(
+        new CSSLayerBlockRule('theme', [
+          new CSSLayerBlockRule('dark', [
+            rule('#target', `color: blue ${priority}`)
+          ]),
+          rule('p', `color: red ${priority}`)
+        ])
+      );
+
+    expect(ranking(resolve([nested('')]))).toEqual(['red', 'blue']);
+    expect(ranking(resolve([nested('!important')]))).toEqual(['blue', 'red']);
+    expect(
+      engine.resolve(target, { styleSheets: [nested('')] }).layers
+    ).toEqual(['theme', 'theme.dark']);
+  });
+
+  it('keeps anonymous layers apart', () => {
+    const entry = resolve([
+      sheet(
+        new CSSLayerBlockRule('', [rule('#target', 'color: red')]),
+        new CSSLayerBlockRule('', [rule('p', 'color: blue')])
+      )
+    ]);
+
+    expect(ranking(entry)).toEqual(['blue', 'red']);
+    expect(entry.declarations.map(d => d.layer)).toEqual([
+      '<anonymous-2>',
+      '<anonymous-1>'
+    ]);
+  });
+
+  it('falls back to specificity, then source order, within a layer', () => {
+    const entry = resolve([
+      sheet(
+        new CSSLayerBlockRule('base', [
+          rule('#target', 'color: red'),
+          rule('.note', 'color: blue'),
+          rule('p.note', 'color: green'),
+          rule('.note', 'color: black')
+        ])
+      )
+    ]);
+
+    expect(ranking(entry)).toEqual(['red', 'green', 'black', 'blue']);
+    expect(entry.declarations.map(d => d.reason ?? 'winner')).toEqual([
+      'winner',
+      'specificity',
+      'specificity',
+      'specificity'
+    ]);
+    expect(
+      engine.getLossReason(entry.declarations[3], entry.declarations[2])
+    ).toBe('order');
+  });
+
+  it('uses the most specific matching selector of a list', () => {
+    const entry = resolve([
+      sheet(
+        rule('div, p.note, #missing', 'color: red'),
+        rule('.note', 'color: blue')
+      )
+    ]);
+
+    expect(entry.winner).toMatchObject({
+      value: 'red',
+      matchedSelector: 'p.note',
+      specificity: [0, 0, 1, 1]
+    });
+  });
+});
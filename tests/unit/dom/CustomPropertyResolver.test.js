@@ -0,0 +1,173 @@
+/**
+ * CustomPropertyResolver inheritance, substitution and cycle tests
+ */
+
+import { CascadeEngine } from '@modules/dom/CascadeEngine.js';
+import { CustomPropertyResolver } from '@modules/dom/CustomPropertyResolver.js';
+import { getMaxSpecificity } from '@modules/dom/SelectorParser.js';
+
+/**
+ * Build a style rule
+ * @param {string} selectorText - Selector
+ * @param {string} cssText - Declarations
+ * @returns {Object} CSSOM-like style rule
+ */
+function rule(selectorText, cssText) {
+  const { style } = document.createElement('div');
+  style.cssText = cssText;
+  return { type: CSSRule.STYLE_RULE, selectorText, style };
+}
+
+describe('CustomPropertyResolver', () => {
+  let resolver;
+  let target;
+  let styleSheets;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = `
+      <div id="root">
+        <section id="card">
+          <p id="target">Text</p>
+        </section>
+      </div>
+    `;
+    target = document.getElementById('target');
+    styleSheets = [];
+    resolver = new CustomPropertyResolver({
+      cascadeEngine: new CascadeEngine({
+        calculateSpecificity: selector => [0, ...getMaxSpecificity(selector)]
+      })
+    });
+  });
+
+  /**
+   * Use the given rules as the only stylesheet
+   * @param {...Object} cssRules - Style rules
+   */
+  function useRules(...cssRules) {
+    styleSheets = [{ cssRules, href: null, ownerNode: null }];
+  }
+
+  /**
+   * Resolve a custom property of the target
+   * @param {string} name - Custom property name
+   * @returns {Object|null} Resolved custom property
+   */
+  function resolve(name) {
+    return resolver.resolve(target, name, { styleSheets });
+  }
+
+  it('requires a cascade engine', () => {
+    expect(() => new CustomPropertyResolver()).toThrow(
+      'CustomPropertyResolver requires a cascadeEngine'
+    );
+  });
+
+  it('inherits values from the nearest declaring ancestor', () => {
+    useRules(rule('#root', '--brand: red'), rule('#card', '--brand: blue'));
+
+    expect(resolve('--brand')).toMatchObject({
+      origin: 'inherited',
+      definedOn: document.getElementById('card'),
+      declaredValue: 'blue',
+      resolvedValue: 'blue',
+      status: 'valid'
+    });
+    expect(resolve('--missing')).toBeNull();
+  });
+
+  it('substitutes references where the property is declared', () => {
+    useRules(
+      rule('#root', '--size: 1px; --border: var(--size) solid'),
+      rule('#target', '--size: 2px')
+    );
+
+    const border = resolve('--border');
+
+    expect(border.resolvedValue).toBe('1px solid');
+    expect(border.references).toEqual([
+      expect.objectContaining({
+        name: '--size',
+        definedOn: document.getElementById('root'),
+        value: '1px',
+        usedFallback: false
+      })
+    ]);
+    expect(
+      resolver.resolveValue(target, 'var(--size) dashed', { styleSheets }).value
+    ).toBe('2px dashed');
+  });
+
+  it('prefers inline styles and lets initial stop inheritance', () => {
+    useRules(
+      rule('#root', '--gap: 4px'),
+      rule('p', '--tone: red; --gap: initial')
+    );
+    target.style.setProperty('--tone', 'green');
+
+    expect(resolve('--tone')).toMatchObject({
+      origin: 'declared',
+      resolvedValue: 'green',
+      overridden: [expect.objectContaining({ value: 'red' })]
+    });
+    expect(resolve('--gap')).toBeNull();
+  });
+
+  it('follows nested fallbacks of undefined references', () => {
+    useRules(
+      rule('#target', '--color: var(--missing, var(--other, rgb(0, 0, 0)))')
+    );
+
+    const color = resolve('--color');
+
+    expect(color.resolvedValue).toBe('rgb(0, 0, 0)');
+    expect(color.references[0]).toMatchObject({
+      name: '--missing',
+      status: 'undefined',
+      usedFallback: true,
+      references: [expect.objectContaining({ name: '--other' })]
+    });
+  });
+
+  it('invalidates undefined references without a fallback', () => {
+    useRules(rule('#target', '--color: var(--missing) red'));
+
+    expect(resolve('--color')).toMatchObject({
+      resolvedValue: '',
+      status: 'invalid'
+    });
+  });
+
+  it('invalidates every property in a reference cycle', () => {
+    useRules(
+      rule(
+        '#target',
+        '--a: var(--b); --b: var(--c); --c: var(--a); --d: var(--a, safe)'
+      )
+    );
+
+    const all = resolver.resolveAll(target, { styleSheets });
+
+    expect(all.map(property => property.name)).toEqual([
+      '--a',
+      '--b',
+      '--c',
+      '--d'
+    ]);
+    all.slice(0, 3).forEach(property => {
+      expect(property.status).toBe('cycle');
+      expect(property.resolvedValue).toBe('');
+      expect([...property.cycle].sort()).toEqual(['--a', '--b', '--c']);
+    });
+    expect(all[3]).toMatchObject({ status: 'valid', resolvedValue: 'safe' });
+  });
+
+  it('ignores var() inside strings and other function names', () => {
+    expect(
+      resolver
+        .findVarReferences('"var(--a)" myvar(--b) var( --c , 1px)')
+        .map(({ name, fallback }) => [name, fallback])
+    ).toEqual([['--c', '1px']]);
+  });
+});
@@ -0,0 +1,760 @@
+/**
+ * DOMDiffer diff, patch and snapshot tests
+ */
+
+import { DOMDiffer } from '@modules/dom/DOMDiffer.js';
+
+describe('DOMDiffer tree diff', () => {
+  let differ;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = '<div id="root"></div>';
+    container = document.getElementById('root');
+    differ = new DOMDiffer();
+  });
+
+  /**
+   * Snapshot two versions of the container markup and diff them
+   * @param {string} before - Markup before the change
+   * @param {string} after - Markup after the change
+   * @returns {Array<Object>} Changes
+   */
+  function diff(before, after) {
+    container.innerHTML = before;
+    const beforeId = differ.createSnapshot(container);
+    container.innerHTML = after;
+    const afterId = differ.createSnapshot(container);
+
+    return differ.compareSnapshots(beforeId, afterId).changes;
+  }
+
+  /**
+   * Build keyed list items
+   * @param {string} keys - One character per item key
+   * @returns {string} List markup
+   */
+  function keyed(keys) {
+    return [...keys].map(key => `<li data-key="${key}">${key}</li>`).join('');
+  }
+
+  /**
+   * Summarize changes as "type description" strings
+   * @param {Array<Object>} changes - Changes
+   * @returns {Array<string>} Summaries
+   */
+  function summarize(changes) {
+    return changes.map(change => `${change.type} ${change.description}`);
+  }
+
+  it('reports a keyed reorder as the fewest moves', () => {
+    const changes = diff(keyed('abcde'), keyed('bcdea'));
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      type: 'moved',
+      fromIndex: 0,
+      toIndex: 4,
+      element: { attributes: { 'data-key': 'a' } }
+    });
+  });
+
+  it('keeps keyed nodes matched when they are reordered and edited', () => {
+    const changes = diff(
+      keyed('abc'),
+      '<li data-key="c">c</li><li data-key="a">A</li><li data-key="b">b</li>'
+    );
+
+    expect(summarize(changes)).toEqual([
+      'moved Moved li from position 2 to 0',
+      'modifications Text content changed'
+    ]);
+  });
+
+  it('inserts and removes keyed nodes at both ends without moves', () => {
+    expect(summarize(diff(keyed('bcd'), keyed('abcde')))).toEqual([
+      'additions Added li',
+      'additions Added li'
+    ]);
+    expect(summarize(diff(keyed('abcde'), keyed('bcd')))).toEqual([
+      'deletions Removed li',
+      'deletions Removed li'
+    ]);
+
+    const changes = diff(keyed('abc'), keyed('xbcy'));
+    expect(
+      changes.map(change => [change.type, change.element.attributes])
+    ).toEqual([
+      ['deletions', { 'data-key': 'a' }],
+      ['additions', { 'data-key': 'x' }],
+      ['additions', { 'data-key': 'y' }]
+    ]);
+  });
+
+  it('pairs duplicate keys in document order', () => {
+    const changes = diff(
+      '<li data-key="a">One</li><li data-key="a">Two</li>',
+      '<li data-key="a">One</li><li data-key="a">Second</li>'
+    );
+
+    expect(summarize(changes)).toEqual(['modifications Text content changed']);
+    expect(changes[0]).toMatchObject({ before: 'Two', after: 'Second' });
+  });
+
+  it('matches unkeyed nodes by content, then by tag', () => {
+    expect(
+      summarize(diff('<p>A</p><p>B</p>', '<span>X</span><p>A</p><p>B</p>'))
+    ).toEqual(['additions Added span']);
+
+    expect(
+      summarize(diff('<p>A</p><p>B</p><p>C</p>', '<p>A</p><p>b</p><p>C</p>'))
+    ).toEqual(['modifications Text content changed']);
+
+    expect(
+      summarize(diff('<p>A</p><div>B</div>', '<div>B</div><p>A</p>'))
+    ).toEqual(['moved Moved div from position 1 to 0']);
+  });
+
+  it('detects moves between parents', () => {
+    const changes = diff(
+      '<ul id="one"><li id="x">X</li></ul><ul id="two"></ul>',
+      '<ul id="one"></ul><ul id="two"><li id="x">X</li></ul>'
+    );
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      type: 'moved',
+      fromPath: '/0/0',
+      toPath: '/1/0'
+    });
+  });
+
+  it('falls back to positional matching with the path algorithm', () => {
+    differ = new DOMDiffer({ diffAlgorithm: 'path' });
+    const changes = diff(keyed('ab'), keyed('ba'));
+
+    expect(changes.every(change => change.type === 'modifications')).toBe(true);
+  });
+});
+
+describe('DOMDiffer patches', () => {
+  let differ;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.innerHTML = '<div id="root"></div>';
+    container = document.getElementById('root');
+    differ = new DOMDiffer();
+  });
+
+  /**
+   * Snapshot markup in a detached copy of the container
+   * @param {string} html - Markup
+   * @returns {string} Snapshot ID
+   */
+  function snapshot(html) {
+    const root = document.createElement('div');
+    root.id = 'root';
+    root.innerHTML = html;
+    return differ.createSnapshot(root);
+  }
+
+  /**
+   * Apply the diff between two markups to the live container and revert
+   * it, checking the exact markup after each step
+   * @param {string} before - Markup before the change
+   * @param {string} after - Markup after the change
+   * @returns {Object} Diff results
+   */
+  function expectRoundTrip(before, after) {
+    const diff = differ.compareSnapshots(snapshot(before), snapshot(after));
+    container.innerHTML = before;
+
+    differ.applyPatch(container, diff);
+    expect(container.innerHTML).toBe(after);
+    differ.revertPatch(container, diff);
+    expect(container.innerHTML).toBe(before);
+
+    return diff;
+  }
+
+  it('restores text between inline elements with its spaces', () => {
+    expectRoundTrip(
+      '<p><b>x</b> and <i>y</i></p>',
+      '<p><b>x</b> or <i>y</i></p>'
+    );
+  });
+
+  it('restores whitespace between elements', () => {
+    expectRoundTrip('<p><b>x</b> <i>y</i></p>', '<p><b>x</b></p>');
+    expectRoundTrip(
+      '<p>\n  <b>x</b>\n  <i>y</i>\n</p>',
+      '<p>\n  <i>y</i>\n  <b>x</b>\n  <u>z</u>\n</p>'
+    );
+  });
+
+  it('writes original values when normalization rules are active', () => {
+    differ.setSnapshotRules({ normalizeWhitespace: true, sortClasses: true });
+
+    expectRoundTrip(
+      '<p class="b  a">  one   two </p>',
+      '<p class="c  a">  one   three </p><span title=" x  y ">new</span>'
+    );
+  });
+
+  it('leaves text and attributes the diff did not change untouched', () => {
+    differ.setSnapshotRules({ normalizeWhitespace: true, sortClasses: true });
+    const diff = differ.compareSnapshots(
+      snapshot('<p class="b a">  a   b </p><span>x</span>'),
+      snapshot('<p class="a b">a b</p><span>y</span>')
+    );
+    container.innerHTML = '<p class="b a">  a   b </p><span>x</span>';
+    const text = container.querySelector('p').firstChild;
+
+    differ.applyPatch(container, diff);
+
+    expect(container.innerHTML).toBe(
+      '<p class="b a">  a   b </p><span>y</span>'
+    );
+    expect(container.querySelector('p').firstChild).toBe(text);
+  });
+
+  it('restores redacted text without exporting it', () => {
+    differ.setSnapshotRules({ redactText: [/\d{4}/g] });
+    const diff = expectRoundTrip(
+      '<p>Card 1234 ok <b>x</b></p>',
+      '<p>Card 5678 declined <b>x</b></p>'
+    );
+
+    expect(diff.changes.map(change => change.after)).toEqual([
+      'Card [redacted] declined'
+    ]);
+    expect(differ.exportSnapshot(diff.before.id)).not.toContain('1234');
+    expect(differ.exportDiff(diff)).not.toMatch(/1234|5678/);
+  });
+
+  it('does not patch text that differs only in redacted parts', () => {
+    differ.setSnapshotRules({ redactText: [/\d{4}/g] });
+    const diff = differ.compareSnapshots(
+      snapshot('<p>Card 1234</p>'),
+      snapshot('<p>Card 5678</p>')
+    );
+
+    expect(diff.changes).toEqual([]);
+  });
+
+  it('refuses to write redacted text it no longer has', () => {
+    differ.setSnapshotRules({ redactText: [/\d{4}/g] });
+    const before = differ.importSnapshot(
+      differ.exportSnapshot(snapshot('<p>Code 1234</p>'))
+    );
+    const diff = differ.compareSnapshots(before, snapshot('<p>Other</p>'));
+    container.innerHTML = '<p>Other</p>';
+
+    expect(() => differ.revertPatch(container, diff)).toThrow(
+      /Patch revert failed: Redacted text is not available/
+    );
+    expect(container.innerHTML).toBe('<p>Other</p>');
+  });
+
+  it('keeps matched elements when applying a keyed reorder', () => {
+    const before = '<li id="a">A</li><li id="b">B</li><li id="c">C</li>';
+    const diff = differ.compareSnapshots(
+      snapshot(before),
+      snapshot('<li id="c">C</li><li id="a">A</li><li id="b">B!</li>')
+    );
+    container.innerHTML = before;
+    const [a, b, c] = container.children;
+
+    differ.applyPatch(container, diff);
+
+    expect(Array.from(container.children)).toEqual([c, a, b]);
+    expect(b.textContent).toBe('B!');
+  });
+
+  it('rejects a target that does not match the snapshot', () => {
+    const diff = differ.compareSnapshots(
+      snapshot('<p>a</p>'),
+      snapshot('<p>b</p>')
+    );
+    container.innerHTML = '<p>c</p>';
+
+    expect(() => differ.applyPatch(container, diff)).toThrow(
+      /does not match the "before" snapshot/
+    );
+  });
+});
+
+describe('DOMDiffer snapshot rules', () => {
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = '<div id="root"></div>';
+    container = document.getElementById('root');
+  });
+
+  /**
+   * Diff two markups with the given rules
+   * @param {Object} rules - Snapshot rules
+   * @param {string} before - Markup before the change
+   * @param {string} after - Markup after the change
+   * @returns {Array<string>} Change descriptions
+   */
+  function changesWith(rules, before, after) {
+    const differ = new DOMDiffer({ snapshotRules: rules });
+    container.innerHTML = before;
+    const beforeId = differ.createSnapshot(container);
+    container.innerHTML = after;
+    const afterId = differ.createSnapshot(container);
+
+    return differ
+      .compareSnapshots(beforeId, afterId)
+      .changes.map(change => change.description);
+  }
+
+  it('ignores attributes by name or pattern', () => {
+    const before = '<p data-time="1" aria-busy="true" title="a">x</p>';
+    const after = '<p data-time="2" aria-busy="false" title="b">x</p>';
+
+    expect(changesWith({}, before, after)).toHaveLength(3);
+    expect(
+      changesWith({ ignoreAttributes: ['data-time', /^aria-/] }, before, after)
+    ).toEqual(["Attribute 'title' changed"]);
+  });
+
+  it('leaves excluded elements and their subtrees out', () => {
+    const differ = new DOMDiffer({
+      snapshotRules: { excludeSelectors: ['.ad', '[data-live]'] }
+    });
+    container.innerHTML =
+      '<p>x</p><div class="ad"><span>Buy</span></div><b data-live>1</b>';
+    const structure = differ.getSnapshot(
+      differ.createSnapshot(container)
+    ).structure;
+
+    expect(structure.children.map(child => child.tagName)).toEqual(['p']);
+    expect(
+      changesWith(
+        { excludeSelectors: ['.ad'] },
+        '<p>x</p><div class="ad">One</div>',
+        '<p>x</p><div class="ad">Two</div><div class="ad">Three</div>'
+      )
+    ).toEqual([]);
+  });
+
+  it('compares whitespace and class order only when asked to', () => {
+    const before = '<p class="a b" title="x  y">one  two</p>';
+    const after = '<p class="b a" title="x y">one two</p>';
+
+    expect(changesWith({}, before, after)).not.toEqual([]);
+    expect(changesWith({ normalizeWhitespace: true }, before, after)).toEqual([
+      "Attribute 'class' changed"
+    ]);
+    expect(
+      changesWith(
+        { normalizeWhitespace: true, sortClasses: true },
+        before,
+        after
+      )
+    ).toEqual([]);
+  });
+
+  it('redacts text with default and custom replacements', () => {
+    const differ = new DOMDiffer();
+    differ.setSnapshotRules({
+      redactText: [
+        /\d{4}-\d{4}/g,
+        { pattern: /[\w.]+@[\w.]+/g, replacement: '<email>' }
+      ]
+    });
+    container.innerHTML = '<p>Card 1234-5678 for ann@example.com</p>';
+    const snapshotId = differ.createSnapshot(container);
+
+    expect(
+      differ.getSnapshot(snapshotId).structure.children[0].children[0]
+    ).toMatchObject({
+      textContent: 'Card [redacted] for <email>',
+      redacted: true
+    });
+    expect(differ.exportSnapshot(snapshotId)).not.toMatch(/1234|ann@/);
+  });
+
+  it('keeps ignored attributes and excluded elements when patching', () => {
+    const differ = new DOMDiffer({
+      snapshotRules: {
+        ignoreAttributes: ['data-time'],
+        excludeSelectors: ['.ad']
+      }
+    });
+    const snapshot = html => {
+      const root = document.createElement('div');
+      root.id = 'root';
+      root.innerHTML = html;
+      return differ.createSnapshot(root);
+    };
+    const diff = differ.compareSnapshots(
+      snapshot('<p data-time="1">x</p>'),
+      snapshot('<p data-time="2">y</p>')
+    );
+    container.innerHTML = '<p data-time="live">x</p><div class="ad">Ad</div>';
+
+    differ.applyPatch(container, diff);
+
+    expect(container.innerHTML).toBe(
+      '<p data-time="live">y</p><div class="ad">Ad</div>'
+    );
+  });
+});
+
+describe('DOMDiffer line diff export', () => {
+  let differ;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    differ = new DOMDiffer();
+  });
+
+  /**
+   * Snapshot markup in a detached root element
+   * @param {string} html - Markup
+   * @param {string} label - Snapshot label
+   * @returns {string} Snapshot ID
+   */
+  function snapshot(html, label) {
+    const root = document.createElement('div');
+    root.id = 'root';
+    root.innerHTML = html;
+    return differ.createSnapshot(root, label);
+  }
+
+  /**
+   * Build numbered paragraphs
+   * @param {number} count - Paragraph count
+   * @returns {string} Markup
+   */
+  function paragraphs(count) {
+    return Array.from({ length: count }, (_, i) => `<p>Line ${i}</p>`).join('');
+  }
+
+  /**
+   * Diff a page with a heading, paragraphs and a tail against an edited copy
+   * @returns {Object} Diff results
+   */
+  function editedPage() {
+    return differ.compareSnapshots(
+      snapshot(`<h1>Title</h1>${paragraphs(8)}<p>Tail</p>`, 'Before'),
+      snapshot(
+        `<h1>Title</h1>${paragraphs(8).replace('Line 3', 'Line three')}` +
+          '<p>Tail</p><p>End</p>',
+        'After'
+      )
+    );
+  }
+
+  it('writes unified hunks with context and line ranges', () => {
+    const output = differ.exportDiff(editedPage(), 'unified', {
+      contextLines: 1
+    });
+
+    expect(output).toBe(
+      [
+        '--- Before',
+        '+++ After',
+        '@@ -5,3 +5,3 @@',
+        '   <p>Line 2</p>',
+        '-  <p>Line 3</p>',
+        '+  <p>Line three</p>',
+        '   <p>Line 4</p>',
+        '@@ -11,2 +11,3 @@',
+        '   <p>Tail</p>',
+        '+  <p>End</p>',
+        ' </div>',
+        ''
+      ].join('\n')
+    );
+  });
+
+  it('renders side-by-side rows with escaped, highlighted changes', () => {
+    const html = differ.exportDiff(editedPage(), 'side-by-side', {
+      contextLines: 1
+    });
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    const rows = [...page.querySelectorAll('tbody tr')].map(row =>
+      [...row.cells].map(cell => cell.textContent)
+    );
+
+    expect(rows).toEqual([
+      ['@@ -5,3 +5,3 @@'],
+      ['5', '  <p>Line 2</p>', '5', '  <p>Line 2</p>'],
+      ['6', '  <p>Line 3</p>', '6', '  <p>Line three</p>'],
+      ['7', '  <p>Line 4</p>', '7', '  <p>Line 4</p>'],
+      ['@@ -11,2 +11,3 @@'],
+      ['11', '  <p>Tail</p>', '11', '  <p>Tail</p>'],
+      ['', '', '12', '  <p>End</p>'],
+      ['12', '</div>', '13', '</div>']
+    ]);
+    expect(page.querySelector('mark.del').textContent).toBe('3');
+    expect(page.querySelector('mark.ins').textContent).toBe('three');
+    expect(page.querySelector('.line.empty')).not.toBeNull();
+  });
+
+  it('diffs large trees without a quadratic table', () => {
+    const count = 5000;
+    const before = snapshot(paragraphs(count), 'Before');
+    const after = snapshot(
+      paragraphs(count).replace('<p>Line 10</p>', '') + '<p>Extra</p>',
+      'After'
+    );
+    const output = differ.exportDiff(
+      differ.compareSnapshots(before, after),
+      'unified',
+      { contextLines: 0 }
+    );
+
+    expect(output.split('\n').filter(line => line.startsWith('@@'))).toEqual([
+      '@@ -12,1 +11,0 @@',
+      `@@ -${count + 1},0 +${count + 1},1 @@`
+    ]);
+  });
+});
+
+describe('DOMDiffer snapshot import and export', () => {
+  let differ;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = '<div id="root"><p class="x">Hello</p></div>';
+    container = document.getElementById('root');
+    differ = new DOMDiffer();
+  });
+
+  it('exports a versioned snapshot and imports it under a new ID', () => {
+    const snapshotId = differ.createSnapshot(container, 'Start');
+    const exported = JSON.parse(differ.exportSnapshot(snapshotId));
+
+    expect(exported).toMatchObject({
+      format: 'dom-differ-snapshot',
+      version: 1,
+      id: snapshotId,
+      label: 'Start'
+    });
+
+    const importedId = differ.importSnapshot(exported);
+    const imported = differ.getSnapshot(importedId);
+
+    expect(importedId).not.toBe(snapshotId);
+    expect(imported.importedFrom).toBe(snapshotId);
+    expect(differ.compareSnapshots(snapshotId, importedId).changes).toEqual([]);
+  });
+
+  it.each([
+    ['newer versions', { version: 2 }, /Unsupported snapshot version 2/],
+    ['missing versions', { version: undefined }, /Invalid snapshot version/],
+    ['other formats', { format: 'other' }, /not a DOMDiffer snapshot/],
+    ['missing structures', { structure: null }, /missing its serialized/]
+  ])('rejects %s', (_, override, message) => {
+    const exported = JSON.parse(
+      differ.exportSnapshot(differ.createSnapshot(container))
+    );
+
+    expect(() => differ.importSnapshot({ ...exported, ...override })).toThrow(
+      message
+    );
+  });
+
+  it('rejects invalid JSON', () => {
+    expect(() => differ.importSnapshot('{')).toThrow(/Invalid snapshot JSON/);
+  });
+
+  it('creates IDs that do not collide across sessions', () => {
+    const first = differ.createSnapshot(container);
+    const second = new DOMDiffer().createSnapshot(container);
+
+    expect(first).not.toBe(second);
+    expect(differ.createSnapshot(container)).not.toBe(first);
+  });
+
+  it('loads stored snapshots without reusing their IDs', async () => {
+    const previous = new DOMDiffer();
+    const stored = [
+      previous.serializeSnapshot(
+        previous.getSnapshot(previous.createSnapshot(container))
+      )
+    ];
+    differ.store = {
+      list: vi.fn(async () => stored),
+      save: vi.fn(async () => {})
+    };
+
+    expect(await differ.loadStoredSnapshots()).toEqual([stored[0].id]);
+
+    const snapshotId = differ.createSnapshot(container);
+    expect(snapshotId).not.toBe(stored[0].id);
+    expect(differ.getSnapshot(snapshotId).label).toBe('Snapshot 2');
+    expect(differ.store.save).toHaveBeenCalledWith(
+      expect.objectContaining({ id: snapshotId })
+    );
+  });
+});
+
+describe('DOMDiffer mutation timeline', () => {
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML =
+      '<div id="root"><p id="a" class="x">One</p><ul id="list"></ul></div>';
+    container = document.getElementById('root');
+  });
+
+  /**
+   * Let the mutation observer deliver its pending records
+   * @returns {Promise<void>} Resolves after the observer callback
+   */
+  function deliver() {
+    return new Promise(resolve => queueMicrotask(resolve));
+  }
+
+  it('coalesces a batch to its net effect', () => {
+    const differ = new DOMDiffer({ timelineGrouping: 'microtask' });
+    differ.startTracking(container);
+
+    const para = document.getElementById('a');
+    const list = document.getElementById('list');
+    para.setAttribute('class', 'y');
+    para.setAttribute('class', 'x');
+    para.setAttribute('title', 'first');
+    para.setAttribute('title', 'second');
+    para.firstChild.textContent = 'Two';
+    const temporary = document.createElement('span');
+    list.appendChild(temporary);
+    temporary.remove();
+    list.appendChild(para);
+    differ.stopTracking();
+
+    const [batch] = differ.getTimeline();
+    expect(differ.getTimeline()).toHaveLength(1);
+    expect(batch.recordCount).toBe(9);
+    expect(batch.collapsed).toBe(4);
+    expect(batch.entries.map(entry => entry.description)).toEqual([
+      'Moved <p#a.x> from <div#root> to <ul#list>',
+      'Set title="second" on <p#a.x>',
+      'Changed text "One" to "Two"'
+    ]);
+  });
+
+  it('merges observer callbacks until the next frame', async () => {
+    const differ = new DOMDiffer();
+    differ.startTracking(container);
+
+    container.setAttribute('data-step', '1');
+    await deliver();
+    container.setAttribute('data-step', '2');
+    await deliver();
+    expect(differ.getTimeline()).toHaveLength(0);
+
+    vi.advanceTimersByTime(16);
+    differ.stopTracking();
+
+    const timeline = differ.getTimeline();
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0].recordCount).toBe(2);
+    expect(timeline[0].entries[0].description).toBe(
+      'Set data-step="2" on <div#root>'
+    );
+  });
+
+  it('keeps the newest batches and counts the dropped ones', async () => {
+    const differ = new DOMDiffer({
+      timelineGrouping: 'microtask',
+      maxTimelineEntries: 2,
+      maxChangeHistory: 3
+    });
+    differ.startTracking(container);
+
+    for (const step of ['1', '2', '3']) {
+      container.setAttribute('data-step', step);
+      container.setAttribute('title', step);
+      await deliver();
+    }
+    differ.stopTracking();
+
+    expect(differ.getTimeline().map(batch => batch.id)).toEqual([2, 3]);
+    expect(differ.getChangeHistory()).toHaveLength(3);
+    expect(differ.getPerformanceMetrics()).toMatchObject({
+      timelineSize: 2,
+      droppedBatches: 1,
+      changeHistorySize: 3,
+      droppedRecords: 3
+    });
+
+    differ.clearChangeHistory();
+    expect(differ.getStatus()).toMatchObject({
+      timelineSize: 0,
+      droppedBatches: 0,
+      droppedRecords: 0
+    });
+  });
+
+  it('reconstructs the tracked subtree at each position', async () => {
+    const differ = new DOMDiffer({ timelineGrouping: 'microtask' });
+    const initial = container.outerHTML;
+    differ.startTracking(container);
+
+    document.getElementById('a').textContent = 'Changed';
+    await deliver();
+    document.getElementById('list').innerHTML = '<li>Item</li>';
+    await deliver();
+    differ.stopTracking();
+
+    expect(differ.reconstructTimeline(-1).outerHTML).toBe(initial);
+    expect(differ.reconstructTimeline(0).outerHTML).toBe(
+      '<div id="root"><p id="a" class="x">Changed</p><ul id="list"></ul></div>'
+    );
+    expect(differ.reconstructTimeline(1).outerHTML).toBe(container.outerHTML);
+    expect(differ.reconstructTimeline(2)).toBeNull();
+  });
+
+  it('replays batches without storing a structure per entry', async () => {
+    const differ = new DOMDiffer({
+      timelineGrouping: 'microtask',
+      maxTimelineEntries: 2
+    });
+    const states = [];
+    differ.startTracking(container);
+
+    const para = document.getElementById('a');
+    const list = document.getElementById('list');
+    list.innerHTML = '<li>One</li><li>Two</li>';
+    await deliver();
+    states.push(container.outerHTML);
+    list.appendChild(para);
+    list.firstChild.setAttribute('title', 'first');
+    await deliver();
+    states.push(container.outerHTML);
+    list.lastChild.remove();
+    para.firstChild.textContent = 'Moved';
+    await deliver();
+    states.push(container.outerHTML);
+    differ.stopTracking();
+
+    expect(differ.getTimeline()).toHaveLength(2);
+    expect(differ.getTimeline().some(batch => 'structure' in batch)).toBe(
+      false
+    );
+    expect(differ.reconstructTimeline(-1).outerHTML).toBe(states[0]);
+    expect(differ.reconstructTimeline(0).outerHTML).toBe(states[1]);
+    expect(differ.reconstructTimeline(1).outerHTML).toBe(states[2]);
+  });
+});
@@ -0,0 +1,505 @@
+/**
+ * ElementManipulator undo/redo tests
+ */
+
+import { ElementManipulator } from '@modules/dom/ElementManipulator.js';
+
+describe('ElementManipulator history', () => {
+  let manipulator;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <div id="demo">
+        <ul id="list">
+          <li id="first" class="item">One</li>
+          <li id="second" class="item">Two</li>
+        </ul>
+        <p id="note" title="hint">Note <b>text</b></p>
+        <input id="field" value="start">
+      </div>
+    `;
+    container = document.getElementById('demo');
+    manipulator = new ElementManipulator();
+  });
+
+  /**
+   * Undo, redo and undo again, checking the markup after every step
+   * @param {string} initial - Markup before the operation
+   * @param {string} changed - Markup after the operation
+   */
+  function expectRoundTrip(initial, changed) {
+    expect(manipulator.undo()).toBe(true);
+    expect(container.innerHTML).toBe(initial);
+    expect(manipulator.redo()).toBe(true);
+    expect(container.innerHTML).toBe(changed);
+    expect(manipulator.undo()).toBe(true);
+    expect(container.innerHTML).toBe(initial);
+  }
+
+  it('round-trips createElement with a parent', () => {
+    const initial = container.innerHTML;
+    manipulator.createElement('li', {
+      textContent: 'Zero',
+      parent: document.getElementById('list'),
+      position: 'afterbegin'
+    });
+    const changed = container.innerHTML;
+
+    expect(changed).not.toBe(initial);
+    expect(manipulator.undoStack.at(-1).type).toBe('create');
+    expectRoundTrip(initial, changed);
+  });
+
+  it('round-trips inserting a detached element', () => {
+    const initial = container.innerHTML;
+    const element = manipulator.createElement('span', { textContent: 'New' });
+    manipulator.insertElement(element, document.getElementById('note'), 0);
+    const changed = container.innerHTML;
+
+    expect(manipulator.undoStack.at(-1).type).toBe('insert');
+    expectRoundTrip(initial, changed);
+    expect(element.parentNode).toBeNull();
+  });
+
+  it('records inserting an attached element as a move', () => {
+    const initial = container.innerHTML;
+    const second = document.getElementById('second');
+    manipulator.insertElement(
+      second,
+      document.getElementById('first'),
+      'beforebegin'
+    );
+    const changed = container.innerHTML;
+
+    expect(document.getElementById('list').firstElementChild).toBe(second);
+    expect(manipulator.undoStack.at(-1).type).toBe('move');
+    expectRoundTrip(initial, changed);
+  });
+
+  it('round-trips removeElement', () => {
+    const initial = container.innerHTML;
+    const note = document.getElementById('note');
+    manipulator.removeElement(note);
+    const changed = container.innerHTML;
+
+    expect(manipulator.undoStack.at(-1).type).toBe('remove');
+    expectRoundTrip(initial, changed);
+    expect(document.getElementById('note')).toBe(note);
+  });
+
+  it('round-trips cloneElement with a parent', () => {
+    const initial = container.innerHTML;
+    const first = document.getElementById('first');
+    const clone = manipulator.cloneElement(first, {
+      parent: first,
+      position: 'afterend'
+    });
+    const changed = container.innerHTML;
+
+    expect(clone.id).toBe('first_copy');
+    expect(first.nextElementSibling).toBe(clone);
+    expect(manipulator.undoStack.at(-1).type).toBe('clone');
+    expectRoundTrip(initial, changed);
+  });
+
+  it('does not record history for a detached clone', () => {
+    manipulator.cloneElement(document.getElementById('first'));
+
+    expect(manipulator.undoStack).toHaveLength(0);
+  });
+
+  it('round-trips modifyElement including child content and attribute order', () => {
+    const initial = container.innerHTML;
+    const note = document.getElementById('note');
+    const bold = note.querySelector('b');
+    manipulator.modifyElement(note, {
+      textContent: 'Replaced',
+      className: 'highlight',
+      title: 'changed',
+      'data-state': 'open'
+    });
+    const changed = container.innerHTML;
+
+    expect(note.querySelector('b')).toBeNull();
+    expectRoundTrip(initial, changed);
+    expect(note.querySelector('b')).toBe(bold);
+  });
+
+  it('restores non-reflected DOM properties on undo', () => {
+    const field = document.getElementById('field');
+    manipulator.modifyElement(field, { value: 'typed' });
+
+    manipulator.undo();
+    expect(field.value).toBe('start');
+    manipulator.redo();
+    expect(field.value).toBe('typed');
+  });
+
+  it('round-trips a sequence of mixed operations step by step', () => {
+    const states = [container.innerHTML];
+    const list = document.getElementById('list');
+
+    manipulator.createElement('li', { textContent: 'Three', parent: list });
+    states.push(container.innerHTML);
+    manipulator.modifyElement(document.getElementById('first'), {
+      textContent: 'Uno'
+    });
+    states.push(container.innerHTML);
+    manipulator.insertElement(
+      document.getElementById('first'),
+      list,
+      'beforeend'
+    );
+    states.push(container.innerHTML);
+    manipulator.removeElement(document.getElementById('second'));
+    states.push(container.innerHTML);
+
+    for (let i = states.length - 2; i >= 0; i--) {
+      manipulator.undo();
+      expect(container.innerHTML).toBe(states[i]);
+    }
+    for (let i = 1; i < states.length; i++) {
+      manipulator.redo();
+      expect(container.innerHTML).toBe(states[i]);
+    }
+  });
+
+  it('round-trips a transaction as a single step', () => {
+    const initial = container.innerHTML;
+    const list = document.getElementById('list');
+
+    manipulator.transaction(() => {
+      manipulator.createElement('li', { textContent: 'A', parent: list });
+      manipulator.createElement('li', { textContent: 'B', parent: list });
+      manipulator.removeElement(document.getElementById('first'));
+    });
+    const changed = container.innerHTML;
+
+    expect(manipulator.undoStack).toHaveLength(1);
+    expectRoundTrip(initial, changed);
+  });
+
+  it('rolls back a transaction when a validation error is thrown', () => {
+    const initial = container.innerHTML;
+    const list = document.getElementById('list');
+
+    expect(() =>
+      manipulator.transaction(() => {
+        manipulator.createElement('li', { textContent: 'A', parent: list });
+        manipulator.modifyElement(document.getElementById('note'), {
+          id: '1-invalid'
+        });
+      })
+    ).toThrow(/Transaction 'transaction' failed/);
+
+    expect(container.innerHTML).toBe(initial);
+    expect(manipulator.undoStack).toHaveLength(0);
+  });
+
+  it('rolls back a transaction when the callback throws', () => {
+    const initial = container.innerHTML;
+
+    expect(() =>
+      manipulator.transaction(() => {
+        manipulator.modifyElement(document.getElementById('note'), {
+          className: 'changed'
+        });
+        manipulator.removeElement(document.getElementById('second'));
+        throw new Error('Aborted');
+      }, 'edit')
+    ).toThrow("Transaction 'edit' failed: Aborted");
+
+    expect(container.innerHTML).toBe(initial);
+    expect(manipulator.undoStack).toHaveLength(0);
+    expect(manipulator.activeTransaction).toBeNull();
+    expect(manipulator.getPerformanceMetrics().transactionsCount).toBe(0);
+  });
+
+  it('joins nested transactions into the outer one', () => {
+    const initial = container.innerHTML;
+    const list = document.getElementById('list');
+
+    const result = manipulator.transaction(() => {
+      manipulator.createElement('li', { textContent: 'A', parent: list });
+      return manipulator.transaction(() =>
+        manipulator.createElement('li', { textContent: 'B', parent: list })
+      );
+    }, 'outer');
+    const changed = container.innerHTML;
+
+    expect(result.textContent).toBe('B');
+    expect(manipulator.undoStack).toHaveLength(1);
+    expect(manipulator.getPerformanceMetrics()).toMatchObject({
+      transactionsCount: 1,
+      lastTransaction: { label: 'outer', operationsCount: 2 }
+    });
+    expectRoundTrip(initial, changed);
+
+    expect(() =>
+      manipulator.transaction(() => {
+        manipulator.createElement('li', { textContent: 'C', parent: list });
+        manipulator.transaction(() => {
+          throw new Error('Inner failure');
+        });
+      }, 'outer')
+    ).toThrow(/Transaction 'outer' failed: Inner failure/);
+    expect(container.innerHTML).toBe(initial);
+  });
+
+  it('resets transaction metrics', () => {
+    manipulator.transaction(() => {
+      manipulator.createElement('li', {
+        parent: document.getElementById('list')
+      });
+    });
+    manipulator.reset();
+
+    expect(manipulator.getPerformanceMetrics()).toMatchObject({
+      transactionsCount: 0,
+      lastTransaction: null
+    });
+
+    manipulator.transaction(() => {
+      manipulator.createElement('li', {
+        parent: document.getElementById('list')
+      });
+    });
+    expect(manipulator.getPerformanceMetrics().transactionsCount).toBe(1);
+  });
+});
+
+describe('ElementManipulator sanitization', () => {
+  let manipulator;
+  let link;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.innerHTML =
+      '<div id="demo"><a id="link" href="/home">Home</a></div>';
+    link = document.getElementById('link');
+    manipulator = new ElementManipulator();
+  });
+
+  it.each([
+    ['href', 'javascript:alert(1)'],
+    ['href', ' java\tscript:alert(1)'],
+    ['onclick', 'alert(1)'],
+    ['onmouseover', 'alert(1)'],
+    ['srcdoc', '<script>alert(1)</script>'],
+    ['style', 'background: url(javascript:alert(1))']
+  ])('does not write %s through modifyElement', (property, value) => {
+    const before = link.outerHTML;
+    const result = manipulator.modifyElement(link, { [property]: value });
+
+    expect(result.appliedChanges).toEqual([]);
+    expect(link.outerHTML).toBe(before);
+    expect(link.onclick).toBeNull();
+  });
+
+  it('writes safe attributes and allowed DOM properties', () => {
+    manipulator.modifyElement(link, {
+      href: 'https://example.com',
+      title: 'Example',
+      hidden: true
+    });
+
+    expect(link.outerHTML).toBe(
+      '<a id="link" href="https://example.com" title="Example" hidden="">Home</a>'
+    );
+    expect(manipulator.undo()).toBe(true);
+    expect(link.outerHTML).toBe('<a id="link" href="/home">Home</a>');
+  });
+
+  it('rejects unsafe attributes in a transaction and rolls back', () => {
+    expect(() =>
+      manipulator.transaction(() => {
+        manipulator.modifyElement(link, { title: 'Changed' });
+        manipulator.modifyElement(link, { href: 'javascript:alert(1)' });
+      })
+    ).toThrow(/Attribute 'href' was rejected: URL scheme is not allowed/);
+
+    expect(link.outerHTML).toBe('<a id="link" href="/home">Home</a>');
+  });
+
+  it('reports rejected attributes when creating elements', () => {
+    expect(() =>
+      manipulator.createElement('a', {
+        attributes: { href: 'javascript:alert(1)' }
+      })
+    ).toThrow(
+      "Element creation failed: Attribute 'href' was rejected: URL scheme is not allowed"
+    );
+    expect(
+      manipulator
+        .createElement('a', { attributes: { href: '/ok' } })
+        .getAttribute('href')
+    ).toBe('/ok');
+  });
+
+  it('sanitizes HTML content and reports what was removed', () => {
+    manipulator.modifyElement(link, {
+      innerHTML: '<span onclick="x()">Bold</span><img src="javascript:x()">'
+    });
+
+    expect(link.innerHTML).toBe('<span>Bold</span><img>');
+    expect(
+      manipulator.getLastSanitizationReport().removed.map(item => item.name)
+    ).toEqual(['onclick', 'src']);
+  });
+});
+
+describe('ElementManipulator operation scripts', () => {
+  const markup = '<ul id="list"><li>One</li><li>Two</li></ul><p>Note</p>';
+  let manipulator;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = `<div id="demo">${markup}</div>`;
+    container = document.getElementById('demo');
+    manipulator = new ElementManipulator({ recordingRoot: container });
+  });
+
+  /**
+   * Record a short session touching every script operation
+   */
+  function recordSession() {
+    const card = manipulator.createElement('section', {
+      className: 'card',
+      parent: container
+    });
+    const title = manipulator.createElement('h2', { textContent: 'Title' });
+    manipulator.insertElement(title, card, 'afterbegin');
+    manipulator.modifyElement(container.querySelector('#list li + li'), {
+      textContent: 'Second'
+    });
+    manipulator.transaction(() => {
+      manipulator.cloneElement(card, { parent: container, position: 0 });
+      manipulator.removeElement(container.querySelector('p'));
+    }, 'swap');
+    manipulator.undo();
+    manipulator.redo();
+  }
+
+  it('exports a script without live element references', () => {
+    recordSession();
+
+    const script = JSON.parse(manipulator.exportHistory('script'));
+
+    expect(script.format).toBe('element-manipulator-script');
+    expect(script.steps.map(step => step.op)).toEqual([
+      'create',
+      'create',
+      'insert',
+      'modify',
+      'transaction',
+      'undo',
+      'redo'
+    ]);
+    expect(script.steps[2]).toMatchObject({
+      target: { ref: 'e2' },
+      parent: { ref: 'e1' }
+    });
+    expect(script.steps[3].target).toEqual({
+      selector: '#list > li:nth-child(2)'
+    });
+  });
+
+  it('replays an imported script into a fresh container', async () => {
+    recordSession();
+    const expected = container.innerHTML;
+    const exported = manipulator.exportHistory('script');
+
+    document.body.innerHTML = `<div id="fresh">${markup}</div>`;
+    const fresh = document.getElementById('fresh');
+    const player = new ElementManipulator();
+    const onStep = vi.fn();
+
+    player.importHistory(exported);
+    const result = await player.replay(fresh, { speed: Infinity, onStep });
+
+    expect(result.stepsCount).toBe(7);
+    expect(onStep).toHaveBeenCalledTimes(7);
+    expect(fresh.innerHTML).toBe(expected);
+    expect(player.scriptSteps).toHaveLength(0);
+  });
+
+  it.each(['dom', 'fragment'])(
+    'generates %s code that rebuilds the session result',
+    format => {
+      recordSession();
+      const expected = container.innerHTML;
+      const code = manipulator.generateCode(format);
+
+      document.body.innerHTML = `<div id="demo">${markup}</div>`;
+      new Function(code)();
+
+      expect(code).toContain("document.querySelector('#demo')");
+      expect(document.getElementById('demo').innerHTML).toBe(expected);
+    }
+  );
+
+  it('generates setAttribute calls for attribute modifications', () => {
+    manipulator.modifyElement(container.querySelector('p'), {
+      tabindex: '0',
+      class: 'big',
+      'data-state': 'open',
+      title: 'Tip',
+      textContent: 'Changed'
+    });
+    const expected = container.innerHTML;
+    const code = manipulator.generateCode('dom');
+
+    expect(code).toContain("element1.setAttribute('tabindex', '0');");
+    expect(code).toContain("element1.setAttribute('class', 'big');");
+    expect(code).toContain("element1.title = 'Tip';");
+    expect(code).toContain("element1.textContent = 'Changed';");
+
+    document.body.innerHTML = `<div id="demo">${markup}</div>`;
+    new Function(code)();
+
+    expect(document.getElementById('demo').innerHTML).toBe(expected);
+  });
+
+  it('generates HTML templates for the created elements', () => {
+    recordSession();
+
+    const code = manipulator.generateCode('html');
+
+    expect(code).toContain(
+      'container.insertAdjacentHTML(\'afterbegin\', `<section class="card"><h2>Title</h2></section>`);'
+    );
+  });
+
+  it('records only the changes that were applied', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const link = manipulator.createElement('a', { parent: container });
+
+    manipulator.modifyElement(link, {
+      href: 'javascript:alert(1)',
+      title: 'Safe'
+    });
+    manipulator.modifyElement(link, { href: 'javascript:alert(2)' });
+
+    const steps = manipulator
+      .getScript()
+      .steps.filter(step => step.op === 'modify');
+    expect(steps).toHaveLength(1);
+    expect(steps[0].changes).toEqual({ title: 'Safe' });
+    expect(manipulator.generateCode('dom')).not.toContain('javascript:');
+  });
+
+  it('rejects data that is not an operation script', () => {
+    expect(() => manipulator.importHistory('{"steps": []}')).toThrow(
+      /History import failed/
+    );
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * HTMLSanitizer policy tests
+ */
+
+import { HTMLSanitizer } from '@modules/dom/HTMLSanitizer.js';
+
+describe('HTMLSanitizer', () => {
+  let sanitizer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    sanitizer = new HTMLSanitizer({
+      allowedTags: ['p', 'a', 'img', 'b', 'form', 'button', 'iframe'],
+      allowedAttributes: {
+        '*': ['title', 'style'],
+        a: ['href'],
+        img: ['src'],
+        form: ['action'],
+        button: ['formaction'],
+        iframe: ['srcdoc']
+      }
+    });
+  });
+
+  it.each([
+    ['https://example.com', true],
+    ['mailto:a@example.com', true],
+    ['/relative/path?x=1', true],
+    ['#anchor', true],
+    ['javascript:alert(1)', false],
+    ['JaVaScRiPt:alert(1)', false],
+    [' \u0001javascript:alert(1)', false],
+    ['java\tscript:alert(1)', false],
+    ['java\nscript:alert(1)', false],
+    ['vbscript:msgbox(1)', false],
+    ['data:text/html,<script>alert(1)</script>', false]
+  ])('checks the scheme of %j', (url, safe) => {
+    expect(sanitizer.isSafeURL(url)).toBe(safe);
+    expect(sanitizer.sanitizeAttribute('a', 'href', url).allowed).toBe(safe);
+  });
+
+  it('removes entity-encoded script URLs from markup', () => {
+    const { html, removed } = sanitizer.sanitize(
+      '<a href="&#106;avascript:alert(1)">a</a>' +
+        '<a href="java&#x09;script:alert(1)">b</a>' +
+        '<a href="&#x6A;&#x61;vascript&colon;alert(1)">c</a>' +
+        '<a href="https://example.com/?q=&amp;">d</a>'
+    );
+
+    expect(html).toBe(
+      '<a>a</a><a>b</a><a>c</a><a href="https://example.com/?q=&amp;">d</a>'
+    );
+    expect(removed.map(item => item.reason)).toEqual([
+      'URL scheme is not allowed',
+      'URL scheme is not allowed',
+      'URL scheme is not allowed'
+    ]);
+  });
+
+  it('checks every URL attribute, including formaction', () => {
+    const { html } = sanitizer.sanitize(
+      '<img src="javascript:x()">' +
+        '<form action="javascript:x()"><button formaction="javascript:x()">' +
+        'Go</button></form>'
+    );
+
+    expect(html).toBe('<img><form><button>Go</button></form>');
+  });
+
+  it('rejects srcdoc even when the policy allows it', () => {
+    expect(
+      sanitizer.sanitizeAttribute('iframe', 'srcdoc', '<script>x()</script>')
+    ).toEqual({
+      allowed: false,
+      value: '',
+      reason: 'Inline documents are not allowed'
+    });
+  });
+
+  it('rejects event handlers regardless of case or policy', () => {
+    const permissive = new HTMLSanitizer({
+      allowedTags: ['p'],
+      allowedAttributes: { '*': ['onclick'] }
+    });
+
+    expect(permissive.sanitizeAttribute('p', 'onclick', 'x()').reason).toBe(
+      'Event handler attributes are not allowed'
+    );
+    expect(sanitizer.sanitize('<p OnMouseOver="x()">Hi</p>').html).toBe(
+      '<p>Hi</p>'
+    );
+  });
+
+  it('rejects styles containing script', () => {
+    const { html, removed } = sanitizer.sanitize(
+      '<p style="width: expression(alert(1))">a</p>' +
+        '<p style="background: url(javascript:x())">b</p>' +
+        '<p style="color: red">c</p>'
+    );
+
+    expect(html).toBe('<p>a</p><p>b</p><p style="color: red">c</p>');
+    expect(removed).toHaveLength(2);
+    expect(removed[0]).toMatchObject({
+      type: 'attribute',
+      name: 'style',
+      tagName: 'p',
+      reason: 'Style contains script'
+    });
+  });
+
+  it('unwraps disallowed tags and drops dangerous ones with content', () => {
+    const { html, removed } = sanitizer.sanitize(
+      '<div><b>kept</b></div><script>alert(1)</script><!-- note -->'
+    );
+
+    expect(html).toBe('<b>kept</b>');
+    expect(removed.map(item => `${item.type} ${item.name}`)).toEqual([
+      'element div',
+      'element script',
+      'node #comment'
+    ]);
+  });
+});
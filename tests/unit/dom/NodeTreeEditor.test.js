@@ -0,0 +1,269 @@
+/**
+ * NodeTreeEditor editing, drag-and-drop and undo tests
+ */
+
+import { TransactionCommand } from '@modules/dom/ManipulationCommands.js';
+import { NodeTreeEditor } from '@modules/dom/NodeTreeEditor.js';
+
+describe('NodeTreeEditor editing', () => {
+  let editor;
+  let root;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <div id="editor"></div>
+      <div id="root">
+        <section id="outer">
+          <p id="para" class="intro">Hello <b>world</b></p>
+          <img id="pic" src="a.png">
+        </section>
+        <ul id="list"><li>One</li></ul>
+      </div>
+    `;
+    root = document.getElementById('root');
+    editor = new NodeTreeEditor(document.getElementById('editor'));
+    editor.loadDOM(root);
+  });
+
+  afterEach(() => {
+    editor.destroy();
+  });
+
+  /**
+   * Get the rendered tree row of an element
+   * @param {string} id - Element id
+   * @returns {HTMLElement} Tree node element
+   */
+  function row(id) {
+    return editor.getTreeNodeElement(document.getElementById(id));
+  }
+
+  it('edits tag, text and attributes inline and undoes the edit', () => {
+    const initial = root.innerHTML;
+    editor.startInlineEdit(document.getElementById('para'));
+
+    const form = document.querySelector('.inline-edit-form');
+    expect(form.elements.tagName.value).toBe('p');
+    expect(form.elements.text.value).toBe('Hello');
+    expect(form.elements.attributes.value).toBe('id="para" class="intro"');
+
+    form.elements.tagName.value = 'div';
+    form.elements.text.value = 'Hi';
+    form.elements.attributes.value = 'id="para" data-note=\'say "hi"\'';
+    form.dispatchEvent(new Event('submit', { bubbles: true }));
+
+    const edited = document.getElementById('para');
+    expect(edited.outerHTML).toBe(
+      '<div id="para" data-note="say &quot;hi&quot;">Hi<b>world</b></div>'
+    );
+    expect(editor.state.editingNode).toBeNull();
+    expect(editor.state.selectedNode).toBe(edited);
+
+    expect(editor.undo()).toBe(true);
+    expect(root.innerHTML).toBe(initial);
+    expect(editor.changeHistory).toHaveLength(0);
+  });
+
+  it('rejects unsafe edits without applying any part of them', () => {
+    const para = document.getElementById('para');
+    const initial = root.innerHTML;
+
+    expect(() =>
+      editor.applyNodeEdit(para, { text: 'x', attributes: 'onclick="x()"' })
+    ).toThrow(/Node edit failed: event handler/);
+    expect(() =>
+      editor.applyNodeEdit(para, { attributes: 'href="javascript:x()"' })
+    ).toThrow(/not allowed/);
+    expect(() => editor.applyNodeEdit(para, { tagName: 'script' })).toThrow(
+      /<script> elements are not allowed/
+    );
+    expect(() => editor.applyNodeEdit(root, { tagName: 'main' })).toThrow(
+      /root cannot be renamed/
+    );
+
+    expect(root.innerHTML).toBe(initial);
+    expect(editor.changeHistory).toHaveLength(0);
+  });
+
+  it('applies an edit as one transaction built before the DOM changes', () => {
+    const para = document.getElementById('para');
+    const initial = root.innerHTML;
+    vi.spyOn(editor, 'renameElement').mockImplementationOnce(() => {
+      throw new Error('rename failed');
+    });
+
+    expect(() =>
+      editor.applyNodeEdit(para, { tagName: 'div', text: 'Hi', attributes: '' })
+    ).toThrow('Node edit failed: rename failed');
+    expect(root.innerHTML).toBe(initial);
+
+    const edited = editor.applyNodeEdit(para, { tagName: 'div', text: 'Hi' });
+    const [change] = editor.changeHistory;
+
+    expect(editor.changeHistory).toHaveLength(1);
+    expect(change.command).toBeInstanceOf(TransactionCommand);
+    expect(change.command.commands).toHaveLength(4);
+    expect(edited.outerHTML).toBe(
+      '<div id="para" class="intro">Hi<b>world</b></div>'
+    );
+  });
+
+  it('shows edit errors in the form', () => {
+    editor.startInlineEdit(document.getElementById('para'));
+    const form = document.querySelector('.inline-edit-form');
+
+    form.elements.tagName.value = '1bad';
+    form.dispatchEvent(new Event('submit', { bubbles: true }));
+
+    const message = form.querySelector('.inline-edit-error');
+    expect(message.hidden).toBe(false);
+    expect(message.textContent).toMatch(/not a valid tag name/);
+    expect(document.getElementById('para').tagName).toBe('P');
+  });
+
+  it('adds, duplicates and deletes nodes with undo', () => {
+    const initial = root.innerHTML;
+    const list = document.getElementById('list');
+
+    const child = editor.addChildNode(list, 'li');
+    expect(list.lastElementChild).toBe(child);
+    expect(editor.state.editingNode).toBe(child);
+
+    const clone = editor.duplicateNode(document.getElementById('para'));
+    expect(clone.previousElementSibling.id).toBe('para');
+    expect(clone.hasAttribute('id')).toBe(false);
+    expect(clone.textContent).toBe('Hello world');
+
+    expect(editor.deleteNode(document.getElementById('pic'))).toBe(true);
+    expect(document.getElementById('pic')).toBeNull();
+    expect(editor.deleteNode(root)).toBe(false);
+
+    expect(editor.changeHistory.map(change => change.type)).toEqual([
+      'add-child',
+      'duplicate',
+      'delete'
+    ]);
+    expect(editor.undo()).toBe(true);
+    expect(editor.state.selectedNode.id).toBe('pic');
+    expect(editor.undo()).toBe(true);
+    expect(editor.undo()).toBe(true);
+    expect(root.innerHTML).toBe(initial);
+    expect(editor.undo()).toBe(false);
+  });
+
+  it('moves nodes and rejects drops into descendants', () => {
+    const initial = root.innerHTML;
+    const outer = document.getElementById('outer');
+    const list = document.getElementById('list');
+
+    expect(
+      editor.moveNode(outer, document.getElementById('para'), 'inside')
+    ).toBe(false);
+    expect(
+      editor.validateDrop(list, document.getElementById('pic'), 'inside')
+    ).toEqual({ valid: false, reason: '<img> cannot have children' });
+    expect(editor.validateDrop(list, root, 'before').valid).toBe(false);
+
+    expect(editor.moveNode(list, outer, 'before')).toBe(true);
+    expect(root.firstElementChild).toBe(list);
+    expect(editor.moveNode(outer, list, 'inside')).toBe(true);
+    expect(list.lastElementChild).toBe(outer);
+
+    editor.undo();
+    editor.undo();
+    expect(root.innerHTML).toBe(initial);
+  });
+
+  it('shows drop indicators while dragging and moves on drop', () => {
+    const list = document.getElementById('list');
+    const dispatch = (id, type) =>
+      row(id)
+        .querySelector('.node-header')
+        .dispatchEvent(new Event(type, { bubbles: true, cancelable: true }));
+
+    dispatch('outer', 'dragstart');
+    expect(editor.state.draggedNode.id).toBe('outer');
+    expect(row('outer').classList.contains('dragging')).toBe(true);
+
+    dispatch('para', 'dragover');
+    expect(row('para').classList.contains('drop-invalid')).toBe(true);
+    expect(editor.state.dropTarget).toBeNull();
+
+    dispatch('list', 'dragover');
+    expect(row('list').classList.contains('drop-inside')).toBe(true);
+
+    dispatch('list', 'drop');
+    dispatch('list', 'dragend');
+    expect(list.lastElementChild.id).toBe('outer');
+    expect(editor.state.draggedNode).toBeNull();
+    expect(document.querySelector('.drop-inside, .dragging')).toBeNull();
+  });
+
+  it('drops before or after a node from the pointer position', () => {
+    const header = row('pic').querySelector('.node-header');
+    header.getBoundingClientRect = () => ({ top: 100, height: 20 });
+
+    const event = position => ({ clientY: 100 + position });
+    const pic = document.getElementById('pic');
+
+    expect(editor.getDropPosition(event(2), row('pic'), pic)).toBe('before');
+    expect(editor.getDropPosition(event(12), row('pic'), pic)).toBe('after');
+    expect(
+      editor.getDropPosition(
+        event(10),
+        row('list'),
+        document.getElementById('list')
+      )
+    ).toBe('inside');
+  });
+
+  it('round-trips the tree through export and import', () => {
+    URL.createObjectURL = vi.fn(() => 'blob:tree');
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    const initial = root.innerHTML;
+    const data = editor.exportTree();
+    expect(data.tree.children[1]).toEqual({
+      type: 'element',
+      tagName: 'section',
+      attributes: [['id', 'outer']],
+      children: expect.any(Array)
+    });
+
+    root.innerHTML = '<span>Other</span>';
+    expect(editor.importTreeData(JSON.parse(JSON.stringify(data)))).toBe(true);
+    expect(root.innerHTML).toBe(initial);
+
+    data.tree.children.push({ type: 'element', tagName: 'script' });
+    expect(() => editor.importTreeData(data)).toThrow(
+      /Tree import failed: <script> elements are not allowed/
+    );
+    expect(root.innerHTML).toBe(initial);
+
+    expect(editor.undo()).toBe(true);
+    expect(root.innerHTML).toBe('<span>Other</span>');
+  });
+
+  it('logs failed selector copies', async () => {
+    const error = new Error('denied');
+    const writeText = vi.fn(() => Promise.reject(error));
+    vi.stubGlobal('navigator', { clipboard: { writeText } });
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    editor.copySelector('#para');
+    await vi.waitFor(() => expect(consoleError).toHaveBeenCalled());
+
+    expect(writeText).toHaveBeenCalledWith('#para');
+    expect(consoleError).toHaveBeenCalledWith(
+      '❌ Failed to copy selector:',
+      error
+    );
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * SelectorBenchmark sampling, statistics and synthetic DOM tests
+ */
+
+import {
+  compareSelectors,
+  countSyntheticNodes,
+  generateSyntheticDOM,
+  percentile,
+  runScalingBenchmark,
+  summarizeSamples
+} from '@modules/dom/SelectorBenchmark.js';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+describe('SelectorBenchmark', () => {
+  it('interpolates percentiles', () => {
+    const sorted = [1, 2, 3, 4, 5];
+
+    expect(percentile(sorted, 50)).toBe(3);
+    expect(percentile(sorted, 95)).toBeCloseTo(4.8);
+    expect(percentile([], 50)).toBe(0);
+  });
+
+  it('summarizes samples', () => {
+    const summary = summarizeSamples([4, 2, 6, 8]);
+
+    expect(summary).toMatchObject({ min: 2, max: 8, mean: 5, median: 5 });
+    expect(summary.stddev).toBeCloseTo(Math.sqrt(20 / 3));
+  });
+
+  it('samples selectors round-robin and ranks them by median', () => {
+    document.body.innerHTML = '<ul><li class="a"></li><li></li></ul>';
+    let time = 0;
+    const costs = { li: 1, '.a': 3 };
+    const root = {
+      querySelectorAll: selector => {
+        time += costs[selector];
+        return document.querySelectorAll(selector);
+      }
+    };
+
+    const results = compareSelectors(root, ['.a', 'li'], {
+      iterations: 10,
+      warmup: 2,
+      minSampleTime: 6,
+      now: () => time
+    });
+
+    expect(results.map(result => result.matchCount)).toEqual([1, 2]);
+    expect(results.map(result => result.batchSize)).toEqual([2, 6]);
+    expect(results[0]).toMatchObject({
+      median: 3,
+      relative: 3,
+      fastest: false
+    });
+    expect(results[1]).toMatchObject({ median: 1, relative: 1, fastest: true });
+    expect(results[1].samples).toHaveLength(10);
+  });
+
+  it('reports the failing selector', () => {
+    expect(() => compareSelectors(document, ['a', 'a['])).toThrow(
+      /Benchmark failed for "a\["/
+    );
+  });
+
+  it('generates a synthetic DOM of the requested shape', () => {
+    const { root, nodeCount } = generateSyntheticDOM({ depth: 3, breadth: 3 });
+
+    expect(nodeCount).toBe(countSyntheticNodes(3, 3));
+    expect(nodeCount).toBe(39);
+    expect(root.querySelectorAll('*')).toHaveLength(39);
+    expect(root.querySelectorAll('.level-3')).toHaveLength(27);
+    expect(root.querySelector('#node-0')).not.toBeNull();
+  });
+
+  it('refuses synthetic DOMs above the node limit', () => {
+    expect(() =>
+      generateSyntheticDOM({ depth: 6, breadth: 10, maxNodes: 1000 })
+    ).toThrow(/Synthetic DOM generation failed/);
+  });
+
+  it('benchmarks growing synthetic DOMs', () => {
+    const series = runScalingBenchmark(['li', '.item'], {
+      depths: [1, 2],
+      breadth: 2,
+      iterations: 3,
+      warmup: 1
+    });
+
+    expect(series.map(step => step.nodeCount)).toEqual([2, 6]);
+    expect(series[1].results.map(result => result.selector)).toEqual([
+      'li',
+      '.item'
+    ]);
+  });
+});
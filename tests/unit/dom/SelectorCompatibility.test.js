@@ -0,0 +1,72 @@
+/**
+ * SelectorCompatibility feature detection and target checking tests
+ */
+
+import {
+  analyzeCompatibility,
+  compareVersions,
+  DEFAULT_TARGETS,
+  parseBrowserslist
+} from '@modules/dom/SelectorCompatibility.js';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+describe('SelectorCompatibility', () => {
+  it('reads the project browserslist targets', () => {
+    expect(DEFAULT_TARGETS).toEqual({
+      chrome: '80',
+      firefox: '75',
+      safari: '13',
+      edge: '80'
+    });
+  });
+
+  it('keeps the lowest version per browser and reports unknown queries', () => {
+    expect(
+      parseBrowserslist('Chrome 90, chrome >= 85, iOS >= 12, last 2 versions')
+    ).toEqual({
+      targets: { chrome: '85', safari: '12' },
+      ignored: ['last 2 versions']
+    });
+  });
+
+  it('compares dotted versions numerically', () => {
+    expect(compareVersions('15.10', '15.4')).toBeGreaterThan(0);
+    expect(compareVersions('13', '13.0')).toBe(0);
+    expect(compareVersions('9', '10.1')).toBeLessThan(0);
+  });
+
+  it.each([
+    ['div:has(> img)', [':has']],
+    ['a:where(.x):focus-visible', [':where', ':focus-visible']],
+    ['li:nth-child(2 of .a)', ['nth-of-selector']],
+    [':not(.a .b)', ['not-selector-list']],
+    ['[href$=".pdf" i]', ['attribute-flag-i']],
+    [':is(p, :has(img))', [':is', ':has']]
+  ])('detects the features used by %s', (selector, features) => {
+    const report = analyzeCompatibility(selector);
+
+    expect(report.features.map(feature => feature.id)).toEqual(features);
+  });
+
+  it('warns about features the targets do not support', () => {
+    const report = analyzeCompatibility('a:is(.x)', {
+      chrome: '80',
+      safari: '14'
+    });
+
+    expect(report.compatible).toBe(false);
+    expect(report.issues[0].unsupported).toEqual([
+      { browser: 'chrome', browserName: 'Chrome', target: '80', since: '88' }
+    ]);
+  });
+
+  it('accepts long-supported selectors', () => {
+    const report = analyzeCompatibility('ul > li:first-child a:not(.x)');
+
+    expect(report.features).toEqual([]);
+    expect(report.compatible).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * SelectorExplainer description and match-chain tests
+ */
+
+import {
+  explainMatch,
+  explainSelector
+} from '@modules/dom/SelectorExplainer.js';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+describe('SelectorExplainer descriptions', () => {
+  it.each([
+    [
+      'nav > .btn',
+      'Elements with class "btn" that are direct children of a <nav> element.'
+    ],
+    [
+      'ul li:first-child',
+      '<li> elements that are the first child of their parent, that are inside a <ul> element.'
+    ],
+    [
+      'label + p[lang|="en"]',
+      '<p> elements whose "lang" attribute is "en" or starts with "en-" that immediately follow a <label> element.'
+    ],
+    [
+      'div:has(> img):not(.x)',
+      '<div> elements that have as a direct child an <img> element and that are not an element with class "x".'
+    ],
+    [
+      'li:nth-child(3n+1)',
+      '<li> elements that are a child of their parent at position 3n+1 (1st, 4th, 7th, …).'
+    ],
+    ['a::before', 'The ::before pseudo-elements of <a> elements.']
+  ])('describes %s', (selector, sentence) => {
+    const [explanation] = explainSelector(selector);
+
+    expect(explanation.sentence).toBe(sentence);
+  });
+
+  it('lists steps right to left with their relation', () => {
+    const [explanation] = explainSelector('#app > ul .item');
+
+    expect(
+      explanation.steps.map(step => [step.relation, step.compound])
+    ).toEqual([
+      [null, '.item'],
+      ['with an ancestor that is', 'ul'],
+      ['whose parent is', '#app']
+    ]);
+  });
+
+  it('explains each selector of a list separately', () => {
+    expect(explainSelector('a, .b').map(item => item.selector)).toEqual([
+      'a',
+      '.b'
+    ]);
+  });
+});
+
+describe('SelectorExplainer match chains', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav id="top">
+        <section class="menu"><ul><li><a class="btn">Go</a></li></ul></section>
+      </nav>
+      <p class="first">One</p><p>Two</p>
+    `;
+  });
+
+  it('reports which ancestor satisfied each compound', () => {
+    const link = document.querySelector('a');
+    const [match] = explainMatch(link, 'nav .menu li > .btn');
+
+    expect(
+      match.chain.map(item => [item.compound, item.element.tagName])
+    ).toEqual([
+      ['.btn', 'A'],
+      ['li', 'LI'],
+      ['.menu', 'SECTION'],
+      ['nav', 'NAV']
+    ]);
+    expect(match.chain.map(item => item.combinator)).toEqual([
+      null,
+      '>',
+      ' ',
+      ' '
+    ]);
+  });
+
+  it('backtracks through siblings and skips selectors that do not match', () => {
+    const second = document.querySelectorAll('p')[1];
+    const matches = explainMatch(second, 'nav > a, .first ~ p');
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].chain[1].element.className).toBe('first');
+  });
+
+  it('checks :scope against the scope root', () => {
+    const list = document.querySelector('ul');
+    const menu = document.querySelector('.menu');
+
+    expect(explainMatch(list, ':scope > ul', { scopeRoot: menu })).toHaveLength(
+      1
+    );
+    expect(explainMatch(list, ':scope > ul')).toHaveLength(0);
+  });
+});
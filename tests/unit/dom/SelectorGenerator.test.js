@@ -0,0 +1,107 @@
+/**
+ * SelectorGenerator strategy, uniqueness and ranking tests
+ */
+
+import { SelectorGenerator } from '@modules/dom/SelectorGenerator.js';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+describe('SelectorGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new SelectorGenerator();
+    document.body.innerHTML = `
+      <main id="app">
+        <form>
+          <input name="email" type="email">
+          <button data-testid="submit" class="btn css-1x2y3z">Send</button>
+          <button class="btn">Cancel</button>
+        </form>
+        <div class="card"><p>One</p><p>Two</p></div>
+        <div class="card"><p>One</p><p>Two</p></div>
+        <nav><a id="r1-84725" class="link">Home</a></nav>
+      </main>
+    `;
+  });
+
+  it('prefers test ids and offers a Playwright test id locator', () => {
+    const result = generator.generate(document.querySelector('[data-testid]'));
+
+    expect(result.selector).toBe('[data-testid="submit"]');
+    expect(result.strategy).toBe('testId');
+    expect(result.locator).toBe("page.getByTestId('submit')");
+  });
+
+  it('ranks unique alternatives by robustness', () => {
+    const { alternatives } = generator.generate(
+      document.querySelector('input')
+    );
+
+    expect(alternatives.map(alternative => alternative.selector)).toEqual([
+      'input[name="email"]',
+      'input[type="email"]',
+      'input'
+    ]);
+    expect(alternatives[0].robustness).toBeGreaterThan(
+      alternatives[2].robustness
+    );
+  });
+
+  it('skips generated ids and class names', () => {
+    const result = generator.generate(document.querySelector('a'));
+
+    expect(result.selector).toBe('.link');
+    expect(generator.isGeneratedName('css-1x2y3z')).toBe(true);
+    expect(generator.isGeneratedName('card__title')).toBe(false);
+  });
+
+  it('falls back to a positional path anchored at a unique ancestor', () => {
+    const [, cancel] = document.querySelectorAll('button');
+    const result = generator.generate(cancel);
+
+    expect(result.fallback).toBe(true);
+    expect(result.selector).toBe(
+      '#app > form:nth-child(1) > button:nth-child(3)'
+    );
+    expect(document.querySelector(result.selector)).toBe(cancel);
+  });
+
+  it('uses positions in the search when nth-child is allowed', () => {
+    const paragraph = document.querySelectorAll('.card p')[3];
+    const result = generator.generate(paragraph, { avoidNthChild: false });
+
+    expect(result.fallback).toBe(false);
+    expect(result.strategy).toBe('position');
+    expect(document.querySelectorAll(result.selector)).toEqual(
+      document.querySelectorAll('.card:last-of-type p:last-child')
+    );
+  });
+
+  it('verifies uniqueness against the given scope', () => {
+    const [firstCard] = document.querySelectorAll('.card');
+    const paragraph = firstCard.querySelector('p');
+
+    expect(generator.getSelector(paragraph, { root: firstCard })).toBe(
+      ':scope > p:nth-child(1)'
+    );
+    expect(generator.isUnique('p', paragraph, firstCard)).toBe(false);
+  });
+
+  it('only uses enabled strategies', () => {
+    const result = generator.generate(document.querySelector('input'), {
+      strategies: ['tag']
+    });
+
+    expect(result.selector).toBe('input');
+    expect(result.strategy).toBe('tag');
+  });
+
+  it('rejects non-element targets', () => {
+    expect(() => generator.generate(document.createTextNode('x'))).toThrow(
+      /Selector generation failed/
+    );
+  });
+});
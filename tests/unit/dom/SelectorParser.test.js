@@ -0,0 +1,170 @@
+/**
+ * SelectorParser tokenizer, parser and specificity tests
+ */
+
+import {
+  calculateSpecificity,
+  compareSpecificity,
+  getMaxSpecificity,
+  parseAnB,
+  parseSelectorList,
+  removeSubjectPseudos,
+  splitSelectorList
+} from '@modules/dom/SelectorParser.js';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+describe('SelectorParser specificity', () => {
+  it.each([
+    ['*', [0, 0, 0]],
+    ['li', [0, 0, 1]],
+    ['ul li', [0, 0, 2]],
+    ['ul ol+li', [0, 0, 3]],
+    ['h1 + *[rel=up]', [0, 1, 1]],
+    ['ul ol li.red', [0, 1, 3]],
+    ['li.red.level', [0, 2, 1]],
+    ['#x34y', [1, 0, 0]],
+    ['#s12:not(FOO)', [1, 0, 1]],
+    [':not(.a)', [0, 1, 0]],
+    [':not(.a, #b)', [1, 0, 0]],
+    ['.foo :is(.bar, #baz)', [1, 1, 0]],
+    [':where(#a, .b) p', [0, 0, 1]],
+    ['a:hover', [0, 1, 1]],
+    ['a::before', [0, 0, 2]],
+    ['a:before', [0, 0, 2]],
+    ['p::first-line', [0, 0, 2]],
+    ['[data-x="a.b.c"]', [0, 1, 0]],
+    ['[href$=".pdf" i]', [0, 1, 0]],
+    ['a[href^="#top"]', [0, 1, 1]],
+    ['.a\\.b', [0, 1, 0]],
+    ['li:nth-child(2n+1)', [0, 1, 1]],
+    ['li:nth-child(2n + 1 of .important)', [0, 2, 1]],
+    ['li:nth-last-child(odd of #a, .b)', [1, 1, 1]],
+    ['div:has(> img)', [0, 0, 2]],
+    ['div:has(+ p.x, #y)', [1, 0, 1]],
+    ['::slotted(span.x)', [0, 1, 2]],
+    [':host(.dark)', [0, 2, 0]],
+    ['svg|circle', [0, 0, 1]],
+    ['*|*', [0, 0, 0]],
+    ['html body > main#app .card:first-child ~ .card', [1, 3, 3]]
+  ])('%s has specificity %j', (selector, expected) => {
+    const [result] = calculateSpecificity(selector);
+
+    expect(result.specificity).toEqual(expected);
+  });
+
+  it('computes specificity per complex selector in a list', () => {
+    expect(calculateSpecificity('a, #b , .c:hover')).toEqual([
+      { selector: 'a', specificity: [0, 0, 1] },
+      { selector: '#b', specificity: [1, 0, 0] },
+      { selector: '.c:hover', specificity: [0, 2, 0] }
+    ]);
+    expect(getMaxSpecificity('a, #b, .c')).toEqual([1, 0, 0]);
+  });
+
+  it('compares specificities component by component', () => {
+    expect(compareSpecificity([1, 0, 0], [0, 9, 9])).toBeGreaterThan(0);
+    expect(compareSpecificity([0, 1, 2], [0, 1, 3])).toBeLessThan(0);
+    expect(compareSpecificity([0, 1, 0], [0, 1, 0])).toBe(0);
+  });
+});
+
+describe('SelectorParser parsing', () => {
+  it('builds compounds and combinators', () => {
+    const [complex] = parseSelectorList('nav > ul  li.item + a[href]');
+
+    expect(complex.compounds.map(part => part.combinator)).toEqual([
+      null,
+      '>',
+      ' ',
+      '+'
+    ]);
+    expect(complex.compounds.map(part => part.compound.text)).toEqual([
+      'nav',
+      'ul',
+      'li.item',
+      'a[href]'
+    ]);
+  });
+
+  it('parses attribute operators, values and flags', () => {
+    const [complex] = parseSelectorList('[ lang |= "en" s ]');
+    const [attribute] = complex.compounds[0].compound.selectors;
+
+    expect(attribute).toEqual({
+      type: 'attribute',
+      name: 'lang',
+      namespace: null,
+      operator: '|=',
+      value: 'en',
+      flag: 's'
+    });
+  });
+
+  it('parses nested selector lists in functional pseudo-classes', () => {
+    const [complex] = parseSelectorList('li:nth-child(-n+3 of .a):is(ul > *)');
+    const [, nth, is] = complex.compounds[0].compound.selectors;
+
+    expect(nth.nth).toEqual({ a: -1, b: 3 });
+    expect(nth.selectors[0].text).toBe('.a');
+    expect(is.selectors[0].compounds[1].combinator).toBe('>');
+  });
+
+  it('splits selector lists without breaking on nested commas', () => {
+    expect(splitSelectorList(':is(a, b) > c, [title="x, y"], d')).toEqual([
+      ':is(a, b) > c',
+      '[title="x, y"]',
+      'd'
+    ]);
+  });
+
+  it('removes pseudos from the subject compound only', () => {
+    const forced = node =>
+      node.type === 'pseudo-element'
+        ? node.name === 'before'
+        : node.name === 'hover';
+
+    expect(removeSubjectPseudos('a:hover::before', forced)).toEqual({
+      selector: 'a',
+      removed: [
+        { type: 'pseudo-class', name: 'hover' },
+        { type: 'pseudo-element', name: 'before' }
+      ]
+    });
+    expect(removeSubjectPseudos('.p:hover .c:hover', forced).selector).toBe(
+      '.p:hover .c'
+    );
+    expect(removeSubjectPseudos('a:not(:hover)', forced).selector).toBe(
+      'a:not(:hover)'
+    );
+    expect(removeSubjectPseudos('nav > :hover', forced).selector).toBe(
+      'nav > *'
+    );
+  });
+
+  it('parses An+B expressions', () => {
+    expect(parseAnB('odd')).toEqual({ a: 2, b: 1 });
+    expect(parseAnB('even')).toEqual({ a: 2, b: 0 });
+    expect(parseAnB('-2n+5')).toEqual({ a: -2, b: 5 });
+    expect(parseAnB('n')).toEqual({ a: 1, b: 0 });
+    expect(parseAnB('7')).toEqual({ a: 0, b: 7 });
+    expect(parseAnB('2x')).toBeNull();
+  });
+
+  it.each([
+    '',
+    'a[',
+    '.',
+    'a >',
+    '> a',
+    'a,',
+    ':is(',
+    'a)',
+    '[x=1]',
+    'a:nth-child(foo)'
+  ])('rejects invalid selector %j', selector => {
+    expect(() => parseSelectorList(selector)).toThrow(/Invalid selector/);
+  });
+});
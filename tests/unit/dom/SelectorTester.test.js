@@ -0,0 +1,391 @@
+/**
+ * SelectorTester validation, querying, shadow DOM, highlighting and history
+ * tests
+ */
+
+import { SelectorTester } from '@modules/dom/SelectorTester.js';
+
+describe('SelectorTester', () => {
+  let tester;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.getItem.mockReturnValue(null);
+    document.body.innerHTML = `
+      <div id="tester"></div>
+      <ul class="nav">
+        <li class="item active"><a href="#home">Home</a></li>
+        <li class="item"><a href="https://example.com">Out</a></li>
+        <li class="item">Plain</li>
+      </ul>
+    `;
+    container = document.getElementById('tester');
+    tester = new SelectorTester(container);
+  });
+
+  afterEach(() => {
+    tester.destroy();
+  });
+
+  /**
+   * Type a selector into the input
+   * @param {string} value - Selector text
+   */
+  function type(value) {
+    const input = container.querySelector('#selector-input');
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Read the validation status
+   * @returns {Object} { type, text }
+   */
+  function status() {
+    const element = container.querySelector('#validation-status');
+    return {
+      type: element.className.replace('validation-status', '').trim(),
+      text: element.querySelector('.status-text').textContent
+    };
+  }
+
+  describe('validation', () => {
+    it('accepts valid selectors', () => {
+      type('.nav > li');
+
+      expect(status()).toEqual({ type: 'success', text: 'Valid selector' });
+    });
+
+    it('reports syntax errors', () => {
+      type('li[');
+
+      expect(status().type).toBe('error');
+      expect(status().text).toMatch(/^Invalid syntax/);
+      expect(tester.isValidSelector('li[')).toBe(false);
+    });
+
+    it('reports common mistakes before parsing', () => {
+      type('ul > > li');
+
+      expect(status()).toEqual({
+        type: 'error',
+        text: 'Duplicate child combinators (>) are invalid'
+      });
+    });
+
+    it('warns about selectors the browser targets do not support', () => {
+      type('li:has(a)');
+
+      expect(status().type).toBe('warning');
+    });
+  });
+
+  describe('querying', () => {
+    it('runs valid input after a pause and leaves its own UI out', () => {
+      type('li');
+      expect(tester.state.results).toHaveLength(0);
+
+      vi.advanceTimersByTime(300);
+
+      expect(tester.state.results).toHaveLength(3);
+      expect(container.querySelector('.result-count').textContent).toBe(
+        '3 elements found'
+      );
+      expect(container.querySelector('.result-path').textContent).toBe(
+        'html > body > ul.nav > li.item.active'
+      );
+    });
+
+    it('emits a query event', () => {
+      const listener = vi.fn();
+      container.addEventListener('selector:query', listener);
+
+      tester.runSelector('a[href^="http"]');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail).toMatchObject({
+        selector: 'a[href^="http"]',
+        elementCount: 1
+      });
+    });
+
+    it('loads quick selectors into the input', () => {
+      container.querySelector('.selector-chip[data-selector="div"]').click();
+
+      expect(container.querySelector('#selector-input').value).toBe('div');
+      expect(tester.state.currentSelector).toBe('div');
+    });
+
+    it('limits rendered results until all are requested', () => {
+      tester.options.maxResults = 2;
+      tester.runSelector('li');
+
+      expect(container.querySelectorAll('.result-item')).toHaveLength(2);
+
+      container.querySelector('.show-all-btn').click();
+
+      expect(container.querySelectorAll('.result-item')).toHaveLength(3);
+    });
+
+    it('suggests optimizations', () => {
+      const types = tester
+        .suggestOptimizations('div ul li a *', 0, 0)
+        .map(suggestion => suggestion.type);
+
+      expect(types).toEqual(['performance', 'maintainability', 'accuracy']);
+    });
+
+    it('updates the performance metrics and analysis', () => {
+      tester.runSelector('li');
+
+      expect(container.querySelector('#total-queries').textContent).toBe('1');
+      expect(container.querySelector('#elements-found').textContent).toBe('3');
+      expect(container.querySelector('#performance-rating').textContent).toBe(
+        'Excellent'
+      );
+      expect(
+        container.querySelector('#selector-analysis .analysis-value')
+          .textContent
+      ).toBe('Simple (0)');
+    });
+
+    it('clears the selector and results', () => {
+      tester.loadQuickSelector('li');
+      container.querySelector('#clear-selector').click();
+
+      expect(tester.state.results).toEqual([]);
+      expect(container.querySelector('.results-placeholder')).not.toBeNull();
+      expect(status().type).toBe('neutral');
+    });
+  });
+
+  describe('highlighting', () => {
+    it('highlights matches and removes the highlights after the duration', () => {
+      tester.runSelector('li');
+
+      expect(document.querySelectorAll('.selector-highlight')).toHaveLength(3);
+
+      vi.advanceTimersByTime(tester.options.highlightDuration);
+
+      expect(document.querySelectorAll('.selector-highlight')).toHaveLength(0);
+    });
+
+    it('does not highlight when disabled', () => {
+      const checkbox = container.querySelector('#enable-highlighting');
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+
+      tester.runSelector('li');
+
+      expect(document.querySelectorAll('.selector-highlight')).toHaveLength(0);
+    });
+
+    it('highlights a single result from its action button', () => {
+      tester.runSelector('li');
+      tester.clearHighlights();
+
+      container
+        .querySelectorAll('.result-action[data-action="highlight"]')[1]
+        .click();
+
+      expect(document.querySelectorAll('.selector-highlight')).toHaveLength(1);
+    });
+  });
+
+  describe('shadow DOM', () => {
+    let outer;
+    let inner;
+
+    beforeEach(() => {
+      const host = document.createElement('div');
+      host.id = 'host';
+      document.body.appendChild(host);
+      outer = host.attachShadow({ mode: 'open' });
+      outer.innerHTML = `
+        <ul class="nav"><li class="item">Shadow</li></ul>
+        <span id="inner-host"></span>
+      `;
+      inner = outer.getElementById('inner-host').attachShadow({ mode: 'open' });
+      inner.innerHTML = '<li class="item">Nested</li>';
+
+      const closed = document.createElement('p');
+      closed.attachShadow({ mode: 'closed' }).innerHTML = '<li>Hidden</li>';
+      document.body.appendChild(closed);
+    });
+
+    it('finds open shadow roots, nested ones included', () => {
+      expect(tester.findOpenShadowRoots(document)).toEqual([outer, inner]);
+      expect(tester.findOpenShadowRoots(outer)).toEqual([inner]);
+      expect(tester.findOpenShadowRoots(outer.host)).toEqual([outer, inner]);
+    });
+
+    it('lists the hosts a node is nested in, outermost first', () => {
+      const nested = inner.querySelector('li');
+
+      expect(tester.getHostChain(nested)).toEqual([outer.host, inner.host]);
+      expect(tester.getHostChain(inner)).toEqual([outer.host, inner.host]);
+      expect(tester.getHostChain(outer.host)).toEqual([]);
+    });
+
+    it('queries shadow trees only when piercing', () => {
+      expect(tester.querySelectorInScope('li')).toHaveLength(3);
+
+      const checkbox = container.querySelector('#pierce-shadow');
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+
+      expect(
+        tester.querySelectorInScope('li').map(li => li.textContent)
+      ).toEqual(['Home', 'Out', 'Plain', 'Shadow', 'Nested']);
+      expect(tester.querySelectorInScope('.nav li')).toHaveLength(4);
+      expect(tester.querySelectorInScope('#host li')).toHaveLength(0);
+    });
+
+    it('labels pierced results with their host chain', () => {
+      tester.options.pierceShadow = true;
+      tester.runSelector('li');
+
+      const hosts = Array.from(
+        container.querySelectorAll('.result-hosts'),
+        element => element.textContent.trim()
+      );
+      expect(hosts).toEqual([
+        '⤷ shadow root of div#host',
+        '⤷ shadow root of div#host › span#inner-host'
+      ]);
+    });
+
+    it('escapes page-controlled names in host labels', () => {
+      outer.host.className = 'x<b>bold</b>';
+      tester.setSelectedElement(outer.host);
+      tester.options.pierceShadow = true;
+      tester.runSelector('li');
+
+      const select = container.querySelector('#selector-scope');
+      const hosts = container.querySelector('.result-hosts');
+
+      expect(container.querySelector('b')).toBeNull();
+      expect(select.options[2].textContent.trim()).toBe(
+        'Selected element (div#host.x<b>bold</b>)'
+      );
+      expect(hosts.textContent.trim()).toBe(
+        '⤷ shadow root of div#host.x<b>bold</b>'
+      );
+    });
+
+    it('scopes queries to a shadow root from the scope select', () => {
+      const select = container.querySelector('#selector-scope');
+      select.dispatchEvent(new Event('focusin', { bubbles: true }));
+
+      const labels = Array.from(select.options, option =>
+        option.textContent.trim()
+      );
+      expect(labels.slice(-2)).toEqual([
+        'Shadow root of div#host',
+        'Shadow root of div#host › span#inner-host'
+      ]);
+
+      tester.setScope('shadow:1');
+
+      expect(tester.getScopeRoot()).toBe(inner);
+      expect(tester.querySelectorInScope('li')).toEqual([
+        inner.querySelector('li')
+      ]);
+
+      inner.host.remove();
+
+      expect(tester.getScopeRoot()).toBe(document);
+      expect(tester.options.scope).toBe('document');
+    });
+  });
+
+  describe('history', () => {
+    it('records queries newest first without duplicates', () => {
+      tester.runSelector('li');
+      tester.runSelector('a');
+      tester.runSelector('li');
+
+      expect(tester.state.queryHistory.map(entry => entry.selector)).toEqual([
+        'li',
+        'a'
+      ]);
+      expect(container.querySelectorAll('.history-item')).toHaveLength(2);
+    });
+
+    it('keeps at most maxHistory entries', () => {
+      tester.options.maxHistory = 2;
+      ['li', 'a', 'ul'].forEach(selector => tester.runSelector(selector));
+
+      expect(tester.state.queryHistory.map(entry => entry.selector)).toEqual([
+        'ul',
+        'a'
+      ]);
+    });
+
+    it('persists history and favorites', () => {
+      tester.runSelector('li');
+      container.querySelector('.history-item .favorite-btn').click();
+
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'selector-tester-favorites',
+        JSON.stringify(['li'])
+      );
+      const [, history] = localStorage.setItem.mock.calls
+        .filter(([key]) => key === 'selector-tester-history')
+        .pop();
+      expect(JSON.parse(history)[0]).toMatchObject({
+        selector: 'li',
+        elementCount: 3
+      });
+    });
+
+    it('restores history and favorites from a previous session', () => {
+      const saved = {
+        'selector-tester-history': JSON.stringify([
+          { selector: '.nav', elementCount: 1, queryTime: 0.5, timestamp: 1 },
+          { broken: true }
+        ]),
+        'selector-tester-favorites': JSON.stringify(['.item'])
+      };
+      localStorage.getItem.mockImplementation(key => saved[key] || null);
+      tester.destroy();
+
+      tester = new SelectorTester(container);
+
+      expect(tester.state.queryHistory.map(entry => entry.selector)).toEqual([
+        '.nav'
+      ]);
+      expect(tester.state.favorites.has('.item')).toBe(true);
+      expect(container.querySelector('.history-selector').textContent).toBe(
+        '.nav'
+      );
+    });
+
+    it('lists favorites in the library and runs them', () => {
+      tester.toggleFavorite('a');
+      container
+        .querySelector('.library-tab[data-category="favorites"]')
+        .click();
+
+      container.querySelector('.library-item .library-selector').click();
+
+      expect(tester.state.currentSelector).toBe('a');
+      expect(tester.state.results).toHaveLength(2);
+
+      container.querySelector('.library-item .favorite-btn').click();
+
+      expect(tester.state.favorites.size).toBe(0);
+      expect(container.querySelector('.library-empty')).not.toBeNull();
+    });
+
+    it('clears the history', () => {
+      tester.runSelector('li');
+      container.querySelector('#clear-history').click();
+
+      expect(tester.state.queryHistory).toEqual([]);
+      expect(container.querySelector('.history-placeholder')).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * SnapshotStore eviction tests
+ */
+
+import { SnapshotStore } from '@modules/dom/SnapshotStore.js';
+
+describe('SnapshotStore eviction', () => {
+  let store;
+  let stored;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    stored = [
+      { id: 'a', timestamp: 200 },
+      { id: 'b', timestamp: 300 }
+    ];
+    store = new SnapshotStore({ maxHistorySize: 2 });
+    vi.spyOn(store, 'request').mockImplementation(async (mode, operation) => {
+      return operation({ put: snapshot => stored.push(snapshot) });
+    });
+    vi.spyOn(store, 'list').mockImplementation(async () => {
+      return [...stored].sort((a, b) => a.timestamp - b.timestamp);
+    });
+    vi.spyOn(store, 'delete').mockImplementation(async snapshotId => {
+      stored = stored.filter(snapshot => snapshot.id !== snapshotId);
+    });
+  });
+
+  it('evicts the oldest snapshot beyond the history size', async () => {
+    await store.save({ id: 'c', timestamp: 400 });
+
+    expect(stored.map(snapshot => snapshot.id)).toEqual(['b', 'c']);
+  });
+
+  it('keeps an imported snapshot older than the stored ones', async () => {
+    await store.save({ id: 'old', timestamp: 100 });
+
+    expect(store.delete).toHaveBeenCalledWith('a');
+    expect(stored.map(snapshot => snapshot.id)).toEqual(['b', 'old']);
+  });
+});
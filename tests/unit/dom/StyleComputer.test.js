@@ -0,0 +1,320 @@
+/**
+ * StyleComputer property trace, custom property, style snapshot and override
+ * tests
+ */
+
+import { StyleComputer } from '@modules/dom/StyleComputer.js';
+
+describe('StyleComputer property trace', () => {
+  let computer;
+  let target;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.head.innerHTML = `
+      <style>
+        p[title="<img src=x onerror=alert(1)>"] { color: red }
+      </style>
+    `;
+    document.body.innerHTML = `
+      <div id="computer"></div>
+      <p id="target" title="<img src=x onerror=alert(1)>"
+        style="font-family: &quot;<b>bold</b>&quot;">Text</p>
+    `;
+    target = document.getElementById('target');
+    computer = new StyleComputer(document.getElementById('computer'));
+    await computer.analyzeElement(target);
+  });
+
+  afterEach(() => {
+    computer.destroy();
+    document.head.innerHTML = '';
+  });
+
+  /**
+   * Trace a property and return the rendered trace view
+   * @param {string} property - CSS property name
+   * @returns {HTMLElement} Trace container
+   */
+  function renderTrace(property) {
+    computer.traceProperty(property);
+    return computer.container.querySelector('#property-trace');
+  }
+
+  it('escapes selectors', () => {
+    const view = renderTrace('color');
+    const selector = view.querySelector('.winner .cascade-selector');
+
+    expect(view.querySelector('img')).toBeNull();
+    expect(selector.textContent).toBe(
+      'p[title="<img src=x onerror=alert(1)>"]'
+    );
+  });
+
+  it('escapes declared and computed values', () => {
+    const view = renderTrace('font-family');
+
+    expect(view.querySelector('b')).toBeNull();
+    expect(view.querySelector('.property-value').textContent).toBe(
+      '"<b>bold</b>"'
+    );
+    expect(view.querySelector('.winner .cascade-value').textContent).toBe(
+      'font-family: "<b>bold</b>"'
+    );
+  });
+
+  it('escapes overridden declarations in the styles list', async () => {
+    target.style.color = 'green';
+    await computer.analyzeElement(target);
+
+    const property = computer.container.querySelector(
+      '#styles-content .style-property[data-property="color"]'
+    );
+    const overridden = property.querySelector(
+      '.cascade-declaration.overridden'
+    );
+
+    expect(property.querySelector('img')).toBeNull();
+    expect(overridden.querySelector('.cascade-selector').textContent).toBe(
+      'p[title="<img src=x onerror=alert(1)>"]'
+    );
+    expect(overridden.title).toBe(
+      computer.styleRules.get('color').declarations[1].reasonText
+    );
+  });
+
+  it('escapes the inheritance path', () => {
+    target.innerHTML = '<span id="child">Child</span>';
+    computer.selectedElement = document.getElementById('child');
+    computer.cascade = null;
+
+    const view = renderTrace('font-family');
+    const steps = Array.from(view.querySelectorAll('.trace-path-step'));
+
+    expect(view.querySelector('b')).toBeNull();
+    expect(steps).toHaveLength(2);
+    expect(steps[1].querySelector('.trace-path-action').textContent).toBe(
+      'declared by style attribute'
+    );
+  });
+});
+
+describe('StyleComputer custom properties', () => {
+  let computer;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.head.innerHTML = `
+      <style>
+        #t[title="<i>t</i>"] { --evil: "<b>x</b>" }
+      </style>
+    `;
+    document.body.innerHTML = `
+      <div id="computer"></div>
+      <p id="t" title="<i>t</i>">Text</p>
+    `;
+    computer = new StyleComputer(document.getElementById('computer'));
+    await computer.analyzeElement(document.getElementById('t'));
+  });
+
+  afterEach(() => {
+    computer.destroy();
+    document.head.innerHTML = '';
+  });
+
+  it('escapes names, values and selectors', () => {
+    const item = computer.container.querySelector(
+      '.custom-property[data-property="--evil"]'
+    );
+
+    expect(item.querySelector('b, i')).toBeNull();
+    expect(item.querySelector('.property-value').textContent).toBe(
+      '"<b>x</b>"'
+    );
+    expect(item.querySelector('code').textContent).toBe('"<b>x</b>"');
+    expect(item.querySelector('[title]').textContent).toContain(
+      '#t[title="<i>t</i>"]'
+    );
+  });
+});
+
+describe('StyleComputer style snapshots', () => {
+  let computer;
+  let target;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.head.innerHTML = `
+      <style>
+        .active { opacity: 0.5; font-weight: bold }
+      </style>
+    `;
+    document.body.innerHTML = `
+      <div id="computer"></div>
+      <p id="target" style="margin-top: 4px">Text</p>
+      <p id="other" class="active">Other</p>
+    `;
+    target = document.getElementById('target');
+    computer = new StyleComputer(document.getElementById('computer'));
+    await computer.analyzeElement(target);
+  });
+
+  afterEach(() => {
+    computer.destroy();
+    document.head.innerHTML = '';
+  });
+
+  it('diffs the same element after an interaction', () => {
+    const pinned = computer.pinSnapshot('Before');
+    expect(pinned.label).toBe('Before');
+    expect(computer.snapshotComparison.changes).toEqual([]);
+
+    target.classList.add('active');
+    target.style.marginTop = '8px';
+    const comparison = computer.compareWithSnapshot();
+
+    expect(comparison.pinned).toBe(pinned);
+    expect(comparison.changes.map(change => change.property)).toEqual([
+      'font-weight',
+      'margin-top',
+      'opacity'
+    ]);
+    expect(
+      comparison.changes.find(change => change.property === 'margin-top')
+    ).toMatchObject({ before: '4px', after: '8px' });
+    expect(
+      comparison.groups.flatMap(group => group.changes).map(c => c.property)
+    ).toEqual(expect.arrayContaining(['font-weight', 'margin-top', 'opacity']));
+
+    const section = computer.container.querySelector('#snapshot-section');
+    expect(section.style.display).toBe('block');
+    expect(section.querySelector('#snapshot-change-count').textContent).toBe(
+      '(3)'
+    );
+    expect(section.querySelector('#snapshot-subjects').textContent).toContain(
+      'class="active"'
+    );
+  });
+
+  it('compares against another element', async () => {
+    computer.pinSnapshot();
+    await computer.analyzeElement(document.getElementById('other'));
+
+    const { changes } = computer.snapshotComparison;
+    expect(changes.find(change => change.property === 'opacity')).toEqual({
+      property: 'opacity',
+      before: '',
+      after: '0.5',
+      category: expect.any(String)
+    });
+    expect(
+      computer.container.querySelector('#snapshot-subjects').textContent
+    ).toContain('Compared:');
+  });
+
+  it('clears the comparison when unpinned', () => {
+    computer.pinSnapshot();
+    computer.unpinSnapshot();
+
+    expect(computer.pinnedSnapshot).toBeNull();
+    expect(computer.compareWithSnapshot()).toBeNull();
+    expect(
+      computer.container.querySelector('#snapshot-section').style.display
+    ).toBe('none');
+  });
+
+  it('escapes labels and class names', () => {
+    computer.pinSnapshot('<u>label</u>');
+    target.className = 'cls <s>z</s>';
+    computer.compareWithSnapshot();
+
+    const subjects = computer.container.querySelector('#snapshot-subjects');
+    expect(subjects.querySelector('u, s')).toBeNull();
+    expect(subjects.textContent).toContain('<u>label</u>');
+    expect(subjects.textContent).toContain('class="cls <s>z</s>"');
+  });
+
+  it('warns instead of pinning without a selected element', () => {
+    computer.selectedElement = null;
+
+    expect(computer.pinSnapshot()).toBeNull();
+    expect(computer.pinnedSnapshot).toBeNull();
+  });
+});
+
+describe('StyleComputer style overrides', () => {
+  let computer;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <div id="computer"></div>
+      <p id="target">Text</p>
+    `;
+    computer = new StyleComputer(document.getElementById('computer'));
+    await computer.analyzeElement(document.getElementById('target'));
+  });
+
+  afterEach(() => {
+    computer.destroy();
+    document.head.innerHTML = '';
+  });
+
+  it.each([
+    ['--brand', 'rgb(0 0 255)'],
+    ['--grid', '[full-start] 1fr [full-end]'],
+    ['--label', '"a; b } c"'],
+    ['--quote', "'it\\'s'"],
+    ['--block', '{ color: red; }'],
+    ['--émoji', 'calc(1px /* ) */ + 2px)']
+  ])('accepts %s: %s', (property, value) => {
+    expect(computer.setStyleOverride(property, value)).toBe(true);
+    expect(computer.generateOverridesCSS()).toContain(`${property}: ${value};`);
+  });
+
+  it.each([
+    ['--x', 'red; } body { display: none'],
+    ['--x', 'red } body { display: none'],
+    ['--x', 'url(x'],
+    ['--x', '"unterminated'],
+    ['--x', '[a)'],
+    ['--x', 'red /* open'],
+    ['--x', 'red\\'],
+    ['--x: red; --y', 'blue'],
+    ['--x{}', 'red'],
+    ['--', 'red']
+  ])('rejects %s: %s', (property, value) => {
+    expect(computer.setStyleOverride(property, value)).toBe(false);
+    expect(computer.styleOverrides.size).toBe(0);
+  });
+
+  it('renders override values as text', () => {
+    computer.setStyleOverride('--x', '<img src=x onerror="alert(1)">');
+
+    const list = computer.container.querySelector('#overrides-list');
+    expect(list.querySelector('img')).toBeNull();
+    expect(list.querySelector('.cascade-value').textContent).toBe(
+      '--x: <img src=x onerror="alert(1)">;'
+    );
+  });
+
+  it('removes an override keyed by an attribute selector', async () => {
+    const button = document.createElement('button');
+    button.dataset.testid = 'save';
+    document.body.appendChild(button);
+    await computer.analyzeElement(button);
+
+    computer.setStyleOverride('color', 'red');
+    const remove = computer.container.querySelector('.override-remove-btn');
+    expect(remove.dataset.selector).toBe('[data-testid="save"]');
+
+    remove.click();
+
+    expect(computer.styleOverrides.size).toBe(0);
+    expect(computer.container.querySelector('.override-remove-btn')).toBeNull();
+  });
+});